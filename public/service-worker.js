@@ -0,0 +1,110 @@
+// Offline support for customers booking from the roadside with poor signal. The app
+// shell is cached so the booking page opens without a connection, and map tiles are
+// cached as they are viewed (and, where the tile server allows it, prefetched for the
+// service region; see src/utils/tiles.js). API, routing and geocoding responses are
+// never cached: prices and addresses must come from the server.
+const VERSION = 'v1';
+const SHELL_CACHE = `shell-${VERSION}`;
+const TILE_CACHE = `tiles-${VERSION}`;
+const MAX_TILES = 3000;
+
+const SHELL_URLS = ['/', '/index.html', '/favicon.ico', '/mr-gruas-logo-navbar.png', '/mr-gruas-logo-footer.png'];
+
+// Slippy-map tile URLs end in /{z}/{x}/{y}.png (or another image format).
+const TILE_PATH = /\/\d+\/\d+\/\d+\.(png|jpe?g|webp)$/;
+
+const isTileRequest = (url) => url.origin !== self.location.origin && TILE_PATH.test(url.pathname);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL_URLS)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys
+        .filter((key) => key !== SHELL_CACHE && key !== TILE_CACHE)
+        .map((key) => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+// Oldest tiles go first once the cache is over its limit.
+const trimTiles = async () => {
+  const cache = await caches.open(TILE_CACHE);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(keys.length - MAX_TILES, 0)).map((key) => cache.delete(key)));
+};
+
+const cacheTile = async (request) => {
+  const cache = await caches.open(TILE_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(request, response.clone());
+    trimTiles();
+  }
+  return response;
+};
+
+// Navigations always try the network first so a new deploy is picked up; offline
+// they get the cached shell and the router takes over.
+const handleNavigation = async (request) => {
+  try {
+    const response = await fetch(request);
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.put('/index.html', response.clone());
+    return response;
+  } catch (error) {
+    return (await caches.match('/index.html')) || Response.error();
+  }
+};
+
+// Built assets have hashed names, so a cached copy is served at once and refreshed
+// in the background.
+const handleAsset = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached || Response.error());
+  return cached || network;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (isTileRequest(url)) {
+    event.respondWith(cacheTile(request).catch(() => Response.error()));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (url.origin === self.location.origin && (url.pathname.startsWith('/assets/') || SHELL_URLS.includes(url.pathname))) {
+    event.respondWith(handleAsset(request));
+  }
+});
+
+// { type: 'precache-tiles', urls } from the page. Tiles are fetched one at a time so
+// the prefetch does not compete with the customer's own requests.
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'precache-tiles') return;
+  const urls = (event.data.urls || []).slice(0, MAX_TILES);
+  event.waitUntil((async () => {
+    const cache = await caches.open(TILE_CACHE);
+    for (const url of urls) {
+      if (await cache.match(url)) continue;
+      try {
+        const response = await fetch(url, { mode: 'cors' });
+        if (response.ok) await cache.put(url, response);
+      } catch (error) {
+        // Connection lost mid-prefetch; what was cached so far is kept.
+        return;
+      }
+    }
+  })());
+});
@@ -0,0 +1,155 @@
+// Applies and reverts the SQL migrations in src/database/migrations.
+//
+//   npm run migrate -- up [--to 0003]            apply pending migrations
+//   npm run migrate -- down [--steps 2 | --to 0001]  revert the latest (default one)
+//   npm run migrate -- status                    list applied and pending migrations
+//   npm run migrate -- seed                      load src/database/seeds/*.sql
+//
+// The database is --db-url, else DATABASE_URL, else the local Supabase stack from
+// supabase/config.toml. `down` and `seed` only touch the local stack unless --force
+// is given.
+import 'dotenv/config';
+import { readFile, readdir } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import pg from 'pg';
+import { parseMigrationFiles, pendingMigrations, migrationsToRevert, migrationStatus, localDatabaseUrl } from '../src/utils/migrations.js';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const migrationsDir = path.join(rootDir, 'src/database/migrations');
+const seedsDir = path.join(rootDir, 'src/database/seeds');
+
+// Keeps two runs from migrating the same database at once.
+const LOCK_ID = 724_311_001;
+
+const LEDGER_SQL = `
+  CREATE TABLE IF NOT EXISTS public.schema_migrations (
+    version TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    checksum TEXT NOT NULL,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  );
+  COMMENT ON TABLE public.schema_migrations IS 'Migrations from src/database/migrations applied to this database; managed by scripts/migrate.js';
+`;
+
+const checksum = (sql) => createHash('sha256').update(sql).digest('hex');
+
+const loadMigrations = async () => {
+  const migrations = parseMigrationFiles(await readdir(migrationsDir));
+  return Promise.all(migrations.map(async (migration) => {
+    const up = await readFile(path.join(migrationsDir, migration.up), 'utf8');
+    const down = await readFile(path.join(migrationsDir, migration.down), 'utf8');
+    return { ...migration, upSql: up, downSql: down, checksum: checksum(up) };
+  }));
+};
+
+const resolveTarget = async (dbUrl) => {
+  const url = dbUrl || process.env.DATABASE_URL;
+  if (url) return { url, isLocal: false };
+  const configToml = await readFile(path.join(rootDir, 'supabase/config.toml'), 'utf8');
+  return { url: localDatabaseUrl(configToml), isLocal: true };
+};
+
+// Runs `sql` and its ledger change in one transaction, so a failing migration
+// leaves neither.
+const runInTransaction = async (client, label, sql, ledgerQuery) => {
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    if (ledgerQuery) await client.query(...ledgerQuery);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw Object.assign(new Error(`${label} failed: ${error.message}`), { cause: error });
+  }
+};
+
+const up = async (client, migrations, applied, { to }) => {
+  const pending = pendingMigrations(migrations, applied, { to });
+  if (pending.length === 0) {
+    console.log('Database is up to date.');
+    return;
+  }
+  for (const migration of pending) {
+    await runInTransaction(client, migration.up, migration.upSql, [
+      'INSERT INTO public.schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+      [migration.version, migration.name, migration.checksum],
+    ]);
+    console.log(`Applied ${migration.version}_${migration.name}`);
+  }
+};
+
+const down = async (client, migrations, applied, { steps, to }) => {
+  const reverting = migrationsToRevert(migrations, applied, { steps, to });
+  if (reverting.length === 0) {
+    console.log('Nothing to revert.');
+    return;
+  }
+  for (const migration of reverting) {
+    await runInTransaction(client, migration.down, migration.downSql, [
+      'DELETE FROM public.schema_migrations WHERE version = $1',
+      [migration.version],
+    ]);
+    console.log(`Reverted ${migration.version}_${migration.name}`);
+  }
+};
+
+const status = (migrations, applied) => {
+  migrationStatus(migrations, applied).forEach((row) => {
+    const appliedAt = row.appliedAt ? new Date(row.appliedAt).toISOString() : '';
+    console.log(`${row.state.padEnd(8)} ${row.version}_${row.name} ${appliedAt}`.trimEnd());
+  });
+};
+
+const seed = async (client) => {
+  const files = (await readdir(seedsDir)).filter((file) => file.endsWith('.sql')).sort();
+  for (const file of files) {
+    await runInTransaction(client, file, await readFile(path.join(seedsDir, file), 'utf8'));
+    console.log(`Loaded ${file}`);
+  }
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      'db-url': { type: 'string' },
+      to: { type: 'string' },
+      steps: { type: 'string', default: '1' },
+      force: { type: 'boolean', default: false },
+    },
+  });
+  const [command] = positionals;
+  if (!['up', 'down', 'status', 'seed'].includes(command)) {
+    throw new Error('Usage: npm run migrate -- <up|down|status|seed> [--to VERSION] [--steps N] [--db-url URL] [--force]');
+  }
+
+  const target = await resolveTarget(values['db-url']);
+  if (['down', 'seed'].includes(command) && !target.isLocal && !values.force) {
+    throw new Error(`Refusing to ${command} a database other than the local Supabase stack without --force`);
+  }
+
+  const migrations = await loadMigrations();
+  const client = new pg.Client({ connectionString: target.url });
+  await client.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+    await client.query(LEDGER_SQL);
+    const { rows: applied } = await client.query('SELECT version, name, checksum, applied_at FROM public.schema_migrations ORDER BY version');
+
+    if (command === 'up') await up(client, migrations, applied, { to: values.to });
+    if (command === 'down') await down(client, migrations, applied, { steps: Number(values.steps), to: values.to });
+    if (command === 'status') status(migrations, applied);
+    if (command === 'seed') await seed(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]).catch(() => {});
+    await client.end();
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -11,7 +11,10 @@ import AdminPanel from './pages/AdminPanel';
 import ProtectedRoute from './components/common/ProtectedRoute';
 import Login from './pages/Login';
 import ErrorBoundary from './components/ErrorBoundary';
+import DraftBookingSync from './components/common/DraftBookingSync';
 import BookingForm from './pages/BookingForm'; // Import the BookingForm component
+import BookingDetails from './pages/BookingDetails';
+import MyBookings from './pages/MyBookings';
 
 const queryClient = new QueryClient();
 
@@ -22,6 +25,7 @@ const App = () => {
         <QueryClientProvider client={queryClient}>
           <SupabaseProvider>
             <SupabaseAuthProvider>
+              <DraftBookingSync />
               <Router>
                 <Routes>
                   <Route path="/" element={<Index />} />
@@ -29,6 +33,22 @@ const App = () => {
                   <Route path="/contact" element={<Contact />} />
                   <Route path="/login" element={<Login />} />
                   <Route path="/booking" element={<BookingForm />} /> {/* Add this line */}
+                  <Route
+                    path="/my-bookings"
+                    element={
+                      <ProtectedRoute>
+                        <MyBookings />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/bookings/:id"
+                    element={
+                      <ProtectedRoute>
+                        <BookingDetails />
+                      </ProtectedRoute>
+                    }
+                  />
                   <Route 
                     path="/admin" 
                     element={
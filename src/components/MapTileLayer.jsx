@@ -0,0 +1,11 @@
+import React from 'react';
+import { TileLayer } from 'react-leaflet';
+import { mapTileUrl, mapTileAttribution } from '../config/mapTiles';
+
+// Base map of every Leaflet map in the app. Tiles are requested with CORS so the
+// service worker can cache them for use without signal.
+const MapTileLayer = () => (
+  <TileLayer url={mapTileUrl} attribution={mapTileAttribution} crossOrigin="anonymous" />
+);
+
+export default MapTileLayer;
@@ -1,9 +1,147 @@
-import React from 'react';
-import { Box, VStack, Heading, Table, Thead, Tbody, Tr, Th, Td, Text, Alert, AlertIcon, Button, Badge } from "@chakra-ui/react";
+import React, { useState } from 'react';
+import { Box, VStack, HStack, Heading, Table, Thead, Tbody, Tr, Th, Td, Text, Alert, AlertIcon, Button, Badge, Popover, PopoverTrigger, PopoverContent, PopoverArrow, PopoverBody, Modal, ModalOverlay, ModalContent, ModalHeader, ModalBody, ModalCloseButton, Spinner, Textarea, Input, FormControl, FormLabel } from "@chakra-ui/react";
 import { useBookings } from '../../hooks/useBookings';
+import { useBookingTransition } from '../../hooks/useBookingTransition';
+import { useBooking, useUpdateBooking } from '../../integrations/supabase/hooks/bookings';
+import { PriceBreakdown } from '../booking/PriceBreakdown';
+import { BookingRouteMap } from '../booking/BookingRouteMap';
+import { BookingStatusTimeline, STATUS_COLORS } from '../booking/BookingStatusTimeline';
+import { formatMoney } from '../../utils/currency';
+import { BOOKING_TRANSITIONS, availableEvents } from '../../utils/bookingStatus';
+
+// The stored route is only loaded for the booking being looked at.
+const BookingRouteModal = ({ bookingId, onClose }) => {
+  const { data: booking, isLoading, error } = useBooking(bookingId);
+
+  return (
+    <Modal isOpen={Boolean(bookingId)} onClose={onClose} size="3xl">
+      <ModalOverlay />
+      <ModalContent>
+        <ModalHeader>Route of booking {bookingId}</ModalHeader>
+        <ModalCloseButton />
+        <ModalBody pb={6}>
+          {isLoading && <Spinner />}
+          {error && <Alert status="error"><AlertIcon />Error loading the route: {error.message}</Alert>}
+          {booking && <BookingRouteMap route={booking.route} />}
+        </ModalBody>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+const EMPTY_DRIVER = { name: '', phone: '', truck_plate: '' };
+
+// The driver sent to do the tow; customers see it on their booking as soon as it is saved.
+const DriverAssignment = ({ booking, showNotification }) => {
+  const [driver, setDriver] = useState({ ...EMPTY_DRIVER, ...booking.driver });
+  const updateBooking = useUpdateBooking();
+
+  const handleChange = (field) => (e) => setDriver({ ...driver, [field]: e.target.value });
+
+  const handleSave = () => {
+    const assigned = driver.name.trim() ? {
+      name: driver.name.trim(),
+      phone: driver.phone.trim() || null,
+      truck_plate: driver.truck_plate.trim() || null,
+    } : null;
+    updateBooking.mutate({ id: booking.id, driver: assigned }, {
+      onSuccess: () => {
+        showNotification('Driver Saved', assigned ? `${assigned.name} is assigned to booking ${booking.id}.` : `Booking ${booking.id} has no driver.`, 'success');
+      },
+      onError: (error) => {
+        showNotification('Save Failed', error.message, 'error');
+      },
+    });
+  };
+
+  return (
+    <VStack align="stretch" mt={4} spacing={2}>
+      <Heading as="h3" size="sm">Driver</Heading>
+      <HStack>
+        <FormControl>
+          <FormLabel fontSize="sm">Name</FormLabel>
+          <Input size="sm" value={driver.name} onChange={handleChange('name')} />
+        </FormControl>
+        <FormControl>
+          <FormLabel fontSize="sm">Phone</FormLabel>
+          <Input size="sm" type="tel" value={driver.phone || ''} onChange={handleChange('phone')} />
+        </FormControl>
+        <FormControl>
+          <FormLabel fontSize="sm">Truck plate</FormLabel>
+          <Input size="sm" value={driver.truck_plate || ''} onChange={handleChange('truck_plate')} />
+        </FormControl>
+      </HStack>
+      <Box>
+        <Button size="sm" onClick={handleSave} isLoading={updateBooking.isPending}>Save driver</Button>
+      </Box>
+    </VStack>
+  );
+};
+
+// Status timeline of a booking and the lifecycle events an admin can apply next.
+const BookingStatusModal = ({ booking, onClose, showNotification }) => {
+  const [reason, setReason] = useState('');
+  const transition = useBookingTransition();
+  const events = booking ? availableEvents(booking, { role: 'admin' }) : [];
+
+  const handleTransition = (event) => {
+    transition.mutate({ bookingId: booking.id, event, reason: reason.trim() || undefined }, {
+      onSuccess: () => {
+        setReason('');
+        showNotification('Status Updated', `Booking ${booking.id} is now ${BOOKING_TRANSITIONS[event].to}.`, 'success');
+        onClose();
+      },
+      onError: (error) => {
+        showNotification('Update Failed', error.message, 'error');
+      },
+    });
+  };
+
+  return (
+    <Modal isOpen={Boolean(booking)} onClose={onClose} size="lg">
+      <ModalOverlay />
+      <ModalContent>
+        <ModalHeader>Status of booking {booking?.id}</ModalHeader>
+        <ModalCloseButton />
+        <ModalBody pb={6}>
+          <BookingStatusTimeline bookingId={booking?.id} />
+          {events.length > 0 && (
+            <VStack align="stretch" mt={4} spacing={2}>
+              <Textarea
+                placeholder="Reason (required to cancel)"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                size="sm"
+              />
+              <HStack>
+                {events.map((event) => (
+                  <Button
+                    key={event}
+                    size="sm"
+                    colorScheme={event === 'cancel' ? 'red' : 'blue'}
+                    isLoading={transition.isPending && transition.variables?.event === event}
+                    isDisabled={transition.isPending}
+                    onClick={() => handleTransition(event)}
+                  >
+                    {BOOKING_TRANSITIONS[event].label}
+                  </Button>
+                ))}
+              </HStack>
+            </VStack>
+          )}
+          {booking && ['pending', 'confirmed', 'in_progress'].includes(booking.status) && (
+            <DriverAssignment key={booking.id} booking={booking} showNotification={showNotification} />
+          )}
+        </ModalBody>
+      </ModalContent>
+    </Modal>
+  );
+};
 
 const BookingManagement = ({ showNotification }) => {
   const { data: bookingsData, isLoading, error, refetch } = useBookings();
+  const [routeBookingId, setRouteBookingId] = useState(null);
+  const [statusBooking, setStatusBooking] = useState(null);
 
   if (isLoading) return <Box>Loading bookings...</Box>;
   
@@ -30,17 +168,6 @@ const BookingManagement = ({ showNotification }) => {
 
   const bookings = bookingsData.data;
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'pending': return 'yellow';
-      case 'confirmed': return 'green';
-      case 'in_progress': return 'blue';
-      case 'completed': return 'green';
-      case 'cancelled': return 'red';
-      default: return 'gray';
-    }
-  };
-
   return (
     <Box>
       <Heading as="h2" size="lg" mb={4}>Booking Management</Heading>
@@ -58,8 +185,10 @@ const BookingManagement = ({ showNotification }) => {
               <Th>Total Cost</Th>
               <Th>Pickup Location</Th>
               <Th>Dropoff Location</Th>
+              <Th>Depot</Th>
               <Th>Created At</Th>
               <Th>Pickup Date/Time</Th>
+              <Th>Route</Th>
             </Tr>
           </Thead>
           <Tbody>
@@ -69,25 +198,59 @@ const BookingManagement = ({ showNotification }) => {
                 <Td>{booking.user?.email || 'N/A'}</Td>
                 <Td>{booking.service?.name || 'N/A'}</Td>
                 <Td>
-                  <Badge colorScheme={getStatusColor(booking.status)}>
-                    {booking.status}
-                  </Badge>
+                  <Button variant="link" size="sm" onClick={() => setStatusBooking(booking)}>
+                    <Badge colorScheme={STATUS_COLORS[booking.status] || 'gray'}>
+                      {booking.status}
+                    </Badge>
+                  </Button>
                 </Td>
                 <Td>
                   <Badge colorScheme={booking.payment_status === 'paid' ? 'green' : 'red'}>
                     {booking.payment_status}
                   </Badge>
                 </Td>
-                <Td>${booking.total_cost}</Td>
+                <Td>
+                  {booking.price_breakdown ? (
+                    <Popover trigger="hover" placement="left">
+                      <PopoverTrigger>
+                        <Button variant="link" size="sm">{formatMoney(booking.total_cost, booking.currency)} {booking.currency}</Button>
+                      </PopoverTrigger>
+                      <PopoverContent>
+                        <PopoverArrow />
+                        <PopoverBody>
+                          <PriceBreakdown breakdown={booking.price_breakdown} />
+                        </PopoverBody>
+                      </PopoverContent>
+                    </Popover>
+                  ) : (
+                    `${formatMoney(booking.total_cost, booking.currency)} ${booking.currency}`
+                  )}
+                  {booking.requires_manual_quote && <Badge colorScheme="orange" ml={2}>Manual quote</Badge>}
+                </Td>
                 <Td>{booking.pickup_location}</Td>
-                <Td>{booking.dropoff_location}</Td>
+                <Td>
+                  {booking.stops?.map((stop, index) => (
+                    <Text key={index} fontSize="xs" color="purple.600">
+                      Stop {index + 1}: {stop.address || `${stop.lat}, ${stop.lng}`}
+                      {stop.waitMinutes > 0 ? ` · ${stop.waitMinutes} min` : ''}
+                      {stop.notes ? ` · ${stop.notes}` : ''}
+                    </Text>
+                  ))}
+                  {booking.dropoff_location}
+                </Td>
+                <Td>{booking.depot?.name || 'N/A'}</Td>
                 <Td>{new Date(booking.created_at).toLocaleString()}</Td>
                 <Td>{new Date(booking.pickup_datetime).toLocaleString()}</Td>
+                <Td>
+                  <Button size="sm" onClick={() => setRouteBookingId(booking.id)}>View</Button>
+                </Td>
               </Tr>
             ))}
           </Tbody>
         </Table>
       )}
+      <BookingRouteModal bookingId={routeBookingId} onClose={() => setRouteBookingId(null)} />
+      <BookingStatusModal booking={statusBooking} onClose={() => setStatusBooking(null)} showNotification={showNotification} />
     </Box>
   );
 };
@@ -0,0 +1,342 @@
+import React, { useState } from 'react';
+import { Box, VStack, Heading, Table, Thead, Tbody, Tr, Th, Td, Button, useDisclosure, Modal, ModalOverlay, ModalContent, ModalHeader, ModalFooter, ModalBody, ModalCloseButton, FormControl, FormLabel, FormHelperText, Input, NumberInput, NumberInputField, Select, Switch, Badge } from "@chakra-ui/react";
+import {
+  useCorporateAccounts,
+  useAddCorporateAccount,
+  useUpdateCorporateAccount,
+  useDeleteCorporateAccount,
+  useCorporateAgreements,
+  useAddCorporateAgreement,
+  useUpdateCorporateAgreement,
+  useDeleteCorporateAgreement,
+} from '../../integrations/supabase/hooks/corporate_agreements';
+import { useUsers, useUpdateUser } from '../../integrations/supabase/hooks/users';
+
+const towTruckTypes = ['wheel_lift', 'flatbed', 'integrated', 'heavy_duty'];
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+const parseOptionalPrice = (value) => (value ? parseFloat(value) : null);
+
+const CorporateAgreementManagement = ({ showNotification }) => {
+  const accountModal = useDisclosure();
+  const agreementModal = useDisclosure();
+  const { data: accounts, isLoading: isLoadingAccounts, isError: isAccountsError } = useCorporateAccounts();
+  const { data: agreements, isLoading: isLoadingAgreements, isError: isAgreementsError } = useCorporateAgreements();
+  const { data: users = [] } = useUsers();
+  const addAccountMutation = useAddCorporateAccount();
+  const updateAccountMutation = useUpdateCorporateAccount();
+  const deleteAccountMutation = useDeleteCorporateAccount();
+  const addAgreementMutation = useAddCorporateAgreement();
+  const updateAgreementMutation = useUpdateCorporateAgreement();
+  const deleteAgreementMutation = useDeleteCorporateAgreement();
+  const updateUserMutation = useUpdateUser();
+
+  const [currentAccount, setCurrentAccount] = useState(null);
+  const [currentAgreement, setCurrentAgreement] = useState(null);
+
+  if (isLoadingAccounts || isLoadingAgreements) return <Box>Loading corporate agreements...</Box>;
+  if (isAccountsError || isAgreementsError) return <Box>Error loading corporate agreements</Box>;
+
+  const handleAddOrUpdateAccount = async (event) => {
+    event.preventDefault();
+    const formData = new FormData(event.target);
+    const accountData = {
+      name: formData.get('name'),
+      rfc: formData.get('rfc') || null,
+      contact_email: formData.get('contact_email') || null,
+      is_active: formData.get('is_active') === 'on',
+    };
+
+    try {
+      if (currentAccount) {
+        await updateAccountMutation.mutateAsync({ id: currentAccount.id, ...accountData });
+        showNotification('Account Updated', 'Corporate account has been updated successfully', 'success');
+      } else {
+        await addAccountMutation.mutateAsync(accountData);
+        showNotification('Account Added', 'New corporate account has been added successfully', 'success');
+      }
+      accountModal.onClose();
+      setCurrentAccount(null);
+    } catch (error) {
+      showNotification('Error', `Failed to ${currentAccount ? 'update' : 'add'} corporate account`, 'error');
+    }
+  };
+
+  const handleAddOrUpdateAgreement = async (event) => {
+    event.preventDefault();
+    const formData = new FormData(event.target);
+    const agreementData = {
+      corporate_account_id: formData.get('corporate_account_id'),
+      tow_truck_type: formData.get('tow_truck_type'),
+      base_price: parseOptionalPrice(formData.get('base_price')),
+      price_per_km: parseOptionalPrice(formData.get('price_per_km')),
+      valid_from: formData.get('valid_from') ? new Date(formData.get('valid_from')).toISOString() : null,
+      expires_at: formData.get('expires_at') ? new Date(formData.get('expires_at')).toISOString() : null,
+      is_active: formData.get('is_active') === 'on',
+    };
+
+    try {
+      if (currentAgreement) {
+        await updateAgreementMutation.mutateAsync({ id: currentAgreement.id, ...agreementData });
+        showNotification('Agreement Updated', 'Corporate agreement has been updated successfully', 'success');
+      } else {
+        await addAgreementMutation.mutateAsync(agreementData);
+        showNotification('Agreement Added', 'New corporate agreement has been added successfully', 'success');
+      }
+      agreementModal.onClose();
+      setCurrentAgreement(null);
+    } catch (error) {
+      showNotification('Error', `Failed to ${currentAgreement ? 'update' : 'add'} corporate agreement`, 'error');
+    }
+  };
+
+  const handleDeleteAccount = async (accountId) => {
+    if (window.confirm('Deleting this account also deletes its agreements. Continue?')) {
+      try {
+        await deleteAccountMutation.mutateAsync(accountId);
+        showNotification('Account Deleted', 'Corporate account has been deleted successfully', 'success');
+      } catch (error) {
+        showNotification('Error', 'Failed to delete corporate account', 'error');
+      }
+    }
+  };
+
+  const handleDeleteAgreement = async (agreementId) => {
+    if (window.confirm('Are you sure you want to delete this agreement?')) {
+      try {
+        await deleteAgreementMutation.mutateAsync(agreementId);
+        showNotification('Agreement Deleted', 'Corporate agreement has been deleted successfully', 'success');
+      } catch (error) {
+        showNotification('Error', 'Failed to delete corporate agreement', 'error');
+      }
+    }
+  };
+
+  const handleUserAccountChange = (userId, accountId) => {
+    updateUserMutation.mutate({ id: userId, corporate_account_id: accountId || null }, {
+      onSuccess: () => {
+        showNotification('User Updated', 'The corporate account of the user has been updated.', 'success');
+      },
+      onError: (error) => {
+        showNotification('Update Failed', `Failed to update user: ${error.message}`, 'error');
+      },
+    });
+  };
+
+  const openAccountModal = (account = null) => {
+    setCurrentAccount(account);
+    accountModal.onOpen();
+  };
+
+  const openAgreementModal = (agreement = null) => {
+    setCurrentAgreement(agreement);
+    agreementModal.onOpen();
+  };
+
+  return (
+    <VStack spacing={8} align="stretch">
+      <VStack spacing={4} align="stretch">
+        <Heading size="lg">Corporate Accounts</Heading>
+        <Button onClick={() => openAccountModal()}>Add Corporate Account</Button>
+        <Table variant="simple">
+          <Thead>
+            <Tr>
+              <Th>Name</Th>
+              <Th>RFC</Th>
+              <Th>Contact</Th>
+              <Th>Members</Th>
+              <Th>Active</Th>
+              <Th>Actions</Th>
+            </Tr>
+          </Thead>
+          <Tbody>
+            {accounts.map((account) => (
+              <Tr key={account.id}>
+                <Td>{account.name}</Td>
+                <Td>{account.rfc}</Td>
+                <Td>{account.contact_email}</Td>
+                <Td>{users.filter((user) => user.corporate_account_id === account.id).length}</Td>
+                <Td>
+                  <Badge colorScheme={account.is_active === false ? 'gray' : 'green'}>
+                    {account.is_active === false ? 'Inactive' : 'Active'}
+                  </Badge>
+                </Td>
+                <Td>
+                  <Button size="sm" onClick={() => openAccountModal(account)}>Edit</Button>
+                  <Button size="sm" colorScheme="red" ml={2} onClick={() => handleDeleteAccount(account.id)}>Delete</Button>
+                </Td>
+              </Tr>
+            ))}
+          </Tbody>
+        </Table>
+      </VStack>
+
+      <VStack spacing={4} align="stretch">
+        <Heading size="lg">Negotiated Rates</Heading>
+        <Button onClick={() => openAgreementModal()} isDisabled={accounts.length === 0}>Add Agreement</Button>
+        <Table variant="simple">
+          <Thead>
+            <Tr>
+              <Th>Account</Th>
+              <Th>Tow Truck Type</Th>
+              <Th>Base Price</Th>
+              <Th>Price per KM</Th>
+              <Th>Valid</Th>
+              <Th>Active</Th>
+              <Th>Actions</Th>
+            </Tr>
+          </Thead>
+          <Tbody>
+            {agreements.map((agreement) => (
+              <Tr key={agreement.id}>
+                <Td>{agreement.corporate_accounts?.name}</Td>
+                <Td>{agreement.tow_truck_type}</Td>
+                <Td>{agreement.base_price ?? 'Published'}</Td>
+                <Td>{agreement.price_per_km ?? 'Published'}</Td>
+                <Td>
+                  {agreement.valid_from ? new Date(agreement.valid_from).toLocaleDateString() : '—'}
+                  {' – '}
+                  {agreement.expires_at ? new Date(agreement.expires_at).toLocaleDateString() : '—'}
+                </Td>
+                <Td>
+                  <Badge colorScheme={agreement.is_active === false ? 'gray' : 'green'}>
+                    {agreement.is_active === false ? 'Inactive' : 'Active'}
+                  </Badge>
+                </Td>
+                <Td>
+                  <Button size="sm" onClick={() => openAgreementModal(agreement)}>Edit</Button>
+                  <Button size="sm" colorScheme="red" ml={2} onClick={() => handleDeleteAgreement(agreement.id)}>Delete</Button>
+                </Td>
+              </Tr>
+            ))}
+          </Tbody>
+        </Table>
+      </VStack>
+
+      <VStack spacing={4} align="stretch">
+        <Heading size="lg">Account Members</Heading>
+        <Table variant="simple">
+          <Thead>
+            <Tr>
+              <Th>Email</Th>
+              <Th>Corporate Account</Th>
+            </Tr>
+          </Thead>
+          <Tbody>
+            {users.map((user) => (
+              <Tr key={user.id}>
+                <Td>{user.email}</Td>
+                <Td>
+                  <Select
+                    value={user.corporate_account_id || ''}
+                    onChange={(e) => handleUserAccountChange(user.id, e.target.value)}
+                    size="sm"
+                  >
+                    <option value="">None</option>
+                    {accounts.map((account) => <option key={account.id} value={account.id}>{account.name}</option>)}
+                  </Select>
+                </Td>
+              </Tr>
+            ))}
+          </Tbody>
+        </Table>
+      </VStack>
+
+      <Modal isOpen={accountModal.isOpen} onClose={accountModal.onClose}>
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>{currentAccount ? 'Edit Corporate Account' : 'Add Corporate Account'}</ModalHeader>
+          <ModalCloseButton />
+          <form onSubmit={handleAddOrUpdateAccount}>
+            <ModalBody>
+              <VStack spacing={4}>
+                <FormControl isRequired>
+                  <FormLabel>Name</FormLabel>
+                  <Input name="name" defaultValue={currentAccount?.name} />
+                </FormControl>
+                <FormControl>
+                  <FormLabel>RFC</FormLabel>
+                  <Input name="rfc" defaultValue={currentAccount?.rfc} textTransform="uppercase" />
+                </FormControl>
+                <FormControl>
+                  <FormLabel>Contact Email</FormLabel>
+                  <Input type="email" name="contact_email" defaultValue={currentAccount?.contact_email} />
+                </FormControl>
+                <FormControl display="flex" alignItems="center">
+                  <FormLabel htmlFor="account_is_active" mb={0}>Active</FormLabel>
+                  <Switch id="account_is_active" name="is_active" defaultChecked={currentAccount?.is_active !== false} />
+                </FormControl>
+              </VStack>
+            </ModalBody>
+            <ModalFooter>
+              <Button type="submit" colorScheme="blue" mr={3}>
+                {currentAccount ? 'Update' : 'Add'} Account
+              </Button>
+              <Button onClick={accountModal.onClose}>Cancel</Button>
+            </ModalFooter>
+          </form>
+        </ModalContent>
+      </Modal>
+
+      <Modal isOpen={agreementModal.isOpen} onClose={agreementModal.onClose}>
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>{currentAgreement ? 'Edit Agreement' : 'Add Agreement'}</ModalHeader>
+          <ModalCloseButton />
+          <form onSubmit={handleAddOrUpdateAgreement}>
+            <ModalBody>
+              <VStack spacing={4}>
+                <FormControl isRequired>
+                  <FormLabel>Corporate Account</FormLabel>
+                  <Select name="corporate_account_id" defaultValue={currentAgreement?.corporate_account_id || accounts[0]?.id}>
+                    {accounts.map((account) => <option key={account.id} value={account.id}>{account.name}</option>)}
+                  </Select>
+                </FormControl>
+                <FormControl isRequired>
+                  <FormLabel>Tow Truck Type</FormLabel>
+                  <Select name="tow_truck_type" defaultValue={currentAgreement?.tow_truck_type || towTruckTypes[0]}>
+                    {towTruckTypes.map((type) => <option key={type} value={type}>{type}</option>)}
+                  </Select>
+                </FormControl>
+                <FormControl>
+                  <FormLabel>Base Price</FormLabel>
+                  <NumberInput min={0}>
+                    <NumberInputField name="base_price" defaultValue={currentAgreement?.base_price ?? ''} />
+                  </NumberInput>
+                  <FormHelperText>Leave empty to keep the published price.</FormHelperText>
+                </FormControl>
+                <FormControl>
+                  <FormLabel>Price per KM</FormLabel>
+                  <NumberInput min={0}>
+                    <NumberInputField name="price_per_km" defaultValue={currentAgreement?.price_per_km ?? ''} />
+                  </NumberInput>
+                  <FormHelperText>Leave empty to keep the published price.</FormHelperText>
+                </FormControl>
+                <FormControl>
+                  <FormLabel>Valid From</FormLabel>
+                  <Input type="date" name="valid_from" defaultValue={toDateInput(currentAgreement?.valid_from)} />
+                </FormControl>
+                <FormControl>
+                  <FormLabel>Expires At</FormLabel>
+                  <Input type="date" name="expires_at" defaultValue={toDateInput(currentAgreement?.expires_at)} />
+                </FormControl>
+                <FormControl display="flex" alignItems="center">
+                  <FormLabel htmlFor="agreement_is_active" mb={0}>Active</FormLabel>
+                  <Switch id="agreement_is_active" name="is_active" defaultChecked={currentAgreement?.is_active !== false} />
+                </FormControl>
+              </VStack>
+            </ModalBody>
+            <ModalFooter>
+              <Button type="submit" colorScheme="blue" mr={3}>
+                {currentAgreement ? 'Update' : 'Add'} Agreement
+              </Button>
+              <Button onClick={agreementModal.onClose}>Cancel</Button>
+            </ModalFooter>
+          </form>
+        </ModalContent>
+      </Modal>
+    </VStack>
+  );
+};
+
+export default CorporateAgreementManagement;
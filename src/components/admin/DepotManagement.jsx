@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import { Box, VStack, HStack, Heading, Table, Thead, Tbody, Tr, Th, Td, Button, useDisclosure, Modal, ModalOverlay, ModalContent, ModalHeader, ModalFooter, ModalBody, ModalCloseButton, FormControl, FormLabel, FormHelperText, Input, NumberInput, NumberInputField, Checkbox, CheckboxGroup, Switch, Badge } from "@chakra-ui/react";
+import { useDepots, useAddDepot, useUpdateDepot, useDeleteDepot } from '../../integrations/supabase/hooks/depots';
+import { truckClasses } from '../../utils/towTruckSelection';
+
+const weekdayLabels = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const parseOptionalNumber = (value) => (value === '' || value === null ? null : Number(value));
+
+const formatHours = (depot) => {
+  const hours = depot.open_hour === null || depot.close_hour === null
+    ? '24 hours'
+    : `${String(depot.open_hour).padStart(2, '0')}:00 - ${String(depot.close_hour).padStart(2, '0')}:00`;
+  const days = depot.weekdays?.length ? depot.weekdays.map((day) => weekdayLabels[day]).join(', ') : 'Every day';
+  return `${hours} · ${days}`;
+};
+
+const DepotManagement = ({ showNotification }) => {
+  const { isOpen, onOpen, onClose } = useDisclosure();
+  const { data: depots, isLoading, isError } = useDepots();
+  const addDepotMutation = useAddDepot();
+  const updateDepotMutation = useUpdateDepot();
+  const deleteDepotMutation = useDeleteDepot();
+
+  const [currentDepot, setCurrentDepot] = useState(null);
+
+  if (isLoading) return <Box>Loading depots...</Box>;
+  if (isError) return <Box>Error loading depots</Box>;
+
+  const handleAddOrUpdateDepot = async (event) => {
+    event.preventDefault();
+    const formData = new FormData(event.target);
+    const weekdays = formData.getAll('weekdays').map(Number);
+    const depotData = {
+      name: formData.get('name'),
+      address: formData.get('address') || null,
+      latitude: parseFloat(formData.get('latitude')),
+      longitude: parseFloat(formData.get('longitude')),
+      service_radius_km: parseOptionalNumber(formData.get('service_radius_km')),
+      truck_types: formData.getAll('truck_types'),
+      open_hour: parseOptionalNumber(formData.get('open_hour')),
+      close_hour: parseOptionalNumber(formData.get('close_hour')),
+      weekdays: weekdays.length > 0 && weekdays.length < 7 ? weekdays : null,
+      is_active: formData.get('is_active') === 'on',
+    };
+
+    if (depotData.truck_types.length === 0) {
+      showNotification('Error', 'Select at least one truck type', 'error');
+      return;
+    }
+    if ((depotData.open_hour === null) !== (depotData.close_hour === null)) {
+      showNotification('Error', 'Set both opening and closing hours, or neither for a 24-hour depot', 'error');
+      return;
+    }
+
+    try {
+      if (currentDepot) {
+        await updateDepotMutation.mutateAsync({ id: currentDepot.id, ...depotData });
+        showNotification('Depot Updated', 'Depot has been updated successfully', 'success');
+      } else {
+        await addDepotMutation.mutateAsync(depotData);
+        showNotification('Depot Added', 'New depot has been added successfully', 'success');
+      }
+      onClose();
+      setCurrentDepot(null);
+    } catch (error) {
+      showNotification('Error', `Failed to ${currentDepot ? 'update' : 'add'} depot`, 'error');
+    }
+  };
+
+  const handleDeleteDepot = async (depotId) => {
+    if (window.confirm('Are you sure you want to delete this depot?')) {
+      try {
+        await deleteDepotMutation.mutateAsync(depotId);
+        showNotification('Depot Deleted', 'Depot has been deleted successfully', 'success');
+      } catch (error) {
+        showNotification('Error', 'Failed to delete depot', 'error');
+      }
+    }
+  };
+
+  const openDepotModal = (depot = null) => {
+    setCurrentDepot(depot);
+    onOpen();
+  };
+
+  return (
+    <VStack spacing={4} align="stretch">
+      <Heading size="lg">Depots</Heading>
+      <Button onClick={() => openDepotModal()}>Add New Depot</Button>
+      <Table variant="simple">
+        <Thead>
+          <Tr>
+            <Th>Name</Th>
+            <Th>Location</Th>
+            <Th>Service Radius</Th>
+            <Th>Truck Types</Th>
+            <Th>Hours</Th>
+            <Th>Active</Th>
+            <Th>Actions</Th>
+          </Tr>
+        </Thead>
+        <Tbody>
+          {depots.map((depot) => (
+            <Tr key={depot.id}>
+              <Td>{depot.name}</Td>
+              <Td>{depot.address || `${depot.latitude}, ${depot.longitude}`}</Td>
+              <Td>{depot.service_radius_km ? `${depot.service_radius_km} km` : 'Unlimited'}</Td>
+              <Td>{depot.truck_types.join(', ')}</Td>
+              <Td>{formatHours(depot)}</Td>
+              <Td>
+                <Badge colorScheme={depot.is_active === false ? 'gray' : 'green'}>
+                  {depot.is_active === false ? 'Inactive' : 'Active'}
+                </Badge>
+              </Td>
+              <Td>
+                <Button size="sm" onClick={() => openDepotModal(depot)}>Edit</Button>
+                <Button size="sm" colorScheme="red" ml={2} onClick={() => handleDeleteDepot(depot.id)}>Delete</Button>
+              </Td>
+            </Tr>
+          ))}
+        </Tbody>
+      </Table>
+
+      <Modal isOpen={isOpen} onClose={onClose}>
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>{currentDepot ? 'Edit Depot' : 'Add New Depot'}</ModalHeader>
+          <ModalCloseButton />
+          <form onSubmit={handleAddOrUpdateDepot}>
+            <ModalBody>
+              <VStack spacing={4}>
+                <FormControl isRequired>
+                  <FormLabel>Name</FormLabel>
+                  <Input name="name" defaultValue={currentDepot?.name} />
+                </FormControl>
+                <FormControl>
+                  <FormLabel>Address</FormLabel>
+                  <Input name="address" defaultValue={currentDepot?.address} />
+                </FormControl>
+                <HStack width="100%">
+                  <FormControl isRequired>
+                    <FormLabel>Latitude</FormLabel>
+                    <NumberInput min={-90} max={90} precision={6}>
+                      <NumberInputField name="latitude" defaultValue={currentDepot?.latitude} />
+                    </NumberInput>
+                  </FormControl>
+                  <FormControl isRequired>
+                    <FormLabel>Longitude</FormLabel>
+                    <NumberInput min={-180} max={180} precision={6}>
+                      <NumberInputField name="longitude" defaultValue={currentDepot?.longitude} />
+                    </NumberInput>
+                  </FormControl>
+                </HStack>
+                <FormControl>
+                  <FormLabel>Service Radius (km)</FormLabel>
+                  <NumberInput min={1}>
+                    <NumberInputField name="service_radius_km" defaultValue={currentDepot?.service_radius_km ?? ''} />
+                  </NumberInput>
+                  <FormHelperText>Leave empty for no limit.</FormHelperText>
+                </FormControl>
+                <FormControl isRequired>
+                  <FormLabel>Truck Types</FormLabel>
+                  <CheckboxGroup defaultValue={currentDepot?.truck_types || Object.keys(truckClasses)}>
+                    <HStack>
+                      {Object.keys(truckClasses).map((type) => (
+                        <Checkbox key={type} name="truck_types" value={type}>{type}</Checkbox>
+                      ))}
+                    </HStack>
+                  </CheckboxGroup>
+                </FormControl>
+                <HStack width="100%">
+                  <FormControl>
+                    <FormLabel>Opens At (hour)</FormLabel>
+                    <NumberInput min={0} max={23}>
+                      <NumberInputField name="open_hour" defaultValue={currentDepot?.open_hour ?? ''} />
+                    </NumberInput>
+                  </FormControl>
+                  <FormControl>
+                    <FormLabel>Closes At (hour)</FormLabel>
+                    <NumberInput min={0} max={24}>
+                      <NumberInputField name="close_hour" defaultValue={currentDepot?.close_hour ?? ''} />
+                    </NumberInput>
+                  </FormControl>
+                </HStack>
+                <FormControl>
+                  <FormLabel>Operating Days</FormLabel>
+                  <CheckboxGroup defaultValue={(currentDepot?.weekdays || [0, 1, 2, 3, 4, 5, 6]).map(String)}>
+                    <HStack wrap="wrap">
+                      {weekdayLabels.map((label, day) => (
+                        <Checkbox key={label} name="weekdays" value={String(day)}>{label}</Checkbox>
+                      ))}
+                    </HStack>
+                  </CheckboxGroup>
+                  <FormHelperText>Hours are in the company timezone (America/Monterrey). Leave both empty for a 24-hour depot.</FormHelperText>
+                </FormControl>
+                <FormControl display="flex" alignItems="center">
+                  <FormLabel htmlFor="depot_is_active" mb={0}>Dispatches trucks</FormLabel>
+                  <Switch id="depot_is_active" name="is_active" defaultChecked={currentDepot?.is_active !== false} />
+                </FormControl>
+              </VStack>
+            </ModalBody>
+            <ModalFooter>
+              <Button type="submit" colorScheme="blue" mr={3}>
+                {currentDepot ? 'Update' : 'Add'} Depot
+              </Button>
+              <Button onClick={onClose}>Cancel</Button>
+            </ModalFooter>
+          </form>
+        </ModalContent>
+      </Modal>
+    </VStack>
+  );
+};
+
+export default DepotManagement;
@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import { Box, VStack, Heading, Text, Table, Thead, Tbody, Tr, Th, Td, Button, useDisclosure, Modal, ModalOverlay, ModalContent, ModalHeader, ModalFooter, ModalBody, ModalCloseButton, FormControl, FormLabel, Input, NumberInput, NumberInputField, Select, Badge } from "@chakra-ui/react";
+import { useExchangeRates, useAddExchangeRate, useUpdateExchangeRate, useDeleteExchangeRate } from '../../integrations/supabase/hooks/exchange_rates';
+import { SUPPORTED_CURRENCIES } from '../../utils/currency';
+
+const toDateTimeInput = (value) => {
+  const date = value ? new Date(value) : new Date();
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const ExchangeRateManagement = ({ showNotification }) => {
+  const { isOpen, onOpen, onClose } = useDisclosure();
+  const { data: exchangeRates, isLoading, isError } = useExchangeRates();
+  const addExchangeRateMutation = useAddExchangeRate();
+  const updateExchangeRateMutation = useUpdateExchangeRate();
+  const deleteExchangeRateMutation = useDeleteExchangeRate();
+
+  const [currentRate, setCurrentRate] = useState(null);
+
+  if (isLoading) return <Box>Loading exchange rates...</Box>;
+  if (isError) return <Box>Error loading exchange rates</Box>;
+
+  // Rates are listed newest first, so the first row of each pair is the one quotes use.
+  const now = new Date();
+  const inEffectIds = new Set();
+  const seenPairs = new Set();
+  exchangeRates.forEach((rate) => {
+    const pair = `${rate.base_currency}/${rate.quote_currency}`;
+    if (new Date(rate.effective_at) <= now && !seenPairs.has(pair)) {
+      seenPairs.add(pair);
+      inEffectIds.add(rate.id);
+    }
+  });
+
+  const handleAddOrUpdateRate = async (event) => {
+    event.preventDefault();
+    const formData = new FormData(event.target);
+    const rateData = {
+      base_currency: formData.get('base_currency'),
+      quote_currency: formData.get('quote_currency'),
+      rate: parseFloat(formData.get('rate')),
+      effective_at: new Date(formData.get('effective_at')).toISOString(),
+    };
+
+    if (rateData.base_currency === rateData.quote_currency) {
+      showNotification('Error', 'Base and quote currencies must be different', 'error');
+      return;
+    }
+
+    try {
+      if (currentRate) {
+        await updateExchangeRateMutation.mutateAsync({ id: currentRate.id, ...rateData });
+        showNotification('Exchange Rate Updated', 'Exchange rate has been updated successfully', 'success');
+      } else {
+        await addExchangeRateMutation.mutateAsync(rateData);
+        showNotification('Exchange Rate Added', 'New exchange rate has been added successfully', 'success');
+      }
+      onClose();
+      setCurrentRate(null);
+    } catch (error) {
+      showNotification('Error', `Failed to ${currentRate ? 'update' : 'add'} exchange rate`, 'error');
+    }
+  };
+
+  const handleDeleteRate = async (rateId) => {
+    if (window.confirm('Are you sure you want to delete this exchange rate?')) {
+      try {
+        await deleteExchangeRateMutation.mutateAsync(rateId);
+        showNotification('Exchange Rate Deleted', 'Exchange rate has been deleted successfully', 'success');
+      } catch (error) {
+        showNotification('Error', 'Failed to delete exchange rate', 'error');
+      }
+    }
+  };
+
+  const openRateModal = (rate = null) => {
+    setCurrentRate(rate);
+    onOpen();
+  };
+
+  return (
+    <VStack spacing={4} align="stretch">
+      <Heading size="lg">Exchange Rates</Heading>
+      <Text color="gray.600">Quotes in a currency other than the tariff's use the latest rate already in effect.</Text>
+      <Button onClick={() => openRateModal()}>Add Exchange Rate</Button>
+      <Table variant="simple">
+        <Thead>
+          <Tr>
+            <Th>Pair</Th>
+            <Th isNumeric>Rate</Th>
+            <Th>Effective From</Th>
+            <Th>Status</Th>
+            <Th>Actions</Th>
+          </Tr>
+        </Thead>
+        <Tbody>
+          {exchangeRates.map((rate) => (
+            <Tr key={rate.id}>
+              <Td>1 {rate.base_currency} = {rate.quote_currency}</Td>
+              <Td isNumeric>{Number(rate.rate).toFixed(4)}</Td>
+              <Td>{new Date(rate.effective_at).toLocaleString()}</Td>
+              <Td>
+                {inEffectIds.has(rate.id) && <Badge colorScheme="green">In effect</Badge>}
+                {new Date(rate.effective_at) > now && <Badge colorScheme="blue">Scheduled</Badge>}
+              </Td>
+              <Td>
+                <Button size="sm" onClick={() => openRateModal(rate)}>Edit</Button>
+                <Button size="sm" colorScheme="red" ml={2} onClick={() => handleDeleteRate(rate.id)}>Delete</Button>
+              </Td>
+            </Tr>
+          ))}
+        </Tbody>
+      </Table>
+
+      <Modal isOpen={isOpen} onClose={onClose}>
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>{currentRate ? 'Edit Exchange Rate' : 'Add Exchange Rate'}</ModalHeader>
+          <ModalCloseButton />
+          <form onSubmit={handleAddOrUpdateRate}>
+            <ModalBody>
+              <VStack spacing={4}>
+                <FormControl isRequired>
+                  <FormLabel>Base Currency</FormLabel>
+                  <Select name="base_currency" defaultValue={currentRate?.base_currency || 'USD'}>
+                    {SUPPORTED_CURRENCIES.map((currency) => <option key={currency} value={currency}>{currency}</option>)}
+                  </Select>
+                </FormControl>
+                <FormControl isRequired>
+                  <FormLabel>Quote Currency</FormLabel>
+                  <Select name="quote_currency" defaultValue={currentRate?.quote_currency || 'MXN'}>
+                    {SUPPORTED_CURRENCIES.map((currency) => <option key={currency} value={currency}>{currency}</option>)}
+                  </Select>
+                </FormControl>
+                <FormControl isRequired>
+                  <FormLabel>Rate (quote currency per 1 base currency)</FormLabel>
+                  <NumberInput min={0} precision={6}>
+                    <NumberInputField name="rate" defaultValue={currentRate?.rate} />
+                  </NumberInput>
+                </FormControl>
+                <FormControl isRequired>
+                  <FormLabel>Effective From</FormLabel>
+                  <Input type="datetime-local" name="effective_at" defaultValue={toDateTimeInput(currentRate?.effective_at)} />
+                </FormControl>
+              </VStack>
+            </ModalBody>
+            <ModalFooter>
+              <Button type="submit" colorScheme="blue" mr={3}>
+                {currentRate ? 'Update' : 'Add'} Exchange Rate
+              </Button>
+              <Button onClick={onClose}>Cancel</Button>
+            </ModalFooter>
+          </form>
+        </ModalContent>
+      </Modal>
+    </VStack>
+  );
+};
+
+export default ExchangeRateManagement;
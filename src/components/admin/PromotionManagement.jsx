@@ -0,0 +1,204 @@
+import React, { useState } from 'react';
+import { Box, VStack, Heading, Table, Thead, Tbody, Tr, Th, Td, Button, useDisclosure, Modal, ModalOverlay, ModalContent, ModalHeader, ModalFooter, ModalBody, ModalCloseButton, FormControl, FormLabel, FormHelperText, Input, NumberInput, NumberInputField, Select, Switch, Textarea, Badge } from "@chakra-ui/react";
+import { usePromotions, useAddPromotion, useUpdatePromotion, useDeletePromotion } from '../../integrations/supabase/hooks/promotions';
+import { useUsers } from '../../integrations/supabase/hooks/users';
+import { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY, formatMoney } from '../../utils/currency';
+import { normalizePromoCode } from '../../utils/promotions';
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+const parseOptionalInteger = (value) => (value ? parseInt(value, 10) : null);
+
+const PromotionManagement = ({ showNotification }) => {
+  const { isOpen, onOpen, onClose } = useDisclosure();
+  const { data: promotions, isLoading, isError } = usePromotions();
+  const { data: users = [] } = useUsers();
+  const addPromotionMutation = useAddPromotion();
+  const updatePromotionMutation = useUpdatePromotion();
+  const deletePromotionMutation = useDeletePromotion();
+
+  const [currentPromotion, setCurrentPromotion] = useState(null);
+
+  if (isLoading) return <Box>Loading promotions...</Box>;
+  if (isError) return <Box>Error loading promotions</Box>;
+
+  const emailsForUserIds = (userIds = []) => (userIds || [])
+    .map((id) => users.find((user) => user.id === id)?.email || id)
+    .join('\n');
+
+  const handleAddOrUpdatePromotion = async (event) => {
+    event.preventDefault();
+    const formData = new FormData(event.target);
+
+    const emails = formData.get('allowed_users').split(/[\s,]+/).filter(Boolean);
+    const unknownEmails = emails.filter((email) => !users.some((user) => user.email === email));
+    if (unknownEmails.length > 0) {
+      showNotification('Error', `Unknown customers: ${unknownEmails.join(', ')}`, 'error');
+      return;
+    }
+
+    const promotionData = {
+      code: normalizePromoCode(formData.get('code')),
+      description: formData.get('description') || null,
+      kind: formData.get('kind'),
+      amount: parseFloat(formData.get('amount')),
+      currency: formData.get('currency'),
+      max_uses: parseOptionalInteger(formData.get('max_uses')),
+      max_uses_per_customer: parseOptionalInteger(formData.get('max_uses_per_customer')),
+      allowed_user_ids: emails.length > 0 ? emails.map((email) => users.find((user) => user.email === email).id) : null,
+      valid_from: formData.get('valid_from') ? new Date(formData.get('valid_from')).toISOString() : null,
+      expires_at: formData.get('expires_at') ? new Date(formData.get('expires_at')).toISOString() : null,
+      is_active: formData.get('is_active') === 'on',
+    };
+
+    try {
+      if (currentPromotion) {
+        await updatePromotionMutation.mutateAsync({ id: currentPromotion.id, ...promotionData });
+        showNotification('Promotion Updated', 'Promotion has been updated successfully', 'success');
+      } else {
+        await addPromotionMutation.mutateAsync(promotionData);
+        showNotification('Promotion Added', 'New promotion has been added successfully', 'success');
+      }
+      onClose();
+      setCurrentPromotion(null);
+    } catch (error) {
+      showNotification('Error', `Failed to ${currentPromotion ? 'update' : 'add'} promotion`, 'error');
+    }
+  };
+
+  const handleDeletePromotion = async (promotionId) => {
+    if (window.confirm('Are you sure you want to delete this promotion?')) {
+      try {
+        await deletePromotionMutation.mutateAsync(promotionId);
+        showNotification('Promotion Deleted', 'Promotion has been deleted successfully', 'success');
+      } catch (error) {
+        showNotification('Error', 'Failed to delete promotion', 'error');
+      }
+    }
+  };
+
+  const openPromotionModal = (promotion = null) => {
+    setCurrentPromotion(promotion);
+    onOpen();
+  };
+
+  return (
+    <VStack spacing={4} align="stretch">
+      <Heading size="lg">Promotions</Heading>
+      <Button onClick={() => openPromotionModal()}>Add New Promotion</Button>
+      <Table variant="simple">
+        <Thead>
+          <Tr>
+            <Th>Code</Th>
+            <Th>Discount</Th>
+            <Th>Uses</Th>
+            <Th>Per Customer</Th>
+            <Th>Restricted To</Th>
+            <Th>Expires</Th>
+            <Th>Active</Th>
+            <Th>Actions</Th>
+          </Tr>
+        </Thead>
+        <Tbody>
+          {promotions.map((promotion) => (
+            <Tr key={promotion.id}>
+              <Td>{promotion.code}</Td>
+              <Td>{promotion.kind === 'percentage' ? `${promotion.amount}%` : `${formatMoney(promotion.amount, promotion.currency)} ${promotion.currency}`}</Td>
+              <Td>{promotion.promotion_redemptions?.[0]?.count ?? 0}{promotion.max_uses ? ` / ${promotion.max_uses}` : ''}</Td>
+              <Td>{promotion.max_uses_per_customer ?? 'Unlimited'}</Td>
+              <Td>{promotion.allowed_user_ids?.length ? `${promotion.allowed_user_ids.length} customer(s)` : 'Everyone'}</Td>
+              <Td>{promotion.expires_at ? new Date(promotion.expires_at).toLocaleDateString() : 'Never'}</Td>
+              <Td>
+                <Badge colorScheme={promotion.is_active === false ? 'gray' : 'green'}>
+                  {promotion.is_active === false ? 'Inactive' : 'Active'}
+                </Badge>
+              </Td>
+              <Td>
+                <Button size="sm" onClick={() => openPromotionModal(promotion)}>Edit</Button>
+                <Button size="sm" colorScheme="red" ml={2} onClick={() => handleDeletePromotion(promotion.id)}>Delete</Button>
+              </Td>
+            </Tr>
+          ))}
+        </Tbody>
+      </Table>
+
+      <Modal isOpen={isOpen} onClose={onClose}>
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>{currentPromotion ? 'Edit Promotion' : 'Add New Promotion'}</ModalHeader>
+          <ModalCloseButton />
+          <form onSubmit={handleAddOrUpdatePromotion}>
+            <ModalBody>
+              <VStack spacing={4}>
+                <FormControl isRequired>
+                  <FormLabel>Code</FormLabel>
+                  <Input name="code" defaultValue={currentPromotion?.code} textTransform="uppercase" />
+                </FormControl>
+                <FormControl>
+                  <FormLabel>Description</FormLabel>
+                  <Input name="description" defaultValue={currentPromotion?.description} />
+                </FormControl>
+                <FormControl isRequired>
+                  <FormLabel>Discount Type</FormLabel>
+                  <Select name="kind" defaultValue={currentPromotion?.kind || 'percentage'}>
+                    <option value="percentage">Percentage</option>
+                    <option value="fixed">Fixed amount</option>
+                  </Select>
+                </FormControl>
+                <FormControl isRequired>
+                  <FormLabel>Amount</FormLabel>
+                  <NumberInput min={0}>
+                    <NumberInputField name="amount" defaultValue={currentPromotion?.amount} />
+                  </NumberInput>
+                </FormControl>
+                <FormControl>
+                  <FormLabel>Currency (fixed amounts)</FormLabel>
+                  <Select name="currency" defaultValue={currentPromotion?.currency || DEFAULT_CURRENCY}>
+                    {SUPPORTED_CURRENCIES.map((currency) => <option key={currency} value={currency}>{currency}</option>)}
+                  </Select>
+                </FormControl>
+                <FormControl>
+                  <FormLabel>Maximum Uses</FormLabel>
+                  <NumberInput min={1}>
+                    <NumberInputField name="max_uses" defaultValue={currentPromotion?.max_uses ?? ''} />
+                  </NumberInput>
+                  <FormHelperText>Leave empty for unlimited uses.</FormHelperText>
+                </FormControl>
+                <FormControl>
+                  <FormLabel>Maximum Uses per Customer</FormLabel>
+                  <NumberInput min={1}>
+                    <NumberInputField name="max_uses_per_customer" defaultValue={currentPromotion?.max_uses_per_customer ?? ''} />
+                  </NumberInput>
+                </FormControl>
+                <FormControl>
+                  <FormLabel>Restricted to Customers</FormLabel>
+                  <Textarea name="allowed_users" defaultValue={emailsForUserIds(currentPromotion?.allowed_user_ids)} placeholder="One email per line" />
+                  <FormHelperText>Leave empty to allow every customer.</FormHelperText>
+                </FormControl>
+                <FormControl>
+                  <FormLabel>Valid From</FormLabel>
+                  <Input type="date" name="valid_from" defaultValue={toDateInput(currentPromotion?.valid_from)} />
+                </FormControl>
+                <FormControl>
+                  <FormLabel>Expires At</FormLabel>
+                  <Input type="date" name="expires_at" defaultValue={toDateInput(currentPromotion?.expires_at)} />
+                </FormControl>
+                <FormControl display="flex" alignItems="center">
+                  <FormLabel htmlFor="promotion_is_active" mb={0}>Active</FormLabel>
+                  <Switch id="promotion_is_active" name="is_active" defaultChecked={currentPromotion?.is_active !== false} />
+                </FormControl>
+              </VStack>
+            </ModalBody>
+            <ModalFooter>
+              <Button type="submit" colorScheme="blue" mr={3}>
+                {currentPromotion ? 'Update' : 'Add'} Promotion
+              </Button>
+              <Button onClick={onClose}>Cancel</Button>
+            </ModalFooter>
+          </form>
+        </ModalContent>
+      </Modal>
+    </VStack>
+  );
+};
+
+export default PromotionManagement;
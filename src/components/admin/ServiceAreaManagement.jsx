@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import { Box, VStack, HStack, Heading, Text, Table, Thead, Tbody, Tr, Th, Td, Button, useDisclosure, Modal, ModalOverlay, ModalContent, ModalHeader, ModalFooter, ModalBody, ModalCloseButton, FormControl, FormLabel, FormHelperText, Input, Select, Switch, Badge } from "@chakra-ui/react";
+import { useServiceAreas, useAddServiceArea, useUpdateServiceArea, useDeleteServiceArea } from '../../integrations/supabase/hooks/service_areas';
+import { useDepots } from '../../integrations/supabase/hooks/depots';
+import { isValidPolygon } from '../../utils/serviceAreas';
+import { BookingMap } from '../booking/map/BookingMap';
+
+const ServiceAreaManagement = ({ showNotification }) => {
+  const { isOpen, onOpen, onClose } = useDisclosure();
+  const { data: serviceAreas, isLoading, isError } = useServiceAreas();
+  const { data: depots = [] } = useDepots();
+  const addServiceAreaMutation = useAddServiceArea();
+  const updateServiceAreaMutation = useUpdateServiceArea();
+  const deleteServiceAreaMutation = useDeleteServiceArea();
+
+  const [currentArea, setCurrentArea] = useState(null);
+  const [vertices, setVertices] = useState([]);
+  const [isDrawing, setIsDrawing] = useState(false);
+
+  if (isLoading) return <Box>Loading service areas...</Box>;
+  if (isError) return <Box>Error loading service areas</Box>;
+
+  const depotName = (depotId) => depots.find((depot) => depot.id === depotId)?.name || 'N/A';
+
+  const startDrawing = (area = null) => {
+    setCurrentArea(area);
+    setVertices(area ? area.polygon : []);
+    setIsDrawing(true);
+  };
+
+  const stopDrawing = () => {
+    setIsDrawing(false);
+    setCurrentArea(null);
+    setVertices([]);
+  };
+
+  const finishDrawing = () => {
+    if (!isValidPolygon(vertices)) {
+      showNotification('Error', 'Click at least three points on the map to draw the area', 'error');
+      return;
+    }
+    onOpen();
+  };
+
+  const closeModal = () => {
+    onClose();
+    if (!isDrawing) {
+      setCurrentArea(null);
+      setVertices([]);
+    }
+  };
+
+  const handleAddOrUpdateServiceArea = async (event) => {
+    event.preventDefault();
+    const formData = new FormData(event.target);
+    const serviceAreaData = {
+      depot_id: formData.get('depot_id'),
+      name: formData.get('name'),
+      polygon: vertices,
+      is_active: formData.get('is_active') === 'on',
+    };
+
+    try {
+      if (currentArea) {
+        await updateServiceAreaMutation.mutateAsync({ id: currentArea.id, ...serviceAreaData });
+        showNotification('Service Area Updated', 'Service area has been updated successfully', 'success');
+      } else {
+        await addServiceAreaMutation.mutateAsync(serviceAreaData);
+        showNotification('Service Area Added', 'New service area has been added successfully', 'success');
+      }
+      onClose();
+      stopDrawing();
+    } catch (error) {
+      showNotification('Error', `Failed to ${currentArea ? 'update' : 'add'} service area`, 'error');
+    }
+  };
+
+  const handleDeleteServiceArea = async (serviceAreaId) => {
+    if (window.confirm('Are you sure you want to delete this service area?')) {
+      try {
+        await deleteServiceAreaMutation.mutateAsync(serviceAreaId);
+        showNotification('Service Area Deleted', 'Service area has been deleted successfully', 'success');
+      } catch (error) {
+        showNotification('Error', 'Failed to delete service area', 'error');
+      }
+    }
+  };
+
+  const openServiceAreaModal = (area) => {
+    setCurrentArea(area);
+    setVertices(area.polygon);
+    onOpen();
+  };
+
+  return (
+    <VStack spacing={4} align="stretch">
+      <Heading size="lg">Service Areas</Heading>
+      <Text fontSize="sm" color="gray.600">
+        Pickups outside every active area are rejected or flagged for a manual quote, and destinations outside them carry the long-distance surcharge. Until an area is drawn, every point is covered.
+      </Text>
+      {isDrawing ? (
+        <HStack>
+          <Text fontSize="sm">
+            {currentArea ? `Redrawing ${currentArea.name}` : 'Drawing a new area'}: click on the map to add points ({vertices.length}).
+          </Text>
+          <Button size="sm" onClick={() => setVertices((points) => points.slice(0, -1))} isDisabled={vertices.length === 0}>Undo</Button>
+          <Button size="sm" onClick={() => setVertices([])} isDisabled={vertices.length === 0}>Clear</Button>
+          <Button size="sm" colorScheme="blue" onClick={finishDrawing}>Finish</Button>
+          <Button size="sm" variant="ghost" onClick={stopDrawing}>Cancel</Button>
+        </HStack>
+      ) : (
+        <Button onClick={() => startDrawing()} isDisabled={depots.length === 0}>Draw New Service Area</Button>
+      )}
+      <Box position="relative" height="450px" borderRadius="md" overflow="hidden" cursor={isDrawing ? 'crosshair' : undefined}>
+        <BookingMap
+          serviceAreaEditor={{
+            vertices,
+            isDrawing,
+            editingAreaId: currentArea?.id,
+            onAddVertex: (point) => setVertices((points) => [...points, point]),
+          }}
+        />
+      </Box>
+      <Table variant="simple">
+        <Thead>
+          <Tr>
+            <Th>Name</Th>
+            <Th>Depot</Th>
+            <Th>Points</Th>
+            <Th>Active</Th>
+            <Th>Actions</Th>
+          </Tr>
+        </Thead>
+        <Tbody>
+          {serviceAreas.map((area) => (
+            <Tr key={area.id}>
+              <Td>{area.name}</Td>
+              <Td>{depotName(area.depot_id)}</Td>
+              <Td>{area.polygon?.length || 0}</Td>
+              <Td>
+                <Badge colorScheme={area.is_active ? 'green' : 'gray'}>
+                  {area.is_active ? 'Active' : 'Inactive'}
+                </Badge>
+              </Td>
+              <Td>
+                <Button size="sm" onClick={() => openServiceAreaModal(area)} isDisabled={isDrawing}>Edit</Button>
+                <Button size="sm" ml={2} onClick={() => startDrawing(area)} isDisabled={isDrawing}>Redraw</Button>
+                <Button size="sm" colorScheme="red" ml={2} onClick={() => handleDeleteServiceArea(area.id)} isDisabled={isDrawing}>Delete</Button>
+              </Td>
+            </Tr>
+          ))}
+        </Tbody>
+      </Table>
+
+      <Modal isOpen={isOpen} onClose={closeModal}>
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>{currentArea ? 'Edit Service Area' : 'Add New Service Area'}</ModalHeader>
+          <ModalCloseButton />
+          <form onSubmit={handleAddOrUpdateServiceArea}>
+            <ModalBody>
+              <VStack spacing={4}>
+                <FormControl isRequired>
+                  <FormLabel>Name</FormLabel>
+                  <Input name="name" defaultValue={currentArea?.name} />
+                </FormControl>
+                <FormControl isRequired>
+                  <FormLabel>Depot</FormLabel>
+                  <Select name="depot_id" defaultValue={currentArea?.depot_id || depots[0]?.id}>
+                    {depots.map((depot) => (
+                      <option key={depot.id} value={depot.id}>{depot.name}</option>
+                    ))}
+                  </Select>
+                  <FormHelperText>Pickups inside the area are dispatched from this depot.</FormHelperText>
+                </FormControl>
+                <FormControl display="flex" alignItems="center">
+                  <FormLabel htmlFor="service_area_is_active" mb={0}>Active</FormLabel>
+                  <Switch id="service_area_is_active" name="is_active" defaultChecked={currentArea?.is_active !== false} />
+                </FormControl>
+              </VStack>
+            </ModalBody>
+            <ModalFooter>
+              <Button type="submit" colorScheme="blue" mr={3}>
+                {currentArea ? 'Update' : 'Add'} Service Area
+              </Button>
+              <Button onClick={closeModal}>Cancel</Button>
+            </ModalFooter>
+          </form>
+        </ModalContent>
+      </Modal>
+    </VStack>
+  );
+};
+
+export default ServiceAreaManagement;
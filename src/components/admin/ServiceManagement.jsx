@@ -1,6 +1,12 @@
 import React, { useState } from 'react';
-import { Box, VStack, Heading, Table, Thead, Tbody, Tr, Th, Td, Button, useDisclosure, Modal, ModalOverlay, ModalContent, ModalHeader, ModalFooter, ModalBody, ModalCloseButton, FormControl, FormLabel, Input, NumberInput, NumberInputField } from "@chakra-ui/react";
+import { Box, VStack, Heading, Table, Thead, Tbody, Tr, Th, Td, Button, useDisclosure, Modal, ModalOverlay, ModalContent, ModalHeader, ModalFooter, ModalBody, ModalCloseButton, FormControl, FormLabel, Input, NumberInput, NumberInputField, Select, Switch, Badge, FormHelperText } from "@chakra-ui/react";
 import { useServices, useAddService, useUpdateService, useDeleteService } from '../../integrations/supabase/hooks/services';
+import { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY, formatMoney } from '../../utils/currency';
+
+const parseOptionalRate = (value) => (value ? parseFloat(value) : null);
+const formatLegRate = (rate, service) => (
+  rate === null || rate === undefined ? 'Same as loaded' : `${formatMoney(rate, service.currency)}/km`
+);
 
 const ServiceManagement = ({ showNotification }) => {
   const { isOpen, onOpen, onClose } = useDisclosure();
@@ -22,8 +28,14 @@ const ServiceManagement = ({ showNotification }) => {
       description: formData.get('description'),
       base_price: parseFloat(formData.get('base_price')),
       price_per_km: parseFloat(formData.get('price_per_km')),
+      deadhead_price_per_km: parseOptionalRate(formData.get('deadhead_price_per_km')),
+      return_price_per_km: parseOptionalRate(formData.get('return_price_per_km')),
       maneuver_charge: parseFloat(formData.get('maneuver_charge')),
+      stop_charge: parseFloat(formData.get('stop_charge')) || 0,
+      wait_price_per_hour: parseFloat(formData.get('wait_price_per_hour')) || 0,
       tow_truck_type: formData.get('tow_truck_type'),
+      currency: formData.get('currency'),
+      is_active: formData.get('is_active') === 'on',
     };
 
     try {
@@ -68,8 +80,13 @@ const ServiceManagement = ({ showNotification }) => {
             <Th>Description</Th>
             <Th>Base Price</Th>
             <Th>Price per KM</Th>
+            <Th>Depot to Pickup</Th>
+            <Th>Return</Th>
             <Th>Maneuver Charge</Th>
+            <Th>Per Stop</Th>
+            <Th>Currency</Th>
             <Th>Tow Truck Type</Th>
+            <Th>Active</Th>
             <Th>Actions</Th>
           </Tr>
         </Thead>
@@ -78,10 +95,19 @@ const ServiceManagement = ({ showNotification }) => {
             <Tr key={service.id}>
               <Td>{service.name}</Td>
               <Td>{service.description}</Td>
-              <Td>${service.base_price}</Td>
-              <Td>${service.price_per_km}/km</Td>
-              <Td>${service.maneuver_charge}</Td>
+              <Td>{formatMoney(service.base_price, service.currency)}</Td>
+              <Td>{formatMoney(service.price_per_km, service.currency)}/km</Td>
+              <Td>{formatLegRate(service.deadhead_price_per_km, service)}</Td>
+              <Td>{formatLegRate(service.return_price_per_km, service)}</Td>
+              <Td>{formatMoney(service.maneuver_charge, service.currency)}</Td>
+              <Td>{formatMoney(service.stop_charge || 0, service.currency)} + {formatMoney(service.wait_price_per_hour || 0, service.currency)}/h wait</Td>
+              <Td>{service.currency}</Td>
               <Td>{service.tow_truck_type}</Td>
+              <Td>
+                <Badge colorScheme={service.is_active === false ? 'gray' : 'green'}>
+                  {service.is_active === false ? 'Inactive' : 'Active'}
+                </Badge>
+              </Td>
               <Td>
                 <Button size="sm" onClick={() => openServiceModal(service)}>Edit</Button>
                 <Button size="sm" colorScheme="red" ml={2} onClick={() => handleDeleteService(service.id)}>Delete</Button>
@@ -114,21 +140,59 @@ const ServiceManagement = ({ showNotification }) => {
                   </NumberInput>
                 </FormControl>
                 <FormControl isRequired>
-                  <FormLabel>Price per KM</FormLabel>
+                  <FormLabel>Price per KM (loaded tow)</FormLabel>
                   <NumberInput min={0}>
                     <NumberInputField name="price_per_km" defaultValue={currentService?.price_per_km} />
                   </NumberInput>
                 </FormControl>
+                <FormControl>
+                  <FormLabel>Price per KM (depot to pickup)</FormLabel>
+                  <NumberInput min={0}>
+                    <NumberInputField name="deadhead_price_per_km" defaultValue={currentService?.deadhead_price_per_km ?? ''} />
+                  </NumberInput>
+                  <FormHelperText>Leave empty to use the loaded tow rate.</FormHelperText>
+                </FormControl>
+                <FormControl>
+                  <FormLabel>Price per KM (return to depot)</FormLabel>
+                  <NumberInput min={0}>
+                    <NumberInputField name="return_price_per_km" defaultValue={currentService?.return_price_per_km ?? ''} />
+                  </NumberInput>
+                  <FormHelperText>Leave empty to use the loaded tow rate.</FormHelperText>
+                </FormControl>
                 <FormControl isRequired>
                   <FormLabel>Maneuver Charge</FormLabel>
                   <NumberInput min={0}>
                     <NumberInputField name="maneuver_charge" defaultValue={currentService?.maneuver_charge} />
                   </NumberInput>
                 </FormControl>
+                <FormControl>
+                  <FormLabel>Charge per Stop</FormLabel>
+                  <NumberInput min={0}>
+                    <NumberInputField name="stop_charge" defaultValue={currentService?.stop_charge ?? 0} />
+                  </NumberInput>
+                  <FormHelperText>Each stop between pickup and destination in multi-stop bookings.</FormHelperText>
+                </FormControl>
+                <FormControl>
+                  <FormLabel>Wait Time per Hour</FormLabel>
+                  <NumberInput min={0}>
+                    <NumberInputField name="wait_price_per_hour" defaultValue={currentService?.wait_price_per_hour ?? 0} />
+                  </NumberInput>
+                  <FormHelperText>Charged by the minute for the wait time requested at each stop.</FormHelperText>
+                </FormControl>
+                <FormControl isRequired>
+                  <FormLabel>Currency</FormLabel>
+                  <Select name="currency" defaultValue={currentService?.currency || DEFAULT_CURRENCY}>
+                    {SUPPORTED_CURRENCIES.map((currency) => <option key={currency} value={currency}>{currency}</option>)}
+                  </Select>
+                </FormControl>
                 <FormControl isRequired>
                   <FormLabel>Tow Truck Type</FormLabel>
                   <Input name="tow_truck_type" defaultValue={currentService?.tow_truck_type} />
                 </FormControl>
+                <FormControl display="flex" alignItems="center">
+                  <FormLabel htmlFor="is_active" mb={0}>Used for quotes</FormLabel>
+                  <Switch id="is_active" name="is_active" defaultChecked={currentService?.is_active !== false} />
+                </FormControl>
               </VStack>
             </ModalBody>
             <ModalFooter>
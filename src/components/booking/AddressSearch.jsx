@@ -0,0 +1,122 @@
+import React, { useEffect, useId, useState } from 'react';
+import { Box, FormControl, FormLabel, Input, InputGroup, InputRightElement, List, ListItem, Spinner, Text, Button } from "@chakra-ui/react";
+import { useAddressSearch } from '../../hooks/useAddressSearch';
+
+// Typeahead over the geocoder. Arrow keys move through the suggestions, Enter picks
+// the highlighted one and Escape closes the list.
+export const AddressSearch = ({ label, placeholder, value, onSelect, onUseCurrentLocation, isLocating }) => {
+  const [query, setQuery] = useState(value || '');
+  const [isOpen, setIsOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+  const { results, isSearching, isError } = useAddressSearch(isOpen ? query : '');
+  const listId = useId();
+
+  // Show the address of the marker when it is placed from the map.
+  useEffect(() => {
+    setQuery(value || '');
+  }, [value]);
+
+  useEffect(() => {
+    setHighlighted(-1);
+  }, [results]);
+
+  const select = (address) => {
+    setQuery(address.label);
+    setIsOpen(false);
+    onSelect(address);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      if (!isOpen) setIsOpen(true);
+      if (results.length === 0) return;
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      setHighlighted((index) => (index + step + results.length) % results.length);
+    } else if (event.key === 'Enter' && isOpen && results.length > 0) {
+      event.preventDefault();
+      select(results[Math.max(highlighted, 0)]);
+    } else if (event.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  const showList = isOpen && (results.length > 0 || isError || (!isSearching && query.trim().length >= 3));
+
+  return (
+    <FormControl position="relative">
+      <FormLabel fontSize="sm" mb={1}>{label}</FormLabel>
+      <InputGroup size="sm">
+        <Input
+          bg="white"
+          value={query}
+          placeholder={placeholder}
+          autoComplete="off"
+          role="combobox"
+          aria-autocomplete="list"
+          aria-expanded={showList}
+          aria-controls={listId}
+          aria-activedescendant={highlighted >= 0 ? `${listId}-${highlighted}` : undefined}
+          onChange={(event) => {
+            setQuery(event.target.value);
+            setIsOpen(true);
+          }}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setIsOpen(true)}
+          onBlur={() => setIsOpen(false)}
+        />
+        {isSearching && (
+          <InputRightElement>
+            <Spinner size="xs" />
+          </InputRightElement>
+        )}
+      </InputGroup>
+      {onUseCurrentLocation && (
+        <Button size="xs" variant="link" colorScheme="blue" mt={1} onClick={onUseCurrentLocation} isLoading={isLocating}>
+          Use my current location
+        </Button>
+      )}
+      {showList && (
+        <List
+          id={listId}
+          role="listbox"
+          position="absolute"
+          top="100%"
+          left={0}
+          right={0}
+          zIndex={1100}
+          bg="white"
+          borderWidth="1px"
+          borderRadius="md"
+          boxShadow="md"
+          maxHeight="240px"
+          overflowY="auto"
+        >
+          {isError && <ListItem px={3} py={2}><Text fontSize="sm" color="red.500">Address search is unavailable. Click on the map instead.</Text></ListItem>}
+          {!isError && results.length === 0 && <ListItem px={3} py={2}><Text fontSize="sm" color="gray.500">No addresses found</Text></ListItem>}
+          {results.map((address, index) => (
+            <ListItem
+              key={`${address.lat},${address.lng},${index}`}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={index === highlighted}
+              px={3}
+              py={2}
+              cursor="pointer"
+              bg={index === highlighted ? 'blue.50' : undefined}
+              onMouseEnter={() => setHighlighted(index)}
+              // Keep the input focused so onBlur does not close the list before the click.
+              onMouseDown={(event) => event.preventDefault()}
+              onClick={() => select(address)}
+            >
+              <Text fontSize="sm" fontWeight="medium">{[address.calle, address.numero].filter(Boolean).join(' ') || address.label}</Text>
+              <Box fontSize="xs" color="gray.600">
+                {[address.colonia && `Col. ${address.colonia}`, address.municipio, address.estado].filter(Boolean).join(', ')}
+              </Box>
+            </ListItem>
+          ))}
+        </List>
+      )}
+    </FormControl>
+  );
+};
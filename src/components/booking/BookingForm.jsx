@@ -3,13 +3,13 @@ import { Box, VStack, Heading, Text, Button, useToast, Spinner, useMediaQuery, T
 import { useForm } from "react-hook-form";
 import { yupResolver } from '@hookform/resolvers/yup';
 import * as yup from 'yup';
-import { useNavigate } from 'react-router-dom';
 import { Elements } from '@stripe/react-stripe-js';
 import { loadStripe } from '@stripe/stripe-js';
-import { useBookingForm } from '../../hooks/useBookingForm';
 import { usePaymentProcessing } from '../../hooks/usePaymentProcessing';
 import { BookingFormFields } from './BookingFormFields';
 import { BookingFormSummary } from './BookingFormSummary';
+import { fiscalRegimes, cfdiUses } from '../../utils/cfdi';
+import { catalogBrands, catalogModelsByBrand, vehicleYearOptions } from '../../utils/vehicleCatalog';
 
 const BookingFormStepper = lazy(() => import('./BookingFormStepper'));
 const PaymentWindow = lazy(() => import('./PaymentWindow'));
@@ -26,27 +26,57 @@ const schema = yup.object().shape({
   pickupAddress: yup.string().required('Pickup address is required').min(5, 'Address must be at least 5 characters'),
   dropOffAddress: yup.string().required('Drop-off address is required').min(5, 'Address must be at least 5 characters'),
   pickupDateTime: yup.date().nullable().required('Pickup date and time is required').min(new Date(), 'Pickup time must be in the future'),
+  requiresInvoice: yup.boolean(),
+  fiscalData: yup.object().when('requiresInvoice', {
+    is: true,
+    then: (fiscalData) => fiscalData.shape({
+      rfc: yup.string().trim().uppercase().required('El RFC es requerido').matches(/^[A-ZÑ&]{3,4}\d{6}[A-Z\d]{3}$/, 'RFC inválido'),
+      name: yup.string().trim().required('La razón social es requerida'),
+      fiscalRegime: yup.string().oneOf(Object.keys(fiscalRegimes), 'Régimen fiscal inválido').required('El régimen fiscal es requerido'),
+      cfdiUse: yup.string().oneOf(Object.keys(cfdiUses), 'Uso de CFDI inválido').required('El uso de CFDI es requerido'),
+      postalCode: yup.string().matches(/^\d{5}$/, 'El código postal debe tener 5 dígitos').required('El código postal es requerido'),
+    }),
+  }),
 });
 
-const BookingForm = React.memo(({ vehicleBrands, vehicleModels, mapError }) => {
+// Takes the state of useBookingForm from the booking page, which shares it with the map.
+const BookingForm = React.memo(({
+  formData,
+  setFormData,
+  handleChange,
+  handleDateTimeChange,
+  handleBookingProcess,
+  isLoading,
+  totalCost,
+  distance,
+  quote,
+  breakdown,
+  coverage,
+  isOnline,
+  isRouteEstimated,
+  eligibility,
+  vehicleCatalog,
+  isVehicleCatalogued,
+  vehicleNeedsReview,
+  promoCode,
+  setPromoCode,
+  isPaymentWindowOpen,
+  setIsPaymentWindowOpen,
+  pendingBooking,
+  bookPaidQuote,
+  mapError,
+}) => {
   const [isMobile] = useMediaQuery("(max-width: 48em)");
-  const navigate = useNavigate();
   const toast = useToast();
-  
-  const {
-    formData,
-    setFormData,
-    handleChange,
-    handleDateTimeChange,
-    handleBookingProcess,
-    isLoading,
-    totalCost,
-    distance,
-    isPaymentWindowOpen,
-    setIsPaymentWindowOpen,
-  } = useBookingForm();
-
-  const { handlePaymentSubmit } = usePaymentProcessing(formData, totalCost, setIsPaymentWindowOpen, navigate);
+
+  const vehicleBrands = useMemo(() => catalogBrands(vehicleCatalog), [vehicleCatalog]);
+  const vehicleModels = useMemo(() => catalogModelsByBrand(vehicleCatalog), [vehicleCatalog]);
+  const vehicleYears = useMemo(
+    () => vehicleYearOptions(vehicleCatalog, { brand: formData.vehicleBrand, model: formData.vehicleModel }),
+    [vehicleCatalog, formData.vehicleBrand, formData.vehicleModel]
+  );
+
+  const { handlePaymentSubmit } = usePaymentProcessing(bookPaidQuote, setIsPaymentWindowOpen);
 
   const { register, handleSubmit, control, watch, setValue, formState: { errors, isValid } } = useForm({
     mode: 'onChange',
@@ -59,6 +89,7 @@ const BookingForm = React.memo(({ vehicleBrands, vehicleModels, mapError }) => {
 
   const watchVehicleModel = watch('vehicleModel');
   const watchVehiclePosition = watch('vehiclePosition');
+  const [watchInNeutral, watchEngineStarts, watchWheelsSteer, watchIsLowered] = watch(['inNeutral', 'engineStarts', 'wheelsSteer', 'isLowered']);
 
   const currentStep = useMemo(() => {
     if (!watchVehicleModel) return 0;
@@ -70,9 +101,9 @@ const BookingForm = React.memo(({ vehicleBrands, vehicleModels, mapError }) => {
   const onSubmit = async (data) => {
     if (isValid) {
       try {
-        const bookingData = await handleBookingProcess({ ...data, serviceType: selectedTowTruckType });
-        setFormData(prevData => ({ ...prevData, ...bookingData }));
-        setIsPaymentWindowOpen(true);
+        // Opens the payment window, unless the booking is saved offline or waits for a
+        // manual quote.
+        await handleBookingProcess({ ...data, serviceType: quote?.towTruckType || formData.serviceType });
       } catch (error) {
         console.error('Error processing booking:', error);
         toast({
@@ -94,21 +125,25 @@ const BookingForm = React.memo(({ vehicleBrands, vehicleModels, mapError }) => {
     }
   };
 
+  // The quote depends on the condition answers, so keep them in the shared form data.
+  React.useEffect(() => {
+    setFormData(prevData => ({
+      ...prevData,
+      vehiclePosition: watchVehiclePosition,
+      inNeutral: watchInNeutral,
+      engineStarts: watchEngineStarts,
+      wheelsSteer: watchWheelsSteer,
+      isLowered: watchIsLowered,
+    }));
+  }, [watchVehiclePosition, watchInNeutral, watchEngineStarts, watchWheelsSteer, watchIsLowered, setFormData]);
+
+  // The addresses are picked on the map (AddressSearch or a marker) and reach the
+  // form through the shared form data.
   React.useEffect(() => {
     setValue('pickupAddress', formData.pickupAddress);
     setValue('dropOffAddress', formData.dropOffAddress);
   }, [formData.pickupAddress, formData.dropOffAddress, setValue]);
 
-  const handleAddressUpdate = (address, isPickup) => {
-    if (isPickup) {
-      setFormData(prevData => ({ ...prevData, pickupAddress: address }));
-      setValue('pickupAddress', address);
-    } else {
-      setFormData(prevData => ({ ...prevData, dropOffAddress: address }));
-      setValue('dropOffAddress', address);
-    }
-  };
-
   if (isLoading) {
     return <Box textAlign="center" p={4}><Spinner size="xl" /><Text mt={4}>Loading booking form...</Text></Box>;
   }
@@ -128,8 +163,12 @@ const BookingForm = React.memo(({ vehicleBrands, vehicleModels, mapError }) => {
         handleDateTimeChange={handleDateTimeChange}
         vehicleBrands={vehicleBrands}
         vehicleModels={vehicleModels}
+        vehicleYears={vehicleYears}
+        isVehicleCatalogued={isVehicleCatalogued}
+        promoCode={promoCode}
+        onApplyPromoCode={setPromoCode}
       />
-      <BookingFormSummary distance={distance} totalCost={totalCost} />
+      <BookingFormSummary distance={distance} totalCost={totalCost} breakdown={breakdown} eligibility={eligibility} coverage={coverage} vehicleNeedsReview={vehicleNeedsReview} isEstimated={isRouteEstimated} />
       <Button 
         colorScheme="blue" 
         type="submit" 
@@ -193,6 +232,8 @@ const BookingForm = React.memo(({ vehicleBrands, vehicleModels, mapError }) => {
             onClose={() => setIsPaymentWindowOpen(false)}
             onPaymentSubmit={handlePaymentSubmit}
             totalCost={totalCost}
+            quoteId={pendingBooking?.quoteId}
+            currency={quote?.breakdown.currency}
           />
         </Elements>
       </Suspense>
@@ -1,8 +1,12 @@
 import React from 'react';
-import { FormControl, FormLabel, Input, Select } from "@chakra-ui/react";
+import { FormControl, FormHelperText, FormLabel, Input, Select } from "@chakra-ui/react";
 import DatePicker from "react-datepicker";
 import "react-datepicker/dist/react-datepicker.css";
 import { Controller } from "react-hook-form";
+import { FiscalDataFields } from './FiscalDataFields';
+import { PromoCodeField } from './PromoCodeField';
+import { VehicleConditionField, VehiclePositionField } from './VehicleFields';
+import { SUPPORTED_CURRENCIES } from '../../utils/currency';
 
 export const BookingFormFields = ({
   register,
@@ -12,7 +16,11 @@ export const BookingFormFields = ({
   handleChange,
   handleDateTimeChange,
   vehicleBrands,
-  vehicleModels
+  vehicleModels,
+  vehicleYears,
+  isVehicleCatalogued = true,
+  promoCode,
+  onApplyPromoCode
 }) => {
   return (
     <>
@@ -59,6 +67,40 @@ export const BookingFormFields = ({
             ))}
         </Select>
       </FormControl>
+      <FormControl isInvalid={errors.vehicleYear}>
+        <FormLabel htmlFor="vehicleYear">Vehicle Year</FormLabel>
+        <Select
+          id="vehicleYear"
+          {...register('vehicleYear')}
+          placeholder="Select Vehicle Year"
+          onChange={handleChange}
+          isDisabled={!vehicleYears || vehicleYears.length === 0}
+        >
+          {Array.isArray(vehicleYears) && vehicleYears.map((year) => (
+            <option key={year} value={year}>{year}</option>
+          ))}
+        </Select>
+      </FormControl>
+      {!isVehicleCatalogued && (
+        <FormControl isInvalid={errors.vehicleSize}>
+          <FormLabel htmlFor="vehicleSize">Vehicle Size</FormLabel>
+          <Select
+            id="vehicleSize"
+            {...register('vehicleSize')}
+            placeholder="I'm not sure"
+            onChange={handleChange}
+          >
+            <option value="small">Small (compact or sedan, up to 1,700 kg)</option>
+            <option value="medium">Medium (SUV or pickup, up to 2,700 kg)</option>
+            <option value="large">Large (van or heavy pickup)</option>
+          </Select>
+          <FormHelperText>
+            We don't have this model year on file. Tell us its size, or our team will confirm the price before you are charged.
+          </FormHelperText>
+        </FormControl>
+      )}
+      <VehicleConditionField control={control} errors={errors} />
+      <VehiclePositionField control={control} errors={errors} />
       <FormControl isInvalid={errors.vehicleColor}>
         <FormLabel htmlFor="vehicleColor">Vehicle Color</FormLabel>
         <Input
@@ -113,6 +155,23 @@ export const BookingFormFields = ({
           )}
         />
       </FormControl>
+
+      <FormControl>
+        <FormLabel htmlFor="currency">Currency</FormLabel>
+        <Select
+          id="currency"
+          {...register('currency')}
+          onChange={handleChange}
+        >
+          {SUPPORTED_CURRENCIES.map((currency) => (
+            <option key={currency} value={currency}>{currency}</option>
+          ))}
+        </Select>
+      </FormControl>
+
+      <PromoCodeField appliedCode={promoCode} onApply={onApplyPromoCode} />
+
+      <FiscalDataFields register={register} errors={errors} control={control} />
       
       {/* ... keep existing code for other form fields */}
     </>
@@ -1,15 +1,51 @@
 import React from 'react';
-import { Text } from "@chakra-ui/react";
+import { Alert, AlertDescription, AlertIcon, Box, Text } from "@chakra-ui/react";
+import { PriceBreakdown } from './PriceBreakdown';
+import { TowingRequirements } from './TowingRequirements';
+import { formatMoney } from '../../utils/currency';
 
-export const BookingFormSummary = ({ distance, totalCost }) => {
+export const BookingFormSummary = ({ distance, totalCost, breakdown, eligibility, coverage, vehicleNeedsReview, isEstimated }) => {
   return (
     <>
+      <TowingRequirements eligibility={eligibility} />
+      {coverage?.requiresManualQuote && (
+        <Alert status="warning" mt={4} borderRadius="md">
+          <AlertIcon />
+          <AlertDescription fontSize="sm">
+            The pickup is outside our service areas. This price is an estimate; our team will confirm it before you are charged.
+          </AlertDescription>
+        </Alert>
+      )}
+      {vehicleNeedsReview && (
+        <Alert status="warning" mt={4} borderRadius="md">
+          <AlertIcon />
+          <AlertDescription fontSize="sm">
+            We could not size your vehicle. This price is an estimate; our team will confirm it before you are charged.
+          </AlertDescription>
+        </Alert>
+      )}
       {distance > 0 && (
         <>
-          <Text mt={4} fontWeight="bold">Distance: {distance.toFixed(2)} km</Text>
-          <Text mt={2} fontWeight="bold">Estimated cost: ${totalCost.toFixed(2)}</Text>
+          <Text mt={4} fontWeight="bold">Loaded tow distance: {distance.toFixed(2)} km{isEstimated ? ' (estimated)' : ''}</Text>
+          {isEstimated && (
+            <Text fontSize="sm" color="orange.600">
+              We could not reach the routing service, so distances are estimated in a straight line. The price is confirmed once you are back online.
+            </Text>
+          )}
+          {breakdown?.tolls?.isEstimated === false && (
+            <Text fontSize="sm" color="orange.600">
+              We could not estimate the tolls (casetas) on this route, so they are not included. Our team will confirm them with you.
+            </Text>
+          )}
+          {breakdown ? (
+            <Box mt={2}>
+              <PriceBreakdown breakdown={breakdown} />
+            </Box>
+          ) : (
+            <Text mt={2} fontWeight="bold">Estimated cost: {formatMoney(totalCost)}</Text>
+          )}
         </>
       )}
     </>
   );
-};
\ No newline at end of file
+};
@@ -0,0 +1,42 @@
+import React from 'react';
+import { HStack, Button, Spinner, Text } from '@chakra-ui/react';
+import { useBookingInvoices } from '../../integrations/supabase/hooks/invoices';
+import { bookingReceiptHtml, receiptFileName } from '../../utils/receipt';
+
+const download = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// The booking's receipt and, for invoiced bookings, its CFDI XML. Invoices are read
+// through RLS, so customers only get those of their own bookings.
+export const BookingReceipts = ({ booking }) => {
+  const { data: invoices, isLoading } = useBookingInvoices(booking.id);
+  const invoice = invoices?.find((candidate) => candidate.stamped_xml || candidate.xml);
+
+  return (
+    <HStack spacing={3} wrap="wrap">
+      <Button size="sm" onClick={() => download(bookingReceiptHtml(booking), receiptFileName(booking), 'text/html')}>
+        Download receipt
+      </Button>
+      {isLoading && <Spinner size="sm" />}
+      {invoice && (
+        <Button
+          size="sm"
+          onClick={() => download(invoice.stamped_xml || invoice.xml, `cfdi-${invoice.folio}.xml`, 'application/xml')}
+        >
+          Download invoice (CFDI {invoice.folio})
+        </Button>
+      )}
+      {invoice && !invoice.stamped_xml && (
+        <Text fontSize="sm" color="gray.500">The invoice is being stamped by the PAC.</Text>
+      )}
+    </HStack>
+  );
+};
+
+export default BookingReceipts;
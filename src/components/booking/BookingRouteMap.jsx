@@ -0,0 +1,29 @@
+import React, { useMemo } from 'react';
+import { Box, Text } from '@chakra-ui/react';
+import { replayRoute } from '../../utils/routeGeometry';
+import { BookingMap } from './map/BookingMap';
+import { RouteLegsLegend } from './RouteLegsLegend';
+
+// Draws the route stored with a booking exactly as it was priced, instead of routing
+// the trip again (which could return a different road and distance).
+export const BookingRouteMap = ({ route, height = '400px' }) => {
+  const replayed = useMemo(() => replayRoute(route), [route]);
+
+  if (!replayed) {
+    return <Text color="gray.500">No route was stored for this booking.</Text>;
+  }
+
+  return (
+    <Box>
+      <Box position="relative" height={height} borderRadius="md" overflow="hidden">
+        <BookingMap route={route} />
+      </Box>
+      <RouteLegsLegend legs={replayed.legs} mt={2} boxShadow="none" borderWidth="1px" />
+      <Text fontSize="xs" color="gray.500" mt={1}>
+        Routed with {replayed.provider} on {new Date(replayed.computedAt).toLocaleString()}
+      </Text>
+    </Box>
+  );
+};
+
+export default BookingRouteMap;
@@ -0,0 +1,51 @@
+import React from 'react';
+import { Box, VStack, HStack, Text, Badge, Spinner, Alert, AlertIcon } from '@chakra-ui/react';
+import { useBookingStatusHistory } from '../../integrations/supabase/hooks/booking_status_history';
+
+export const STATUS_COLORS = {
+  pending: 'yellow',
+  confirmed: 'green',
+  in_progress: 'blue',
+  completed: 'green',
+  cancelled: 'red',
+};
+
+export const PAYMENT_STATUS_COLORS = {
+  pending: 'yellow',
+  paid: 'green',
+  failed: 'red',
+  refunded: 'purple',
+};
+
+// Every status a booking went through, oldest first, with who changed it and why.
+export const BookingStatusTimeline = ({ bookingId }) => {
+  const { data: history, isLoading, error } = useBookingStatusHistory(bookingId);
+
+  if (isLoading) return <Spinner size="sm" />;
+  if (error) {
+    return <Alert status="error"><AlertIcon />Error loading the status history: {error.message}</Alert>;
+  }
+  if (!history?.length) {
+    return <Text color="gray.500">No status changes recorded.</Text>;
+  }
+
+  return (
+    <VStack align="stretch" spacing={0}>
+      {history.map((entry) => (
+        <Box key={entry.id} borderLeftWidth="2px" borderColor={`${STATUS_COLORS[entry.to_status] || 'gray'}.400`} pl={4} pb={3} position="relative">
+          <Box position="absolute" left="-5px" top="6px" boxSize="8px" borderRadius="full" bg={`${STATUS_COLORS[entry.to_status] || 'gray'}.400`} />
+          <HStack spacing={2}>
+            <Badge colorScheme={STATUS_COLORS[entry.to_status] || 'gray'}>{entry.to_status}</Badge>
+            <Text fontSize="sm" color="gray.600">{entry.event}</Text>
+          </HStack>
+          <Text fontSize="xs" color="gray.500">
+            {new Date(entry.created_at).toLocaleString()} · {entry.actor?.email || entry.actor_role || 'system'}
+          </Text>
+          {entry.reason && <Text fontSize="sm" mt={1}>{entry.reason}</Text>}
+        </Box>
+      ))}
+    </VStack>
+  );
+};
+
+export default BookingStatusTimeline;
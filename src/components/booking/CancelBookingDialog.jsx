@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import {
+  Modal, ModalOverlay, ModalContent, ModalHeader, ModalCloseButton, ModalBody, ModalFooter,
+  Button, Text, Textarea, VStack, Alert, AlertIcon, FormControl, FormLabel,
+} from '@chakra-ui/react';
+import { cancellationTerms } from '../../utils/cancellationPolicy';
+import { formatMoney } from '../../utils/currency';
+import { cancellationPolicy } from '../../config/cancellation';
+import { useCancelBooking } from '../../hooks/useBookingTransition';
+
+// Asks the customer why they cancel and shows what it costs them right now. The
+// server recomputes the terms when the request arrives.
+export const CancelBookingDialog = ({ booking, isOpen, onClose, onCancelled }) => {
+  const [reason, setReason] = useState('');
+  const cancel = useCancelBooking();
+  const terms = cancellationTerms(booking, { policy: cancellationPolicy });
+
+  const handleCancel = () => {
+    cancel.mutate({ bookingId: booking.id, reason: reason.trim() }, {
+      onSuccess: (result) => {
+        setReason('');
+        onCancelled?.(result);
+        onClose();
+      },
+    });
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose}>
+      <ModalOverlay />
+      <ModalContent>
+        <ModalHeader>Cancel booking</ModalHeader>
+        <ModalCloseButton />
+        <ModalBody>
+          <VStack align="stretch" spacing={3}>
+            {terms.isDispatched ? (
+              <Text>
+                The tow truck has already been dispatched, so a cancellation fee of{' '}
+                <strong>{formatMoney(terms.fee, terms.currency)}</strong> applies.
+              </Text>
+            ) : (
+              <Text>
+                Cancelling is free until {new Date(terms.freeUntil).toLocaleString()}, when the tow truck is dispatched.
+              </Text>
+            )}
+            {terms.refund > 0 && (
+              <Text>You will be refunded <strong>{formatMoney(terms.refund, terms.currency)}</strong> to your original payment method.</Text>
+            )}
+            <FormControl isRequired>
+              <FormLabel>Why are you cancelling?</FormLabel>
+              <Textarea value={reason} onChange={(e) => setReason(e.target.value)} size="sm" />
+            </FormControl>
+            {cancel.error && (
+              <Alert status="error">
+                <AlertIcon />
+                {cancel.error.message}
+              </Alert>
+            )}
+          </VStack>
+        </ModalBody>
+        <ModalFooter>
+          <Button variant="ghost" mr={3} onClick={onClose}>Keep booking</Button>
+          <Button colorScheme="red" onClick={handleCancel} isLoading={cancel.isPending} isDisabled={!reason.trim()}>
+            Cancel booking
+          </Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+export default CancelBookingDialog;
@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import {
+  Modal, ModalOverlay, ModalContent, ModalHeader, ModalBody, ModalFooter,
+  Button, Text, VStack, Alert, AlertIcon,
+} from '@chakra-ui/react';
+import { formatMoney } from '../../utils/currency';
+import PaymentWindowWrapper from './PaymentWindowWrapper';
+
+// Shows the fresh quote of a booking saved offline and books it only once the
+// customer accepts the new price: paid for first, or unpaid for a manual quote.
+export const DraftBookingConfirmation = ({ pending, onConfirm, onDiscard, onRequote }) => {
+  const [isPaymentWindowOpen, setIsPaymentWindowOpen] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const { draft, quote } = pending;
+  const isExpired = new Date(quote.expiresAt) <= new Date();
+
+  const book = async (paymentIntentId) => {
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      await onConfirm(pending, paymentIntentId);
+    } catch (err) {
+      setError(paymentIntentId
+        ? `Your payment went through, but we could not create your booking (${err.message}). Please contact us and we will book it or refund you.`
+        : err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleConfirm = () => {
+    if (quote.requiresManualQuote) {
+      book();
+    } else {
+      setIsPaymentWindowOpen(true);
+    }
+  };
+
+  const handlePaymentSubmit = (paymentResult) => {
+    if (!paymentResult.success) return;
+    setIsPaymentWindowOpen(false);
+    book(paymentResult.paymentIntentId);
+  };
+
+  return (
+    <>
+      <Modal isOpen={!isPaymentWindowOpen} onClose={() => {}} closeOnOverlayClick={false}>
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>Confirm your saved booking</ModalHeader>
+          <ModalBody>
+            <VStack align="stretch" spacing={3}>
+              <Text>
+                You saved a tow from {draft.booking.pickupAddress} to {draft.booking.dropOffAddress} while offline.
+                The price shown then was an estimate.
+              </Text>
+              {quote.requiresManualQuote ? (
+                <Text>
+                  This trip needs a manual quote: our team will confirm the price of{' '}
+                  <strong>{formatMoney(quote.totalCost, quote.breakdown.currency)}</strong> before you are charged.
+                </Text>
+              ) : (
+                <Text>
+                  The price is now <strong>{formatMoney(quote.totalCost, quote.breakdown.currency)}</strong>.
+                </Text>
+              )}
+              {isExpired && (
+                <Alert status="warning">
+                  <AlertIcon />
+                  This price has expired. Get a new one to continue.
+                </Alert>
+              )}
+              {error && (
+                <Alert status="error">
+                  <AlertIcon />
+                  {error}
+                </Alert>
+              )}
+            </VStack>
+          </ModalBody>
+          <ModalFooter>
+            <Button variant="ghost" mr={3} onClick={() => onDiscard(draft.id)} isDisabled={isSubmitting}>
+              Discard booking
+            </Button>
+            {isExpired ? (
+              <Button colorScheme="blue" onClick={onRequote}>Get a new price</Button>
+            ) : (
+              <Button colorScheme="blue" onClick={handleConfirm} isLoading={isSubmitting}>
+                {quote.requiresManualQuote ? 'Confirm booking' : 'Confirm and pay'}
+              </Button>
+            )}
+          </ModalFooter>
+        </ModalContent>
+      </Modal>
+      <PaymentWindowWrapper
+        isOpen={isPaymentWindowOpen}
+        onClose={() => setIsPaymentWindowOpen(false)}
+        onPaymentSubmit={handlePaymentSubmit}
+        totalCost={quote.totalCost}
+        quoteId={quote.quoteId}
+        currency={quote.breakdown.currency}
+      />
+    </>
+  );
+};
+
+export default DraftBookingConfirmation;
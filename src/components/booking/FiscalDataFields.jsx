@@ -0,0 +1,56 @@
+import React from 'react';
+import { Checkbox, FormControl, FormErrorMessage, FormLabel, Input, Select, VStack } from "@chakra-ui/react";
+import { useWatch } from "react-hook-form";
+import { fiscalRegimes, cfdiUses } from '../../utils/cfdi';
+
+export const FiscalDataFields = ({ register, errors, control }) => {
+  const requiresInvoice = useWatch({ control, name: 'requiresInvoice' });
+  const fiscalErrors = errors.fiscalData || {};
+
+  return (
+    <>
+      <FormControl>
+        <Checkbox id="requiresInvoice" {...register('requiresInvoice')}>
+          Requiero factura (CFDI)
+        </Checkbox>
+      </FormControl>
+      {requiresInvoice && (
+        <VStack spacing={4} align="stretch">
+          <FormControl isInvalid={fiscalErrors.rfc}>
+            <FormLabel htmlFor="fiscalData.rfc">RFC</FormLabel>
+            <Input id="fiscalData.rfc" {...register('fiscalData.rfc')} placeholder="RFC" textTransform="uppercase" />
+            <FormErrorMessage>{fiscalErrors.rfc?.message}</FormErrorMessage>
+          </FormControl>
+          <FormControl isInvalid={fiscalErrors.name}>
+            <FormLabel htmlFor="fiscalData.name">Razón social</FormLabel>
+            <Input id="fiscalData.name" {...register('fiscalData.name')} placeholder="Como aparece en tu Constancia de Situación Fiscal" />
+            <FormErrorMessage>{fiscalErrors.name?.message}</FormErrorMessage>
+          </FormControl>
+          <FormControl isInvalid={fiscalErrors.fiscalRegime}>
+            <FormLabel htmlFor="fiscalData.fiscalRegime">Régimen fiscal</FormLabel>
+            <Select id="fiscalData.fiscalRegime" {...register('fiscalData.fiscalRegime')} placeholder="Selecciona tu régimen fiscal">
+              {Object.entries(fiscalRegimes).map(([code, label]) => (
+                <option key={code} value={code}>{code} - {label}</option>
+              ))}
+            </Select>
+            <FormErrorMessage>{fiscalErrors.fiscalRegime?.message}</FormErrorMessage>
+          </FormControl>
+          <FormControl isInvalid={fiscalErrors.cfdiUse}>
+            <FormLabel htmlFor="fiscalData.cfdiUse">Uso de CFDI</FormLabel>
+            <Select id="fiscalData.cfdiUse" {...register('fiscalData.cfdiUse')} placeholder="Selecciona el uso de CFDI">
+              {Object.entries(cfdiUses).map(([code, label]) => (
+                <option key={code} value={code}>{code} - {label}</option>
+              ))}
+            </Select>
+            <FormErrorMessage>{fiscalErrors.cfdiUse?.message}</FormErrorMessage>
+          </FormControl>
+          <FormControl isInvalid={fiscalErrors.postalCode}>
+            <FormLabel htmlFor="fiscalData.postalCode">Código postal fiscal</FormLabel>
+            <Input id="fiscalData.postalCode" {...register('fiscalData.postalCode')} placeholder="Código postal" />
+            <FormErrorMessage>{fiscalErrors.postalCode?.message}</FormErrorMessage>
+          </FormControl>
+        </VStack>
+      )}
+    </>
+  );
+};
@@ -1,11 +0,0 @@
-import React from 'react';
-import { useMapEvents } from 'react-leaflet';
-
-const MapEvents = React.memo(({ onMapClick }) => {
-  useMapEvents({
-    click: onMapClick,
-  });
-  return null;
-});
-
-export default MapEvents;
\ No newline at end of file
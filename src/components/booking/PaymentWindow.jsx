@@ -15,8 +15,9 @@ import {
 } from '@chakra-ui/react';
 import { CardElement, useStripe, useElements } from '@stripe/react-stripe-js';
 import { processPayment } from '../../utils/paymentProcessing';
+import { DEFAULT_CURRENCY, formatMoney } from '../../utils/currency';
 
-const PaymentWindow = ({ isOpen, onClose, onPaymentSubmit, totalCost }) => {
+const PaymentWindow = ({ isOpen, onClose, onPaymentSubmit, totalCost, quoteId, currency = DEFAULT_CURRENCY }) => {
   const stripe = useStripe();
   const elements = useElements();
   const [error, setError] = useState('');
@@ -46,10 +47,10 @@ const PaymentWindow = ({ isOpen, onClose, onPaymentSubmit, totalCost }) => {
         throw error;
       }
 
-      const paymentResult = await processPayment(totalCost, paymentMethod.id);
+      const paymentResult = await processPayment(quoteId, paymentMethod.id);
 
       if (paymentResult.success) {
-        await onPaymentSubmit({ success: true, paymentMethodId: paymentMethod.id });
+        await onPaymentSubmit({ success: true, paymentMethodId: paymentMethod.id, paymentIntentId: paymentResult.paymentIntentId });
         toast({
           title: "Payment Successful",
           description: "Your payment has been processed successfully.",
@@ -103,7 +104,7 @@ const PaymentWindow = ({ isOpen, onClose, onPaymentSubmit, totalCost }) => {
                 }}
               />
             </Box>
-            <Text fontWeight="bold">Total Cost: ${totalCost.toFixed(2)}</Text>
+            <Text fontWeight="bold">Total Cost: {formatMoney(totalCost, currency)} {currency}</Text>
             {error && <Text color="red.500">{error}</Text>}
           </VStack>
         </ModalBody>
@@ -114,7 +115,7 @@ const PaymentWindow = ({ isOpen, onClose, onPaymentSubmit, totalCost }) => {
             onClick={handleSubmit} 
             isLoading={isProcessing} 
             loadingText="Processing Payment"
-            disabled={isProcessing || !stripe}
+            disabled={isProcessing || !stripe || !quoteId}
           >
             Process Payment
           </Button>
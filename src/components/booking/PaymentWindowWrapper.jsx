@@ -5,13 +5,15 @@ import PaymentWindow from './PaymentWindow';
 
 const stripePromise = loadStripe(import.meta.env.VITE_STRIPE_PUBLISHABLE_KEY);
 
-const PaymentWindowWrapper = ({ isOpen, onClose, onPaymentSubmit, totalCost }) => (
+const PaymentWindowWrapper = ({ isOpen, onClose, onPaymentSubmit, totalCost, quoteId, currency }) => (
   <Elements stripe={stripePromise}>
     <PaymentWindow
       isOpen={isOpen}
       onClose={onClose}
       onPaymentSubmit={onPaymentSubmit}
       totalCost={totalCost}
+      quoteId={quoteId}
+      currency={currency}
     />
   </Elements>
 );
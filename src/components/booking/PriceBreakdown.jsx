@@ -0,0 +1,36 @@
+import React from 'react';
+import { Table, TableCaption, Tbody, Tr, Td, Tfoot, Th, Text } from "@chakra-ui/react";
+import { breakdownLineItems, describeLineItem } from '../../utils/pricingEngine';
+import { formatMoney } from '../../utils/currency';
+
+export const PriceBreakdown = ({ breakdown, size = 'sm' }) => {
+  if (!breakdown) return null;
+
+  return (
+    <Table size={size} variant="simple">
+      {breakdown.corporateAgreement && (
+        <TableCaption placement="top" mt={0} px={0} textAlign="left">
+          Corporate rate: {breakdown.corporateAgreement.name}
+        </TableCaption>
+      )}
+      <Tbody>
+        {breakdownLineItems(breakdown).map((item, index) => (
+          <Tr key={`${item.code}-${index}`}>
+            <Td px={0}>{describeLineItem(item, breakdown.currency)}</Td>
+            <Td px={0} isNumeric color={item.amount < 0 ? 'green.600' : undefined}>{formatMoney(item.amount, breakdown.currency)}</Td>
+          </Tr>
+        ))}
+      </Tbody>
+      <Tfoot>
+        <Tr>
+          <Th px={0}>Total</Th>
+          <Th px={0} isNumeric>
+            <Text as="span">{formatMoney(breakdown.total, breakdown.currency)} {breakdown.currency}</Text>
+          </Th>
+        </Tr>
+      </Tfoot>
+    </Table>
+  );
+};
+
+export default PriceBreakdown;
@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+import { Button, FormControl, FormHelperText, FormLabel, HStack, Input } from "@chakra-ui/react";
+import { normalizePromoCode } from '../../utils/promotions';
+
+export const PromoCodeField = ({ appliedCode, onApply }) => {
+  const [code, setCode] = useState(appliedCode || '');
+
+  const handleApply = () => {
+    const normalizedCode = normalizePromoCode(code);
+    setCode(normalizedCode);
+    onApply(normalizedCode);
+  };
+
+  const handleRemove = () => {
+    setCode('');
+    onApply('');
+  };
+
+  return (
+    <FormControl>
+      <FormLabel htmlFor="promoCode">Promo Code</FormLabel>
+      <HStack>
+        <Input
+          id="promoCode"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              handleApply();
+            }
+          }}
+          placeholder="Promo Code"
+          textTransform="uppercase"
+          isDisabled={Boolean(appliedCode)}
+        />
+        {appliedCode ? (
+          <Button onClick={handleRemove}>Remove</Button>
+        ) : (
+          <Button onClick={handleApply} isDisabled={!code.trim()}>Apply</Button>
+        )}
+      </HStack>
+      {appliedCode && <FormHelperText>The discount is shown in the price summary.</FormHelperText>}
+    </FormControl>
+  );
+};
@@ -0,0 +1,35 @@
+import React from 'react';
+import { Badge, Box, HStack, Text, VStack } from "@chakra-ui/react";
+import { ROUTE_LEGS } from '../../utils/routeLegs';
+
+// Shows each leg of the truck's trip in the colour it is drawn with on the map. The
+// loaded legs of a multi-stop trip are added up. Legs estimated in a straight line
+// (routing unreachable) are flagged so nobody takes them for road distances.
+export const RouteLegsLegend = ({ legs, ...boxProps }) => {
+  if (!legs || legs.length === 0) return null;
+  const isEstimated = legs.some((leg) => leg.estimated);
+
+  return (
+    <Box bg="white" p={3} borderRadius="md" boxShadow="md" {...boxProps}>
+      <VStack align="stretch" spacing={1}>
+        {isEstimated && (
+          <Badge colorScheme="orange" alignSelf="flex-start" title="Sin conexión al servicio de rutas: distancias en línea recta">Estimado</Badge>
+        )}
+        {ROUTE_LEGS.map(({ key, label, color }) => {
+          const legsOfKind = legs.filter((item) => item.key === key);
+          if (legsOfKind.length === 0) return null;
+          const distance = legsOfKind.reduce((sum, leg) => sum + Number(leg.distance), 0);
+          return (
+            <HStack key={key} spacing={2}>
+              <Box w="16px" h="4px" bg={color} borderRadius="sm" />
+              <Text fontSize="sm" flex="1">{label}{legsOfKind.length > 1 ? ` (${legsOfKind.length} tramos)` : ''}</Text>
+              <Text fontSize="sm" fontWeight="bold">{distance.toFixed(2)} km</Text>
+            </HStack>
+          );
+        })}
+      </VStack>
+    </Box>
+  );
+};
+
+export default RouteLegsLegend;
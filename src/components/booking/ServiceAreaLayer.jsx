@@ -0,0 +1,17 @@
+import React from 'react';
+import { Polygon, Tooltip } from 'react-leaflet';
+
+const activeStyle = { color: '#38A169', weight: 1, fillOpacity: 0.08 };
+const inactiveStyle = { color: '#A0AEC0', weight: 1, fillOpacity: 0.08, dashArray: '6 6' };
+
+// Shades service areas (the `areas` of hooks/useBookingMap) on a react-leaflet map.
+// Inactive ones, only shown to admins, are grey and dashed.
+export const ServiceAreaLayer = ({ areas = [] }) => (
+  <>
+    {areas.map((area) => (
+      <Polygon key={area.id} positions={area.polygon} pathOptions={area.isActive ? activeStyle : inactiveStyle}>
+        <Tooltip sticky>{area.label}</Tooltip>
+      </Polygon>
+    ))}
+  </>
+);
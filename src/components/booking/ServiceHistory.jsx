@@ -1,38 +1,47 @@
 import React from 'react';
-import { Box, VStack, Heading, Table, Thead, Tbody, Tr, Th, Td, Button, useToast } from "@chakra-ui/react";
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { getPaidServicesWaiting, updateServiceStatus } from '../server/db';
+import { Box, Heading, Table, Thead, Tbody, Tr, Th, Td, Button, Badge, useToast } from "@chakra-ui/react";
+import { useBookings } from '../../integrations/supabase/hooks/bookings';
+import { useBookingTransition } from '../../hooks/useBookingTransition';
+import { BOOKING_TRANSITIONS, availableEvents } from '../../utils/bookingStatus';
+import { STATUS_COLORS } from './BookingStatusTimeline';
 
+const SERVICE_EVENTS = ['start', 'complete'];
+
+// Paid bookings a crew still has to perform. Starting and completing them goes
+// through the booking lifecycle, which refuses to start unpaid services.
 const ServiceHistory = () => {
   const toast = useToast();
-  const queryClient = useQueryClient();
-
-  const { data: services, isLoading, error } = useQuery({
-    queryKey: ['paidServicesWaiting'],
-    queryFn: getPaidServicesWaiting,
-  });
+  const { data: bookings, isLoading, error } = useBookings();
+  const transition = useBookingTransition();
 
-  const updateStatusMutation = useMutation({
-    mutationFn: ({ id, newStatus }) => updateServiceStatus(id, newStatus),
-    onSuccess: () => {
-      queryClient.invalidateQueries('paidServicesWaiting');
-      toast({
-        title: 'Status Updated',
-        description: 'The service status has been updated successfully.',
-        status: 'success',
-        duration: 3000,
-        isClosable: true,
-      });
-    },
-  });
-
-  const handleStatusUpdate = (id, newStatus) => {
-    updateStatusMutation.mutate({ id, newStatus });
+  const handleTransition = (bookingId, event) => {
+    transition.mutate({ bookingId, event }, {
+      onSuccess: () => {
+        toast({
+          title: 'Status Updated',
+          description: 'The service status has been updated successfully.',
+          status: 'success',
+          duration: 3000,
+          isClosable: true,
+        });
+      },
+      onError: (transitionError) => {
+        toast({
+          title: 'Update Failed',
+          description: transitionError.message,
+          status: 'error',
+          duration: 5000,
+          isClosable: true,
+        });
+      },
+    });
   };
 
   if (isLoading) return <Box>Loading services...</Box>;
   if (error) return <Box>Error loading services: {error.message}</Box>;
 
+  const services = bookings.filter((booking) => booking.payment_status === 'paid' && ['confirmed', 'in_progress'].includes(booking.status));
+
   return (
     <Box>
       <Heading as="h2" size="lg" mb={4}>Paid Services Waiting to be Performed</Heading>
@@ -41,7 +50,7 @@ const ServiceHistory = () => {
           <Tr>
             <Th>ID</Th>
             <Th>User</Th>
-            <Th>Service Type</Th>
+            <Th>Pickup Date/Time</Th>
             <Th>Created At</Th>
             <Th>Status</Th>
             <Th>Actions</Th>
@@ -52,25 +61,24 @@ const ServiceHistory = () => {
             <Tr key={service.id}>
               <Td>{service.id}</Td>
               <Td>{service.user_id}</Td>
-              <Td>{service.service_type}</Td>
+              <Td>{new Date(service.pickup_datetime).toLocaleString()}</Td>
               <Td>{new Date(service.created_at).toLocaleString()}</Td>
-              <Td>{service.status}</Td>
+              <Td><Badge colorScheme={STATUS_COLORS[service.status]}>{service.status}</Badge></Td>
               <Td>
-                <Button
-                  colorScheme="blue"
-                  size="sm"
-                  onClick={() => handleStatusUpdate(service.id, 'in_progress')}
-                >
-                  Start Service
-                </Button>
-                <Button
-                  colorScheme="green"
-                  size="sm"
-                  ml={2}
-                  onClick={() => handleStatusUpdate(service.id, 'completed')}
-                >
-                  Complete
-                </Button>
+                {availableEvents(service, { role: 'admin' })
+                  .filter((event) => SERVICE_EVENTS.includes(event))
+                  .map((event) => (
+                    <Button
+                      key={event}
+                      colorScheme={event === 'start' ? 'blue' : 'green'}
+                      size="sm"
+                      mr={2}
+                      isDisabled={transition.isPending}
+                      onClick={() => handleTransition(service.id, event)}
+                    >
+                      {BOOKING_TRANSITIONS[event].label}
+                    </Button>
+                  ))}
               </Td>
             </Tr>
           ))}
@@ -80,4 +88,4 @@ const ServiceHistory = () => {
   );
 };
 
-export default ServiceHistory;
\ No newline at end of file
+export default ServiceHistory;
@@ -0,0 +1,55 @@
+import React from 'react';
+import { Box, Button, FormControl, FormLabel, HStack, IconButton, Input, NumberInput, NumberInputField, Text, VStack } from "@chakra-ui/react";
+import { ArrowDownIcon, ArrowUpIcon, CloseIcon } from '@chakra-ui/icons';
+import { AddressSearch } from './AddressSearch';
+import { MAX_STOPS } from '../../utils/routeLegs';
+
+// Intermediate stops of a multi-stop booking (e.g. pickup -> body shop -> owner's
+// home), with the notes for the driver and how long the truck waits at each one.
+export const StopsEditor = ({ stops, canAddStop, onAddStop, onSelectAddress, onUpdateStop, onRemoveStop, onMoveStop }) => (
+  <VStack spacing={2} align="stretch">
+    {stops.map((stop, index) => (
+      <Box key={stop.id} borderLeftWidth="3px" borderColor="purple.400" pl={2}>
+        <HStack align="flex-end" spacing={1}>
+          <Box flex="1">
+            <AddressSearch
+              label={`Stop ${index + 1}`}
+              placeholder="Search stop address"
+              value={stop.address}
+              onSelect={(address) => onSelectAddress(stop.id, address)}
+            />
+          </Box>
+          <IconButton size="sm" variant="ghost" icon={<ArrowUpIcon />} aria-label={`Move stop ${index + 1} up`} isDisabled={index === 0} onClick={() => onMoveStop(stop.id, -1)} />
+          <IconButton size="sm" variant="ghost" icon={<ArrowDownIcon />} aria-label={`Move stop ${index + 1} down`} isDisabled={index === stops.length - 1} onClick={() => onMoveStop(stop.id, 1)} />
+          <IconButton size="sm" variant="ghost" icon={<CloseIcon boxSize={2.5} />} aria-label={`Remove stop ${index + 1}`} onClick={() => onRemoveStop(stop.id)} />
+        </HStack>
+        {!stop.point && <Text fontSize="xs" color="purple.600" mt={1}>Search the address or click on the map to place this stop.</Text>}
+        <HStack mt={1} spacing={2}>
+          <FormControl flex="2">
+            <FormLabel fontSize="xs" mb={0}>Notes for the driver</FormLabel>
+            <Input size="sm" bg="white" value={stop.notes} maxLength={500} onChange={(event) => onUpdateStop(stop.id, { notes: event.target.value })} />
+          </FormControl>
+          <FormControl flex="1">
+            <FormLabel fontSize="xs" mb={0}>Wait (min)</FormLabel>
+            <NumberInput
+              size="sm"
+              bg="white"
+              min={0}
+              max={480}
+              step={15}
+              value={stop.waitMinutes}
+              onChange={(_, value) => onUpdateStop(stop.id, { waitMinutes: Number.isNaN(value) ? 0 : Math.min(Math.max(value, 0), 480) })}
+            >
+              <NumberInputField />
+            </NumberInput>
+          </FormControl>
+        </HStack>
+      </Box>
+    ))}
+    <Button size="xs" variant="outline" colorScheme="purple" onClick={() => onAddStop()} isDisabled={!canAddStop}>
+      {canAddStop ? 'Add stop' : `Up to ${MAX_STOPS} stops`}
+    </Button>
+  </VStack>
+);
+
+export default StopsEditor;
@@ -1,8 +1,10 @@
 import React from 'react';
 import { Box, VStack, Text, Image, Button } from "@chakra-ui/react";
-import { towTruckTypes } from '../../utils/towTruckSelection';
+import { useTariff } from '../../hooks/useTariff';
+import { isTruckAvailable } from '../../utils/towTruckSelection';
+import { explainExclusion } from '../../utils/eligibilityRules';
 
-const TowTruckOption = ({ type, description, basePrice, perKm, maneuverCharge, image, onSelect, isAvailable }) => (
+const TowTruckOption = ({ type, description, basePrice, perKm, maneuverCharge, image, onSelect, isAvailable, reasons = [] }) => (
   <Box 
     borderWidth="1px" 
     borderRadius="lg" 
@@ -14,9 +16,16 @@ const TowTruckOption = ({ type, description, basePrice, perKm, maneuverCharge, i
       <Image src={image} alt={type} boxSize="200px" objectFit="cover" />
       <Text fontWeight="bold">{type}</Text>
       <Text fontSize="sm">{description}</Text>
-      <Text fontWeight="bold">Precio base: ${basePrice.toFixed(2)}</Text>
-      <Text fontWeight="bold">Precio por km: ${perKm.toFixed(2)}</Text>
-      <Text fontWeight="bold">Cargo por maniobra: ${maneuverCharge.toFixed(2)}</Text>
+      {basePrice !== undefined && (
+        <>
+          <Text fontWeight="bold">Precio base: ${basePrice.toFixed(2)}</Text>
+          <Text fontWeight="bold">Precio por km: ${perKm.toFixed(2)}</Text>
+          <Text fontWeight="bold">Cargo por maniobra: ${maneuverCharge.toFixed(2)}</Text>
+        </>
+      )}
+      {reasons.map((reason) => (
+        <Text key={reason} fontSize="sm" color="orange.600">{reason}</Text>
+      ))}
       <Button 
         onClick={() => onSelect(type)} 
         colorScheme="blue" 
@@ -29,28 +38,31 @@ const TowTruckOption = ({ type, description, basePrice, perKm, maneuverCharge, i
   </Box>
 );
 
-const TowTruckSelection = ({ onSelect, selectedVehicleSize }) => {
+// `eligibility` is the result of the eligibility rules for the customer's vehicle.
+const TowTruckSelection = ({ onSelect, eligibility }) => {
+  const { data: tariff = {} } = useTariff();
+
   const towTrucks = [
     {
-      type: "Grúa de Plataforma (Tipo A)",
-      description: "Para vehículos pequeños y medianos",
+      type: "Grúa de Arrastre (Tipo A)",
+      description: "Para vehículos ligeros de tracción delantera o trasera",
       image: "/images/tow-truck-type-a.png",
-      forVehicleSize: "small",
-      ...towTruckTypes.A
+      truckClass: "A",
+      ...tariff.A
     },
     {
       type: "Grúa de Plataforma (Tipo C)",
       description: "Para vehículos grandes y SUVs",
       image: "/images/tow-truck-type-c.png",
-      forVehicleSize: "medium",
-      ...towTruckTypes.C
+      truckClass: "C",
+      ...tariff.C
     },
     {
       type: "Grúa para Camiones Pesados (Tipo D)",
       description: "Para camiones y vehículos muy pesados",
       image: "/images/heavy-duty-tow-truck.png",
-      forVehicleSize: "large",
-      ...towTruckTypes.D
+      truckClass: "D",
+      ...tariff.D
     }
   ];
 
@@ -62,7 +74,8 @@ const TowTruckSelection = ({ onSelect, selectedVehicleSize }) => {
           key={index}
           {...truck}
           onSelect={onSelect}
-          isAvailable={!selectedVehicleSize || truck.forVehicleSize === selectedVehicleSize}
+          isAvailable={isTruckAvailable(truck.truckClass, eligibility)}
+          reasons={explainExclusion(eligibility, truck.truckClass)}
         />
       ))}
     </Box>
@@ -0,0 +1,33 @@
+import React from 'react';
+import { Alert, AlertIcon, Box, List, ListItem, Text } from "@chakra-ui/react";
+
+const equipmentLabels = {
+  dollies: 'Patines (dollies)',
+  winch: 'Malacate',
+  skates: 'Patines de rueda',
+};
+
+// Tells the customer why their vehicle needs a given truck, equipment or charge.
+export const TowingRequirements = ({ eligibility }) => {
+  if (!eligibility || eligibility.explanations.length === 0) return null;
+
+  return (
+    <Alert status={eligibility.allowedTruckTypes.length === 0 ? 'error' : 'info'} alignItems="flex-start" mt={4}>
+      <AlertIcon />
+      <Box>
+        <List spacing={1}>
+          {eligibility.explanations.map((explanation, index) => (
+            <ListItem key={explanation.ruleId || index} fontSize="sm">{explanation.message}</ListItem>
+          ))}
+        </List>
+        {eligibility.equipment.length > 0 && (
+          <Text fontSize="sm" mt={2} fontWeight="bold">
+            Equipo requerido: {eligibility.equipment.map((item) => equipmentLabels[item] || item).join(', ')}
+          </Text>
+        )}
+      </Box>
+    </Alert>
+  );
+};
+
+export default TowingRequirements;
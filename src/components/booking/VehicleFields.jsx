@@ -3,18 +3,24 @@ import { Stack, Checkbox, Radio, RadioGroup } from "@chakra-ui/react";
 import { Controller } from "react-hook-form";
 import { FormField } from './FormComponents';
 
+const conditionLabels = {
+  inNeutral: 'Se puede poner en neutral',
+  engineStarts: 'El motor enciende',
+  wheelsSteer: 'Las ruedas giran',
+  isLowered: 'Tiene suspensión rebajada',
+};
+
 export const VehicleConditionField = ({ control, errors }) => (
   <FormField label="Condición del Vehículo" error={errors.vehicleCondition} id="vehicleCondition">
     <Stack spacing={2}>
-      {['inNeutral', 'engineStarts', 'wheelsSteer'].map((field) => (
+      {Object.keys(conditionLabels).map((field) => (
         <Controller
           key={field}
           name={field}
           control={control}
           render={({ field: { onChange, value, ref } }) => (
             <Checkbox onChange={onChange} isChecked={value} ref={ref} id={field}>
-              {field === 'inNeutral' ? 'Se puede poner en neutral' :
-               field === 'engineStarts' ? 'El motor enciende' : 'Las ruedas giran'}
+              {conditionLabels[field]}
             </Checkbox>
           )}
         />
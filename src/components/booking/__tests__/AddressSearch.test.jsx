@@ -0,0 +1,103 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { ChakraProvider } from '@chakra-ui/react';
+
+// The suggestions come from useAddressSearch, which has its own tests.
+const search = { results: [], isSearching: false, isError: false };
+const useAddressSearch = jest.fn(() => search);
+
+jest.unstable_mockModule('../../../hooks/useAddressSearch', () => ({ useAddressSearch }));
+const { AddressSearch } = await import('../AddressSearch');
+
+const suggestions = [
+  { label: 'Avenida Constitución 400, Monterrey', calle: 'Avenida Constitución', numero: '400', municipio: 'Monterrey', lat: 25.6695, lng: -100.3099 },
+  { label: 'Avenida Vasconcelos 150, San Pedro', calle: 'Avenida Vasconcelos', numero: '150', municipio: 'San Pedro Garza García', lat: 25.6571, lng: -100.3641 },
+];
+
+const renderSearch = (props = {}) => {
+  const onSelect = jest.fn();
+  render(
+    <ChakraProvider>
+      <AddressSearch label="Pickup" placeholder="Search pickup address" onSelect={onSelect} {...props} />
+    </ChakraProvider>
+  );
+  return { input: screen.getByRole('combobox'), onSelect };
+};
+
+const highlightedOption = () => screen.getAllByRole('option').findIndex((option) => option.getAttribute('aria-selected') === 'true');
+
+describe('AddressSearch', () => {
+  beforeEach(() => {
+    search.results = suggestions;
+    useAddressSearch.mockClear();
+  });
+
+  it('should search what is typed only while the list is open', () => {
+    const { input } = renderSearch();
+    expect(useAddressSearch).toHaveBeenLastCalledWith('');
+
+    fireEvent.change(input, { target: { value: 'Avenida' } });
+    expect(useAddressSearch).toHaveBeenLastCalledWith('Avenida');
+    expect(input.getAttribute('aria-expanded')).toBe('true');
+  });
+
+  it('should move through the suggestions with the arrow keys, wrapping around', () => {
+    const { input } = renderSearch();
+    fireEvent.change(input, { target: { value: 'Avenida' } });
+
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    expect(highlightedOption()).toBe(0);
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    expect(highlightedOption()).toBe(1);
+    expect(input.getAttribute('aria-activedescendant')).toBe(screen.getAllByRole('option')[1].id);
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    expect(highlightedOption()).toBe(0);
+    fireEvent.keyDown(input, { key: 'ArrowUp' });
+    expect(highlightedOption()).toBe(1);
+  });
+
+  it('should pick the highlighted suggestion on Enter', () => {
+    const { input, onSelect } = renderSearch();
+    fireEvent.change(input, { target: { value: 'Avenida' } });
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(onSelect).toHaveBeenCalledWith(suggestions[1]);
+    expect(input.value).toBe(suggestions[1].label);
+    expect(screen.queryByRole('listbox')).toBeNull();
+  });
+
+  it('should pick the first suggestion on Enter when none is highlighted', () => {
+    const { input, onSelect } = renderSearch();
+    fireEvent.change(input, { target: { value: 'Avenida' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(onSelect).toHaveBeenCalledWith(suggestions[0]);
+  });
+
+  it('should close the list on Escape and reopen it with the arrow keys', () => {
+    const { input, onSelect } = renderSearch();
+    fireEvent.change(input, { target: { value: 'Avenida' } });
+    expect(screen.getByRole('listbox')).toBeTruthy();
+
+    fireEvent.keyDown(input, { key: 'Escape' });
+    expect(screen.queryByRole('listbox')).toBeNull();
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(onSelect).not.toHaveBeenCalled();
+
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    expect(screen.getByRole('listbox')).toBeTruthy();
+  });
+
+  it('should say when nothing matches', () => {
+    search.results = [];
+    const { input } = renderSearch();
+    fireEvent.change(input, { target: { value: 'Calle que no existe' } });
+
+    expect(screen.getByText('No addresses found')).toBeTruthy();
+  });
+});
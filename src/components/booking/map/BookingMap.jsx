@@ -0,0 +1,76 @@
+import React, { lazy, Suspense } from 'react';
+import { Box, Spinner, VStack } from '@chakra-ui/react';
+import { useBookingMap } from '../../../hooks/useBookingMap';
+import { AddressSearch } from '../AddressSearch';
+import { StopsEditor } from '../StopsEditor';
+import { RouteLegsLegend } from '../RouteLegsLegend';
+
+export const DEFAULT_MAP_RENDERER = 'leaflet';
+
+// Renderers only draw the state of useBookingMap and report clicks and drags back to
+// it through the same `map` prop; every behavior lives in the hook.
+const renderers = {
+  leaflet: lazy(() => import('./LeafletMapRenderer')),
+  google: lazy(() => import('./GoogleMapRenderer')),
+};
+
+// The map customers pick their route on: pickup, intermediate stops and drop-off,
+// from map clicks, marker drags, the address search or their current location.
+//
+// Props:
+//   renderer            'leaflet' or 'google'; defaults to VITE_MAP_RENDERER, then leaflet
+//   vehicleSize         with pickupDateTime, picks the depot the truck is dispatched from
+//   pickupDateTime
+//   route               draws a booking's stored route instead (see BookingRouteMap)
+//   serviceAreaEditor   draws service areas for admins instead (see hooks/useBookingMap)
+// The search panel and the legend are only shown while the customer picks a route.
+// Events (see hooks/useBookingMap for their arguments):
+//   onPickupAddressChange, onDropOffAddressChange, onStopsChange, onRoutePointsChange,
+//   onLegsChange, and onError when the renderer fails to load.
+export const BookingMap = ({ renderer = import.meta.env.VITE_MAP_RENDERER || DEFAULT_MAP_RENDERER, onError, ...options }) => {
+  const map = useBookingMap(options);
+  const Renderer = renderers[renderer];
+  if (!Renderer) {
+    throw new Error(`Unknown map renderer: ${renderer}`);
+  }
+
+  return (
+    <Box position="absolute" top="0" left="0" height="100%" width="100%" aria-label={map.isEditable ? 'Interactive map for selecting pickup and drop-off locations' : undefined}>
+      <Suspense fallback={<Spinner />}>
+        <Renderer map={map} onError={onError} />
+      </Suspense>
+      {map.isEditable && (
+        <Box position="absolute" top="10px" left="60px" width={{ base: 'calc(100% - 80px)', md: '340px' }} maxHeight="calc(100% - 20px)" overflowY="auto" zIndex={1000} bg="white" p={3} borderRadius="md" boxShadow="md">
+          <VStack spacing={2} align="stretch">
+            <AddressSearch
+              label="Pickup"
+              placeholder="Search pickup address"
+              value={map.pickupLabel}
+              onSelect={(address) => map.selectAddress(address, true)}
+              onUseCurrentLocation={map.locate}
+              isLocating={map.isLocating}
+            />
+            <StopsEditor
+              stops={map.stops}
+              canAddStop={map.canAddStop}
+              onAddStop={map.addStop}
+              onSelectAddress={map.selectStopAddress}
+              onUpdateStop={map.updateStop}
+              onRemoveStop={map.removeStop}
+              onMoveStop={map.moveStop}
+            />
+            <AddressSearch
+              label="Drop-off"
+              placeholder="Search drop-off address"
+              value={map.destinationLabel}
+              onSelect={(address) => map.selectAddress(address, false)}
+            />
+          </VStack>
+        </Box>
+      )}
+      {map.isEditable && map.legs && <RouteLegsLegend legs={map.legs} position="absolute" bottom="20px" left="20px" zIndex={1000} />}
+    </Box>
+  );
+};
+
+export default BookingMap;
@@ -0,0 +1,125 @@
+import React, { useEffect, useState } from 'react';
+import { Box, Spinner } from '@chakra-ui/react';
+import { GoogleMap, useJsApiLoader, Marker, Polyline, Polygon, Circle } from '@react-google-maps/api';
+import { ROUTE_LEGS } from '../../../utils/routeLegs';
+import { DEFAULT_MAP_CENTER, depotLocation } from '../../../utils/depots';
+
+const libraries = ['places'];
+
+const DRAFT_COLOR = '#3182CE';
+
+const toLatLng = ([lat, lng]) => ({ lat, lng });
+const eventPoint = (event) => [event.latLng.lat(), event.latLng.lng()];
+
+// Draws the booking map (hooks/useBookingMap) with the Google Maps JavaScript API.
+// Needs VITE_GOOGLE_MAPS_API_KEY; VITE_GOOGLE_MAPS_ID selects a styled map.
+const GoogleMapRenderer = ({ map, onError }) => {
+  const [googleMap, setGoogleMap] = useState(null);
+  const { isLoaded, loadError } = useJsApiLoader({
+    googleMapsApiKey: import.meta.env.VITE_GOOGLE_MAPS_API_KEY,
+    libraries,
+  });
+
+  useEffect(() => {
+    if (loadError) onError?.(loadError);
+  }, [loadError, onError]);
+
+  useEffect(() => {
+    if (googleMap && map.focusPoint) {
+      googleMap.panTo(toLatLng(map.focusPoint));
+      googleMap.setZoom(Math.max(googleMap.getZoom(), 14));
+    }
+  }, [googleMap, map.focusPoint]);
+
+  useEffect(() => {
+    if (!googleMap || !map.bounds) return;
+    const bounds = new window.google.maps.LatLngBounds();
+    map.bounds.forEach((point) => bounds.extend(toLatLng(point)));
+    googleMap.fitBounds(bounds, 20);
+  }, [googleMap, map.bounds]);
+
+  if (loadError) {
+    return <Box p={4}>Error loading maps</Box>;
+  }
+
+  if (!isLoaded) {
+    return <Box display="flex" justifyContent="center" alignItems="center" height="100%"><Spinner size="xl" /></Box>;
+  }
+
+  return (
+    <GoogleMap
+      mapContainerStyle={{ height: "100%", width: "100%" }}
+      center={toLatLng(DEFAULT_MAP_CENTER)}
+      zoom={10}
+      onClick={(event) => map.selectPoint(eventPoint(event))}
+      onLoad={setGoogleMap}
+      onUnmount={() => setGoogleMap(null)}
+      options={{ mapId: import.meta.env.VITE_GOOGLE_MAPS_ID }}
+    >
+      {map.areas.map((area) => {
+        const color = area.isActive ? '#38A169' : '#A0AEC0';
+        return (
+          <Polygon
+            key={area.id}
+            paths={area.polygon.map(toLatLng)}
+            options={{ strokeColor: color, strokeWeight: 1, fillColor: color, fillOpacity: 0.08, clickable: false }}
+          />
+        );
+      })}
+      {map.draftArea?.length > 2 && (
+        <Polygon paths={map.draftArea.map(toLatLng)} options={{ strokeColor: DRAFT_COLOR, strokeWeight: 2, fillColor: DRAFT_COLOR, fillOpacity: 0.15, clickable: false }} />
+      )}
+      {map.draftArea?.length === 2 && (
+        <Polyline path={map.draftArea.map(toLatLng)} options={{ strokeColor: DRAFT_COLOR, strokeWeight: 2, clickable: false }} />
+      )}
+      {map.draftArea?.map((point, index) => (
+        <Marker
+          key={`${point[0]},${point[1]},${index}`}
+          position={toLatLng(point)}
+          clickable={false}
+          icon={{ path: window.google.maps.SymbolPath.CIRCLE, scale: 4, strokeColor: DRAFT_COLOR, fillColor: DRAFT_COLOR, fillOpacity: 1 }}
+        />
+      ))}
+      {map.userLocation && (
+        <Circle
+          center={toLatLng(map.userLocation.point)}
+          radius={map.userLocation.accuracy}
+          options={{ strokeColor: '#3182CE', strokeWeight: 1, fillColor: '#3182CE', fillOpacity: 0.1, clickable: false }}
+        />
+      )}
+      {map.depots.map((item) => (
+        <Marker
+          key={item.id}
+          position={toLatLng(depotLocation(item))}
+          title={`${item.name}${map.depot?.id === item.id ? ' (dispatching)' : ''}`}
+          opacity={map.depot && map.depot.id !== item.id ? 0.5 : 1}
+        />
+      ))}
+      {map.pickup && (
+        <Marker position={toLatLng(map.pickup)} label="A" title="Pickup Location" draggable={map.isEditable} onDragEnd={(event) => map.placePoint(true, eventPoint(event))} />
+      )}
+      {map.stops.map((stop, index) => stop.point && (
+        <Marker
+          key={stop.id}
+          position={toLatLng(stop.point)}
+          label={String(index + 1)}
+          title={`Stop ${index + 1}${stop.notes ? `: ${stop.notes}` : ''}`}
+          draggable={map.isEditable}
+          onDragEnd={(event) => map.placeStop(stop.id, eventPoint(event))}
+        />
+      ))}
+      {map.destination && (
+        <Marker position={toLatLng(map.destination)} label="B" title="Drop-off Location" draggable={map.isEditable} onDragEnd={(event) => map.placePoint(false, eventPoint(event))} />
+      )}
+      {map.legs && map.legs.map((leg, index) => (
+        <Polyline
+          key={`${leg.key}-${index}`}
+          path={leg.coordinates.map(toLatLng)}
+          options={{ strokeColor: ROUTE_LEGS.find(({ key }) => key === leg.key).color, strokeWeight: 5, strokeOpacity: leg.key === 'loaded' ? 1 : 0.6 }}
+        />
+      ))}
+    </GoogleMap>
+  );
+};
+
+export default GoogleMapRenderer;
@@ -0,0 +1,123 @@
+import React, { useEffect } from 'react';
+import { MapContainer, Marker, Popup, Polygon, Polyline, Circle, CircleMarker, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { ROUTE_LEGS } from '../../../utils/routeLegs';
+import { DEFAULT_MAP_CENTER, depotLocation } from '../../../utils/depots';
+import { ServiceAreaLayer } from '../ServiceAreaLayer';
+import MapTileLayer from '../../MapTileLayer';
+
+import iconRetinaUrl from 'leaflet/dist/images/marker-icon-2x.png';
+import iconUrl from 'leaflet/dist/images/marker-icon.png';
+import shadowUrl from 'leaflet/dist/images/marker-shadow.png';
+
+delete L.Icon.Default.prototype._getIconUrl;
+L.Icon.Default.mergeOptions({
+  iconRetinaUrl,
+  iconUrl,
+  shadowUrl,
+});
+
+// Numbered marker for the intermediate stops, in route order.
+const stopIcon = (number) => L.divIcon({
+  className: '',
+  html: `<div style="width:24px;height:24px;border-radius:50%;background:#805AD5;color:white;border:2px solid white;display:flex;align-items:center;justify-content:center;font:bold 12px sans-serif;box-shadow:0 1px 3px rgba(0,0,0,.4)">${number}</div>`,
+  iconSize: [24, 24],
+  iconAnchor: [12, 12],
+});
+
+const DRAFT_COLOR = '#3182CE';
+
+const draggedPoint = (event) => {
+  const { lat, lng } = event.target.getLatLng();
+  return [lat, lng];
+};
+
+// Pans to an address picked in the search box or to the customer's location.
+const MapFocus = ({ point }) => {
+  const map = useMap();
+  useEffect(() => {
+    if (point) map.flyTo(point, Math.max(map.getZoom(), 14));
+  }, [map, point]);
+  return null;
+};
+
+const MapBounds = ({ bounds }) => {
+  const map = useMap();
+  useEffect(() => {
+    if (bounds) map.fitBounds(bounds, { padding: [20, 20] });
+  }, [map, bounds]);
+  return null;
+};
+
+// The service area an admin is drawing, vertex by vertex.
+const DraftArea = ({ vertices }) => (
+  <>
+    {vertices.length > 2 && <Polygon positions={vertices} pathOptions={{ color: DRAFT_COLOR, weight: 2, fillOpacity: 0.15 }} />}
+    {vertices.length === 2 && <Polyline positions={vertices} pathOptions={{ color: DRAFT_COLOR, weight: 2 }} />}
+    {vertices.map((point, index) => (
+      <CircleMarker key={`${point[0]},${point[1]},${index}`} center={point} radius={4} pathOptions={{ color: DRAFT_COLOR, fillOpacity: 1 }} />
+    ))}
+  </>
+);
+
+const MapClicks = ({ onClick }) => {
+  useMapEvents({
+    click: (event) => onClick([event.latlng.lat, event.latlng.lng]),
+  });
+  return null;
+};
+
+// Draws the booking map (hooks/useBookingMap) with Leaflet and OpenStreetMap tiles.
+const LeafletMapRenderer = ({ map }) => (
+  <MapContainer center={DEFAULT_MAP_CENTER} zoom={10} style={{ height: "100%", width: "100%" }}>
+    <MapTileLayer />
+    <MapClicks onClick={map.selectPoint} />
+    <MapFocus point={map.focusPoint} />
+    <MapBounds bounds={map.bounds} />
+    <ServiceAreaLayer areas={map.areas} />
+    {map.draftArea && <DraftArea vertices={map.draftArea} />}
+    {map.userLocation && (
+      <>
+        <Circle center={map.userLocation.point} radius={map.userLocation.accuracy} pathOptions={{ color: '#3182CE', weight: 1, fillOpacity: 0.1 }} />
+        <CircleMarker center={map.userLocation.point} radius={6} pathOptions={{ color: 'white', weight: 2, fillColor: '#3182CE', fillOpacity: 1 }} />
+      </>
+    )}
+    {map.depots.map((item) => (
+      <Marker key={item.id} position={depotLocation(item)} opacity={map.depot && map.depot.id !== item.id ? 0.5 : 1}>
+        <Popup>{item.name}{map.depot?.id === item.id ? ' (dispatching)' : ''}</Popup>
+      </Marker>
+    ))}
+    {map.pickup && (
+      <Marker position={map.pickup} draggable={map.isEditable} eventHandlers={{ dragend: (event) => map.placePoint(true, draggedPoint(event)) }}>
+        <Popup>Pickup Location</Popup>
+      </Marker>
+    )}
+    {map.stops.map((stop, index) => stop.point && (
+      <Marker
+        key={stop.id}
+        position={stop.point}
+        icon={stopIcon(index + 1)}
+        draggable={map.isEditable}
+        eventHandlers={{ dragend: (event) => map.placeStop(stop.id, draggedPoint(event)) }}
+      >
+        <Popup>Stop {index + 1}{stop.notes ? `: ${stop.notes}` : ''}</Popup>
+      </Marker>
+    ))}
+    {map.destination && (
+      <Marker position={map.destination} draggable={map.isEditable} eventHandlers={{ dragend: (event) => map.placePoint(false, draggedPoint(event)) }}>
+        <Popup>Drop-off Location</Popup>
+      </Marker>
+    )}
+    {map.legs && map.legs.map((leg, index) => (
+      <Polyline
+        key={`${leg.key}-${index}`}
+        positions={leg.coordinates}
+        color={ROUTE_LEGS.find(({ key }) => key === leg.key).color}
+        dashArray={leg.key === 'loaded' ? undefined : '8 8'}
+      />
+    ))}
+  </MapContainer>
+);
+
+export default LeafletMapRenderer;
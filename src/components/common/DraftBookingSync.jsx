@@ -0,0 +1,26 @@
+import React, { lazy, Suspense } from 'react';
+import { useDraftBookingQueue } from '../../hooks/useDraftBookingQueue';
+
+const DraftBookingConfirmation = lazy(() => import('../booking/DraftBookingConfirmation'));
+
+// Quotes the bookings saved without signal once the connection returns, whichever
+// page the customer is on by then, and asks the customer to confirm each new price.
+const DraftBookingSync = () => {
+    const { pendingDrafts, confirmDraft, discardDraft, requoteDrafts } = useDraftBookingQueue();
+    if (pendingDrafts.length === 0) return null;
+
+    const [pending] = pendingDrafts;
+    return (
+        <Suspense fallback={null}>
+            <DraftBookingConfirmation
+                key={pending.draft.id}
+                pending={pending}
+                onConfirm={confirmDraft}
+                onDiscard={discardDraft}
+                onRequote={requoteDrafts}
+            />
+        </Suspense>
+    );
+};
+
+export default DraftBookingSync;
@@ -52,6 +52,7 @@ const Navbar = () => {
             <NavLink to="/about">About</NavLink>
             <NavLink to="/contact">Contact</NavLink>
             <NavLink to="/booking">Book Now</NavLink>
+            {session && <NavLink to="/my-bookings">My Bookings</NavLink>}
           </Box>
         </Flex>
 
@@ -77,6 +78,7 @@ const Navbar = () => {
           <NavLink to="/about">About</NavLink>
           <NavLink to="/contact">Contact</NavLink>
           <NavLink to="/booking">Book Now</NavLink>
+          {session && <NavLink to="/my-bookings">My Bookings</NavLink>}
           {(userRole === 'admin' || userRole === 'super_admin') && (
             <NavLink to="/admin">Admin Panel</NavLink>
           )}
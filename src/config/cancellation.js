@@ -0,0 +1,7 @@
+import { cancellationPolicyFromEnv } from '../utils/cancellationPolicy';
+
+// The server reads the same variables, so the terms shown match the ones applied.
+export const cancellationPolicy = cancellationPolicyFromEnv({
+  feePercent: import.meta.env.VITE_CANCELLATION_FEE_PERCENT,
+  dispatchLeadMinutes: import.meta.env.VITE_CANCELLATION_DISPATCH_LEAD_MINUTES,
+});
@@ -0,0 +1,8 @@
+import { DEFAULT_TILE_URL, DEFAULT_TILE_ATTRIBUTION } from '../utils/tiles';
+
+export const mapTileUrl = import.meta.env.VITE_MAP_TILE_URL || DEFAULT_TILE_URL;
+export const mapTileAttribution = import.meta.env.VITE_MAP_TILE_ATTRIBUTION || DEFAULT_TILE_ATTRIBUTION;
+
+// Prefetching the whole service region is bulk downloading, which the public
+// OpenStreetMap tile servers forbid; only enable it for a tile server that allows it.
+export const canPrefetchTiles = import.meta.env.VITE_MAP_TILE_PREFETCH === 'true' && Boolean(import.meta.env.VITE_MAP_TILE_URL);
@@ -0,0 +1,21 @@
+-- Removes the baseline schema and every row in it. Only meant for local databases.
+
+DROP POLICY IF EXISTS "Anyone can upload an avatar." ON storage.objects;
+DROP POLICY IF EXISTS "Avatar images are publicly accessible." ON storage.objects;
+DELETE FROM storage.buckets WHERE id = 'avatars';
+
+DROP TABLE IF EXISTS public.password_failed_verification_attempts CASCADE;
+DROP TABLE IF EXISTS public.smtp_settings CASCADE;
+DROP TABLE IF EXISTS public.bookings CASCADE;
+DROP TABLE IF EXISTS public.services CASCADE;
+DROP TABLE IF EXISTS public.profiles CASCADE;
+DROP TABLE IF EXISTS public.users CASCADE;
+
+DROP FUNCTION IF EXISTS public.hook_password_verification_attempt(JSONB);
+DROP FUNCTION IF EXISTS update_updated_at();
+
+DROP TYPE IF EXISTS tow_truck_type;
+DROP TYPE IF EXISTS vehicle_size;
+DROP TYPE IF EXISTS payment_status;
+DROP TYPE IF EXISTS booking_status;
+DROP TYPE IF EXISTS user_role;
@@ -1,20 +1,20 @@
+-- 0001: baseline schema.
+--
+-- The schema setup.sql created before migrations replaced it, minus its DROP TABLE
+-- statements and sample data. Every statement is skipped or replaced where the object
+-- already exists, so a database set up with setup.sql is adopted as it is and the
+-- migrations after this one bring it up to date. Seed data lives in ../seeds.
+
 -- Enable necessary extensions
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 CREATE EXTENSION IF NOT EXISTS "pgcrypto";
 
--- ENUM types
-CREATE TYPE user_role AS ENUM('user', 'admin', 'super_admin');
-CREATE TYPE booking_status AS ENUM('pending', 'confirmed', 'in_progress', 'completed', 'cancelled');
-CREATE TYPE payment_status AS ENUM('pending', 'paid', 'failed', 'refunded');
-CREATE TYPE vehicle_size AS ENUM('small', 'medium', 'large');
-CREATE TYPE tow_truck_type AS ENUM('flatbed', 'wheel_lift', 'integrated', 'heavy_duty');
-
--- Drop existing tables and their dependencies
-DROP TABLE IF EXISTS public.bookings CASCADE;
-DROP TABLE IF EXISTS public.profiles CASCADE;
-DROP TABLE IF EXISTS public.services CASCADE;
-DROP TABLE IF EXISTS public.smtp_settings CASCADE;
-DROP TABLE IF EXISTS public.users CASCADE;
+-- ENUM types (skipped where they already exist)
+DO $$ BEGIN CREATE TYPE user_role AS ENUM('user', 'admin', 'super_admin'); EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+DO $$ BEGIN CREATE TYPE booking_status AS ENUM('pending', 'confirmed', 'in_progress', 'completed', 'cancelled'); EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+DO $$ BEGIN CREATE TYPE payment_status AS ENUM('pending', 'paid', 'failed', 'refunded'); EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+DO $$ BEGIN CREATE TYPE vehicle_size AS ENUM('small', 'medium', 'large'); EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+DO $$ BEGIN CREATE TYPE tow_truck_type AS ENUM('flatbed', 'wheel_lift', 'integrated', 'heavy_duty'); EXCEPTION WHEN duplicate_object THEN NULL; END $$;
 
 -- Create tables
 CREATE TABLE IF NOT EXISTS public.users (
@@ -46,7 +46,8 @@ COMMENT ON TABLE public.profiles IS 'Stores additional user profile information'
 COMMENT ON COLUMN public.profiles.user_id IS 'Reference to the user account';
 COMMENT ON COLUMN public.profiles.phone_number IS 'User''s contact phone number';
 
--- Create services table
+-- Create services table. setup.sql also declared services_*_check constraints by
+-- name; those are the names the column CHECKs below already get.
 CREATE TABLE IF NOT EXISTS public.services (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   name TEXT NOT NULL,
@@ -56,10 +57,7 @@ CREATE TABLE IF NOT EXISTS public.services (
   maneuver_charge NUMERIC(10, 2) NOT NULL CHECK (maneuver_charge >= 0),
   tow_truck_type public.tow_truck_type NOT NULL,
   created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
-  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
-  CONSTRAINT services_base_price_check CHECK (base_price >= 0),
-  CONSTRAINT services_maneuver_charge_check CHECK (maneuver_charge >= 0),
-  CONSTRAINT services_price_per_km_check CHECK (price_per_km >= 0)
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
 );
 
 COMMENT ON TABLE public.services IS 'Stores information about available towing services';
@@ -103,17 +101,6 @@ CREATE TABLE IF NOT EXISTS public.smtp_settings (
 COMMENT ON TABLE public.smtp_settings IS 'Stores SMTP settings for email notifications';
 COMMENT ON COLUMN public.smtp_settings.user_id IS 'Reference to the user who owns these SMTP settings';
 
--- Create public profiles table
-CREATE TABLE IF NOT EXISTS public.profiles (
-  id UUID PRIMARY KEY REFERENCES auth.users ON DELETE CASCADE,
-  updated_at TIMESTAMPTZ,
-  username TEXT UNIQUE,
-  full_name TEXT,
-  avatar_url TEXT,
-  website TEXT,
-  CONSTRAINT username_length CHECK (char_length(username) >= 3)
-);
-
 -- Create password failed verification attempts table
 CREATE TABLE IF NOT EXISTS public.password_failed_verification_attempts (
   user_id UUID NOT NULL PRIMARY KEY,
@@ -136,38 +123,22 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
 
-CREATE TRIGGER update_users_timestamp
+CREATE OR REPLACE TRIGGER update_users_timestamp
 BEFORE UPDATE ON public.users
 FOR EACH ROW EXECUTE FUNCTION update_updated_at();
 
-CREATE TRIGGER update_profiles_timestamp
+CREATE OR REPLACE TRIGGER update_profiles_timestamp
 BEFORE UPDATE ON public.profiles
 FOR EACH ROW EXECUTE FUNCTION update_updated_at();
 
-CREATE TRIGGER update_services_timestamp
+CREATE OR REPLACE TRIGGER update_services_timestamp
 BEFORE UPDATE ON public.services
 FOR EACH ROW EXECUTE FUNCTION update_updated_at();
 
-CREATE TRIGGER update_bookings_timestamp
+CREATE OR REPLACE TRIGGER update_bookings_timestamp
 BEFORE UPDATE ON public.bookings
 FOR EACH ROW EXECUTE FUNCTION update_updated_at();
 
--- Create handle_new_user function
-CREATE OR REPLACE FUNCTION public.handle_new_user()
-RETURNS TRIGGER AS $$
-BEGIN
-  INSERT INTO public.profiles (id, full_name, avatar_url)
-  VALUES (NEW.id, NEW.raw_user_meta_data->>'full_name', NEW.raw_user_meta_data->>'avatar_url');
-  RETURN NEW;
-END;
-$$ LANGUAGE plpgsql SECURITY DEFINER;
-
--- Create on_auth_user_created trigger
-CREATE TRIGGER on_auth_user_created
-  AFTER INSERT ON auth.users
-  FOR EACH ROW
-  EXECUTE PROCEDURE public.handle_new_user();
-
 -- Create hook_password_verification_attempt function
 CREATE OR REPLACE FUNCTION public.hook_password_verification_attempt(event JSONB)
 RETURNS JSONB AS $$
@@ -203,24 +174,23 @@ END;
 $$ LANGUAGE plpgsql;
 
 -- Set up Storage
-INSERT INTO storage.buckets (id, name) VALUES ('avatars', 'avatars');
-
--- Policies
-ALTER TABLE public.profiles ENABLE ROW LEVEL SECURITY;
+INSERT INTO storage.buckets (id, name) VALUES ('avatars', 'avatars') ON CONFLICT (id) DO NOTHING;
 
-CREATE POLICY "Public profiles are viewable by everyone." ON public.profiles
-  FOR SELECT USING (true);
-
-CREATE POLICY "Users can insert their own profile." ON public.profiles
-  FOR INSERT WITH CHECK (auth.uid() = id);
-
-CREATE POLICY "Users can update own profile." ON public.profiles
-  FOR UPDATE USING (auth.uid() = id);
+-- Profiles are keyed by user_id (see the table above). setup.sql also declared
+-- Supabase's template profiles table, keyed by the auth user id, with a signup
+-- trigger and policies for it; they conflict with this shape and are removed.
+DROP TRIGGER IF EXISTS on_auth_user_created ON auth.users;
+DROP FUNCTION IF EXISTS public.handle_new_user();
+DROP POLICY IF EXISTS "Public profiles are viewable by everyone." ON public.profiles;
+DROP POLICY IF EXISTS "Users can insert their own profile." ON public.profiles;
+DROP POLICY IF EXISTS "Users can update own profile." ON public.profiles;
 
 -- Set up access controls for storage
+DROP POLICY IF EXISTS "Avatar images are publicly accessible." ON storage.objects;
 CREATE POLICY "Avatar images are publicly accessible." ON storage.objects
   FOR SELECT USING (bucket_id = 'avatars');
 
+DROP POLICY IF EXISTS "Anyone can upload an avatar." ON storage.objects;
 CREATE POLICY "Anyone can upload an avatar." ON storage.objects
   FOR INSERT WITH CHECK (bucket_id = 'avatars');
 
@@ -230,24 +200,3 @@ GRANT ALL ON TABLE public.password_failed_verification_attempts TO supabase_auth
 REVOKE EXECUTE ON FUNCTION public.hook_password_verification_attempt FROM authenticated, anon, public;
 REVOKE ALL ON TABLE public.password_failed_verification_attempts FROM authenticated, anon, public;
 GRANT USAGE ON SCHEMA public TO supabase_auth_admin;
-
--- Sample data insertions (optional, can be removed for production)
-INSERT INTO public.users (email, encrypted_password, role) VALUES
-('admin@example.com', crypt('admin_password', gen_salt('bf')), 'admin'),
-('user@example.com', crypt('user_password', gen_salt('bf')), 'user');
-
-INSERT INTO public.services (name, description, base_price, price_per_km, maneuver_charge, tow_truck_type)
-VALUES
-('Standard Towing', 'For small to medium vehicles', 50.00, 2.00, 25.00, 'wheel_lift'),
-('Flatbed Towing', 'For luxury or damaged vehicles', 75.00, 2.50, 35.00, 'flatbed'),
-('Heavy Duty Towing', 'For large vehicles and trucks', 100.00, 3.00, 50.00, 'heavy_duty');
-
--- Sample booking
-INSERT INTO public.bookings (user_id, service_id, status, payment_status, pickup_location, dropoff_location, vehicle_details, distance, total_cost, pickup_datetime)
-VALUES (
-  (SELECT id FROM public.users WHERE email = 'user@example.com'),
-  (SELECT id FROM public.services WHERE name = 'Standard Towing'),
-  'pending', 'pending', '123 Main St', '456 Elm St', 
-  '{"brand": "Toyota", "model": "Corolla", "year": 2020, "color": "Silver", "license_plate": "ABC123", "size": "medium"}'::jsonb,
-  15.5, 81.00, NOW() + INTERVAL '2 hours'
-);
@@ -0,0 +1,11 @@
+DROP TABLE IF EXISTS public.holidays CASCADE;
+DROP TABLE IF EXISTS public.surcharge_rules CASCADE;
+
+ALTER TABLE public.bookings
+  DROP COLUMN IF EXISTS price_breakdown,
+  DROP COLUMN IF EXISTS quote_id;
+
+ALTER TABLE public.services
+  DROP COLUMN IF EXISTS is_active;
+
+DROP TYPE IF EXISTS surcharge_kind;
@@ -0,0 +1,48 @@
+-- 0002: server-signed quotes. Bookings keep the quote their total was taken from and
+-- its itemized breakdown, and admins manage time-based surcharges and holidays.
+
+DO $$ BEGIN CREATE TYPE surcharge_kind AS ENUM('percentage', 'flat'); EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+
+ALTER TABLE public.services
+  ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true;
+
+COMMENT ON COLUMN public.services.is_active IS 'Only active services are used to price quotes';
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS quote_id UUID,
+  ADD COLUMN IF NOT EXISTS price_breakdown JSONB;
+
+COMMENT ON COLUMN public.bookings.price_breakdown IS 'Itemized quote (base, distance, deadhead, return, maneuver, handling, surcharges, discounts, taxes) the total was computed from';
+COMMENT ON COLUMN public.bookings.quote_id IS 'ID of the server-signed quote the total cost was taken from';
+
+CREATE TABLE IF NOT EXISTS public.surcharge_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  kind surcharge_kind NOT NULL,
+  amount NUMERIC(10, 2) NOT NULL CHECK (amount >= 0),
+  start_hour SMALLINT CHECK (start_hour BETWEEN 0 AND 23),
+  end_hour SMALLINT CHECK (end_hour BETWEEN 0 AND 24),
+  weekdays SMALLINT[],
+  holidays_only BOOLEAN NOT NULL DEFAULT false,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.surcharge_rules IS 'Time-based surcharges applied to quotes, evaluated in the company timezone (America/Monterrey)';
+COMMENT ON COLUMN public.surcharge_rules.amount IS 'Percentage of the subtotal or flat amount, depending on kind';
+COMMENT ON COLUMN public.surcharge_rules.start_hour IS 'Start of the hour range (inclusive); ranges may wrap past midnight';
+COMMENT ON COLUMN public.surcharge_rules.end_hour IS 'End of the hour range (exclusive)';
+COMMENT ON COLUMN public.surcharge_rules.weekdays IS 'Days the rule applies on, 0 = Sunday; NULL means every day';
+COMMENT ON COLUMN public.surcharge_rules.holidays_only IS 'Only apply on dates listed in public.holidays';
+
+CREATE TABLE IF NOT EXISTS public.holidays (
+  date DATE PRIMARY KEY,
+  name TEXT NOT NULL
+);
+
+COMMENT ON TABLE public.holidays IS 'Holiday calendar used by holiday surcharges';
+
+CREATE OR REPLACE TRIGGER update_surcharge_rules_timestamp
+BEFORE UPDATE ON public.surcharge_rules
+FOR EACH ROW EXECUTE FUNCTION update_updated_at();
@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS public.invoices CASCADE;
+
+ALTER TABLE public.bookings
+  DROP COLUMN IF EXISTS fiscal_data,
+  DROP COLUMN IF EXISTS payment_intent_id;
+
+DROP TYPE IF EXISTS invoice_status;
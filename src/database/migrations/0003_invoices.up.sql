@@ -0,0 +1,42 @@
+-- 0003: CFDI invoices. Bookings keep the Stripe payment and the customer's fiscal data,
+-- and each invoice issued for a paid booking is stored with its stamped XML.
+
+DO $$ BEGIN CREATE TYPE invoice_status AS ENUM('pending', 'stamped', 'cancelled'); EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS payment_intent_id TEXT,
+  ADD COLUMN IF NOT EXISTS fiscal_data JSONB;
+
+COMMENT ON COLUMN public.bookings.payment_intent_id IS 'Stripe PaymentIntent that paid for the booking';
+COMMENT ON COLUMN public.bookings.fiscal_data IS 'Customer fiscal data (RFC, name, regime, CFDI use, postal code) when an invoice was requested';
+
+CREATE TABLE IF NOT EXISTS public.invoices (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  folio BIGSERIAL UNIQUE,
+  booking_id UUID NOT NULL REFERENCES public.bookings(id) ON DELETE CASCADE,
+  status invoice_status NOT NULL DEFAULT 'pending',
+  receptor_rfc TEXT NOT NULL,
+  currency TEXT NOT NULL DEFAULT 'MXN',
+  subtotal NUMERIC(10, 2) NOT NULL,
+  tax_total NUMERIC(10, 2) NOT NULL,
+  total NUMERIC(10, 2) NOT NULL,
+  xml TEXT,
+  stamped_xml TEXT,
+  cfdi_uuid UUID UNIQUE,
+  pac_provider TEXT,
+  stamped_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.invoices IS 'CFDI 4.0 invoices issued for paid bookings';
+COMMENT ON COLUMN public.invoices.folio IS 'Sequential invoice number used as the CFDI Folio';
+COMMENT ON COLUMN public.invoices.xml IS 'Unsigned CFDI XML sent to the PAC';
+COMMENT ON COLUMN public.invoices.stamped_xml IS 'CFDI XML including the TimbreFiscalDigital returned by the PAC';
+COMMENT ON COLUMN public.invoices.cfdi_uuid IS 'Fiscal folio (UUID) assigned by the PAC';
+
+CREATE INDEX IF NOT EXISTS idx_invoices_booking_id ON public.invoices(booking_id);
+
+CREATE OR REPLACE TRIGGER update_invoices_timestamp
+BEFORE UPDATE ON public.invoices
+FOR EACH ROW EXECUTE FUNCTION update_updated_at();
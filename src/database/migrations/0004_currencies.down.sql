@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS public.exchange_rates CASCADE;
+
+ALTER TABLE public.bookings
+  DROP COLUMN IF EXISTS currency;
+
+ALTER TABLE public.services
+  DROP COLUMN IF EXISTS currency;
@@ -0,0 +1,33 @@
+-- 0004: quoting in more than one currency. Services and bookings record the currency
+-- of their prices, and admins maintain the exchange rates used to convert them.
+
+ALTER TABLE public.services
+  ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'MXN' CHECK (currency IN ('MXN', 'USD'));
+
+COMMENT ON COLUMN public.services.currency IS 'Currency the prices of this service are expressed in';
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'MXN' CHECK (currency IN ('MXN', 'USD'));
+
+COMMENT ON COLUMN public.bookings.currency IS 'Currency the booking was quoted and charged in';
+
+CREATE TABLE IF NOT EXISTS public.exchange_rates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  base_currency TEXT NOT NULL CHECK (base_currency IN ('MXN', 'USD')),
+  quote_currency TEXT NOT NULL CHECK (quote_currency IN ('MXN', 'USD')),
+  rate NUMERIC(12, 6) NOT NULL CHECK (rate > 0),
+  effective_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT exchange_rates_distinct_currencies CHECK (base_currency <> quote_currency)
+);
+
+COMMENT ON TABLE public.exchange_rates IS 'Exchange rates maintained by admins to quote in currencies other than the tariff currency';
+COMMENT ON COLUMN public.exchange_rates.rate IS 'Units of quote_currency per one unit of base_currency';
+COMMENT ON COLUMN public.exchange_rates.effective_at IS 'The latest rate already in effect is used for new quotes';
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_pair ON public.exchange_rates(base_currency, quote_currency, effective_at DESC);
+
+CREATE OR REPLACE TRIGGER update_exchange_rates_timestamp
+BEFORE UPDATE ON public.exchange_rates
+FOR EACH ROW EXECUTE FUNCTION update_updated_at();
@@ -0,0 +1,10 @@
+DROP TABLE IF EXISTS public.promotion_redemptions CASCADE;
+DROP TABLE IF EXISTS public.promotions CASCADE;
+DROP TABLE IF EXISTS public.corporate_agreements CASCADE;
+
+ALTER TABLE public.users
+  DROP COLUMN IF EXISTS corporate_account_id;
+
+DROP TABLE IF EXISTS public.corporate_accounts CASCADE;
+
+DROP TYPE IF EXISTS discount_kind;
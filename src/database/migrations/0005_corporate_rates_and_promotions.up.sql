@@ -0,0 +1,87 @@
+-- 0005: corporate rates and promo codes. Users may belong to a corporate account whose
+-- agreements override the tariff, and promo codes add a discount line to quotes.
+
+DO $$ BEGIN CREATE TYPE discount_kind AS ENUM('percentage', 'fixed'); EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+
+CREATE TABLE IF NOT EXISTS public.corporate_accounts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  rfc TEXT,
+  contact_email TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.corporate_accounts IS 'Fleet customers and insurers with negotiated rates';
+
+ALTER TABLE public.users
+  ADD COLUMN IF NOT EXISTS corporate_account_id UUID REFERENCES public.corporate_accounts(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN public.users.corporate_account_id IS 'Corporate account whose agreements price this user''s quotes';
+
+CREATE TABLE IF NOT EXISTS public.corporate_agreements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  corporate_account_id UUID NOT NULL REFERENCES public.corporate_accounts(id) ON DELETE CASCADE,
+  tow_truck_type public.tow_truck_type NOT NULL,
+  base_price NUMERIC(10, 2) CHECK (base_price >= 0),
+  price_per_km NUMERIC(10, 2) CHECK (price_per_km >= 0),
+  valid_from TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.corporate_agreements IS 'Negotiated rates that override the services tariff for a corporate account';
+COMMENT ON COLUMN public.corporate_agreements.base_price IS 'Overrides services.base_price; NULL keeps the published price';
+COMMENT ON COLUMN public.corporate_agreements.price_per_km IS 'Overrides services.price_per_km; NULL keeps the published price';
+
+CREATE TABLE IF NOT EXISTS public.promotions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code TEXT NOT NULL UNIQUE CHECK (code = upper(code)),
+  description TEXT,
+  kind discount_kind NOT NULL,
+  amount NUMERIC(10, 2) NOT NULL CHECK (amount > 0),
+  currency TEXT NOT NULL DEFAULT 'MXN' CHECK (currency IN ('MXN', 'USD')),
+  max_uses INTEGER CHECK (max_uses > 0),
+  max_uses_per_customer INTEGER CHECK (max_uses_per_customer > 0),
+  allowed_user_ids UUID[],
+  valid_from TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT promotions_percentage_check CHECK (kind <> 'percentage' OR amount <= 100)
+);
+
+COMMENT ON TABLE public.promotions IS 'Promo codes applied as a discount line at quote time';
+COMMENT ON COLUMN public.promotions.amount IS 'Percentage of the subtotal or fixed amount in currency, depending on kind';
+COMMENT ON COLUMN public.promotions.max_uses IS 'Total redemptions allowed; NULL means unlimited';
+COMMENT ON COLUMN public.promotions.max_uses_per_customer IS 'Redemptions allowed per customer; NULL means unlimited';
+COMMENT ON COLUMN public.promotions.allowed_user_ids IS 'Customers allowed to use the code; NULL means everyone';
+
+CREATE TABLE IF NOT EXISTS public.promotion_redemptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  promotion_id UUID NOT NULL REFERENCES public.promotions(id) ON DELETE CASCADE,
+  booking_id UUID NOT NULL UNIQUE REFERENCES public.bookings(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.promotion_redemptions IS 'One row per booking that used a promo code; counted against usage limits';
+
+CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_promotion_id ON public.promotion_redemptions(promotion_id, user_id);
+CREATE INDEX IF NOT EXISTS idx_corporate_agreements_account_id ON public.corporate_agreements(corporate_account_id);
+
+CREATE OR REPLACE TRIGGER update_corporate_accounts_timestamp
+BEFORE UPDATE ON public.corporate_accounts
+FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+CREATE OR REPLACE TRIGGER update_corporate_agreements_timestamp
+BEFORE UPDATE ON public.corporate_agreements
+FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+CREATE OR REPLACE TRIGGER update_promotions_timestamp
+BEFORE UPDATE ON public.promotions
+FOR EACH ROW EXECUTE FUNCTION update_updated_at();
@@ -0,0 +1,11 @@
+ALTER TABLE public.bookings
+  DROP COLUMN IF EXISTS towing_requirements,
+  DROP COLUMN IF EXISTS vehicle_catalog_id;
+
+COMMENT ON COLUMN public.bookings.vehicle_details IS 'JSON object containing vehicle information';
+
+DROP TABLE IF EXISTS public.eligibility_rules CASCADE;
+DROP TABLE IF EXISTS public.vehicle_catalog CASCADE;
+
+DROP TYPE IF EXISTS tow_equipment;
+DROP TYPE IF EXISTS drivetrain;
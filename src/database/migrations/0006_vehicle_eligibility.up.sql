@@ -0,0 +1,65 @@
+-- 0006: picking the tow truck. Bookings reference the vehicle catalog and keep the
+-- requirements the eligibility rules produced for the vehicle and its condition.
+
+DO $$ BEGIN CREATE TYPE drivetrain AS ENUM('fwd', 'rwd', 'awd', '4wd'); EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+DO $$ BEGIN CREATE TYPE tow_equipment AS ENUM('dollies', 'winch', 'skates'); EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+
+CREATE TABLE IF NOT EXISTS public.vehicle_catalog (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  brand TEXT NOT NULL,
+  model TEXT NOT NULL,
+  year_from SMALLINT NOT NULL,
+  year_to SMALLINT,
+  curb_weight_kg INTEGER NOT NULL CHECK (curb_weight_kg > 0),
+  drivetrain drivetrain NOT NULL,
+  is_electric BOOLEAN NOT NULL DEFAULT false,
+  size_class vehicle_size,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT vehicle_catalog_year_range CHECK (year_to IS NULL OR year_to >= year_from),
+  CONSTRAINT vehicle_catalog_generation UNIQUE (brand, model, year_from)
+);
+
+COMMENT ON TABLE public.vehicle_catalog IS 'Vehicle models by brand and year range, used to pick the tow truck';
+COMMENT ON COLUMN public.vehicle_catalog.year_to IS 'Last model year of the generation; NULL while still in production';
+COMMENT ON COLUMN public.vehicle_catalog.drivetrain IS 'AWD and 4WD vehicles must be carried on a flatbed';
+COMMENT ON COLUMN public.vehicle_catalog.size_class IS 'Size class used for pricing; NULL derives it from curb_weight_kg';
+
+CREATE TABLE IF NOT EXISTS public.eligibility_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  message TEXT NOT NULL,
+  conditions JSONB NOT NULL DEFAULT '{}',
+  allowed_truck_types TEXT[],
+  required_equipment tow_equipment[] NOT NULL DEFAULT '{}',
+  charge_amount NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (charge_amount >= 0),
+  priority INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.eligibility_rules IS 'Rules that decide which truck types may tow a vehicle, the equipment needed and extra charges';
+COMMENT ON COLUMN public.eligibility_rules.message IS 'Explanation shown to the customer when the rule applies';
+COMMENT ON COLUMN public.eligibility_rules.conditions IS 'Fact name to expected value: a value, a list of values or a {"min", "max"} range; all must match';
+COMMENT ON COLUMN public.eligibility_rules.allowed_truck_types IS 'Truck classes (A, C, D) still allowed when the rule applies; NULL keeps the current set';
+COMMENT ON COLUMN public.eligibility_rules.charge_amount IS 'Flat charge in MXN added to the quote when the rule applies';
+COMMENT ON COLUMN public.eligibility_rules.priority IS 'Rules are applied and explained in ascending priority';
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS vehicle_catalog_id UUID REFERENCES public.vehicle_catalog(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS towing_requirements JSONB;
+
+COMMENT ON COLUMN public.bookings.vehicle_details IS 'Vehicle and its condition: brand, model, color, license_plate, size, in_neutral, engine_starts, wheels_turn, position, requires_maneuver';
+COMMENT ON COLUMN public.bookings.vehicle_catalog_id IS 'Catalog entry the tow truck was selected from';
+COMMENT ON COLUMN public.bookings.towing_requirements IS 'Allowed truck types, equipment and explanations from the eligibility rules';
+
+CREATE INDEX IF NOT EXISTS idx_vehicle_catalog_brand_model ON public.vehicle_catalog(lower(brand), lower(model));
+
+CREATE OR REPLACE TRIGGER update_vehicle_catalog_timestamp
+BEFORE UPDATE ON public.vehicle_catalog
+FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+CREATE OR REPLACE TRIGGER update_eligibility_rules_timestamp
+BEFORE UPDATE ON public.eligibility_rules
+FOR EACH ROW EXECUTE FUNCTION update_updated_at();
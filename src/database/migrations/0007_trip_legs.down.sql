@@ -0,0 +1,9 @@
+ALTER TABLE public.bookings
+  DROP COLUMN IF EXISTS return_distance,
+  DROP COLUMN IF EXISTS deadhead_distance;
+
+ALTER TABLE public.services
+  DROP COLUMN IF EXISTS return_price_per_km,
+  DROP COLUMN IF EXISTS deadhead_price_per_km;
+
+COMMENT ON COLUMN public.services.price_per_km IS 'Additional charge per kilometer';
@@ -0,0 +1,18 @@
+-- 0007: pricing the whole trip. Services may charge the legs from the depot to the
+-- pickup and back from the destination at their own rates, and bookings keep the
+-- distance of each leg.
+
+ALTER TABLE public.services
+  ADD COLUMN IF NOT EXISTS deadhead_price_per_km NUMERIC(10, 2) CHECK (deadhead_price_per_km >= 0),
+  ADD COLUMN IF NOT EXISTS return_price_per_km NUMERIC(10, 2) CHECK (return_price_per_km >= 0);
+
+COMMENT ON COLUMN public.services.price_per_km IS 'Charge per kilometer of the loaded tow, from pickup to destination';
+COMMENT ON COLUMN public.services.deadhead_price_per_km IS 'Charge per kilometer from the depot to the pickup; NULL uses price_per_km';
+COMMENT ON COLUMN public.services.return_price_per_km IS 'Charge per kilometer from the destination back to the depot; NULL uses price_per_km';
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS deadhead_distance NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (deadhead_distance >= 0),
+  ADD COLUMN IF NOT EXISTS return_distance NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (return_distance >= 0);
+
+COMMENT ON COLUMN public.bookings.deadhead_distance IS 'Distance in km from the depot to the pickup';
+COMMENT ON COLUMN public.bookings.return_distance IS 'Distance in km from the destination back to the depot';
@@ -0,0 +1,9 @@
+ALTER TABLE public.surcharge_rules
+  DROP COLUMN IF EXISTS out_of_coverage_only;
+
+ALTER TABLE public.bookings
+  DROP COLUMN IF EXISTS requires_manual_quote,
+  DROP COLUMN IF EXISTS depot_id;
+
+DROP TABLE IF EXISTS public.service_areas CASCADE;
+DROP TABLE IF EXISTS public.depots CASCADE;
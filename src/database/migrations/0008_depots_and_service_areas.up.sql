@@ -0,0 +1,62 @@
+-- 0008: depots and service areas. Quotes route from the nearest eligible open depot,
+-- pickups outside every service area need a manual quote, and surcharges may apply only
+-- to long-distance trips.
+
+CREATE TABLE IF NOT EXISTS public.depots (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  address TEXT,
+  latitude DOUBLE PRECISION NOT NULL CHECK (latitude BETWEEN -90 AND 90),
+  longitude DOUBLE PRECISION NOT NULL CHECK (longitude BETWEEN -180 AND 180),
+  service_radius_km NUMERIC(8, 2) CHECK (service_radius_km > 0),
+  truck_types TEXT[] NOT NULL DEFAULT '{A,C,D}',
+  open_hour SMALLINT CHECK (open_hour BETWEEN 0 AND 23),
+  close_hour SMALLINT CHECK (close_hour BETWEEN 0 AND 24),
+  weekdays SMALLINT[],
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.depots IS 'Yards trucks are dispatched from; quotes route from the nearest eligible open depot';
+COMMENT ON COLUMN public.depots.service_radius_km IS 'Straight-line distance to the pickup the depot covers; NULL means no limit';
+COMMENT ON COLUMN public.depots.truck_types IS 'Truck classes (A, C, D) stationed at the depot';
+COMMENT ON COLUMN public.depots.open_hour IS 'Opening hour in the company timezone (inclusive); NULL with close_hour means open 24 hours';
+COMMENT ON COLUMN public.depots.close_hour IS 'Closing hour (exclusive); ranges may wrap past midnight';
+COMMENT ON COLUMN public.depots.weekdays IS 'Days the depot operates, 0 = Sunday; NULL means every day';
+
+CREATE TABLE IF NOT EXISTS public.service_areas (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  depot_id UUID NOT NULL REFERENCES public.depots(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  polygon JSONB NOT NULL CHECK (jsonb_typeof(polygon) = 'array' AND jsonb_array_length(polygon) >= 3),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.service_areas IS 'Areas a depot serves; pickups outside every area are rejected or need a manual quote and destinations outside them are long-distance';
+COMMENT ON COLUMN public.service_areas.polygon IS 'Ring of [lat, lng] vertices drawn on the admin map';
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS depot_id UUID REFERENCES public.depots(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS requires_manual_quote BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN public.bookings.depot_id IS 'Depot the truck is dispatched from';
+COMMENT ON COLUMN public.bookings.requires_manual_quote IS 'Pickup was outside every service area; the total is an estimate until an admin confirms the price';
+
+ALTER TABLE public.surcharge_rules
+  ADD COLUMN IF NOT EXISTS out_of_coverage_only BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN public.surcharge_rules.out_of_coverage_only IS 'Only apply when the destination is outside every service area (long-distance trips)';
+
+CREATE INDEX IF NOT EXISTS idx_service_areas_depot_id ON public.service_areas(depot_id);
+CREATE INDEX IF NOT EXISTS idx_bookings_depot_id ON public.bookings(depot_id);
+
+CREATE OR REPLACE TRIGGER update_depots_timestamp
+BEFORE UPDATE ON public.depots
+FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+CREATE OR REPLACE TRIGGER update_service_areas_timestamp
+BEFORE UPDATE ON public.service_areas
+FOR EACH ROW EXECUTE FUNCTION update_updated_at();
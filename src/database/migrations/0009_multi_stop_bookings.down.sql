@@ -0,0 +1,8 @@
+ALTER TABLE public.bookings
+  DROP COLUMN IF EXISTS stops;
+
+COMMENT ON COLUMN public.bookings.distance IS NULL;
+
+ALTER TABLE public.services
+  DROP COLUMN IF EXISTS wait_price_per_hour,
+  DROP COLUMN IF EXISTS stop_charge;
@@ -0,0 +1,15 @@
+-- 0009: multi-stop bookings. A booking may pass through intermediate stops, each
+-- charged a flat fee plus the time the truck waits there.
+
+ALTER TABLE public.services
+  ADD COLUMN IF NOT EXISTS stop_charge NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (stop_charge >= 0),
+  ADD COLUMN IF NOT EXISTS wait_price_per_hour NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (wait_price_per_hour >= 0);
+
+COMMENT ON COLUMN public.services.stop_charge IS 'Charge per intermediate stop of a multi-stop booking';
+COMMENT ON COLUMN public.services.wait_price_per_hour IS 'Charge per hour the truck waits at an intermediate stop, prorated by minute';
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS stops JSONB NOT NULL DEFAULT '[]';
+
+COMMENT ON COLUMN public.bookings.stops IS 'Ordered intermediate stops between pickup and destination: lat, lng, address, notes and waitMinutes';
+COMMENT ON COLUMN public.bookings.distance IS 'Loaded tow distance in km, from pickup through every stop to the destination';
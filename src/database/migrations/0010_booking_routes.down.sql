@@ -0,0 +1,5 @@
+DROP TRIGGER IF EXISTS protect_bookings_route ON public.bookings;
+DROP FUNCTION IF EXISTS protect_booking_route();
+
+ALTER TABLE public.bookings
+  DROP COLUMN IF EXISTS route;
@@ -0,0 +1,22 @@
+-- 0010: bookings keep the route their quote was priced on.
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS route JSONB;
+
+COMMENT ON COLUMN public.bookings.route IS 'Route the quote was priced on: provider, waypoints and per-leg distances with encoded polylines. Written once, never replaced';
+
+-- The stored route is the evidence for the distance charged; recalculating a route
+-- later must not replace it.
+CREATE OR REPLACE FUNCTION protect_booking_route()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF OLD.route IS NOT NULL AND NEW.route IS DISTINCT FROM OLD.route THEN
+    RAISE EXCEPTION 'The route of booking % cannot be changed', OLD.id;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+CREATE OR REPLACE TRIGGER protect_bookings_route
+BEFORE UPDATE ON public.bookings
+FOR EACH ROW EXECUTE FUNCTION protect_booking_route();
@@ -0,0 +1,4 @@
+DROP TRIGGER IF EXISTS enforce_bookings_status_transition ON public.bookings;
+DROP FUNCTION IF EXISTS enforce_booking_status_transition();
+
+DROP TABLE IF EXISTS public.booking_status_history CASCADE;
@@ -0,0 +1,47 @@
+-- 0011: booking lifecycle. Every status change is recorded, and only the transitions
+-- the API server allows can be written.
+
+CREATE TABLE IF NOT EXISTS public.booking_status_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  booking_id UUID NOT NULL REFERENCES public.bookings(id) ON DELETE CASCADE,
+  from_status booking_status,
+  to_status booking_status NOT NULL,
+  event TEXT NOT NULL,
+  actor_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  actor_role TEXT,
+  reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.booking_status_history IS 'Every status change of a booking, oldest first; written by the API server only';
+COMMENT ON COLUMN public.booking_status_history.from_status IS 'Status before the change; NULL for the row recorded when the booking was created';
+COMMENT ON COLUMN public.booking_status_history.event IS 'Lifecycle event applied (create, confirm, start, complete, cancel)';
+COMMENT ON COLUMN public.booking_status_history.actor_role IS 'Role of the actor at the time of the change, kept if the user is later deleted or demoted';
+
+CREATE INDEX IF NOT EXISTS idx_booking_status_history_booking_id ON public.booking_status_history(booking_id, created_at);
+
+-- Last line of defense for the booking lifecycle: browser clients cannot change the
+-- status at all, and the allowed pairs mirror BOOKING_TRANSITIONS in
+-- src/utils/bookingStatus.js, where actors and guards live.
+CREATE OR REPLACE FUNCTION enforce_booking_status_transition()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status IS DISTINCT FROM OLD.status AND (SELECT auth.role()) IN ('anon', 'authenticated') THEN
+    RAISE EXCEPTION 'Booking status changes go through POST /api/bookings/%/transitions', OLD.id;
+  END IF;
+  IF NEW.status IS DISTINCT FROM OLD.status AND (OLD.status, NEW.status) NOT IN (
+    ('pending'::booking_status, 'confirmed'::booking_status),
+    ('confirmed', 'in_progress'),
+    ('in_progress', 'completed'),
+    ('pending', 'cancelled'),
+    ('confirmed', 'cancelled')
+  ) THEN
+    RAISE EXCEPTION 'Booking % cannot go from % to %', OLD.id, OLD.status, NEW.status;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+CREATE OR REPLACE TRIGGER enforce_bookings_status_transition
+BEFORE UPDATE OF status ON public.bookings
+FOR EACH ROW EXECUTE FUNCTION enforce_booking_status_transition();
@@ -0,0 +1,15 @@
+-- Drops the policies of 0012 and turns row level security off again.
+DO $$ 
+DECLARE 
+    tables TEXT[] := ARRAY['bookings', 'profiles', 'services', 'vehicle_catalog', 'depots', 'service_areas', 'eligibility_rules', 'surcharge_rules', 'holidays', 'exchange_rates', 'promotions', 'promotion_redemptions', 'corporate_accounts', 'corporate_agreements', 'invoices', 'booking_status_history', 'smtp_settings', 'users'];
+    t TEXT;
+BEGIN
+    FOREACH t IN ARRAY tables
+    LOOP
+        EXECUTE format('DROP POLICY IF EXISTS %I ON public.%I', 'policy_' || t || '_select', t);
+        EXECUTE format('DROP POLICY IF EXISTS %I ON public.%I', 'policy_' || t || '_insert', t);
+        EXECUTE format('DROP POLICY IF EXISTS %I ON public.%I', 'policy_' || t || '_update', t);
+        EXECUTE format('DROP POLICY IF EXISTS %I ON public.%I', 'policy_' || t || '_delete', t);
+        EXECUTE format('ALTER TABLE public.%I DISABLE ROW LEVEL SECURITY', t);
+    END LOOP;
+END $$;
@@ -0,0 +1,266 @@
+-- 0012: row level security. Policies are dropped and created again, so this also
+-- replaces the ones an older rls_policies.sql left behind.
+
+-- Disable RLS for necessary tables
+ALTER TABLE public.bookings DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.profiles DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.services DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.vehicle_catalog DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.depots DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.service_areas DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.eligibility_rules DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.surcharge_rules DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.holidays DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.exchange_rates DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.promotions DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.promotion_redemptions DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.corporate_accounts DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.corporate_agreements DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.invoices DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.booking_status_history DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.smtp_settings DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.users DISABLE ROW LEVEL SECURITY;
+
+-- Drop existing policies
+DO $$ 
+DECLARE 
+    tables TEXT[] := ARRAY['bookings', 'profiles', 'services', 'vehicle_catalog', 'depots', 'service_areas', 'eligibility_rules', 'surcharge_rules', 'holidays', 'exchange_rates', 'promotions', 'promotion_redemptions', 'corporate_accounts', 'corporate_agreements', 'invoices', 'booking_status_history', 'smtp_settings', 'users'];
+    t TEXT;
+BEGIN
+    FOREACH t IN ARRAY tables
+    LOOP
+        EXECUTE format('DROP POLICY IF EXISTS %I ON public.%I', 'policy_' || t || '_select', t);
+        EXECUTE format('DROP POLICY IF EXISTS %I ON public.%I', 'policy_' || t || '_insert', t);
+        EXECUTE format('DROP POLICY IF EXISTS %I ON public.%I', 'policy_' || t || '_update', t);
+        EXECUTE format('DROP POLICY IF EXISTS %I ON public.%I', 'policy_' || t || '_delete', t);
+    END LOOP;
+END $$;
+
+-- Create optimized policies
+CREATE POLICY "policy_bookings_select" ON public.bookings
+    FOR SELECT USING ((auth.uid() = user_id) OR ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin')));
+
+CREATE POLICY "policy_bookings_insert" ON public.bookings
+    FOR INSERT WITH CHECK ((SELECT auth.uid()) = user_id);
+
+CREATE POLICY "policy_bookings_update" ON public.bookings
+    FOR UPDATE USING ((SELECT auth.uid()) = user_id OR (SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_bookings_delete" ON public.bookings
+    FOR DELETE USING ((SELECT auth.uid()) = user_id OR (SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_profiles_select" ON public.profiles
+    FOR SELECT USING (true);
+
+CREATE POLICY "policy_profiles_insert" ON public.profiles
+    FOR INSERT WITH CHECK ((SELECT auth.uid()) = user_id);
+
+CREATE POLICY "policy_profiles_update" ON public.profiles
+    FOR UPDATE USING ((SELECT auth.uid()) = user_id OR (SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_profiles_delete" ON public.profiles
+    FOR DELETE USING ((SELECT auth.uid()) = user_id OR (SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_services_select" ON public.services
+    FOR SELECT USING (true);
+
+CREATE POLICY "policy_services_insert" ON public.services
+    FOR INSERT WITH CHECK ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_services_update" ON public.services
+    FOR UPDATE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_services_delete" ON public.services
+    FOR DELETE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_vehicle_catalog_select" ON public.vehicle_catalog
+    FOR SELECT USING (true);
+
+CREATE POLICY "policy_vehicle_catalog_insert" ON public.vehicle_catalog
+    FOR INSERT WITH CHECK ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_vehicle_catalog_update" ON public.vehicle_catalog
+    FOR UPDATE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_vehicle_catalog_delete" ON public.vehicle_catalog
+    FOR DELETE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_depots_select" ON public.depots
+    FOR SELECT USING (true);
+
+CREATE POLICY "policy_depots_insert" ON public.depots
+    FOR INSERT WITH CHECK ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_depots_update" ON public.depots
+    FOR UPDATE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_depots_delete" ON public.depots
+    FOR DELETE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_service_areas_select" ON public.service_areas
+    FOR SELECT USING (true);
+
+CREATE POLICY "policy_service_areas_insert" ON public.service_areas
+    FOR INSERT WITH CHECK ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_service_areas_update" ON public.service_areas
+    FOR UPDATE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_service_areas_delete" ON public.service_areas
+    FOR DELETE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_eligibility_rules_select" ON public.eligibility_rules
+    FOR SELECT USING (true);
+
+CREATE POLICY "policy_eligibility_rules_insert" ON public.eligibility_rules
+    FOR INSERT WITH CHECK ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_eligibility_rules_update" ON public.eligibility_rules
+    FOR UPDATE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_eligibility_rules_delete" ON public.eligibility_rules
+    FOR DELETE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_surcharge_rules_select" ON public.surcharge_rules
+    FOR SELECT USING (true);
+
+CREATE POLICY "policy_surcharge_rules_insert" ON public.surcharge_rules
+    FOR INSERT WITH CHECK ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_surcharge_rules_update" ON public.surcharge_rules
+    FOR UPDATE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_surcharge_rules_delete" ON public.surcharge_rules
+    FOR DELETE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_holidays_select" ON public.holidays
+    FOR SELECT USING (true);
+
+CREATE POLICY "policy_holidays_insert" ON public.holidays
+    FOR INSERT WITH CHECK ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_holidays_update" ON public.holidays
+    FOR UPDATE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_holidays_delete" ON public.holidays
+    FOR DELETE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_exchange_rates_select" ON public.exchange_rates
+    FOR SELECT USING (true);
+
+CREATE POLICY "policy_exchange_rates_insert" ON public.exchange_rates
+    FOR INSERT WITH CHECK ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_exchange_rates_update" ON public.exchange_rates
+    FOR UPDATE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_exchange_rates_delete" ON public.exchange_rates
+    FOR DELETE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+-- Promo codes are validated and redeemed by the API server; only admins read them directly.
+CREATE POLICY "policy_promotions_select" ON public.promotions
+    FOR SELECT USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_promotions_insert" ON public.promotions
+    FOR INSERT WITH CHECK ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_promotions_update" ON public.promotions
+    FOR UPDATE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_promotions_delete" ON public.promotions
+    FOR DELETE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_promotion_redemptions_select" ON public.promotion_redemptions
+    FOR SELECT USING ((SELECT auth.uid()) = user_id OR (SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_promotion_redemptions_insert" ON public.promotion_redemptions
+    FOR INSERT WITH CHECK ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_promotion_redemptions_update" ON public.promotion_redemptions
+    FOR UPDATE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_promotion_redemptions_delete" ON public.promotion_redemptions
+    FOR DELETE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_corporate_accounts_select" ON public.corporate_accounts
+    FOR SELECT USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_corporate_accounts_insert" ON public.corporate_accounts
+    FOR INSERT WITH CHECK ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_corporate_accounts_update" ON public.corporate_accounts
+    FOR UPDATE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_corporate_accounts_delete" ON public.corporate_accounts
+    FOR DELETE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_corporate_agreements_select" ON public.corporate_agreements
+    FOR SELECT USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_corporate_agreements_insert" ON public.corporate_agreements
+    FOR INSERT WITH CHECK ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_corporate_agreements_update" ON public.corporate_agreements
+    FOR UPDATE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_corporate_agreements_delete" ON public.corporate_agreements
+    FOR DELETE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+-- Invoices are issued by the API server (service role); customers can read those of their own bookings.
+CREATE POLICY "policy_invoices_select" ON public.invoices
+    FOR SELECT USING (
+        EXISTS (SELECT 1 FROM public.bookings b WHERE b.id = booking_id AND b.user_id = (SELECT auth.uid()))
+        OR (SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin')
+    );
+
+CREATE POLICY "policy_invoices_insert" ON public.invoices
+    FOR INSERT WITH CHECK ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_invoices_update" ON public.invoices
+    FOR UPDATE USING ((SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_invoices_delete" ON public.invoices
+    FOR DELETE USING ((SELECT auth.jwt() ->> 'role') = 'super_admin');
+
+-- Status changes are recorded by the API server (service role); customers can read those of their own bookings.
+CREATE POLICY "policy_booking_status_history_select" ON public.booking_status_history
+    FOR SELECT USING (
+        EXISTS (SELECT 1 FROM public.bookings b WHERE b.id = booking_id AND b.user_id = (SELECT auth.uid()))
+        OR (SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin')
+    );
+
+CREATE POLICY "policy_smtp_settings_select" ON public.smtp_settings
+    FOR SELECT USING ((SELECT auth.uid()) = user_id OR (SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_smtp_settings_insert" ON public.smtp_settings
+    FOR INSERT WITH CHECK ((SELECT auth.uid()) = user_id OR (SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_smtp_settings_update" ON public.smtp_settings
+    FOR UPDATE USING ((SELECT auth.uid()) = user_id OR (SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_smtp_settings_delete" ON public.smtp_settings
+    FOR DELETE USING ((SELECT auth.uid()) = user_id OR (SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_users_select" ON public.users
+    FOR SELECT USING ((SELECT auth.uid()) = id OR (SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_users_insert" ON public.users
+    FOR INSERT WITH CHECK ((SELECT auth.uid()) = id OR (SELECT auth.jwt() ->> 'role') = 'super_admin');
+
+CREATE POLICY "policy_users_update" ON public.users
+    FOR UPDATE USING ((SELECT auth.uid()) = id OR (SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+CREATE POLICY "policy_users_delete" ON public.users
+    FOR DELETE USING ((SELECT auth.uid()) = id OR (SELECT auth.jwt() ->> 'role') IN ('admin', 'super_admin'));
+
+-- Enable RLS for all tables
+DO $$ 
+DECLARE 
+    tables TEXT[] := ARRAY['bookings', 'profiles', 'services', 'vehicle_catalog', 'depots', 'service_areas', 'eligibility_rules', 'surcharge_rules', 'holidays', 'exchange_rates', 'promotions', 'promotion_redemptions', 'corporate_accounts', 'corporate_agreements', 'invoices', 'booking_status_history', 'smtp_settings', 'users'];
+    t TEXT;
+BEGIN
+    FOREACH t IN ARRAY tables
+    LOOP
+        EXECUTE format('ALTER TABLE public.%I ENABLE ROW LEVEL SECURITY', t);
+    END LOOP;
+END $$;
\ No newline at end of file
@@ -0,0 +1,12 @@
+-- Puts services_logs back as a table and removes the bookings 0013 created from it.
+DROP VIEW IF EXISTS public.services_logs;
+
+DO $$
+BEGIN
+  IF to_regclass('public.services_logs_legacy') IS NOT NULL THEN
+    DELETE FROM public.bookings b
+    WHERE EXISTS (SELECT 1 FROM public.booking_status_history h WHERE h.booking_id = b.id AND h.event = 'migrate');
+    ALTER TABLE public.services_logs_legacy RENAME TO services_logs;
+  END IF;
+END;
+$$;
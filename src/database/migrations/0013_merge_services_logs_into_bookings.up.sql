@@ -0,0 +1,134 @@
+-- 0013: one booking data model.
+--
+-- Older deployments recorded services in public.services_logs while checkout wrote
+-- public.bookings, so admin lists showed different things. This moves the legacy rows
+-- into bookings, keeps the original table as services_logs_legacy for review, and
+-- replaces services_logs with a read-only view over bookings so queries that still
+-- use it keep working during the rollout.
+--
+-- Safe to run on databases that never had services_logs.
+
+DO $$
+DECLARE
+  legacy_count INTEGER;
+  migrated_count INTEGER;
+BEGIN
+  IF (SELECT relkind FROM pg_class WHERE oid = to_regclass('public.services_logs')) = 'r' THEN
+    ALTER TABLE public.services_logs RENAME TO services_logs_legacy;
+  END IF;
+
+  IF to_regclass('public.services_logs_legacy') IS NULL THEN
+    RETURN;
+  END IF;
+
+  -- Legacy columns varied between deployments, so rows are read as JSON and only
+  -- the fields that exist are used.
+  CREATE TEMP TABLE legacy_bookings ON COMMIT DROP AS
+  SELECT
+    (row ->> 'id')::uuid AS id,
+    COALESCE(
+      (SELECT u.id FROM public.users u WHERE u.id::text = row ->> 'user_id'),
+      (SELECT p.user_id FROM public.profiles p WHERE p.id::text = row ->> 'user_id')
+    ) AS user_id,
+    COALESCE(
+      (SELECT s.id FROM public.services s WHERE s.id::text = row ->> 'service_id'),
+      (SELECT s.id FROM public.services s WHERE lower(s.name) = lower(row ->> 'service_type') LIMIT 1),
+      (SELECT s.id FROM public.services s WHERE s.tow_truck_type::text = row ->> 'service_type' ORDER BY s.is_active DESC LIMIT 1)
+    ) AS service_id,
+    -- 'paid' meant paid and waiting to be performed.
+    CASE
+      WHEN row ->> 'status' = 'paid' THEN 'confirmed'
+      WHEN row ->> 'status' IN ('pending', 'confirmed', 'in_progress', 'completed', 'cancelled') THEN row ->> 'status'
+      ELSE 'pending'
+    END::booking_status AS status,
+    CASE
+      WHEN row ->> 'status' IN ('paid', 'in_progress', 'completed') OR row ->> 'payment_status' = 'paid' THEN 'paid'
+      WHEN row ->> 'payment_status' IN ('pending', 'failed', 'refunded') THEN row ->> 'payment_status'
+      ELSE 'pending'
+    END::payment_status AS payment_status,
+    COALESCE(row ->> 'pickup_location', row ->> 'pickup_address') AS pickup_location,
+    COALESCE(row ->> 'dropoff_location', row ->> 'dropoff_address', row ->> 'drop_off_address') AS dropoff_location,
+    COALESCE(
+      row -> 'vehicle_details',
+      jsonb_strip_nulls(jsonb_build_object(
+        'brand', COALESCE(row ->> 'vehicle_brand', row ->> 'vehicle_make'),
+        'model', row ->> 'vehicle_model',
+        'color', row ->> 'vehicle_color',
+        'license_plate', row ->> 'license_plate',
+        'size', row ->> 'vehicle_size'
+      ))
+    ) AS vehicle_details,
+    (row ->> 'distance')::numeric AS distance,
+    COALESCE(row ->> 'total_cost', row ->> 'amount')::numeric AS total_cost,
+    COALESCE(row ->> 'payment_intent_id', row ->> 'stripe_payment_intent_id') AS payment_intent_id,
+    COALESCE(row ->> 'pickup_datetime', row ->> 'created_at')::timestamptz AS pickup_datetime,
+    COALESCE(row ->> 'additional_details', row ->> 'notes') AS additional_details,
+    COALESCE((row ->> 'created_at')::timestamptz, NOW()) AS created_at
+  FROM (SELECT to_jsonb(l) AS row FROM public.services_logs_legacy l) legacy;
+
+  -- Rows missing what a booking requires stay in services_logs_legacy for manual review.
+  -- So do repeated rows for one Stripe payment: a payment backs one booking (0016), so
+  -- only the first complete row with it is moved, and none if a booking already has it.
+  INSERT INTO public.bookings (
+    id, user_id, service_id, status, payment_status, pickup_location, dropoff_location,
+    vehicle_details, distance, total_cost, payment_intent_id, pickup_datetime,
+    additional_details, created_at
+  )
+  SELECT
+    id, user_id, service_id, status, payment_status, pickup_location, dropoff_location,
+    vehicle_details, distance, total_cost, payment_intent_id, pickup_datetime,
+    additional_details, created_at
+  FROM (
+    SELECT l.*, row_number() OVER (PARTITION BY l.payment_intent_id ORDER BY l.created_at, l.id) AS payment_rank
+    FROM legacy_bookings l
+    WHERE l.id IS NOT NULL
+      AND l.user_id IS NOT NULL
+      AND l.service_id IS NOT NULL
+      AND l.pickup_location IS NOT NULL
+      AND l.dropoff_location IS NOT NULL
+      AND l.distance > 0
+      AND l.total_cost > 0
+      AND l.pickup_datetime IS NOT NULL
+  ) complete
+  WHERE complete.payment_intent_id IS NULL
+    OR (
+      complete.payment_rank = 1
+      AND NOT EXISTS (SELECT 1 FROM public.bookings b WHERE b.payment_intent_id = complete.payment_intent_id)
+    )
+  ON CONFLICT (id) DO NOTHING;
+
+  INSERT INTO public.booking_status_history (booking_id, from_status, to_status, event, actor_role, reason, created_at)
+  SELECT b.id, NULL, b.status, 'migrate', 'system', 'Moved from services_logs', b.created_at
+  FROM public.bookings b
+  JOIN legacy_bookings l ON l.id = b.id
+  WHERE NOT EXISTS (SELECT 1 FROM public.booking_status_history h WHERE h.booking_id = b.id);
+
+  SELECT COUNT(*) INTO legacy_count FROM public.services_logs_legacy;
+  SELECT COUNT(*) INTO migrated_count FROM public.bookings b JOIN legacy_bookings l ON l.id = b.id;
+  RAISE NOTICE 'services_logs: % of % rows are in bookings; the rest are left in services_logs_legacy', migrated_count, legacy_count;
+END;
+$$;
+
+-- Read-only: writes go to bookings.
+CREATE OR REPLACE VIEW public.services_logs WITH (security_invoker = true) AS
+SELECT
+  b.id,
+  b.user_id,
+  b.service_id,
+  s.name AS service_type,
+  CASE WHEN b.status = 'confirmed' AND b.payment_status = 'paid' THEN 'paid' ELSE b.status::text END AS status,
+  b.payment_status,
+  b.pickup_location,
+  b.dropoff_location,
+  b.vehicle_details,
+  b.distance,
+  b.total_cost,
+  b.currency,
+  b.pickup_datetime,
+  b.additional_details,
+  b.created_at,
+  b.updated_at
+FROM public.bookings b
+JOIN public.services s ON s.id = b.service_id;
+
+COMMENT ON VIEW public.services_logs IS 'Deprecated: read-only view of bookings in the old services_logs shape, kept while clients move to bookings';
@@ -0,0 +1,23 @@
+CREATE OR REPLACE FUNCTION enforce_booking_status_transition()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status IS DISTINCT FROM OLD.status AND (SELECT auth.role()) IN ('anon', 'authenticated') THEN
+    RAISE EXCEPTION 'Booking status changes go through POST /api/bookings/%/transitions', OLD.id;
+  END IF;
+  IF NEW.status IS DISTINCT FROM OLD.status AND (OLD.status, NEW.status) NOT IN (
+    ('pending'::booking_status, 'confirmed'::booking_status),
+    ('confirmed', 'in_progress'),
+    ('in_progress', 'completed'),
+    ('pending', 'cancelled'),
+    ('confirmed', 'cancelled')
+  ) THEN
+    RAISE EXCEPTION 'Booking % cannot go from % to %', OLD.id, OLD.status, NEW.status;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+ALTER TABLE public.bookings
+  DROP COLUMN IF EXISTS refund_id,
+  DROP COLUMN IF EXISTS refunded_amount,
+  DROP COLUMN IF EXISTS cancellation_fee;
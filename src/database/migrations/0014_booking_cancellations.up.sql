@@ -0,0 +1,31 @@
+-- 0014: customer cancellations. Bookings may be cancelled after the service started
+-- (with a fee), and keep the fee charged and the amount refunded.
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS cancellation_fee NUMERIC(10, 2) CHECK (cancellation_fee >= 0),
+  ADD COLUMN IF NOT EXISTS refunded_amount NUMERIC(10, 2) CHECK (refunded_amount >= 0),
+  ADD COLUMN IF NOT EXISTS refund_id TEXT;
+
+COMMENT ON COLUMN public.bookings.cancellation_fee IS 'Fee kept when the booking was cancelled after the truck was dispatched (utils/cancellationPolicy)';
+COMMENT ON COLUMN public.bookings.refunded_amount IS 'Amount refunded to the customer when the booking was cancelled';
+COMMENT ON COLUMN public.bookings.refund_id IS 'Stripe Refund of payment_intent_id';
+
+CREATE OR REPLACE FUNCTION enforce_booking_status_transition()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status IS DISTINCT FROM OLD.status AND (SELECT auth.role()) IN ('anon', 'authenticated') THEN
+    RAISE EXCEPTION 'Booking status changes go through POST /api/bookings/%/transitions', OLD.id;
+  END IF;
+  IF NEW.status IS DISTINCT FROM OLD.status AND (OLD.status, NEW.status) NOT IN (
+    ('pending'::booking_status, 'confirmed'::booking_status),
+    ('confirmed', 'in_progress'),
+    ('in_progress', 'completed'),
+    ('pending', 'cancelled'),
+    ('confirmed', 'cancelled'),
+    ('in_progress', 'cancelled')
+  ) THEN
+    RAISE EXCEPTION 'Booking % cannot go from % to %', OLD.id, OLD.status, NEW.status;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
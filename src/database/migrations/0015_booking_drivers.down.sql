@@ -0,0 +1,12 @@
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'bookings'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime DROP TABLE public.bookings;
+  END IF;
+END $$;
+
+ALTER TABLE public.bookings
+  DROP COLUMN IF EXISTS driver;
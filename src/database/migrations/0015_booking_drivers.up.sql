@@ -0,0 +1,19 @@
+-- 0015: customer booking portal. Bookings keep the driver sent to do the tow, and
+-- booking changes are streamed to customers through Supabase Realtime, which checks
+-- the bookings RLS policies for every subscriber.
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS driver JSONB;
+
+COMMENT ON COLUMN public.bookings.driver IS 'Driver assigned to the tow: name, phone, truck_plate; NULL until assigned';
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime')
+    AND NOT EXISTS (
+      SELECT 1 FROM pg_publication_tables
+      WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'bookings'
+    ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.bookings;
+  END IF;
+END $$;
@@ -0,0 +1,5 @@
+CREATE POLICY "policy_bookings_insert" ON public.bookings
+    FOR INSERT WITH CHECK ((SELECT auth.uid()) = user_id);
+
+DROP INDEX IF EXISTS public.idx_bookings_payment_intent_id;
+DROP INDEX IF EXISTS public.idx_bookings_quote_id;
@@ -0,0 +1,9 @@
+-- 0016: a quote and a Stripe payment back one booking each, and bookings are only
+-- created by the API server (service role), which verifies the quote and the payment.
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bookings_quote_id ON public.bookings(quote_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bookings_payment_intent_id ON public.bookings(payment_intent_id);
+
+-- The service role bypasses RLS, so without an insert policy only the API server can
+-- create bookings.
+DROP POLICY IF EXISTS "policy_bookings_insert" ON public.bookings;
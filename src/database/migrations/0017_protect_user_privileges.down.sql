@@ -0,0 +1,2 @@
+DROP TRIGGER IF EXISTS protect_users_privileges ON public.users;
+DROP FUNCTION IF EXISTS protect_user_privileges();
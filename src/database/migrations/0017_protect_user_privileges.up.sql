@@ -0,0 +1,26 @@
+-- 0017: policy_users_insert and policy_users_update let users write their own row,
+-- which must not extend to the columns that grant privileges: the role, and the
+-- corporate account whose negotiated rates price their quotes. Only admins (and
+-- the API server, as service role) may set those.
+
+CREATE OR REPLACE FUNCTION protect_user_privileges()
+RETURNS TRIGGER AS $$
+BEGIN
+  -- Outside the API gateway (migrations, seeds, the SQL editor) there is no role.
+  IF COALESCE((SELECT auth.role()), '') NOT IN ('anon', 'authenticated')
+    OR COALESCE((SELECT auth.jwt() ->> 'role'), '') IN ('admin', 'super_admin') THEN
+    RETURN NEW;
+  END IF;
+  IF TG_OP = 'INSERT' AND (NEW.role <> 'user' OR NEW.corporate_account_id IS NOT NULL) THEN
+    RAISE EXCEPTION 'Only admins can set the role or corporate account of a user';
+  END IF;
+  IF TG_OP = 'UPDATE' AND (NEW.role IS DISTINCT FROM OLD.role OR NEW.corporate_account_id IS DISTINCT FROM OLD.corporate_account_id) THEN
+    RAISE EXCEPTION 'Only admins can change the role or corporate account of a user';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+CREATE OR REPLACE TRIGGER protect_users_privileges
+BEFORE INSERT OR UPDATE OF role, corporate_account_id ON public.users
+FOR EACH ROW EXECUTE FUNCTION protect_user_privileges();
@@ -0,0 +1,2 @@
+DROP TRIGGER IF EXISTS protect_bookings_payment ON public.bookings;
+DROP FUNCTION IF EXISTS protect_booking_payment();
@@ -0,0 +1,27 @@
+-- 0018: policy_bookings_update lets customers update their own bookings, which must
+-- not extend to what they paid: the price, the quote it came from, the payment and
+-- the cancellation refund. Those are written by the API server (service role) from
+-- the signed quote and Stripe; admins may still correct them.
+
+CREATE OR REPLACE FUNCTION protect_booking_payment()
+RETURNS TRIGGER AS $$
+BEGIN
+  -- Outside the API gateway (migrations, seeds, the SQL editor) there is no role.
+  IF COALESCE((SELECT auth.role()), '') NOT IN ('anon', 'authenticated')
+    OR COALESCE((SELECT auth.jwt() ->> 'role'), '') IN ('admin', 'super_admin') THEN
+    RETURN NEW;
+  END IF;
+  IF (NEW.total_cost, NEW.currency, NEW.price_breakdown, NEW.quote_id, NEW.payment_intent_id, NEW.payment_status,
+      NEW.cancellation_fee, NEW.refunded_amount, NEW.refund_id)
+    IS DISTINCT FROM (OLD.total_cost, OLD.currency, OLD.price_breakdown, OLD.quote_id, OLD.payment_intent_id, OLD.payment_status,
+      OLD.cancellation_fee, OLD.refunded_amount, OLD.refund_id) THEN
+    RAISE EXCEPTION 'The price and payment of booking % can only be changed by our team', OLD.id;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+CREATE OR REPLACE TRIGGER protect_bookings_payment
+BEFORE UPDATE OF total_cost, currency, price_breakdown, quote_id, payment_intent_id, payment_status,
+  cancellation_fee, refunded_amount, refund_id ON public.bookings
+FOR EACH ROW EXECUTE FUNCTION protect_booking_payment();
@@ -0,0 +1 @@
+DROP FUNCTION IF EXISTS public.redeem_promotion(UUID, UUID, UUID);
@@ -0,0 +1,38 @@
+-- 0019: promo code usage limits are checked when a booking redeems the code, not only
+-- when it was quoted. The check and the redemption run in one function call, with the
+-- promotion locked, so concurrent bookings cannot both take the last use of a code.
+
+CREATE OR REPLACE FUNCTION public.redeem_promotion(promotion_id UUID, booking_id UUID, user_id UUID)
+RETURNS BOOLEAN AS $$
+DECLARE
+  promotion public.promotions%ROWTYPE;
+BEGIN
+  SELECT * INTO promotion FROM public.promotions p WHERE p.id = redeem_promotion.promotion_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN false;
+  END IF;
+
+  IF promotion.max_uses IS NOT NULL AND (
+    SELECT COUNT(*) FROM public.promotion_redemptions r WHERE r.promotion_id = promotion.id
+  ) >= promotion.max_uses THEN
+    RETURN false;
+  END IF;
+
+  IF promotion.max_uses_per_customer IS NOT NULL AND (
+    SELECT COUNT(*) FROM public.promotion_redemptions r
+    WHERE r.promotion_id = promotion.id AND r.user_id = redeem_promotion.user_id
+  ) >= promotion.max_uses_per_customer THEN
+    RETURN false;
+  END IF;
+
+  INSERT INTO public.promotion_redemptions (promotion_id, booking_id, user_id)
+  VALUES (promotion.id, redeem_promotion.booking_id, redeem_promotion.user_id);
+  RETURN true;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+COMMENT ON FUNCTION public.redeem_promotion(UUID, UUID, UUID) IS 'Records a booking''s use of a promo code unless a usage limit is reached; returns whether it was recorded';
+
+-- Bookings are created by the API server only (0016), and so are redemptions.
+REVOKE EXECUTE ON FUNCTION public.redeem_promotion(UUID, UUID, UUID) FROM authenticated, anon, public;
+GRANT EXECUTE ON FUNCTION public.redeem_promotion(UUID, UUID, UUID) TO service_role;
@@ -0,0 +1,286 @@
+-- Tariffs, vehicle catalog, depots, service areas, towing and surcharge rules,
+-- holidays and exchange rates to start from. Meant for a new, empty database.
+
+INSERT INTO public.services (name, description, base_price, price_per_km, deadhead_price_per_km, return_price_per_km, maneuver_charge, stop_charge, wait_price_per_hour, tow_truck_type)
+VALUES
+('Standard Towing', 'For small to medium vehicles', 528.69, 18.82, 12.50, 9.41, 1219.55, 150.00, 240.00, 'wheel_lift'),
+('Flatbed Towing', 'For luxury or damaged vehicles', 721.79, 23.47, 15.60, 11.74, 1524.21, 200.00, 300.00, 'flatbed'),
+('Heavy Duty Towing', 'For large vehicles and trucks', 885.84, 32.35, 21.50, 16.18, 2101.65, 300.00, 420.00, 'heavy_duty');
+
+INSERT INTO public.vehicle_catalog (brand, model, year_from, year_to, curb_weight_kg, drivetrain, is_electric, size_class)
+VALUES
+('Toyota', 'Corolla', 2000, NULL, 1300, 'fwd', false, 'small'),
+('Toyota', 'Camry', 2000, NULL, 1550, 'fwd', false, 'small'),
+('Toyota', 'RAV4', 2000, NULL, 1650, 'fwd', false, 'small'),
+('Toyota', 'Highlander', 2001, NULL, 2000, 'awd', false, 'medium'),
+('Toyota', 'Tacoma', 2000, NULL, 1900, 'rwd', false, 'medium'),
+('Toyota', 'Tundra', 2000, NULL, 2500, '4wd', false, 'medium'),
+('Toyota', 'Sienna', 2000, NULL, 2000, 'fwd', false, 'medium'),
+('Toyota', 'Prius', 2001, NULL, 1400, 'fwd', false, 'small'),
+('Honda', 'Civic', 2000, NULL, 1300, 'fwd', false, 'small'),
+('Honda', 'Accord', 2000, NULL, 1500, 'fwd', false, 'small'),
+('Honda', 'CR-V', 2000, NULL, 1600, 'fwd', false, 'small'),
+('Honda', 'Pilot', 2003, NULL, 1950, 'awd', false, 'medium'),
+('Honda', 'Odyssey', 2000, NULL, 2000, 'fwd', false, 'medium'),
+('Honda', 'HR-V', 2015, NULL, 1350, 'fwd', false, 'small'),
+('Honda', 'Fit', 2007, 2020, 1150, 'fwd', false, 'small'),
+('Honda', 'Ridgeline', 2006, NULL, 2050, 'awd', false, 'medium'),
+('Ford', 'F-150', 2000, NULL, 2100, '4wd', false, 'medium'),
+('Ford', 'Mustang', 2000, NULL, 1700, 'rwd', false, 'small'),
+('Ford', 'Explorer', 2000, NULL, 2050, 'awd', false, 'medium'),
+('Ford', 'Escape', 2001, NULL, 1600, 'fwd', false, 'small'),
+('Ford', 'Focus', 2000, 2018, 1300, 'fwd', false, 'small'),
+('Ford', 'Ranger', 2000, NULL, 1950, '4wd', false, 'medium'),
+('Ford', 'Edge', 2007, 2023, 1850, 'fwd', false, 'medium'),
+('Ford', 'Expedition', 2000, NULL, 2600, '4wd', false, 'medium'),
+('Chevrolet', 'Silverado', 2000, NULL, 2250, '4wd', false, 'medium'),
+('Chevrolet', 'Malibu', 2000, 2024, 1450, 'fwd', false, 'small'),
+('Chevrolet', 'Equinox', 2005, NULL, 1600, 'fwd', false, 'small'),
+('Chevrolet', 'Traverse', 2009, NULL, 2000, 'fwd', false, 'medium'),
+('Chevrolet', 'Camaro', 2010, 2024, 1650, 'rwd', false, 'small'),
+('Chevrolet', 'Tahoe', 2000, NULL, 2550, '4wd', false, 'medium'),
+('Chevrolet', 'Suburban', 2000, NULL, 2650, '4wd', false, 'medium'),
+('Chevrolet', 'Colorado', 2004, NULL, 1950, '4wd', false, 'medium'),
+('Nissan', 'Altima', 2000, NULL, 1450, 'fwd', false, 'small'),
+('Nissan', 'Rogue', 2008, NULL, 1600, 'fwd', false, 'small'),
+('Nissan', 'Sentra', 2000, NULL, 1300, 'fwd', false, 'small'),
+('Nissan', 'Maxima', 2000, 2023, 1600, 'fwd', false, 'small'),
+('Nissan', 'Pathfinder', 2000, NULL, 2000, 'awd', false, 'medium'),
+('Nissan', 'Murano', 2003, NULL, 1850, 'awd', false, 'medium'),
+('Nissan', 'Titan', 2004, 2024, 2600, '4wd', false, 'medium'),
+('Nissan', 'Leaf', 2011, NULL, 1600, 'fwd', true, 'small'),
+('Volkswagen', 'Jetta', 2000, NULL, 1350, 'fwd', false, 'small'),
+('Volkswagen', 'Passat', 2000, 2022, 1500, 'fwd', false, 'small'),
+('Volkswagen', 'Tiguan', 2008, NULL, 1650, 'fwd', false, 'small'),
+('Volkswagen', 'Atlas', 2018, NULL, 2050, 'awd', false, 'medium'),
+('Volkswagen', 'Golf', 2000, NULL, 1300, 'fwd', false, 'small'),
+('Volkswagen', 'ID.4', 2021, NULL, 2100, 'rwd', true, 'medium'),
+('Volkswagen', 'Arteon', 2019, 2023, 1700, 'fwd', false, 'small'),
+('Volkswagen', 'Taos', 2021, NULL, 1450, 'fwd', false, 'small'),
+('BMW', '3 Series', 2000, NULL, 1550, 'rwd', false, 'small'),
+('BMW', '5 Series', 2000, NULL, 1750, 'rwd', false, 'medium'),
+('BMW', 'X3', 2004, NULL, 1850, 'awd', false, 'medium'),
+('BMW', 'X5', 2000, NULL, 2200, 'awd', false, 'medium'),
+('BMW', '7 Series', 2000, NULL, 2050, 'rwd', false, 'medium'),
+('BMW', 'M4', 2015, NULL, 1700, 'rwd', false, 'small'),
+('BMW', 'X1', 2012, NULL, 1600, 'awd', false, 'small'),
+('BMW', 'X7', 2019, NULL, 2450, 'awd', false, 'medium'),
+('Mercedes-Benz', 'C-Class', 2000, NULL, 1600, 'rwd', false, 'small'),
+('Mercedes-Benz', 'E-Class', 2000, NULL, 1800, 'rwd', false, 'medium'),
+('Mercedes-Benz', 'GLC', 2016, NULL, 1850, 'awd', false, 'medium'),
+('Mercedes-Benz', 'GLE', 2016, NULL, 2250, 'awd', false, 'medium'),
+('Mercedes-Benz', 'S-Class', 2000, NULL, 2050, 'rwd', false, 'medium'),
+('Mercedes-Benz', 'A-Class', 2013, NULL, 1400, 'fwd', false, 'small'),
+('Mercedes-Benz', 'GLA', 2015, NULL, 1550, 'fwd', false, 'small'),
+('Mercedes-Benz', 'GLS', 2017, NULL, 2550, 'awd', false, 'medium'),
+('Audi', 'A4', 2000, NULL, 1550, 'fwd', false, 'small'),
+('Audi', 'A6', 2000, NULL, 1750, 'awd', false, 'medium'),
+('Audi', 'Q5', 2009, NULL, 1900, 'awd', false, 'medium'),
+('Audi', 'Q7', 2007, NULL, 2250, 'awd', false, 'medium'),
+('Audi', 'e-tron', 2019, NULL, 2550, 'awd', true, 'medium'),
+('Audi', 'A3', 2000, NULL, 1400, 'fwd', false, 'small'),
+('Audi', 'Q3', 2012, NULL, 1600, 'fwd', false, 'small'),
+('Audi', 'TT', 2000, 2023, 1350, 'fwd', false, 'small'),
+('Audi', 'R8', 2008, 2024, 1650, 'awd', false, 'small'),
+('Audi', 'S4', 2000, NULL, 1700, 'awd', false, 'small'),
+('Audi', 'A5', 2008, NULL, 1600, 'fwd', false, 'small'),
+('Audi', 'Q8', 2019, NULL, 2200, 'awd', false, 'medium'),
+('Audi', 'RS6', 2003, NULL, 2050, 'awd', false, 'medium'),
+('Audi', 'A8', 2000, NULL, 2000, 'awd', false, 'medium'),
+('Audi', 'SQ5', 2014, NULL, 2000, 'awd', false, 'medium'),
+('Hyundai', 'Elantra', 2000, NULL, 1300, 'fwd', false, 'small'),
+('Hyundai', 'Sonata', 2000, NULL, 1500, 'fwd', false, 'small'),
+('Hyundai', 'Tucson', 2005, NULL, 1600, 'fwd', false, 'small'),
+('Hyundai', 'Santa Fe', 2001, NULL, 1850, 'fwd', false, 'medium'),
+('Hyundai', 'Kona', 2018, NULL, 1400, 'fwd', false, 'small'),
+('Hyundai', 'Palisade', 2020, NULL, 2000, 'fwd', false, 'medium'),
+('Hyundai', 'Venue', 2020, NULL, 1250, 'fwd', false, 'small'),
+('Hyundai', 'Ioniq', 2017, 2022, 1400, 'fwd', false, 'small'),
+('Hyundai', 'Veloster', 2012, 2022, 1300, 'fwd', false, 'small'),
+('Hyundai', 'Accent', 2000, 2022, 1150, 'fwd', false, 'small'),
+('Hyundai', 'Nexo', 2019, NULL, 1850, 'fwd', true, 'medium'),
+('Hyundai', 'Azera', 2006, 2017, 1600, 'fwd', false, 'small'),
+('Hyundai', 'Genesis', 2009, 2016, 1850, 'rwd', false, 'medium'),
+('Hyundai', 'Equus', 2011, 2016, 2050, 'rwd', false, 'medium'),
+('Mazda', 'Mazda3', 2004, NULL, 1350, 'fwd', false, 'small'),
+('Mazda', 'Mazda6', 2003, 2021, 1500, 'fwd', false, 'small'),
+('Mazda', 'CX-5', 2013, NULL, 1600, 'fwd', false, 'small'),
+('Mazda', 'CX-9', 2007, 2023, 2000, 'awd', false, 'medium'),
+('Mazda', 'MX-5 Miata', 2000, NULL, 1050, 'rwd', false, 'small'),
+('Mazda', 'CX-30', 2020, NULL, 1450, 'fwd', false, 'small'),
+('Mazda', 'CX-3', 2016, 2022, 1300, 'fwd', false, 'small'),
+('Mazda', 'CX-50', 2023, NULL, 1700, 'awd', false, 'small'),
+('Mazda', 'CX-8', 2018, NULL, 1850, 'fwd', false, 'medium'),
+('Mazda', 'RX-8', 2004, 2012, 1350, 'rwd', false, 'small'),
+('Mazda', 'CX-7', 2007, 2012, 1750, 'fwd', false, 'medium'),
+('Mazda', 'Tribute', 2001, 2011, 1550, 'fwd', false, 'small'),
+('Mazda', '5', 2006, 2015, 1500, 'fwd', false, 'small'),
+('Mazda', '2', 2011, NULL, 1100, 'fwd', false, 'small'),
+('Subaru', 'Outback', 2000, NULL, 1650, 'awd', false, 'small'),
+('Subaru', 'Forester', 2000, NULL, 1600, 'awd', false, 'small'),
+('Subaru', 'Impreza', 2000, NULL, 1400, 'awd', false, 'small'),
+('Subaru', 'Crosstrek', 2013, NULL, 1500, 'awd', false, 'small'),
+('Subaru', 'Legacy', 2000, NULL, 1550, 'awd', false, 'small'),
+('Subaru', 'Ascent', 2019, NULL, 2000, 'awd', false, 'medium'),
+('Subaru', 'WRX', 2002, NULL, 1550, 'awd', false, 'small'),
+('Subaru', 'BRZ', 2013, NULL, 1250, 'rwd', false, 'small'),
+('Subaru', 'XV', 2012, 2017, 1450, 'awd', false, 'small'),
+('Subaru', 'Tribeca', 2006, 2014, 1900, 'awd', false, 'medium'),
+('Subaru', 'Baja', 2003, 2006, 1550, 'awd', false, 'small'),
+('Subaru', 'SVX', 1992, 1997, 1600, 'awd', false, 'small'),
+('Kia', 'Forte', 2010, NULL, 1300, 'fwd', false, 'small'),
+('Kia', 'Optima', 2001, 2020, 1500, 'fwd', false, 'small'),
+('Kia', 'Sportage', 2000, NULL, 1600, 'fwd', false, 'small'),
+('Kia', 'Sorento', 2003, NULL, 1850, 'fwd', false, 'medium'),
+('Kia', 'Telluride', 2020, NULL, 2000, 'awd', false, 'medium'),
+('Kia', 'Soul', 2010, NULL, 1300, 'fwd', false, 'small'),
+('Kia', 'Stinger', 2018, 2023, 1800, 'rwd', false, 'medium'),
+('Kia', 'Seltos', 2020, NULL, 1400, 'fwd', false, 'small'),
+('Kia', 'Niro', 2017, NULL, 1500, 'fwd', false, 'small'),
+('Kia', 'Carnival', 2022, NULL, 2050, 'fwd', false, 'medium'),
+('Kia', 'K5', 2021, NULL, 1450, 'fwd', false, 'small'),
+('Kia', 'Cadenza', 2010, 2021, 1600, 'fwd', false, 'small'),
+('Kia', 'Rio', 2001, NULL, 1150, 'fwd', false, 'small'),
+('Kia', 'Sedona', 2002, 2021, 2000, 'fwd', false, 'medium'),
+('Lexus', 'RX', 2000, NULL, 2000, 'awd', false, 'medium'),
+('Lexus', 'ES', 2000, NULL, 1650, 'fwd', false, 'small'),
+('Lexus', 'NX', 2015, NULL, 1800, 'awd', false, 'medium'),
+('Lexus', 'IS', 2001, NULL, 1650, 'rwd', false, 'small'),
+('Lexus', 'GX', 2003, NULL, 2400, '4wd', false, 'medium'),
+('Lexus', 'UX', 2019, NULL, 1500, 'fwd', false, 'small'),
+('Lexus', 'LS', 2000, NULL, 2150, 'rwd', false, 'medium'),
+('Lexus', 'LC', 2018, NULL, 1950, 'rwd', false, 'medium'),
+('Lexus', 'RC', 2015, NULL, 1750, 'rwd', false, 'medium'),
+('Lexus', 'LX', 2000, NULL, 2700, '4wd', false, 'medium'),
+('Lexus', 'CT', 2011, 2022, 1450, 'fwd', false, 'small'),
+('Lexus', 'GS', 2000, 2020, 1750, 'rwd', false, 'medium'),
+('Lexus', 'SC', 2002, 2010, 1750, 'rwd', false, 'medium'),
+('Lexus', 'HS', 2010, 2012, 1650, 'fwd', false, 'small'),
+('Volvo', 'XC90', 2003, NULL, 2100, 'awd', false, 'medium'),
+('Volvo', 'XC60', 2009, NULL, 1900, 'awd', false, 'medium'),
+('Volvo', 'S60', 2001, NULL, 1650, 'fwd', false, 'small'),
+('Volvo', 'V60', 2011, NULL, 1700, 'fwd', false, 'small'),
+('Volvo', 'XC40', 2018, NULL, 1700, 'awd', false, 'small'),
+('Volvo', 'S90', 2017, NULL, 1800, 'fwd', false, 'medium'),
+('Volvo', 'V90', 2017, NULL, 1850, 'awd', false, 'medium'),
+('Volvo', 'C40', 2022, NULL, 2150, 'awd', true, 'medium'),
+('Volvo', 'S40', 2000, 2012, 1400, 'fwd', false, 'small'),
+('Volvo', 'C30', 2007, 2013, 1350, 'fwd', false, 'small'),
+('Volvo', 'V40', 2000, 2019, 1400, 'fwd', false, 'small'),
+('Volvo', 'S80', 2000, 2016, 1650, 'fwd', false, 'small'),
+('Tesla', 'Model 3', 2017, NULL, 1750, 'rwd', true, 'medium'),
+('Tesla', 'Model S', 2012, NULL, 2100, 'awd', true, 'medium'),
+('Tesla', 'Model X', 2016, NULL, 2450, 'awd', true, 'medium'),
+('Tesla', 'Model Y', 2020, NULL, 1950, 'awd', true, 'medium'),
+('Tesla', 'Cybertruck', 2024, NULL, 3100, 'awd', true, 'large'),
+('Tesla', 'Roadster', 2008, 2012, 1250, 'rwd', true, 'small'),
+('Porsche', '911', 2000, NULL, 1500, 'rwd', false, 'small'),
+('Porsche', 'Cayenne', 2003, NULL, 2100, 'awd', false, 'medium'),
+('Porsche', 'Panamera', 2010, NULL, 1950, 'rwd', false, 'medium'),
+('Porsche', 'Macan', 2015, NULL, 1900, 'awd', false, 'medium'),
+('Porsche', 'Taycan', 2020, NULL, 2300, 'awd', true, 'medium'),
+('Porsche', 'Boxster', 2000, 2016, 1350, 'rwd', false, 'small'),
+('Porsche', 'Cayman', 2006, 2016, 1350, 'rwd', false, 'small'),
+('Porsche', '718', 2017, NULL, 1400, 'rwd', false, 'small'),
+('Porsche', '944', 1982, 1991, 1250, 'rwd', false, 'small'),
+('Porsche', '928', 1978, 1995, 1550, 'rwd', false, 'small'),
+('Jaguar', 'F-PACE', 2017, NULL, 1850, 'awd', false, 'medium'),
+('Jaguar', 'XF', 2008, NULL, 1700, 'rwd', false, 'small'),
+('Jaguar', 'E-PACE', 2018, NULL, 1800, 'awd', false, 'medium'),
+('Jaguar', 'I-PACE', 2019, NULL, 2150, 'awd', true, 'medium'),
+('Jaguar', 'XE', 2016, 2020, 1600, 'rwd', false, 'small'),
+('Jaguar', 'F-TYPE', 2014, 2024, 1650, 'rwd', false, 'small'),
+('Jaguar', 'XJ', 2000, 2019, 1850, 'rwd', false, 'medium'),
+('Jaguar', 'XK', 2000, 2014, 1650, 'rwd', false, 'small'),
+('Jaguar', 'S-Type', 2000, 2008, 1700, 'rwd', false, 'small'),
+('Jaguar', 'X-Type', 2002, 2008, 1550, 'awd', false, 'small'),
+('Land Rover', 'Range Rover', 2000, NULL, 2450, '4wd', false, 'medium'),
+('Land Rover', 'Discovery', 2000, NULL, 2250, '4wd', false, 'medium'),
+('Land Rover', 'Defender', 2020, NULL, 2300, '4wd', false, 'medium'),
+('Land Rover', 'Evoque', 2012, NULL, 1800, 'awd', false, 'medium'),
+('Land Rover', 'Velar', 2018, NULL, 1950, 'awd', false, 'medium'),
+('Land Rover', 'Freelander', 2000, 2015, 1750, 'awd', false, 'medium'),
+('Land Rover', 'LR2', 2008, 2015, 1800, 'awd', false, 'medium'),
+('Land Rover', 'LR3', 2005, 2009, 2550, '4wd', false, 'medium'),
+('Land Rover', 'LR4', 2010, 2016, 2600, '4wd', false, 'medium'),
+('Acura', 'TLX', 2015, NULL, 1650, 'fwd', false, 'small'),
+('Acura', 'RDX', 2007, NULL, 1850, 'awd', false, 'medium'),
+('Acura', 'MDX', 2001, NULL, 2000, 'awd', false, 'medium'),
+('Acura', 'ILX', 2013, 2022, 1400, 'fwd', false, 'small'),
+('Acura', 'NSX', 2017, 2022, 1750, 'awd', false, 'medium'),
+('Acura', 'RLX', 2014, 2020, 1800, 'fwd', false, 'medium'),
+('Acura', 'TSX', 2004, 2014, 1500, 'fwd', false, 'small'),
+('Acura', 'RSX', 2002, 2006, 1250, 'fwd', false, 'small'),
+('Acura', 'ZDX', 2010, 2013, 2000, 'awd', false, 'medium'),
+('Acura', 'Integra', 2023, NULL, 1400, 'fwd', false, 'small'),
+('RAM', '1500', 2010, NULL, 2300, '4wd', false, 'medium'),
+('RAM', '2500', 2010, NULL, 3100, '4wd', false, 'large'),
+('RAM', '3500', 2010, NULL, 3400, '4wd', false, 'large'),
+('RAM', 'ProMaster', 2014, NULL, 2200, 'fwd', false, 'medium'),
+('RAM', 'ProMaster City', 2015, 2022, 1600, 'fwd', false, 'small'),
+('GMC', 'Sierra', 2000, NULL, 2300, '4wd', false, 'medium'),
+('GMC', 'Yukon', 2000, NULL, 2600, '4wd', false, 'medium'),
+('GMC', 'Terrain', 2010, NULL, 1650, 'fwd', false, 'small'),
+('GMC', 'Acadia', 2007, NULL, 1900, 'fwd', false, 'medium'),
+('GMC', 'Canyon', 2004, NULL, 2000, '4wd', false, 'medium'),
+('GMC', 'Savana', 2000, NULL, 2700, 'rwd', false, 'medium'),
+('Jeep', 'Wrangler', 2000, NULL, 1950, '4wd', false, 'medium'),
+('Jeep', 'Grand Cherokee', 2000, NULL, 2150, '4wd', false, 'medium'),
+('Jeep', 'Cherokee', 2014, 2023, 1750, '4wd', false, 'medium'),
+('Jeep', 'Compass', 2007, NULL, 1500, 'fwd', false, 'small'),
+('Jeep', 'Renegade', 2015, NULL, 1450, 'fwd', false, 'small'),
+('Jeep', 'Gladiator', 2020, NULL, 2250, '4wd', false, 'medium'),
+('Dodge', 'Charger', 2006, NULL, 1850, 'rwd', false, 'medium'),
+('Dodge', 'Challenger', 2008, 2023, 1900, 'rwd', false, 'medium'),
+('Dodge', 'Durango', 2000, NULL, 2150, 'awd', false, 'medium'),
+('Dodge', 'Journey', 2009, 2020, 1800, 'fwd', false, 'medium'),
+('Dodge', 'Grand Caravan', 2000, 2020, 2000, 'fwd', false, 'medium'),
+('Chrysler', '300', 2005, NULL, 1850, 'rwd', false, 'medium'),
+('Chrysler', 'Pacifica', 2017, NULL, 2000, 'fwd', false, 'medium'),
+('Chrysler', 'Voyager', 2020, NULL, 2000, 'fwd', false, 'medium');
+
+INSERT INTO public.depots (name, address, latitude, longitude, service_radius_km, truck_types, open_hour, close_hour, weekdays)
+VALUES
+('Patio Principal', 'Carretera a Laredo km 32, Salinas Victoria, N.L.', 26.509672, -100.0095504, 250.00, '{A,C,D}', NULL, NULL, NULL),
+('Patio Monterrey', 'Av. Constitución 1500, Monterrey, N.L.', 25.6866, -100.3161, 80.00, '{A,C}', 7, 22, '{1,2,3,4,5,6}'),
+('Patio Saltillo', 'Blvd. Venustiano Carranza 4200, Saltillo, Coah.', 25.4232, -101.0053, 120.00, '{A,C,D}', NULL, NULL, NULL);
+
+INSERT INTO public.service_areas (depot_id, name, polygon)
+SELECT depots.id, areas.name, areas.polygon::jsonb
+FROM (VALUES
+  ('Patio Principal', 'Salinas Victoria y carretera a Laredo', '[[25.95, -100.45], [25.95, -99.85], [26.95, -99.70], [27.50, -99.55], [27.50, -100.20], [26.60, -100.45]]'),
+  ('Patio Monterrey', 'Zona Metropolitana de Monterrey', '[[25.55, -100.55], [25.55, -100.10], [25.90, -100.05], [25.95, -100.45], [25.80, -100.60]]'),
+  ('Patio Saltillo', 'Saltillo, Ramos Arizpe y Arteaga', '[[25.30, -101.15], [25.30, -100.85], [25.60, -100.80], [25.65, -101.10]]')
+) AS areas(depot_name, name, polygon)
+JOIN public.depots ON depots.name = areas.depot_name;
+
+INSERT INTO public.eligibility_rules (name, message, conditions, allowed_truck_types, required_equipment, charge_amount, priority)
+VALUES
+('Tracción integral', 'Los vehículos con tracción integral o 4x4 se transportan sobre plataforma para no dañar la transmisión.', '{"drivetrain": ["awd", "4wd"]}', '{C,D}', '{}', 0, 10),
+('Vehículo eléctrico', 'Los vehículos eléctricos se transportan sobre plataforma para no dañar el motor ni la batería.', '{"is_electric": true}', '{C,D}', '{}', 0, 10),
+('Vehículo rebajado', 'Los vehículos con suspensión rebajada se cargan en plataforma para no dañar la fascia.', '{"is_lowered": true}', '{C,D}', '{}', 0, 10),
+('Patines para vehículo sin neutral', 'Como el vehículo no se puede poner en neutral, se colocan patines (dollies) bajo las llantas de tracción.', '{"in_neutral": false}', NULL, '{dollies}', 350.00, 20),
+('Ruedas que no giran', 'Como las ruedas no giran, se colocan patines de rueda (skates) para moverlo hasta la grúa.', '{"wheels_steer": false}', NULL, '{skates}', 300.00, 20),
+('Arrastre con malacate', 'Como el motor no enciende, el vehículo se sube a la grúa con malacate.', '{"engine_starts": false}', NULL, '{winch}', 250.00, 20),
+('Vehículo obstruido', 'El vehículo está obstruido; se saca con malacate como parte de la maniobra.', '{"vehicle_position": "obstructed"}', NULL, '{winch}', 0, 30);
+
+INSERT INTO public.surcharge_rules (name, kind, amount, start_hour, end_hour, weekdays, holidays_only, out_of_coverage_only)
+VALUES
+('Recargo nocturno', 'percentage', 25.00, 22, 6, NULL, false, false),
+('Recargo de fin de semana', 'percentage', 15.00, NULL, NULL, '{0,6}', false, false),
+('Recargo por día festivo', 'percentage', 30.00, NULL, NULL, NULL, true, false),
+('Recargo foráneo', 'percentage', 20.00, NULL, NULL, NULL, false, true);
+
+INSERT INTO public.holidays (date, name)
+VALUES
+('2026-01-01', 'Año Nuevo'),
+('2026-02-02', 'Día de la Constitución'),
+('2026-03-16', 'Natalicio de Benito Juárez'),
+('2026-05-01', 'Día del Trabajo'),
+('2026-09-16', 'Día de la Independencia'),
+('2026-11-16', 'Día de la Revolución'),
+('2026-12-25', 'Navidad');
+
+INSERT INTO public.exchange_rates (base_currency, quote_currency, rate)
+VALUES
+('USD', 'MXN', 18.500000);
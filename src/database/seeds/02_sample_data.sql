@@ -0,0 +1,23 @@
+-- Demo accounts with known passwords, a promo code and a booking, for local
+-- development only.
+
+INSERT INTO public.users (email, encrypted_password, role) VALUES
+('admin@example.com', crypt('admin_password', gen_salt('bf')), 'admin'),
+('user@example.com', crypt('user_password', gen_salt('bf')), 'user');
+
+INSERT INTO public.promotions (code, description, kind, amount, max_uses, max_uses_per_customer, expires_at)
+VALUES
+('BIENVENIDO10', 'Primer servicio', 'percentage', 10.00, NULL, 1, NULL);
+
+-- Sample booking
+INSERT INTO public.bookings (user_id, service_id, status, payment_status, pickup_location, dropoff_location, vehicle_details, distance, total_cost, pickup_datetime)
+VALUES (
+  (SELECT id FROM public.users WHERE email = 'user@example.com'),
+  (SELECT id FROM public.services WHERE name = 'Standard Towing'),
+  'pending', 'pending', '123 Main St', '456 Elm St', 
+  '{"brand": "Toyota", "model": "Corolla", "year": 2020, "color": "Silver", "license_plate": "ABC123", "size": "medium"}'::jsonb,
+  15.5, 81.00, NOW() + INTERVAL '2 hours'
+);
+
+INSERT INTO public.booking_status_history (booking_id, from_status, to_status, event, actor_id, actor_role)
+SELECT id, NULL, status, 'create', user_id, 'user' FROM public.bookings;
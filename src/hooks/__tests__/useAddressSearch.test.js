@@ -0,0 +1,95 @@
+/**
+ * @jest-environment jsdom
+ */
+import { createElement } from 'react';
+import { jest } from '@jest/globals';
+import { act, renderHook } from '@testing-library/react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+
+// Searches resolve when the test says so, like a slow geocoder.
+const pendingSearches = [];
+const geocoder = {
+  search: jest.fn((query, { signal }) => new Promise((resolve) => {
+    pendingSearches.push({ query, signal, resolve });
+  })),
+};
+
+jest.unstable_mockModule('../useGeocoder', () => ({ useGeocoder: () => geocoder }));
+const { useAddressSearch } = await import('../useAddressSearch');
+
+const address = (label) => ({ label, lat: 25.67, lng: -100.31 });
+
+const renderSearch = (query) => {
+  const client = new QueryClient({ defaultOptions: { queries: { retry: false } } });
+  const wrapper = ({ children }) => createElement(QueryClientProvider, { client }, children);
+  return renderHook(({ text }) => useAddressSearch(text), { wrapper, initialProps: { text: query } });
+};
+
+const type = async (hook, text, pauseMs = 0) => {
+  hook.rerender({ text });
+  await act(async () => {
+    jest.advanceTimersByTime(pauseMs);
+  });
+};
+
+// React Query batches its updates on a timer.
+const resolveSearch = async (search, results) => {
+  await act(async () => {
+    search.resolve(results);
+  });
+  await act(async () => {
+    jest.advanceTimersByTime(0);
+  });
+};
+
+describe('useAddressSearch', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    pendingSearches.length = 0;
+    geocoder.search.mockClear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should search only once typing pauses', async () => {
+    const hook = renderSearch('');
+    await type(hook, 'Av', 100);
+    await type(hook, 'Av C', 100);
+    await type(hook, 'Av Con', 399);
+
+    expect(geocoder.search).not.toHaveBeenCalled();
+    expect(hook.result.current.isSearching).toBe(true);
+
+    await type(hook, 'Av Con', 1);
+    expect(geocoder.search).toHaveBeenCalledTimes(1);
+    expect(pendingSearches[0].query).toBe('Av Con');
+
+    await resolveSearch(pendingSearches[0], [address('Avenida Constitución 400')]);
+    expect(hook.result.current.results).toEqual([address('Avenida Constitución 400')]);
+    expect(hook.result.current.isSearching).toBe(false);
+  });
+
+  it('should not search fewer than three characters', async () => {
+    const hook = renderSearch('');
+    await type(hook, ' Av ', 400);
+
+    expect(geocoder.search).not.toHaveBeenCalled();
+    expect(hook.result.current).toMatchObject({ results: [], isSearching: false });
+  });
+
+  it('should cancel a search the customer typed past and ignore its results', async () => {
+    const hook = renderSearch('');
+    await type(hook, 'Monte', 400);
+    await type(hook, 'Monterrey', 400);
+    const [stale, latest] = pendingSearches;
+
+    expect(stale.signal.aborted).toBe(true);
+    expect(latest.signal.aborted).toBe(false);
+
+    await resolveSearch(latest, [address('Monterrey, Nuevo León')]);
+    await resolveSearch(stale, [address('Montemorelos, Nuevo León')]);
+    expect(hook.result.current.results).toEqual([address('Monterrey, Nuevo León')]);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * @jest-environment jsdom
+ */
+import { createElement, useMemo } from 'react';
+import { jest } from '@jest/globals';
+import { act, renderHook } from '@testing-library/react';
+import { ChakraProvider } from '@chakra-ui/react';
+import { checkCoverage } from '../../utils/serviceAreas';
+import { routeTripLegs, tripWaypoints } from '../../utils/routeLegs';
+import { serializeRoute } from '../../utils/routeGeometry';
+
+const depots = [
+  { id: 'norte', name: 'Patio Norte', latitude: 26.5, longitude: -100.0, service_radius_km: 200, truck_types: ['A', 'C', 'D'], open_hour: null, close_hour: null, weekdays: null },
+];
+const serviceAreas = [
+  { id: 'sabinas', name: 'Sabinas', depot_id: 'norte', is_active: true, polygon: [[26.0, -100.5], [27.0, -100.5], [27.0, -99.5], [26.0, -99.5]] },
+  { id: 'vallecillo', name: 'Vallecillo', depot_id: 'norte', is_active: false, polygon: [[26.6, -99.9], [26.7, -99.9], [26.7, -99.8]] },
+];
+
+// One straight leg per pair of waypoints, 10 km each.
+const routingProvider = {
+  name: 'test',
+  route: jest.fn(async (waypoints) => waypoints.slice(1).map((point, index) => ({ distance: 10, coordinates: [waypoints[index], point] }))),
+};
+const geocoder = {
+  reverse: jest.fn(async (lat, lng) => ({ label: `${lat}, ${lng}` })),
+};
+
+jest.unstable_mockModule('../useRoutingProvider', () => ({ useRoutingProvider: () => routingProvider }));
+jest.unstable_mockModule('../useGeocoder', () => ({ useGeocoder: () => geocoder }));
+jest.unstable_mockModule('../useOfflineTiles', () => ({ useOfflineTiles: () => {} }));
+jest.unstable_mockModule('../useCoverage', () => ({
+  useCoverage: ({ pickup, destination }) => ({
+    serviceAreas,
+    coverage: useMemo(() => checkCoverage(serviceAreas, { pickup, destination }), [pickup, destination]),
+  }),
+}));
+jest.unstable_mockModule('../../integrations/supabase/hooks/depots', () => ({ useDepots: () => ({ data: depots }) }));
+const { useBookingMap } = await import('../useBookingMap');
+
+const depot = [26.5, -100.0];
+const pickup = [26.6, -100.1];
+const stop = [26.7, -100.2];
+const destination = [26.8, -100.3];
+
+const renderMap = (options = {}) => {
+  const wrapper = ({ children }) => createElement(ChakraProvider, null, children);
+  return renderHook((props) => useBookingMap(props), { wrapper, initialProps: options });
+};
+
+const click = async (hook, point) => {
+  await act(async () => {
+    await hook.result.current.selectPoint(point);
+  });
+};
+
+describe('useBookingMap', () => {
+  beforeEach(() => {
+    routingProvider.route.mockClear();
+    geocoder.reverse.mockClear();
+  });
+
+  describe('picking a route', () => {
+    it('should place the pickup, then the drop-off, then move the closest marker', async () => {
+      const onPickupAddressChange = jest.fn();
+      const hook = renderMap({ onPickupAddressChange });
+
+      await click(hook, pickup);
+      expect(hook.result.current.pickup).toEqual(pickup);
+      expect(hook.result.current.pickupLabel).toBe('26.6, -100.1');
+      expect(onPickupAddressChange).toHaveBeenLastCalledWith('26.6, -100.1');
+
+      await click(hook, destination);
+      expect(hook.result.current.destination).toEqual(destination);
+
+      await click(hook, [26.61, -100.11]);
+      expect(hook.result.current.pickup).toEqual([26.61, -100.11]);
+      expect(hook.result.current.destination).toEqual(destination);
+    });
+
+    it('should place a stop added with no point on the next click', async () => {
+      const hook = renderMap();
+      await click(hook, pickup);
+      await click(hook, destination);
+      act(() => hook.result.current.addStop());
+      await click(hook, stop);
+
+      expect(hook.result.current.stops.map((item) => item.point)).toEqual([stop]);
+    });
+
+    it('should route the trip from the dispatching depot and report its legs', async () => {
+      const onLegsChange = jest.fn();
+      const onRoutePointsChange = jest.fn();
+      const hook = renderMap({ onLegsChange, onRoutePointsChange });
+      await click(hook, pickup);
+      await click(hook, destination);
+
+      expect(routingProvider.route).toHaveBeenLastCalledWith(tripWaypoints(depot, pickup, destination));
+      expect(hook.result.current.depot.id).toBe('norte');
+      expect(hook.result.current.legs.map((leg) => leg.key)).toEqual(['deadhead', 'loaded', 'return']);
+      expect(hook.result.current.distances).toEqual({ deadheadDistance: 10, distance: 10, returnDistance: 10 });
+      expect(onLegsChange).toHaveBeenLastCalledWith(hook.result.current.legs);
+      expect(onRoutePointsChange).toHaveBeenLastCalledWith({ pickup, destination });
+    });
+
+    it('should leave the view to the customer instead of fitting it', async () => {
+      const hook = renderMap();
+      await click(hook, pickup);
+      await click(hook, destination);
+
+      expect(hook.result.current.isEditable).toBe(true);
+      expect(hook.result.current.bounds).toBeNull();
+      expect(hook.result.current.areas.map((area) => area.id)).toEqual(['sabinas']);
+    });
+  });
+
+  describe('a stored route', () => {
+    const storedRoute = async () => serializeRoute({
+      provider: 'test',
+      waypoints: tripWaypoints(depot, pickup, destination, [stop]),
+      legs: await routeTripLegs(routingProvider, depot, pickup, destination, [stop]),
+    });
+
+    it('should draw the markers and legs it was priced on without routing again', async () => {
+      const route = await storedRoute();
+      routingProvider.route.mockClear();
+      const hook = renderMap({ route });
+      await click(hook, [26.9, -100.4]);
+
+      const map = hook.result.current;
+      expect(map.isEditable).toBe(false);
+      expect([map.pickup, map.stops.map((item) => item.point), map.destination]).toEqual([pickup, [stop], destination]);
+      expect(map.depots.map(({ latitude, longitude }) => [latitude, longitude])).toEqual([depot]);
+      expect(map.depot).toBe(map.depots[0]);
+      expect(map.legs.map((leg) => leg.key)).toEqual(['deadhead', 'loaded', 'loaded', 'return']);
+      expect(map.areas).toEqual([]);
+      expect(routingProvider.route).not.toHaveBeenCalled();
+      expect(geocoder.reverse).not.toHaveBeenCalled();
+    });
+
+    it('should fit the view to the whole route', async () => {
+      const hook = renderMap({ route: await storedRoute() });
+
+      expect(hook.result.current.bounds).toEqual([depot, pickup, pickup, stop, stop, destination, destination, depot]);
+    });
+  });
+
+  describe('the service area editor', () => {
+    const editor = (changes = {}) => ({ vertices: [], isDrawing: false, editingAreaId: undefined, onAddVertex: jest.fn(), ...changes });
+
+    it('should add rounded vertices on click only while drawing', async () => {
+      const serviceAreaEditor = editor();
+      const hook = renderMap({ serviceAreaEditor });
+      await click(hook, [26.1234567, -100.7654321]);
+      expect(serviceAreaEditor.onAddVertex).not.toHaveBeenCalled();
+
+      hook.rerender({ serviceAreaEditor: { ...serviceAreaEditor, isDrawing: true } });
+      await click(hook, [26.1234567, -100.7654321]);
+      expect(serviceAreaEditor.onAddVertex).toHaveBeenCalledWith([26.123457, -100.765432]);
+      expect(hook.result.current.pickup).toBeNull();
+    });
+
+    it('should show inactive areas with their depot and hide the one being redrawn', () => {
+      const vertices = [[26.1, -100.1], [26.2, -100.1]];
+      const hook = renderMap({ serviceAreaEditor: editor({ vertices, editingAreaId: 'sabinas' }) });
+
+      expect(hook.result.current.areas).toEqual([
+        { id: 'vallecillo', polygon: serviceAreas[1].polygon, isActive: false, label: 'Vallecillo · Patio Norte' },
+      ]);
+      expect(hook.result.current.draftArea).toBe(vertices);
+    });
+
+    it('should fit the view to every service area', () => {
+      const hook = renderMap({ serviceAreaEditor: editor() });
+
+      expect(hook.result.current.bounds).toEqual([...serviceAreas[0].polygon, ...serviceAreas[1].polygon]);
+    });
+  });
+});
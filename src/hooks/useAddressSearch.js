@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react';
+import { useQuery, keepPreviousData } from '@tanstack/react-query';
+import { useGeocoder } from './useGeocoder';
+
+const MIN_QUERY_LENGTH = 3;
+const DEBOUNCE_MS = 400;
+
+// Typeahead suggestions for an address input. The query is debounced so only a
+// pause in typing reaches the geocoder, which also caches and throttles.
+export const useAddressSearch = (query) => {
+  const geocoder = useGeocoder();
+  const [debouncedQuery, setDebouncedQuery] = useState(query);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedQuery(query.trim()), DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const enabled = debouncedQuery.length >= MIN_QUERY_LENGTH;
+  const { data, isFetching, isError } = useQuery({
+    queryKey: ['geocode', 'search', debouncedQuery],
+    // React Query aborts the signal once a newer query replaces this one.
+    queryFn: ({ signal }) => geocoder.search(debouncedQuery, { limit: 5, signal }),
+    enabled,
+    staleTime: Infinity,
+    retry: 1,
+    placeholderData: keepPreviousData,
+  });
+
+  return {
+    results: enabled ? data || [] : [],
+    isSearching: (enabled && isFetching) || (query.trim().length >= MIN_QUERY_LENGTH && query.trim() !== debouncedQuery),
+    isError,
+  };
+};
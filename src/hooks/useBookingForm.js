@@ -1,11 +1,24 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useMemo } from 'react';
 import { useToast } from "@chakra-ui/react";
 import { useNavigate } from "react-router-dom";
 import { useMutation, useQueryClient } from '@tanstack/react-query';
 import { useSupabaseAuth } from '../integrations/supabase/auth';
-import { createBooking } from '../server/db';
-import { testPayment } from '../utils/testPayment';
-import { getVehicleSize, getTowTruckType, calculateTotalCost } from '../utils/towTruckSelection';
+import { requestQuote, submitBooking } from '../utils/bookingApi';
+import { getVehicleSize, getTowTruckType } from '../utils/towTruckSelection';
+import { calculateQuoteBreakdown } from '../utils/pricingEngine';
+import { quoteTaxes } from '../utils/taxes';
+import { DEFAULT_CURRENCY } from '../utils/currency';
+import { findCatalogVehicle, customerVehicle, isVehicleSized } from '../utils/vehicleCatalog';
+import { buildEligibilityFacts, evaluateEligibility } from '../utils/eligibilityRules';
+import { legDistances } from '../utils/routeLegs';
+import { useExchangeRates } from '../integrations/supabase/hooks/exchange_rates';
+import { useVehicleCatalog } from '../integrations/supabase/hooks/vehicle_catalog';
+import { useTariff } from './useTariff';
+import { useSurchargeRules } from './useSurchargeRules';
+import { useEligibilityRules } from './useEligibilityRules';
+import { useCoverage } from './useCoverage';
+import { useOnlineStatus } from './useOnlineStatus';
+import { queueDraftBooking } from './useDraftBookingQueue';
 
 export const useBookingForm = () => {
   const [formData, setFormData] = useState(() => {
@@ -19,34 +32,87 @@ export const useBookingForm = () => {
       phoneNumber: '',
       vehicleBrand: '',
       vehicleModel: '',
+      vehicleYear: '',
       vehicleColor: '',
       licensePlate: '',
       vehicleSize: '',
       pickupAddress: '',
       dropOffAddress: '',
+      stops: [],
       vehicleIssue: '',
       additionalDetails: '',
       wheelsStatus: '',
       pickupDateTime: new Date(),
       paymentMethod: 'card',
+      currency: DEFAULT_CURRENCY,
       vehiclePosition: '',
-      inNeutral: false,
-      engineStarts: false,
-      wheelsSteer: false,
+      inNeutral: true,
+      engineStarts: true,
+      wheelsSteer: true,
+      isLowered: false,
     };
   });
 
-  const [distance, setDistance] = useState(0);
   const [totalCost, setTotalCost] = useState(0);
+  const [routePoints, setRoutePoints] = useState(null);
+  const [routeLegs, setRouteLegs] = useState(null);
+  const [quote, setQuote] = useState(null);
+  const [promoCode, setPromoCode] = useState('');
   const [isPaymentWindowOpen, setIsPaymentWindowOpen] = useState(false);
+  // The booking waiting for its payment, with the quote the payment is made against.
+  const [pendingBooking, setPendingBooking] = useState(null);
+  // Loaded tow distance: the quote's once it arrives, the map's route until then.
+  const distance = quote ? quote.distance : (routeLegs ? legDistances(routeLegs).distance : 0);
 
   const navigate = useNavigate();
   const { session } = useSupabaseAuth();
   const toast = useToast();
   const queryClient = useQueryClient();
+  const isOnline = useOnlineStatus();
+  const { data: tariff } = useTariff();
+  const { data: { rules: surchargeRules, holidays } = {} } = useSurchargeRules();
+  const { data: exchangeRates } = useExchangeRates();
+  const { data: vehicleCatalog = [] } = useVehicleCatalog();
+  const { data: eligibilityRules } = useEligibilityRules();
+  const currency = formData.currency || DEFAULT_CURRENCY;
+  // Only where the stops are and how long the truck waits change the price, so editing
+  // their notes does not request a new quote.
+  const stopsPricingKey = JSON.stringify((formData.stops || []).map(({ lat, lng, waitMinutes }) => ({ lat, lng, waitMinutes })));
+  const pricedStops = useMemo(() => JSON.parse(stopsPricingKey), [stopsPricingKey]);
+
+  const { coverage: localCoverage } = useCoverage({ pickup: routePoints?.pickup, destination: routePoints?.destination });
+  // The server quote's coverage decision wins, like its price.
+  const coverage = quote?.coverage || localCoverage;
+
+  const catalogVehicle = useMemo(() => findCatalogVehicle(vehicleCatalog, {
+    brand: formData.vehicleBrand,
+    model: formData.vehicleModel,
+    year: formData.vehicleYear,
+  }), [vehicleCatalog, formData.vehicleBrand, formData.vehicleModel, formData.vehicleYear]);
+  // Years older than the catalog are sized by the customer, as the server does.
+  const isVehicleCatalogued = Boolean(catalogVehicle) || !formData.vehicleYear;
+  const selectedVehicle = useMemo(() => {
+    if (catalogVehicle || !formData.vehicleYear) return catalogVehicle;
+    return customerVehicle({ brand: formData.vehicleBrand, model: formData.vehicleModel, sizeClass: formData.vehicleSize });
+  }, [catalogVehicle, formData.vehicleBrand, formData.vehicleModel, formData.vehicleYear, formData.vehicleSize]);
+  const vehicleSize = getVehicleSize(selectedVehicle);
+  const vehicleNeedsReview = Boolean(selectedVehicle) && !isVehicleSized(selectedVehicle);
+
+  // Like the price, the server quote's decision wins once it has arrived.
+  const eligibility = useMemo(() => {
+    if (quote) return quote.eligibility;
+    if (!selectedVehicle || !eligibilityRules) return null;
+    return evaluateEligibility(eligibilityRules, buildEligibilityFacts(selectedVehicle, {
+      inNeutral: formData.inNeutral,
+      engineStarts: formData.engineStarts,
+      wheelsSteer: formData.wheelsSteer,
+      isLowered: formData.isLowered,
+      vehiclePosition: formData.vehiclePosition,
+    }));
+  }, [quote, selectedVehicle, eligibilityRules, formData.inNeutral, formData.engineStarts, formData.wheelsSteer, formData.isLowered, formData.vehiclePosition]);
 
   const createBookingMutation = useMutation({
-    mutationFn: createBooking,
+    mutationFn: submitBooking,
     onSuccess: () => {
       queryClient.invalidateQueries('bookings');
       toast({
@@ -80,22 +146,130 @@ export const useBookingForm = () => {
     if (name === 'vehicleBrand') {
       setFormData(prevData => ({
         ...prevData,
-        vehicleModel: ''
+        vehicleModel: '',
+        vehicleYear: ''
       }));
     }
 
-    if (name === 'vehicleModel' || name === 'vehiclePosition') {
-      updateTotalCost();
+    if (name === 'vehicleModel') {
+      setFormData(prevData => ({
+        ...prevData,
+        vehicleYear: ''
+      }));
     }
   }, []);
 
-  const updateTotalCost = useCallback(() => {
-    const vehicleSize = getVehicleSize(formData.vehicleModel);
-    const towTruckType = getTowTruckType(vehicleSize);
-    const requiresManeuver = formData.vehiclePosition === 'obstructed';
-    const cost = calculateTotalCost(distance, towTruckType, requiresManeuver);
-    setTotalCost(cost);
-  }, [formData.vehicleModel, formData.vehiclePosition, distance]);
+  // The server quote is authoritative; the local breakdown is only a preview until it arrives.
+  const breakdown = useMemo(() => {
+    if (quote) return quote.breakdown;
+    if (!tariff || !distance || !eligibility) return null;
+    const towTruckType = getTowTruckType(vehicleSize, eligibility.allowedTruckTypes);
+    if (!towTruckType) return null;
+    try {
+      return calculateQuoteBreakdown(tariff, {
+        distance,
+        ...(routeLegs ? legDistances(routeLegs) : {}),
+        towTruckType,
+        requiresManeuver: formData.vehiclePosition === 'obstructed',
+        stops: pricedStops,
+        handlingCharges: eligibility.charges,
+        pickupDateTime: formData.pickupDateTime,
+        surchargeRules,
+        holidays,
+        destinationOutOfCoverage: !coverage.destinationInCoverage,
+        taxes: quoteTaxes,
+        currency,
+        exchangeRates,
+      });
+    } catch (error) {
+      // Exchange rates may still be loading, or the truck type has no tariff; the
+      // server quote will follow or explain.
+      return null;
+    }
+  }, [quote, tariff, distance, routeLegs, pricedStops, eligibility, vehicleSize, formData.vehiclePosition, formData.pickupDateTime, surchargeRules, holidays, coverage.destinationInCoverage, currency, exchangeRates]);
+
+  useEffect(() => {
+    if (breakdown) {
+      setTotalCost(breakdown.total);
+    }
+  }, [breakdown]);
+
+  // What the server quotes; kept apart so a booking made without signal can be quoted
+  // again once the connection returns.
+  const quoteRequest = useMemo(() => {
+    if (!routePoints?.pickup || !routePoints?.destination || !formData.vehicleBrand || !formData.vehicleModel) return null;
+    return {
+      pickup: routePoints.pickup,
+      dropoff: routePoints.destination,
+      stops: pricedStops,
+      vehicleBrand: formData.vehicleBrand,
+      vehicleModel: formData.vehicleModel,
+      vehicleYear: formData.vehicleYear || undefined,
+      vehicleSize: isVehicleCatalogued ? undefined : formData.vehicleSize || undefined,
+      vehiclePosition: formData.vehiclePosition,
+      inNeutral: formData.inNeutral,
+      engineStarts: formData.engineStarts,
+      wheelsSteer: formData.wheelsSteer,
+      isLowered: formData.isLowered,
+      pickupDateTime: formData.pickupDateTime,
+      currency,
+      promoCode: promoCode || undefined,
+    };
+  }, [routePoints, pricedStops, formData.vehicleBrand, formData.vehicleModel, formData.vehicleYear, isVehicleCatalogued, formData.vehicleSize, formData.vehiclePosition, formData.inNeutral, formData.engineStarts, formData.wheelsSteer, formData.isLowered, formData.pickupDateTime, currency, promoCode]);
+
+  useEffect(() => {
+    if (!quoteRequest) {
+      setQuote(null);
+      return;
+    }
+    // Without signal, or before signing in, the map's estimate stands in; quotes are
+    // priced for the signed-in customer.
+    if (!isOnline || !session?.user?.id) return;
+
+    let isCurrent = true;
+    requestQuote(quoteRequest)
+      .then((newQuote) => {
+        if (!isCurrent) return;
+        setQuote(newQuote);
+        setTotalCost(newQuote.totalCost);
+      })
+      .catch((error) => {
+        if (!isCurrent) return;
+        console.error('Error requesting quote:', error);
+        setQuote(null);
+        if (error.field === 'promoCode') {
+          setPromoCode('');
+          toast({
+            title: 'Código promocional no aplicado',
+            description: error.message,
+            status: 'warning',
+            duration: 5000,
+            isClosable: true,
+          });
+          return;
+        }
+        toast({
+          title: 'Quote Error',
+          description: error.explanations?.length
+            ? `${error.message}. ${error.explanations.join(' ')}`
+            : 'We could not confirm the price for this trip. Please try again.',
+          status: 'error',
+          duration: 5000,
+          isClosable: true,
+        });
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [quoteRequest, isOnline, session?.user?.id, toast]);
+
+  const setStops = useCallback((stops) => {
+    setFormData(prevData => ({
+      ...prevData,
+      stops
+    }));
+  }, []);
 
   const handleDateTimeChange = useCallback((date) => {
     setFormData(prevData => ({
@@ -116,18 +290,54 @@ export const useBookingForm = () => {
       return;
     }
 
-    try {
-      const testResult = await testPayment(totalCost);
-      if (!testResult.success) {
-        throw new Error(testResult.message || 'Payment test failed');
+    if (!isOnline) {
+      if (!quoteRequest) {
+        toast({
+          title: 'Route required',
+          description: 'Place the pickup and drop-off on the map before saving your booking.',
+          status: 'warning',
+          duration: 5000,
+          isClosable: true,
+        });
+        return;
       }
-
-      await createBookingMutation.mutateAsync({
-        ...data,
+      queueDraftBooking({
+        quoteRequest,
+        booking: { ...data, stops: formData.stops },
         userId: session.user.id,
-        totalCost,
-        distance,
       });
+      toast({
+        title: 'Booking saved',
+        description: 'You are offline. As soon as you are back online we will quote it again and ask you to confirm the price.',
+        status: 'info',
+        duration: 9000,
+        isClosable: true,
+      });
+      return;
+    }
+
+    if (!quote || new Date(quote.expiresAt) <= new Date()) {
+      toast({
+        title: 'Quote expired',
+        description: 'Please select your route again to get an updated price.',
+        status: 'warning',
+        duration: 5000,
+        isClosable: true,
+      });
+      return;
+    }
+
+    const booking = { ...data, stops: formData.stops, quoteId: quote.quoteId };
+    // Manual quotes are booked unpaid; they are charged once the price is confirmed.
+    // Every other quote is paid first, and booked with its PaymentIntent.
+    if (!quote.requiresManualQuote) {
+      setPendingBooking(booking);
+      setIsPaymentWindowOpen(true);
+      return;
+    }
+
+    try {
+      await createBookingMutation.mutateAsync(booking);
     } catch (error) {
       console.error('Error processing booking:', error);
       toast({
@@ -138,7 +348,14 @@ export const useBookingForm = () => {
         isClosable: true,
       });
     }
-  }, [session, totalCost, distance, createBookingMutation, toast]);
+  }, [session, isOnline, quoteRequest, quote, formData.stops, createBookingMutation, toast]);
+
+  // Books the pending booking once its quote has been paid.
+  const bookPaidQuote = useCallback(async (paymentIntentId) => {
+    if (!pendingBooking) return;
+    await createBookingMutation.mutateAsync({ ...pendingBooking, paymentIntentId });
+    setPendingBooking(null);
+  }, [pendingBooking, createBookingMutation]);
 
   useEffect(() => {
     localStorage.setItem('bookingFormData', JSON.stringify(formData));
@@ -148,14 +365,33 @@ export const useBookingForm = () => {
     formData,
     setFormData,
     distance,
-    setDistance,
     totalCost,
     setTotalCost,
+    quote,
+    breakdown,
+    coverage,
+    isOnline,
+    isRouteEstimated: Boolean(routeLegs?.some((leg) => leg.estimated)),
+    vehicleCatalog,
+    selectedVehicle,
+    isVehicleCatalogued,
+    vehicleNeedsReview,
+    vehicleSize,
+    eligibility,
+    promoCode,
+    setPromoCode,
+    setRoutePoints,
+    setStops,
+    routeLegs,
+    setRouteLegs,
     isPaymentWindowOpen,
     setIsPaymentWindowOpen,
+    pendingBooking,
+    bookPaidQuote,
     handleChange,
     handleDateTimeChange,
     handleBookingProcess,
+    createBookingMutation,
     isLoading: createBookingMutation.isLoading,
   };
 };
\ No newline at end of file
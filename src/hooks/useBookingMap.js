@@ -0,0 +1,342 @@
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import { useToast } from '@chakra-ui/react';
+import { routeTripLegs, legDistances, tripFromWaypoints } from '../utils/routeLegs';
+import { replayRoute } from '../utils/routeGeometry';
+import { isValidPolygon } from '../utils/serviceAreas';
+import { greatCircleDistanceKm } from '../utils/geo';
+import { useRoutingProvider } from './useRoutingProvider';
+import { useGeocoder } from './useGeocoder';
+import { useDispatchDepot } from './useDispatchDepot';
+import { useCoverage } from './useCoverage';
+import { useRouteStops, toBookingStops } from './useRouteStops';
+import { useOfflineTiles } from './useOfflineTiles';
+
+const NO_AREAS = [];
+
+// Vertices are stored to 6 decimals (about 11 cm).
+const roundPoint = (point) => point.map((value) => Number(value.toFixed(6)));
+
+// All the state and behavior of the booking map, independent of the library that
+// draws it (see components/booking/BookingMap). Points are [lat, lng].
+//
+// Without options the customer picks the route. Two other uses draw on the same map:
+//   route               a route stored with a booking (utils/routeGeometry), drawn as it
+//                       was priced; nothing is routed or geocoded again
+//   serviceAreaEditor   { vertices, isDrawing, editingAreaId, onAddVertex(point) } for
+//                       admins drawing service areas: clicks add vertices while
+//                       `isDrawing`, and inactive areas are shown too
+// Both are read-only as far as the route goes (`isEditable` is false).
+//
+// Events, all optional; they are read at call time, so inline functions are fine:
+//   onPickupAddressChange(label)    the pickup was placed or moved
+//   onDropOffAddressChange(label)   the drop-off was placed or moved
+//   onStopsChange(stops)            stops as bookings store them: { lat, lng, address, notes, waitMinutes }
+//   onRoutePointsChange(points)     { pickup, destination }, or null until both are placed
+//   onLegsChange(legs)              labelled trip legs (utils/routeLegs), `estimated` when routed
+//                                   without signal; null when there is no route
+export const useBookingMap = ({ vehicleSize, pickupDateTime, route, serviceAreaEditor, ...events } = {}) => {
+  const [pickup, setPickup] = useState(null);
+  const [destination, setDestination] = useState(null);
+  const [pickupLabel, setPickupLabel] = useState('');
+  const [destinationLabel, setDestinationLabel] = useState('');
+  const [legs, setLegs] = useState(null);
+  const [focusPoint, setFocusPoint] = useState(null);
+  const [userLocation, setUserLocation] = useState(null);
+  const [isLocating, setIsLocating] = useState(false);
+  const toast = useToast();
+  const { stops, stopPoints, nextUnplacedStop, canAddStop, addStop, updateStop, removeStop, moveStop, clearStops } = useRouteStops();
+  const { serviceAreas, coverage } = useCoverage({ pickup, destination });
+  const { depots, depot, depotLocation } = useDispatchDepot({
+    pickup,
+    vehicleSize,
+    pickupDateTime,
+    serviceAreas,
+    requiresManualQuote: coverage.requiresManualQuote,
+  });
+  const routingProvider = useRoutingProvider();
+  const geocoder = useGeocoder();
+  const isEditable = !route && !serviceAreaEditor;
+  useOfflineTiles(isEditable ? serviceAreas : NO_AREAS);
+
+  const storedRoute = useMemo(() => replayRoute(route), [route]);
+  const storedTrip = useMemo(() => (storedRoute ? tripFromWaypoints(storedRoute.waypoints) : null), [storedRoute]);
+
+  const eventsRef = useRef(events);
+  eventsRef.current = events;
+  const editorRef = useRef(serviceAreaEditor);
+  editorRef.current = serviceAreaEditor;
+
+  const getAddressFromLatLng = useCallback(async (lat, lng) => {
+    try {
+      const address = await geocoder.reverse(lat, lng);
+      return address?.label || '';
+    } catch (error) {
+      // Without signal the coordinates stand in for the address; the driver can still find them.
+      if (!navigator.onLine) {
+        return `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+      }
+      console.error('Error getting address:', error);
+      toast({
+        title: "Error",
+        description: "Unable to fetch address. Please try again.",
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+      return '';
+    }
+  }, [geocoder, toast]);
+
+  // Moves the pickup or destination marker; `address` comes from the search box,
+  // otherwise the point is reverse geocoded.
+  const placePoint = useCallback(async (isPickup, point, address) => {
+    (isPickup ? setPickup : setDestination)(point);
+    const label = address ? address.label : await getAddressFromLatLng(point[0], point[1]);
+    if (isPickup) {
+      setPickupLabel(label);
+      eventsRef.current.onPickupAddressChange?.(label);
+    } else {
+      setDestinationLabel(label);
+      eventsRef.current.onDropOffAddressChange?.(label);
+    }
+  }, [getAddressFromLatLng]);
+
+  const placeStop = useCallback(async (id, point, address) => {
+    updateStop(id, { point, address: address ? address.label : '' });
+    if (!address) {
+      updateStop(id, { address: await getAddressFromLatLng(point[0], point[1]) });
+    }
+  }, [getAddressFromLatLng, updateStop]);
+
+  // A click on the map places the pickup, then the destination, then the next stop
+  // waiting for a point; after that it moves the closest marker.
+  const selectPoint = useCallback(async (point) => {
+    if (!isEditable) {
+      if (editorRef.current?.isDrawing) editorRef.current.onAddVertex(roundPoint(point));
+      return;
+    }
+    if (!pickup) {
+      await placePoint(true, point);
+    } else if (!destination) {
+      await placePoint(false, point);
+    } else if (nextUnplacedStop) {
+      await placeStop(nextUnplacedStop.id, point);
+    } else {
+      const candidates = [
+        { point: pickup, move: () => placePoint(true, point) },
+        ...stops.filter((stop) => stop.point).map((stop) => ({ point: stop.point, move: () => placeStop(stop.id, point) })),
+        { point: destination, move: () => placePoint(false, point) },
+      ];
+      const closest = candidates.reduce((best, candidate) => (
+        greatCircleDistanceKm(candidate.point, point) < greatCircleDistanceKm(best.point, point) ? candidate : best
+      ));
+      await closest.move();
+    }
+  }, [isEditable, pickup, destination, stops, nextUnplacedStop, placePoint, placeStop]);
+
+  const selectAddress = useCallback((address, isPickup) => {
+    const point = [address.lat, address.lng];
+    setFocusPoint(point);
+    placePoint(isPickup, point, address);
+  }, [placePoint]);
+
+  const selectStopAddress = useCallback((id, address) => {
+    const point = [address.lat, address.lng];
+    setFocusPoint(point);
+    placeStop(id, point, address);
+  }, [placeStop]);
+
+  // Places the pickup at the customer's current location.
+  const locate = useCallback(() => {
+    const handleError = (error) => {
+      console.error('Error getting user location:', error);
+      setIsLocating(false);
+      toast({
+        title: "Location unavailable",
+        description: "We could not get your current location. Search for the address or click on the map.",
+        status: "warning",
+        duration: 5000,
+        isClosable: true,
+      });
+    };
+    if (!navigator.geolocation) {
+      handleError(new Error('Geolocation is not supported by this browser.'));
+      return;
+    }
+
+    setIsLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      async (result) => {
+        const point = [result.coords.latitude, result.coords.longitude];
+        setUserLocation({ point, accuracy: result.coords.accuracy });
+        setFocusPoint(point);
+        await placePoint(true, point);
+        setIsLocating(false);
+      },
+      handleError,
+      { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+    );
+  }, [placePoint, toast]);
+
+  const reset = useCallback(() => {
+    setPickup(null);
+    setDestination(null);
+    setPickupLabel('');
+    setDestinationLabel('');
+    clearStops();
+    setLegs(null);
+    eventsRef.current.onPickupAddressChange?.('');
+    eventsRef.current.onDropOffAddressChange?.('');
+  }, [clearStops]);
+
+  const calculateRoute = useCallback(async () => {
+    if (!pickup || !destination) {
+      setLegs(null);
+      return;
+    }
+    if (coverage.isRejected) {
+      toast({
+        title: "Outside our service area",
+        description: "We do not serve this pickup location. Choose a point inside the shaded areas.",
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+      setLegs(null);
+      return;
+    }
+    if (coverage.requiresManualQuote) {
+      toast({
+        title: "Manual quote",
+        description: "This pickup is outside our service areas. The price is an estimate that our team will confirm before charging you.",
+        status: "warning",
+        duration: 7000,
+        isClosable: true,
+      });
+    }
+    if (!coverage.destinationInCoverage) {
+      toast({
+        title: "Long-distance trip",
+        description: "The drop-off is outside our service areas, so a long-distance surcharge applies.",
+        status: "info",
+        duration: 5000,
+        isClosable: true,
+      });
+    }
+    if (!depotLocation) {
+      toast({
+        title: "No depot available",
+        description: "None of our depots can reach this pickup at the selected time.",
+        status: "warning",
+        duration: 5000,
+        isClosable: true,
+      });
+      setLegs(null);
+      return;
+    }
+    try {
+      setLegs(await routeTripLegs(routingProvider, depotLocation, pickup, destination, stopPoints));
+    } catch (error) {
+      console.error('Error calculating route:', error);
+      toast({
+        title: "Error",
+        description: "Unable to calculate route. Please try again.",
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+    }
+  }, [pickup, destination, stopPoints, coverage, depotLocation, routingProvider, toast]);
+
+  useEffect(() => {
+    calculateRoute();
+  }, [calculateRoute]);
+
+  const bookingStops = useMemo(() => toBookingStops(stops), [stops]);
+
+  const shownStops = useMemo(() => (storedTrip
+    ? storedTrip.stops.map((point, index) => ({ id: `stored-${index}`, point, address: '', notes: '' }))
+    : stops), [storedTrip, stops]);
+
+  // A stored route is drawn from the depot it was priced from, not the current ones.
+  const shownDepots = useMemo(() => {
+    if (!storedTrip) return depots;
+    return storedTrip.depot ? [{ id: 'stored', name: 'Depot', latitude: storedTrip.depot[0], longitude: storedTrip.depot[1] }] : [];
+  }, [storedTrip, depots]);
+
+  const isEditingAreas = Boolean(serviceAreaEditor);
+  const editingAreaId = serviceAreaEditor?.editingAreaId;
+  const areas = useMemo(() => {
+    if (storedRoute) return [];
+    const depotName = (depotId) => depots.find((item) => item.id === depotId)?.name;
+    return serviceAreas
+      .filter((area) => isValidPolygon(area.polygon) && area.id !== editingAreaId && (!isEditable || area.is_active !== false))
+      .map((area) => ({
+        id: area.id,
+        polygon: area.polygon,
+        isActive: area.is_active !== false,
+        label: isEditable ? area.name : [area.name, depotName(area.depot_id)].filter(Boolean).join(' · '),
+      }));
+  }, [storedRoute, serviceAreas, depots, editingAreaId, isEditable]);
+
+  // What the renderers fit the view to whenever it changes: the whole stored route,
+  // or every service area for admins. Picking a route follows `focusPoint` instead.
+  const bounds = useMemo(() => {
+    if (storedRoute) {
+      const points = storedRoute.legs.flatMap((leg) => leg.coordinates);
+      return points.length > 0 ? points : storedRoute.waypoints.filter(Boolean);
+    }
+    if (isEditingAreas) {
+      const points = serviceAreas.filter((area) => isValidPolygon(area.polygon)).flatMap((area) => area.polygon);
+      return points.length > 0 ? points : null;
+    }
+    return null;
+  }, [storedRoute, isEditingAreas, serviceAreas]);
+
+  const shownLegs = storedRoute ? storedRoute.legs : legs;
+
+  useEffect(() => {
+    eventsRef.current.onStopsChange?.(bookingStops);
+  }, [bookingStops]);
+
+  useEffect(() => {
+    eventsRef.current.onRoutePointsChange?.(pickup && destination ? { pickup, destination } : null);
+  }, [pickup, destination]);
+
+  useEffect(() => {
+    eventsRef.current.onLegsChange?.(legs);
+  }, [legs]);
+
+  return {
+    isEditable,
+    pickup: storedTrip ? storedTrip.pickup : pickup,
+    destination: storedTrip ? storedTrip.destination : destination,
+    pickupLabel,
+    destinationLabel,
+    stops: shownStops,
+    canAddStop: isEditable && canAddStop,
+    legs: shownLegs,
+    distances: shownLegs ? legDistances(shownLegs) : null,
+    depots: shownDepots,
+    depot: storedTrip ? shownDepots[0] || null : depot,
+    serviceAreas,
+    areas,
+    draftArea: serviceAreaEditor?.vertices || null,
+    bounds,
+    coverage,
+    focusPoint,
+    userLocation,
+    isLocating,
+    selectPoint,
+    placePoint,
+    placeStop,
+    selectAddress,
+    selectStopAddress,
+    addStop,
+    updateStop,
+    removeStop,
+    moveStop,
+    locate,
+    reset,
+  };
+};
@@ -0,0 +1,27 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { transitionBooking, cancelBooking } from '../utils/bookingApi';
+
+// Moves a booking through its lifecycle via the API, then refreshes the booking
+// lists and that booking's status history.
+export const useBookingTransition = () => {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ bookingId, event, reason }) => transitionBooking(bookingId, event, reason),
+    onSuccess: (booking, { bookingId }) => {
+      queryClient.invalidateQueries({ queryKey: ['bookings'] });
+      queryClient.invalidateQueries({ queryKey: ['booking_status_history', bookingId] });
+    },
+  });
+};
+
+// Cancels a booking, refunding what the cancellation policy allows.
+export const useCancelBooking = () => {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ bookingId, reason }) => cancelBooking(bookingId, reason),
+    onSuccess: (result, { bookingId }) => {
+      queryClient.invalidateQueries({ queryKey: ['bookings'] });
+      queryClient.invalidateQueries({ queryKey: ['booking_status_history', bookingId] });
+    },
+  });
+};
@@ -0,0 +1,18 @@
+import { useMemo } from 'react';
+import { useServiceAreas } from '../integrations/supabase/hooks/service_areas';
+import { checkCoverage, DEFAULT_OUT_OF_COVERAGE_PICKUP_POLICY } from '../utils/serviceAreas';
+
+// Same policy variable the server quote reads, so the map warns about what the
+// quote will do with the pickup.
+const policy = import.meta.env.VITE_OUT_OF_COVERAGE_PICKUPS || DEFAULT_OUT_OF_COVERAGE_PICKUP_POLICY;
+
+export const useCoverage = ({ pickup, destination }) => {
+  const { data: serviceAreas = [] } = useServiceAreas();
+
+  const coverage = useMemo(
+    () => checkCoverage(serviceAreas, { pickup, destination, policy }),
+    [serviceAreas, pickup, destination],
+  );
+
+  return { serviceAreas, coverage };
+};
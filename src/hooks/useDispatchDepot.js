@@ -0,0 +1,26 @@
+import { useMemo } from 'react';
+import { useDepots } from '../integrations/supabase/hooks/depots';
+import { selectDepot, depotLocation, OUT_OF_COVERAGE_REASONS } from '../utils/depots';
+import { getTowTruckType } from '../utils/towTruckSelection';
+
+// Depot the map routes from while the customer picks points. The server picks the
+// depot again for the quote, with the truck type the eligibility rules settle on.
+// Pickups needing a manual quote are still routed, from the nearest open depot.
+export const useDispatchDepot = ({ pickup, vehicleSize, pickupDateTime, serviceAreas = [], requiresManualQuote = false }) => {
+  const { data: depots = [] } = useDepots();
+
+  const depot = useMemo(() => {
+    if (!pickup) return null;
+    return selectDepot(depots, {
+      pickup,
+      towTruckType: getTowTruckType(vehicleSize),
+      serviceAreas,
+      ignoreReasons: requiresManualQuote ? OUT_OF_COVERAGE_REASONS : [],
+      at: pickupDateTime ? new Date(pickupDateTime) : new Date(),
+    });
+  }, [depots, pickup, vehicleSize, pickupDateTime, serviceAreas, requiresManualQuote]);
+
+  const location = useMemo(() => (depot ? depotLocation(depot) : null), [depot]);
+
+  return { depots, depot, depotLocation: location };
+};
@@ -0,0 +1,102 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useToast } from "@chakra-ui/react";
+import { useQueryClient } from '@tanstack/react-query';
+import { requestQuote, submitBooking } from '../utils/bookingApi';
+import { supabase } from '../integrations/supabase/supabase';
+import { createDraftQueue } from '../utils/draftQueue';
+import { formatMoney } from '../utils/currency';
+import { useOnlineStatus } from './useOnlineStatus';
+
+// One queue for the whole app so concurrent flushes are serialised.
+const draftQueue = createDraftQueue(window.localStorage);
+
+export const queueDraftBooking = (draft) => draftQueue.enqueue(draft);
+
+// The offline estimate is never charged: every draft is quoted again by the server,
+// as the signed-in customer who saved it, and only booked once that customer has
+// seen the new price and confirmed it (paying for it unless it needs a manual quote).
+const quoteDraft = async ({ quoteRequest, userId }) => {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (session?.user?.id !== userId) {
+    throw new Error('Sign in with the account that saved this booking to send it');
+  }
+  return requestQuote(quoteRequest);
+};
+
+// Quotes the queued drafts again when the connection returns (and when the app opens
+// with drafts left from an earlier visit). They stay queued as `pendingDrafts`, each
+// with its fresh quote, until the customer confirms or discards them.
+export const useDraftBookingQueue = () => {
+  const isOnline = useOnlineStatus();
+  const toast = useToast();
+  const queryClient = useQueryClient();
+  const [pendingDrafts, setPendingDrafts] = useState([]);
+
+  const requoteDrafts = useCallback(async () => {
+    const { submitted, failed, dropped } = await draftQueue.flush(quoteDraft, { keep: true });
+    if (submitted.length > 0) {
+      setPendingDrafts(submitted.map(({ draft, result }) => ({ draft, quote: result })));
+    }
+    if (failed.length > 0) {
+      toast({
+        title: 'Saved booking not sent yet',
+        description: 'We will try again the next time you are online.',
+        status: 'warning',
+        duration: 5000,
+        isClosable: true,
+      });
+    }
+    dropped.forEach(({ error }) => {
+      toast({
+        title: 'Saved booking could not be sent',
+        description: `${error.message}. Please book again.`,
+        status: 'error',
+        duration: 9000,
+        isClosable: true,
+      });
+    });
+  }, [toast]);
+
+  const forgetDraft = useCallback((draftId) => {
+    draftQueue.remove(draftId);
+    setPendingDrafts((drafts) => drafts.filter(({ draft }) => draft.id !== draftId));
+  }, []);
+
+  // Books a draft with the quote the customer confirmed, paid with `paymentIntentId`
+  // unless it is a manual quote.
+  const confirmDraft = useCallback(async ({ draft, quote }, paymentIntentId) => {
+    const created = await submitBooking({
+      ...draft.booking,
+      serviceType: quote.towTruckType,
+      quoteId: quote.quoteId,
+      paymentIntentId,
+    });
+    forgetDraft(draft.id);
+    queryClient.invalidateQueries({ queryKey: ['bookings'] });
+    toast({
+      title: 'Booking sent',
+      description: quote.requiresManualQuote
+        ? 'Your saved booking was sent. Our team will confirm the price before you are charged.'
+        : `Your saved booking was sent with a confirmed price of ${formatMoney(quote.totalCost, quote.breakdown.currency)}.`,
+      status: 'success',
+      duration: 9000,
+      isClosable: true,
+    });
+    return created;
+  }, [forgetDraft, queryClient, toast]);
+
+  useEffect(() => {
+    if (isOnline && draftQueue.list().length > 0) {
+      requoteDrafts();
+    }
+  }, [isOnline, requoteDrafts]);
+
+  return {
+    isOnline,
+    queueDraftBooking,
+    pendingDrafts,
+    requoteDrafts,
+    confirmDraft,
+    discardDraft: forgetDraft,
+  };
+};
@@ -0,0 +1,11 @@
+import { useQuery } from '@tanstack/react-query';
+import { supabase } from '../config/supabaseClient';
+import { loadEligibilityRules } from '../utils/eligibilityRules';
+
+export const useEligibilityRules = () => useQuery({
+  queryKey: ['eligibility_rules'],
+  queryFn: () => loadEligibilityRules(supabase),
+  staleTime: 10 * 60 * 1000, // 10 minutes
+  retry: 3,
+  retryDelay: (attemptIndex) => Math.min(1000 * 2 ** attemptIndex, 30000),
+});
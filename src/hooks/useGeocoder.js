@@ -0,0 +1,14 @@
+import { createGeocoder } from '../utils/geocoding';
+
+// One geocoder for the whole app, so every map shares its cache and its throttle.
+let geocoder;
+
+export const useGeocoder = () => {
+  if (!geocoder) {
+    geocoder = createGeocoder(import.meta.env.VITE_GEOCODING_PROVIDER || undefined, {
+      apiKey: import.meta.env.VITE_GOOGLE_MAPS_API_KEY,
+      email: import.meta.env.VITE_NOMINATIM_EMAIL,
+    });
+  }
+  return geocoder;
+};
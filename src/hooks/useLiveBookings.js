@@ -0,0 +1,29 @@
+import { useEffect } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { supabase } from '../integrations/supabase/supabase';
+
+// Refreshes a customer's bookings and status history whenever one of their bookings
+// changes, e.g. an admin confirms it or assigns a driver. Realtime only delivers the
+// rows the bookings RLS policies let the customer read.
+export const useLiveBookings = (userId) => {
+  const queryClient = useQueryClient();
+
+  useEffect(() => {
+    if (!userId) return undefined;
+
+    const channel = supabase
+      .channel(`bookings_user_${userId}`)
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'bookings', filter: `user_id=eq.${userId}` }, (payload) => {
+        queryClient.invalidateQueries({ queryKey: ['bookings'] });
+        const bookingId = payload.new?.id || payload.old?.id;
+        if (bookingId) {
+          queryClient.invalidateQueries({ queryKey: ['booking_status_history', bookingId] });
+        }
+      })
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [userId, queryClient]);
+};
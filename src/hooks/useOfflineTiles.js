@@ -0,0 +1,16 @@
+import { useEffect } from 'react';
+import { canPrefetchTiles, mapTileUrl } from '../config/mapTiles';
+import { serviceRegionTileUrls } from '../utils/tiles';
+import { precacheTiles } from '../utils/serviceWorker';
+
+// Prefetches the map tiles of the service region while there is signal, so the map
+// still works once the customer is stranded somewhere without it. Does nothing
+// unless the tile server allows prefetching (see config/mapTiles).
+export const useOfflineTiles = (serviceAreas) => {
+  useEffect(() => {
+    if (!canPrefetchTiles || !navigator.onLine || serviceAreas.length === 0) return;
+    precacheTiles(serviceRegionTileUrls(serviceAreas, mapTileUrl)).catch((error) => {
+      console.error('Error prefetching map tiles:', error);
+    });
+  }, [serviceAreas]);
+};
@@ -1,35 +1,26 @@
 import { useToast } from "@chakra-ui/react";
 
-export const usePaymentProcessing = (formData, totalCost, setIsPaymentWindowOpen, navigate) => {
+// Books the quote once PaymentWindow has paid for it. PaymentWindow reports payment
+// errors itself; what is left is a booking that failed after the charge went through.
+export const usePaymentProcessing = (bookPaidQuote, setIsPaymentWindowOpen) => {
   const toast = useToast();
 
   const handlePaymentSubmit = async (paymentResult) => {
+    if (!paymentResult.success) return;
+    setIsPaymentWindowOpen(false);
     try {
-      if (paymentResult.success) {
-        // Process successful payment
-        setIsPaymentWindowOpen(false);
-        toast({
-          title: "Payment Successful",
-          description: "Your payment has been processed successfully.",
-          status: "success",
-          duration: 5000,
-          isClosable: true,
-        });
-        navigate('/confirmation', { state: { bookingData: formData } });
-      } else {
-        throw new Error(paymentResult.error || 'Payment processing failed');
-      }
+      await bookPaidQuote(paymentResult.paymentIntentId);
     } catch (error) {
       console.error('Error finalizing booking:', error);
       toast({
-        title: "Payment Error",
-        description: error.message || "There was an error processing your payment. Please try again.",
-        status: "error",
-        duration: 5000,
+        title: "Booking Error",
+        description: `Your payment went through, but we could not create your booking (${error.message}). Please contact us and we will book it or refund you.`,
+        status: "warning",
+        duration: 7000,
         isClosable: true,
       });
     }
   };
 
   return { handlePaymentSubmit };
-};
\ No newline at end of file
+};
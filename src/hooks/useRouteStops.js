@@ -0,0 +1,59 @@
+import { useState, useCallback, useMemo } from 'react';
+import { MAX_STOPS } from '../utils/routeLegs';
+
+let nextStopId = 1;
+
+const newStop = (point = null, address = '') => ({ id: nextStopId++, point, address, notes: '', waitMinutes: 0 });
+
+// The stops as the booking form, the quote and the bookings table take them. Stops
+// not yet placed on the map are left out.
+export const toBookingStops = (stops) => stops
+  .filter((stop) => stop.point)
+  .map(({ point, address, notes, waitMinutes }) => ({ lat: point[0], lng: point[1], address, notes, waitMinutes }));
+
+// Ordered intermediate stops between the pickup and the destination. A stop is added
+// empty (`point` null) and placed from the map or the address search.
+export const useRouteStops = () => {
+  const [stops, setStops] = useState([]);
+
+  const addStop = useCallback((point = null, address = '') => {
+    setStops((current) => (current.length >= MAX_STOPS ? current : [...current, newStop(point, address)]));
+  }, []);
+
+  const updateStop = useCallback((id, changes) => {
+    setStops((current) => current.map((stop) => (stop.id === id ? { ...stop, ...changes } : stop)));
+  }, []);
+
+  const removeStop = useCallback((id) => {
+    setStops((current) => current.filter((stop) => stop.id !== id));
+  }, []);
+
+  const moveStop = useCallback((id, offset) => {
+    setStops((current) => {
+      const from = current.findIndex((stop) => stop.id === id);
+      const to = from + offset;
+      if (from < 0 || to < 0 || to >= current.length) return current;
+      const reordered = [...current];
+      reordered.splice(to, 0, ...reordered.splice(from, 1));
+      return reordered;
+    });
+  }, []);
+
+  const clearStops = useCallback(() => setStops([]), []);
+
+  // Routing only depends on where the stops are, not on their notes or wait times.
+  const pointsKey = JSON.stringify(stops.filter((stop) => stop.point).map((stop) => stop.point));
+  const stopPoints = useMemo(() => JSON.parse(pointsKey), [pointsKey]);
+
+  return {
+    stops,
+    stopPoints,
+    nextUnplacedStop: stops.find((stop) => !stop.point) || null,
+    canAddStop: stops.length < MAX_STOPS,
+    addStop,
+    updateStop,
+    removeStop,
+    moveStop,
+    clearStops,
+  };
+};
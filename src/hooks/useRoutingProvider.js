@@ -0,0 +1,13 @@
+import { useMemo } from 'react';
+import { createRoutingProvider, withStraightLineFallback } from '../utils/routing';
+
+// Routing provider for map previews. It is configured with VITE_ROUTING_PROVIDER,
+// the same variable the server quote reads, so the preview matches the charged price.
+// Without signal the preview falls back to a straight-line estimate with its legs
+// marked `estimated`; the server quote still routes for real once back online.
+export const useRoutingProvider = () => useMemo(
+  () => withStraightLineFallback(createRoutingProvider(import.meta.env.VITE_ROUTING_PROVIDER || undefined, {
+    apiKey: import.meta.env.VITE_GOOGLE_MAPS_API_KEY,
+  })),
+  [],
+);
@@ -0,0 +1,11 @@
+import { useQuery } from '@tanstack/react-query';
+import { supabase } from '../config/supabaseClient';
+import { loadSurchargeRules } from '../utils/surcharges';
+
+export const useSurchargeRules = () => useQuery({
+  queryKey: ['surcharge_rules'],
+  queryFn: () => loadSurchargeRules(supabase),
+  staleTime: 10 * 60 * 1000, // 10 minutes
+  retry: 3,
+  retryDelay: (attemptIndex) => Math.min(1000 * 2 ** attemptIndex, 30000),
+});
@@ -0,0 +1,31 @@
+import { useQuery } from '@tanstack/react-query';
+import { useToast } from '@chakra-ui/react';
+import { supabase } from '../config/supabaseClient';
+import { loadTariff } from '../utils/pricingEngine';
+
+// Keyed under 'services' so edits made in ServiceManagement refresh the tariff.
+export const useTariff = () => {
+  const toast = useToast();
+
+  return useQuery({
+    queryKey: ['services', 'tariff'],
+    queryFn: async () => {
+      try {
+        return await loadTariff(supabase);
+      } catch (error) {
+        console.error('Failed to load tariff:', error);
+        toast({
+          title: 'Error loading prices',
+          description: `${error.message}. Please try again later or contact support if the problem persists.`,
+          status: 'error',
+          duration: 5000,
+          isClosable: true,
+        });
+        throw error;
+      }
+    },
+    staleTime: 60000, // 1 minute
+    retry: 3,
+    retryDelay: (attemptIndex) => Math.min(1000 * 2 ** attemptIndex, 30000),
+  });
+};
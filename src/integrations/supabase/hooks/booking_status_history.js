@@ -0,0 +1,37 @@
+import { useQuery } from '@tanstack/react-query';
+import { supabase } from '../supabase';
+
+const fromSupabase = async (query) => {
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return data;
+};
+
+/*
+### booking_status_history
+
+| name        | type                     | format | required |
+|-------------|--------------------------|--------|----------|
+| id          | uuid                     | string | true     |
+| booking_id  | uuid                     | string | true     |
+| from_status | public.booking_status    | string | false    |
+| to_status   | public.booking_status    | string | true     |
+| event       | text                     | string | true     |
+| actor_id    | uuid                     | string | false    |
+| actor_role  | text                     | string | false    |
+| reason      | text                     | string | false    |
+| created_at  | timestamp with time zone | string | true     |
+
+Foreign Key Relationships:
+- booking_id references bookings.id
+- actor_id references users.id
+
+Rows are written by the API server when a booking changes status; there are no
+mutation hooks.
+*/
+
+export const useBookingStatusHistory = (bookingId) => useQuery({
+    queryKey: ['booking_status_history', bookingId],
+    queryFn: () => fromSupabase(supabase.from('booking_status_history').select('*, actor:users(email)').eq('booking_id', bookingId).order('created_at', { ascending: true })),
+    enabled: Boolean(bookingId),
+});
@@ -10,48 +10,74 @@ const fromSupabase = async (query) => {
 /*
 ### bookings
 
-| name               | type                     | format | required |
-|--------------------|--------------------------|--------|----------|
-| id                 | uuid                     | string | true     |
-| user_id            | uuid                     | string | true     |
-| service_id         | uuid                     | string | true     |
-| status             | public.booking_status    | string | true     |
-| payment_status     | public.payment_status    | string | true     |
-| pickup_location    | text                     | string | true     |
-| dropoff_location   | text                     | string | true     |
-| vehicle_details    | jsonb                    | object | true     |
-| distance           | numeric                  | number | true     |
-| total_cost         | numeric                  | number | true     |
-| pickup_datetime    | timestamp with time zone | string | true     |
-| additional_details | text                     | string | false    |
-| created_at         | timestamp with time zone | string | true     |
-| updated_at         | timestamp with time zone | string | true     |
+| name                  | type                     | format | required |
+|-----------------------|--------------------------|--------|----------|
+| id                    | uuid                     | string | true     |
+| user_id               | uuid                     | string | true     |
+| service_id            | uuid                     | string | true     |
+| status                | public.booking_status    | string | true     |
+| payment_status        | public.payment_status    | string | true     |
+| pickup_location       | text                     | string | true     |
+| dropoff_location      | text                     | string | true     |
+| vehicle_details       | jsonb                    | object | true     |
+| vehicle_catalog_id    | uuid                     | string | false    |
+| towing_requirements   | jsonb                    | object | false    |
+| depot_id              | uuid                     | string | false    |
+| requires_manual_quote | boolean                  | bool   | true     |
+| stops                 | jsonb                    | array  | true     |
+| distance              | numeric                  | number | true     |
+| deadhead_distance     | numeric                  | number | true     |
+| return_distance       | numeric                  | number | true     |
+| route                 | jsonb                    | object | false    |
+| total_cost            | numeric                  | number | true     |
+| currency              | text                     | string | true     |
+| price_breakdown       | jsonb                    | object | false    |
+| quote_id              | uuid                     | string | false    |
+| payment_intent_id     | text                     | string | false    |
+| fiscal_data           | jsonb                    | object | false    |
+| cancellation_fee      | numeric                  | number | false    |
+| refunded_amount       | numeric                  | number | false    |
+| refund_id             | text                     | string | false    |
+| driver                | jsonb                    | object | false    |
+| pickup_datetime       | timestamp with time zone | string | true     |
+| additional_details    | text                     | string | false    |
+| created_at            | timestamp with time zone | string | true     |
+| updated_at            | timestamp with time zone | string | true     |
 
 Foreign Key Relationships:
 - user_id references users.id
 - service_id references services.id
+- vehicle_catalog_id references vehicle_catalog.id
+- depot_id references depots.id
+
+vehicle_details: brand, model, color, license_plate, size, in_neutral, engine_starts,
+wheels_turn, position, requires_maneuver.
+
+driver: name, phone, truck_plate; null until a driver is assigned.
+
+Bookings are created through POST /api/bookings, which checks the quote and the
+payment; clients cannot insert them directly.
+Only admins can change total_cost, currency, price_breakdown, quote_id, the payment
+columns and the cancellation refund of a booking (protect_booking_payment trigger).
+
+services_logs is a deprecated read-only view of this table; query bookings instead.
 */
 
 export const useBooking = (id) => useQuery({
     queryKey: ['bookings', id],
     queryFn: () => fromSupabase(supabase.from('bookings').select('*').eq('id', id).single()),
+    enabled: Boolean(id),
 });
 
-export const useBookings = () => useQuery({
-    queryKey: ['bookings'],
-    queryFn: () => fromSupabase(supabase.from('bookings').select('*')),
+// With `userId`, only that customer's bookings, newest pickup first. RLS limits
+// customers to their own bookings either way.
+export const useBookings = ({ userId } = {}) => useQuery({
+    queryKey: userId ? ['bookings', { userId }] : ['bookings'],
+    queryFn: () => fromSupabase(userId
+        ? supabase.from('bookings').select('*, service:services(name)').eq('user_id', userId).order('pickup_datetime', { ascending: false })
+        : supabase.from('bookings').select('*')),
 });
 
-export const useAddBooking = () => {
-    const queryClient = useQueryClient();
-    return useMutation({
-        mutationFn: (newBooking) => fromSupabase(supabase.from('bookings').insert([newBooking])),
-        onSuccess: () => {
-            queryClient.invalidateQueries({ queryKey: ['bookings'] });
-        },
-    });
-};
-
 export const useUpdateBooking = () => {
     const queryClient = useQueryClient();
     return useMutation({
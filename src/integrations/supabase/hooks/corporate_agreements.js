@@ -0,0 +1,111 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { supabase } from '../supabase';
+
+const fromSupabase = async (query) => {
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return data;
+};
+
+/*
+### corporate_accounts
+
+| name          | type                     | format | required |
+|---------------|--------------------------|--------|----------|
+| id            | uuid                     | string | true     |
+| name          | text                     | string | true     |
+| rfc           | text                     | string | false    |
+| contact_email | text                     | string | false    |
+| is_active     | boolean                  | bool   | true     |
+| created_at    | timestamp with time zone | string | true     |
+| updated_at    | timestamp with time zone | string | true     |
+
+### corporate_agreements
+
+| name                 | type                     | format | required |
+|----------------------|--------------------------|--------|----------|
+| id                   | uuid                     | string | true     |
+| corporate_account_id | uuid                     | string | true     |
+| tow_truck_type       | public.tow_truck_type    | string | true     |
+| base_price           | numeric                  | number | false    |
+| price_per_km         | numeric                  | number | false    |
+| valid_from           | timestamp with time zone | string | false    |
+| expires_at           | timestamp with time zone | string | false    |
+| is_active            | boolean                  | bool   | true     |
+| created_at           | timestamp with time zone | string | true     |
+| updated_at           | timestamp with time zone | string | true     |
+
+Foreign Key Relationships:
+- corporate_agreements.corporate_account_id references corporate_accounts.id
+- users.corporate_account_id references corporate_accounts.id
+*/
+
+export const useCorporateAccounts = () => useQuery({
+    queryKey: ['corporate_accounts'],
+    queryFn: () => fromSupabase(supabase.from('corporate_accounts').select('*').order('created_at', { ascending: false })),
+});
+
+export const useAddCorporateAccount = () => {
+    const queryClient = useQueryClient();
+    return useMutation({
+        mutationFn: (newCorporateAccount) => fromSupabase(supabase.from('corporate_accounts').insert([newCorporateAccount])),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['corporate_accounts'] });
+        },
+    });
+};
+
+export const useUpdateCorporateAccount = () => {
+    const queryClient = useQueryClient();
+    return useMutation({
+        mutationFn: ({ id, ...updateData }) => fromSupabase(supabase.from('corporate_accounts').update(updateData).eq('id', id)),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['corporate_accounts'] });
+        },
+    });
+};
+
+export const useDeleteCorporateAccount = () => {
+    const queryClient = useQueryClient();
+    return useMutation({
+        mutationFn: (id) => fromSupabase(supabase.from('corporate_accounts').delete().eq('id', id)),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['corporate_accounts'] });
+        },
+    });
+};
+
+export const useCorporateAgreements = () => useQuery({
+    queryKey: ['corporate_agreements'],
+    queryFn: () => fromSupabase(supabase.from('corporate_agreements').select('*, corporate_accounts(name)').order('created_at', { ascending: false })),
+});
+
+export const useAddCorporateAgreement = () => {
+    const queryClient = useQueryClient();
+    return useMutation({
+        mutationFn: (newCorporateAgreement) => fromSupabase(supabase.from('corporate_agreements').insert([newCorporateAgreement])),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['corporate_agreements'] });
+        },
+    });
+};
+
+export const useUpdateCorporateAgreement = () => {
+    const queryClient = useQueryClient();
+    return useMutation({
+        mutationFn: ({ id, ...updateData }) => fromSupabase(supabase.from('corporate_agreements').update(updateData).eq('id', id)),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['corporate_agreements'] });
+        },
+    });
+};
+
+export const useDeleteCorporateAgreement = () => {
+    const queryClient = useQueryClient();
+    return useMutation({
+        mutationFn: (id) => fromSupabase(supabase.from('corporate_agreements').delete().eq('id', id)),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['corporate_agreements'] });
+        },
+    });
+};
@@ -0,0 +1,63 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { supabase } from '../supabase';
+
+const fromSupabase = async (query) => {
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return data;
+};
+
+/*
+### depots
+
+| name              | type                     | format | required |
+|-------------------|--------------------------|--------|----------|
+| id                | uuid                     | string | true     |
+| name              | text                     | string | true     |
+| address           | text                     | string | false    |
+| latitude          | double precision         | number | true     |
+| longitude         | double precision         | number | true     |
+| service_radius_km | numeric                  | number | false    |
+| truck_types       | text[]                   | array  | true     |
+| open_hour         | smallint                 | number | false    |
+| close_hour        | smallint                 | number | false    |
+| weekdays          | smallint[]               | array  | false    |
+| is_active         | boolean                  | bool   | true     |
+| created_at        | timestamp with time zone | string | true     |
+| updated_at        | timestamp with time zone | string | true     |
+*/
+
+export const useDepots = () => useQuery({
+    queryKey: ['depots'],
+    queryFn: () => fromSupabase(supabase.from('depots').select('*').order('name')),
+});
+
+export const useAddDepot = () => {
+    const queryClient = useQueryClient();
+    return useMutation({
+        mutationFn: (newDepot) => fromSupabase(supabase.from('depots').insert([newDepot])),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['depots'] });
+        },
+    });
+};
+
+export const useUpdateDepot = () => {
+    const queryClient = useQueryClient();
+    return useMutation({
+        mutationFn: ({ id, ...updateData }) => fromSupabase(supabase.from('depots').update(updateData).eq('id', id)),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['depots'] });
+        },
+    });
+};
+
+export const useDeleteDepot = () => {
+    const queryClient = useQueryClient();
+    return useMutation({
+        mutationFn: (id) => fromSupabase(supabase.from('depots').delete().eq('id', id)),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['depots'] });
+        },
+    });
+};
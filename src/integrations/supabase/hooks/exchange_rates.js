@@ -0,0 +1,57 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { supabase } from '../supabase';
+
+const fromSupabase = async (query) => {
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return data;
+};
+
+/*
+### exchange_rates
+
+| name           | type                     | format | required |
+|----------------|--------------------------|--------|----------|
+| id             | uuid                     | string | true     |
+| base_currency  | text                     | string | true     |
+| quote_currency | text                     | string | true     |
+| rate           | numeric                  | number | true     |
+| effective_at   | timestamp with time zone | string | true     |
+| created_at     | timestamp with time zone | string | true     |
+| updated_at     | timestamp with time zone | string | true     |
+*/
+
+export const useExchangeRates = () => useQuery({
+    queryKey: ['exchange_rates'],
+    queryFn: () => fromSupabase(supabase.from('exchange_rates').select('*').order('effective_at', { ascending: false })),
+});
+
+export const useAddExchangeRate = () => {
+    const queryClient = useQueryClient();
+    return useMutation({
+        mutationFn: (newRate) => fromSupabase(supabase.from('exchange_rates').insert([newRate])),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['exchange_rates'] });
+        },
+    });
+};
+
+export const useUpdateExchangeRate = () => {
+    const queryClient = useQueryClient();
+    return useMutation({
+        mutationFn: ({ id, ...updateData }) => fromSupabase(supabase.from('exchange_rates').update(updateData).eq('id', id)),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['exchange_rates'] });
+        },
+    });
+};
+
+export const useDeleteExchangeRate = () => {
+    const queryClient = useQueryClient();
+    return useMutation({
+        mutationFn: (id) => fromSupabase(supabase.from('exchange_rates').delete().eq('id', id)),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['exchange_rates'] });
+        },
+    });
+};
@@ -0,0 +1,42 @@
+import { useQuery } from '@tanstack/react-query';
+import { supabase } from '../supabase';
+
+const fromSupabase = async (query) => {
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return data;
+};
+
+/*
+### invoices
+
+| name         | type                     | format | required |
+|--------------|--------------------------|--------|----------|
+| id           | uuid                     | string | true     |
+| folio        | bigint                   | number | true     |
+| booking_id   | uuid                     | string | true     |
+| status       | public.invoice_status    | string | true     |
+| receptor_rfc | text                     | string | true     |
+| currency     | text                     | string | true     |
+| subtotal     | numeric                  | number | true     |
+| tax_total    | numeric                  | number | true     |
+| total        | numeric                  | number | true     |
+| xml          | text                     | string | false    |
+| stamped_xml  | text                     | string | false    |
+| cfdi_uuid    | uuid                     | string | false    |
+| pac_provider | text                     | string | false    |
+| stamped_at   | timestamp with time zone | string | false    |
+| created_at   | timestamp with time zone | string | true     |
+| updated_at   | timestamp with time zone | string | true     |
+
+Foreign Key Relationships:
+- booking_id references bookings.id
+
+Invoices are issued by the API server (utils/invoicing); there are no mutation hooks.
+*/
+
+export const useBookingInvoices = (bookingId) => useQuery({
+    queryKey: ['invoices', bookingId],
+    queryFn: () => fromSupabase(supabase.from('invoices').select('*').eq('booking_id', bookingId).order('created_at', { ascending: false })),
+    enabled: Boolean(bookingId),
+});
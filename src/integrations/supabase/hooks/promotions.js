@@ -0,0 +1,78 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { supabase } from '../supabase';
+
+const fromSupabase = async (query) => {
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return data;
+};
+
+/*
+### promotions
+
+| name                  | type                     | format | required |
+|-----------------------|--------------------------|--------|----------|
+| id                    | uuid                     | string | true     |
+| code                  | text                     | string | true     |
+| description           | text                     | string | false    |
+| kind                  | public.discount_kind     | string | true     |
+| amount                | numeric                  | number | true     |
+| currency              | text                     | string | true     |
+| max_uses              | integer                  | number | false    |
+| max_uses_per_customer | integer                  | number | false    |
+| allowed_user_ids      | uuid[]                   | array  | false    |
+| valid_from            | timestamp with time zone | string | false    |
+| expires_at            | timestamp with time zone | string | false    |
+| is_active             | boolean                  | bool   | true     |
+| created_at            | timestamp with time zone | string | true     |
+| updated_at            | timestamp with time zone | string | true     |
+
+### promotion_redemptions
+
+| name         | type                     | format | required |
+|--------------|--------------------------|--------|----------|
+| id           | uuid                     | string | true     |
+| promotion_id | uuid                     | string | true     |
+| booking_id   | uuid                     | string | true     |
+| user_id      | uuid                     | string | false    |
+| created_at   | timestamp with time zone | string | true     |
+
+Foreign Key Relationships:
+- promotion_redemptions.promotion_id references promotions.id
+- promotion_redemptions.booking_id references bookings.id
+*/
+
+export const usePromotions = () => useQuery({
+    queryKey: ['promotions'],
+    queryFn: () => fromSupabase(supabase.from('promotions').select('*, promotion_redemptions(count)').order('created_at', { ascending: false })),
+});
+
+export const useAddPromotion = () => {
+    const queryClient = useQueryClient();
+    return useMutation({
+        mutationFn: (newPromotion) => fromSupabase(supabase.from('promotions').insert([newPromotion])),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['promotions'] });
+        },
+    });
+};
+
+export const useUpdatePromotion = () => {
+    const queryClient = useQueryClient();
+    return useMutation({
+        mutationFn: ({ id, ...updateData }) => fromSupabase(supabase.from('promotions').update(updateData).eq('id', id)),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['promotions'] });
+        },
+    });
+};
+
+export const useDeletePromotion = () => {
+    const queryClient = useQueryClient();
+    return useMutation({
+        mutationFn: (id) => fromSupabase(supabase.from('promotions').delete().eq('id', id)),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['promotions'] });
+        },
+    });
+};
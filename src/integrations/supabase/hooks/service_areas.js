@@ -0,0 +1,57 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { supabase } from '../supabase';
+
+const fromSupabase = async (query) => {
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return data;
+};
+
+/*
+### service_areas
+
+| name       | type                     | format | required |
+|------------|--------------------------|--------|----------|
+| id         | uuid                     | string | true     |
+| depot_id   | uuid                     | string | true     |
+| name       | text                     | string | true     |
+| polygon    | jsonb                    | array  | true     |
+| is_active  | boolean                  | bool   | true     |
+| created_at | timestamp with time zone | string | true     |
+| updated_at | timestamp with time zone | string | true     |
+*/
+
+export const useServiceAreas = () => useQuery({
+    queryKey: ['service_areas'],
+    queryFn: () => fromSupabase(supabase.from('service_areas').select('*').order('name')),
+});
+
+export const useAddServiceArea = () => {
+    const queryClient = useQueryClient();
+    return useMutation({
+        mutationFn: (newServiceArea) => fromSupabase(supabase.from('service_areas').insert([newServiceArea])),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['service_areas'] });
+        },
+    });
+};
+
+export const useUpdateServiceArea = () => {
+    const queryClient = useQueryClient();
+    return useMutation({
+        mutationFn: ({ id, ...updateData }) => fromSupabase(supabase.from('service_areas').update(updateData).eq('id', id)),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['service_areas'] });
+        },
+    });
+};
+
+export const useDeleteServiceArea = () => {
+    const queryClient = useQueryClient();
+    return useMutation({
+        mutationFn: (id) => fromSupabase(supabase.from('service_areas').delete().eq('id', id)),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['service_areas'] });
+        },
+    });
+};
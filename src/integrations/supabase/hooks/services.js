@@ -10,17 +10,23 @@ const fromSupabase = async (query) => {
 /*
 ### services
 
-| name            | type                     | format | required |
-|-----------------|--------------------------|--------|----------|
-| id              | uuid                     | string | true     |
-| name            | text                     | string | true     |
-| description     | text                     | string | false    |
-| base_price      | numeric                  | number | true     |
-| price_per_km    | numeric                  | number | true     |
-| maneuver_charge | numeric                  | number | true     |
-| tow_truck_type  | public.tow_truck_type    | string | true     |
-| created_at      | timestamp with time zone | string | true     |
-| updated_at      | timestamp with time zone | string | true     |
+| name                  | type                     | format | required |
+|-----------------------|--------------------------|--------|----------|
+| id                    | uuid                     | string | true     |
+| name                  | text                     | string | true     |
+| description           | text                     | string | false    |
+| base_price            | numeric                  | number | true     |
+| price_per_km          | numeric                  | number | true     |
+| deadhead_price_per_km | numeric                  | number | false    |
+| return_price_per_km   | numeric                  | number | false    |
+| maneuver_charge       | numeric                  | number | true     |
+| stop_charge           | numeric                  | number | true     |
+| wait_price_per_hour   | numeric                  | number | true     |
+| tow_truck_type        | public.tow_truck_type    | string | true     |
+| currency              | text                     | string | true     |
+| is_active             | boolean                  | bool   | true     |
+| created_at            | timestamp with time zone | string | true     |
+| updated_at            | timestamp with time zone | string | true     |
 */
 
 export const useService = (id) => useQuery({
@@ -0,0 +1,28 @@
+import { useQuery } from '@tanstack/react-query';
+import { supabase } from '../supabase';
+import { loadVehicleCatalog } from '../../../utils/vehicleCatalog';
+
+/*
+### vehicle_catalog
+
+| name           | type                     | format | required |
+|----------------|--------------------------|--------|----------|
+| id             | uuid                     | string | true     |
+| brand          | text                     | string | true     |
+| model          | text                     | string | true     |
+| year_from      | smallint                 | number | true     |
+| year_to        | smallint                 | number | false    |
+| curb_weight_kg | integer                  | number | true     |
+| drivetrain     | drivetrain               | string | true     |
+| is_electric    | boolean                  | bool   | true     |
+| size_class     | vehicle_size             | string | false    |
+| created_at     | timestamp with time zone | string | true     |
+| updated_at     | timestamp with time zone | string | true     |
+*/
+
+// The catalog changes rarely, so it is cached for the whole session.
+export const useVehicleCatalog = () => useQuery({
+    queryKey: ['vehicle_catalog'],
+    queryFn: () => loadVehicleCatalog(supabase),
+    staleTime: Infinity,
+});
@@ -19,14 +19,64 @@ import {
   useDeleteService
 } from './hooks/services';
 
+import {
+  useExchangeRates,
+  useAddExchangeRate,
+  useUpdateExchangeRate,
+  useDeleteExchangeRate
+} from './hooks/exchange_rates';
+
+import {
+  usePromotions,
+  useAddPromotion,
+  useUpdatePromotion,
+  useDeletePromotion
+} from './hooks/promotions';
+
+import {
+  useCorporateAccounts,
+  useAddCorporateAccount,
+  useUpdateCorporateAccount,
+  useDeleteCorporateAccount,
+  useCorporateAgreements,
+  useAddCorporateAgreement,
+  useUpdateCorporateAgreement,
+  useDeleteCorporateAgreement
+} from './hooks/corporate_agreements';
+
+import {
+  useVehicleCatalog
+} from './hooks/vehicle_catalog';
+
+import {
+  useDepots,
+  useAddDepot,
+  useUpdateDepot,
+  useDeleteDepot
+} from './hooks/depots';
+
+import {
+  useServiceAreas,
+  useAddServiceArea,
+  useUpdateServiceArea,
+  useDeleteServiceArea
+} from './hooks/service_areas';
+
 import {
   useBooking,
   useBookings,
-  useAddBooking,
   useUpdateBooking,
   useDeleteBooking
 } from './hooks/bookings';
 
+import {
+  useBookingStatusHistory
+} from './hooks/booking_status_history';
+
+import {
+  useBookingInvoices
+} from './hooks/invoices';
+
 import {
   useSmtpSetting,
   useSmtpSettings,
@@ -60,11 +110,37 @@ export {
   useAddService,
   useUpdateService,
   useDeleteService,
+  useExchangeRates,
+  useAddExchangeRate,
+  useUpdateExchangeRate,
+  useDeleteExchangeRate,
+  usePromotions,
+  useAddPromotion,
+  useUpdatePromotion,
+  useDeletePromotion,
+  useCorporateAccounts,
+  useAddCorporateAccount,
+  useUpdateCorporateAccount,
+  useDeleteCorporateAccount,
+  useCorporateAgreements,
+  useAddCorporateAgreement,
+  useUpdateCorporateAgreement,
+  useDeleteCorporateAgreement,
+  useVehicleCatalog,
+  useDepots,
+  useAddDepot,
+  useUpdateDepot,
+  useDeleteDepot,
+  useServiceAreas,
+  useAddServiceArea,
+  useUpdateServiceArea,
+  useDeleteServiceArea,
   useBooking,
   useBookings,
-  useAddBooking,
   useUpdateBooking,
   useDeleteBooking,
+  useBookingStatusHistory,
+  useBookingInvoices,
   useSmtpSetting,
   useSmtpSettings,
   useAddSmtpSetting,
@@ -2,11 +2,16 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.tsx'
 import './index.css'
+import { registerServiceWorker } from './utils/serviceWorker'
 
 window.process = {
   env: import.meta.env
 }
 
+if (import.meta.env.PROD) {
+  registerServiceWorker()
+}
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <App />
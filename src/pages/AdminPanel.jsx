@@ -5,6 +5,11 @@ import { useSupabaseAuth } from '../integrations/supabase/auth';
 import { getUserRole } from '../config/supabaseClient';
 import UserManagement from '../components/admin/UserManagement';
 import ServiceManagement from '../components/admin/ServiceManagement';
+import DepotManagement from '../components/admin/DepotManagement';
+import ServiceAreaManagement from '../components/admin/ServiceAreaManagement';
+import ExchangeRateManagement from '../components/admin/ExchangeRateManagement';
+import PromotionManagement from '../components/admin/PromotionManagement';
+import CorporateAgreementManagement from '../components/admin/CorporateAgreementManagement';
 import BookingManagement from '../components/admin/BookingManagement';
 import AnalyticsDashboard from '../components/admin/AnalyticsDashboard';
 import SMTPSettingsForm from '../components/admin/SMTPSettingsForm';
@@ -72,6 +77,11 @@ const AdminPanel = () => {
             <Tab>Analytics Dashboard</Tab>
             <Tab>Booking Management</Tab>
             <Tab>Service Management</Tab>
+            <Tab>Depots</Tab>
+            <Tab>Service Areas</Tab>
+            <Tab>Exchange Rates</Tab>
+            <Tab>Promotions</Tab>
+            <Tab>Corporate Agreements</Tab>
             <Tab>User Management</Tab>
             {userRole === 'super_admin' && <Tab>SMTP Settings</Tab>}
           </TabList>
@@ -85,6 +95,21 @@ const AdminPanel = () => {
             <TabPanel>
               <ServiceManagement showNotification={showNotification} />
             </TabPanel>
+            <TabPanel>
+              <DepotManagement showNotification={showNotification} />
+            </TabPanel>
+            <TabPanel>
+              <ServiceAreaManagement showNotification={showNotification} />
+            </TabPanel>
+            <TabPanel>
+              <ExchangeRateManagement showNotification={showNotification} />
+            </TabPanel>
+            <TabPanel>
+              <PromotionManagement showNotification={showNotification} />
+            </TabPanel>
+            <TabPanel>
+              <CorporateAgreementManagement showNotification={showNotification} />
+            </TabPanel>
             <TabPanel>
               <UserManagement showNotification={showNotification} userRole={userRole} />
             </TabPanel>
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { useParams, Link as RouterLink } from 'react-router-dom';
+import { Box, VStack, Heading, Text, Badge, Button, Link, Spinner, Alert, AlertIcon, useToast } from "@chakra-ui/react";
+import { useBooking } from '../integrations/supabase/hooks/bookings';
+import { useSupabaseAuth } from '../integrations/supabase/auth';
+import { PriceBreakdown } from '../components/booking/PriceBreakdown';
+import { BookingRouteMap } from '../components/booking/BookingRouteMap';
+import { BookingStatusTimeline, STATUS_COLORS, PAYMENT_STATUS_COLORS } from '../components/booking/BookingStatusTimeline';
+import { CancelBookingDialog } from '../components/booking/CancelBookingDialog';
+import { BookingReceipts } from '../components/booking/BookingReceipts';
+import { useLiveBookings } from '../hooks/useLiveBookings';
+import { availableEvents } from '../utils/bookingStatus';
+import { formatMoney } from '../utils/currency';
+
+// A customer's booking with the route it was priced on, as stored when it was booked,
+// its driver and receipts. Status changes show up while the page is open.
+const BookingDetails = () => {
+  const { id } = useParams();
+  const { data: booking, isLoading, error } = useBooking(id);
+  const { session } = useSupabaseAuth();
+  useLiveBookings(session?.user?.id);
+  const [isCancelOpen, setIsCancelOpen] = useState(false);
+  const toast = useToast();
+
+  if (isLoading) {
+    return (
+      <Box display="flex" justifyContent="center" p={8}>
+        <Spinner size="xl" />
+      </Box>
+    );
+  }
+
+  if (error || !booking) {
+    return (
+      <Box p={4}>
+        <Alert status="error">
+          <AlertIcon />
+          We could not find this booking.
+        </Alert>
+      </Box>
+    );
+  }
+
+  const canCancel = Boolean(session) && availableEvents(booking, { id: session.user.id, role: 'user' }).includes('cancel');
+
+  const handleCancelled = ({ cancellation }) => {
+    toast({
+      title: 'Booking cancelled',
+      description: cancellation.refund > 0
+        ? `${formatMoney(cancellation.refund, cancellation.currency)} will be refunded to your original payment method.`
+        : 'Your booking has been cancelled.',
+      status: 'success',
+      duration: 5000,
+      isClosable: true,
+    });
+  };
+
+  return (
+    <Box p={4}>
+      <VStack spacing={4} align="stretch">
+        <Link as={RouterLink} to="/my-bookings" color="blue.500">← My bookings</Link>
+        <Heading as="h1" size="xl">Booking Details</Heading>
+        <Box>
+          <Badge mr={2} colorScheme={STATUS_COLORS[booking.status] || 'gray'}>{booking.status}</Badge>
+          <Badge colorScheme={PAYMENT_STATUS_COLORS[booking.payment_status] || 'gray'}>{booking.payment_status}</Badge>
+        </Box>
+        {booking.status === 'cancelled' && (booking.cancellation_fee > 0 || booking.refunded_amount > 0) && (
+          <Box>
+            {booking.cancellation_fee > 0 && (
+              <Text><strong>Cancellation fee:</strong> {formatMoney(booking.cancellation_fee, booking.currency)}</Text>
+            )}
+            {booking.refunded_amount > 0 && (
+              <Text><strong>Refunded:</strong> {formatMoney(booking.refunded_amount, booking.currency)}</Text>
+            )}
+          </Box>
+        )}
+        {booking.driver ? (
+          <Box borderWidth={1} borderRadius="md" p={4}>
+            <Heading as="h2" size="md" mb={2}>Your driver</Heading>
+            <Text>{booking.driver.name}</Text>
+            {booking.driver.phone && (
+              <Text><strong>Phone:</strong> <Link href={`tel:${booking.driver.phone}`} color="blue.500">{booking.driver.phone}</Link></Text>
+            )}
+            {booking.driver.truck_plate && <Text><strong>Truck plate:</strong> {booking.driver.truck_plate}</Text>}
+          </Box>
+        ) : ['pending', 'confirmed'].includes(booking.status) && (
+          <Text color="gray.500">A driver will be assigned before pickup.</Text>
+        )}
+        <Text><strong>Pickup date:</strong> {new Date(booking.pickup_datetime).toLocaleString()}</Text>
+        <Text><strong>Pickup:</strong> {booking.pickup_location}</Text>
+        {booking.stops?.map((stop, index) => (
+          <Text key={index}>
+            <strong>Stop {index + 1}:</strong> {stop.address || `${stop.lat}, ${stop.lng}`}
+            {stop.waitMinutes > 0 ? ` (${stop.waitMinutes} min wait)` : ''}
+          </Text>
+        ))}
+        <Text><strong>Drop-off:</strong> {booking.dropoff_location}</Text>
+        <BookingRouteMap route={booking.route} />
+        {booking.price_breakdown && (
+          <Box borderWidth={1} borderRadius="md" p={4}>
+            <PriceBreakdown breakdown={booking.price_breakdown} />
+          </Box>
+        )}
+        <Heading as="h2" size="md">Receipts</Heading>
+        <BookingReceipts booking={booking} />
+        <Heading as="h2" size="md">Status</Heading>
+        <BookingStatusTimeline bookingId={booking.id} />
+        {canCancel && (
+          <Box>
+            <Button colorScheme="red" variant="outline" onClick={() => setIsCancelOpen(true)}>Cancel booking</Button>
+          </Box>
+        )}
+      </VStack>
+      {canCancel && (
+        <CancelBookingDialog
+          booking={booking}
+          isOpen={isCancelOpen}
+          onClose={() => setIsCancelOpen(false)}
+          onCancelled={handleCancelled}
+        />
+      )}
+    </Box>
+  );
+};
+
+export default BookingDetails;
@@ -1,42 +1,23 @@
-import React, { lazy, Suspense, useState, useEffect } from 'react';
+import React, { lazy, Suspense, useState, useEffect, useCallback } from 'react';
 import { Box, Spinner, useToast, Alert, AlertIcon, AlertTitle, AlertDescription } from "@chakra-ui/react";
-import { Elements } from '@stripe/react-stripe-js';
-import { loadStripe } from '@stripe/stripe-js';
 import { useQuery } from '@tanstack/react-query';
 import { getBookings } from '../server/db';
-import { vehicleBrands, vehicleModels } from '../utils/vehicleData';
 import { useBookingForm } from '../hooks/useBookingForm';
-import { usePaymentSubmit } from '../hooks/usePaymentSubmit';
+import { useOnlineStatus } from '../hooks/useOnlineStatus';
 
-const MapRoute = lazy(() => import('../components/booking/MapRoute'));
+const BookingMap = lazy(() => import('../components/booking/map/BookingMap'));
 const BookingForm = lazy(() => import('../components/booking/BookingForm'));
-const PaymentWindow = lazy(() => import('../components/booking/PaymentWindow'));
-
-const stripePromise = loadStripe(import.meta.env.VITE_STRIPE_PUBLISHABLE_KEY);
 
 const BookingPage = () => {
   const toast = useToast();
   const [mapError, setMapError] = useState(false);
   const [isPageLoaded, setIsPageLoaded] = useState(false);
   const [key, setKey] = useState(0);
+  const isOnline = useOnlineStatus();
 
-  const {
-    formData,
-    setFormData,
-    distance,
-    setDistance,
-    totalCost,
-    setTotalCost,
-    selectedTowTruck,
-    isPaymentWindowOpen,
-    setIsPaymentWindowOpen,
-    handleChange,
-    handleDateTimeChange,
-    handleBookingProcess,
-    createBookingMutation,
-  } = useBookingForm();
-
-  const handlePaymentSubmit = usePaymentSubmit(formData, totalCost, createBookingMutation, setIsPaymentWindowOpen);
+  // The one booking form state, shared by the map and the form.
+  const bookingForm = useBookingForm();
+  const { formData, setFormData, vehicleSize, setRoutePoints, setStops, setRouteLegs } = bookingForm;
 
   const { isLoading, error, data } = useQuery({
     queryKey: ['bookings'],
@@ -63,7 +44,7 @@ const BookingPage = () => {
     return () => clearTimeout(timer);
   }, []);
 
-  const handleMapError = (error) => {
+  const handleMapError = useCallback((error) => {
     console.error('Map error:', error);
     setMapError(true);
     toast({
@@ -73,19 +54,19 @@ const BookingPage = () => {
       duration: 5000,
       isClosable: true,
     });
-  };
+  }, [toast]);
 
   const refreshMap = () => {
     setKey(prevKey => prevKey + 1);
   };
 
-  const handleAddressUpdate = (address, isPickup) => {
+  const handleAddressUpdate = useCallback((address, isPickup) => {
     if (isPickup) {
       setFormData(prevData => ({ ...prevData, pickupAddress: address }));
     } else {
       setFormData(prevData => ({ ...prevData, dropOffAddress: address }));
     }
-  };
+  }, [setFormData]);
 
   if (isLoading || !isPageLoaded) {
     return (
@@ -109,48 +90,29 @@ const BookingPage = () => {
 
   return (
     <Box position="relative" height="100vh" width="100vw">
+      {!isOnline && (
+        <Alert status="warning" position="absolute" top="0" left="0" right="0" zIndex={1100}>
+          <AlertIcon />
+          <AlertTitle mr={2}>You are offline</AlertTitle>
+          <AlertDescription>Distances are estimated. Your booking will be saved and sent when the connection returns.</AlertDescription>
+        </Alert>
+      )}
       <Suspense fallback={<Spinner />}>
-        <MapRoute
+        <BookingMap
           key={key}
-          setPickupAddress={(address) => handleAddressUpdate(address, true)}
-          setDropOffAddress={(address) => handleAddressUpdate(address, false)}
-          setDistance={setDistance}
-          setTotalCost={setTotalCost}
-          vehicleSize={formData.vehicleSize}
+          vehicleSize={vehicleSize}
+          pickupDateTime={formData.pickupDateTime}
+          onPickupAddressChange={(address) => handleAddressUpdate(address, true)}
+          onDropOffAddressChange={(address) => handleAddressUpdate(address, false)}
+          onStopsChange={setStops}
+          onRoutePointsChange={setRoutePoints}
+          onLegsChange={setRouteLegs}
           onError={handleMapError}
         />
       </Suspense>
       <Suspense fallback={<Spinner />}>
-        <BookingForm
-          formData={formData}
-          setFormData={setFormData}
-          handleChange={handleChange}
-          handleDateTimeChange={handleDateTimeChange}
-          handleBookingProcess={handleBookingProcess}
-          isLoading={createBookingMutation?.isLoading || false}
-          selectedTowTruck={selectedTowTruck}
-          totalCost={totalCost}
-          setTotalCost={setTotalCost}
-          distance={distance}
-          vehicleBrands={vehicleBrands}
-          vehicleModels={vehicleModels}
-          setIsPaymentWindowOpen={setIsPaymentWindowOpen}
-          mapError={mapError}
-          refreshMap={refreshMap}
-        />
+        <BookingForm {...bookingForm} mapError={mapError} refreshMap={refreshMap} />
       </Suspense>
-      {isPaymentWindowOpen && (
-        <Suspense fallback={<Spinner />}>
-          <Elements stripe={stripePromise}>
-            <PaymentWindow
-              isOpen={isPaymentWindowOpen}
-              onClose={() => setIsPaymentWindowOpen(false)}
-              onPaymentSubmit={handlePaymentSubmit}
-              totalCost={totalCost}
-            />
-          </Elements>
-        </Suspense>
-      )}
     </Box>
   );
 };
@@ -0,0 +1,87 @@
+import React from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box, VStack, Heading, Text, Badge, Button, Spinner, Alert, AlertIcon,
+  Table, Thead, Tbody, Tr, Th, Td, TableContainer,
+} from "@chakra-ui/react";
+import { useBookings } from '../integrations/supabase/hooks/bookings';
+import { useSupabaseAuth } from '../integrations/supabase/auth';
+import { useLiveBookings } from '../hooks/useLiveBookings';
+import { STATUS_COLORS, PAYMENT_STATUS_COLORS } from '../components/booking/BookingStatusTimeline';
+import { formatMoney } from '../utils/currency';
+
+// The signed-in customer's bookings, kept up to date while the page is open.
+const MyBookings = () => {
+  const { session } = useSupabaseAuth();
+  const userId = session?.user?.id;
+  const { data: bookings, isLoading, error } = useBookings({ userId });
+  useLiveBookings(userId);
+
+  if (isLoading) {
+    return (
+      <Box display="flex" justifyContent="center" p={8}>
+        <Spinner size="xl" />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return (
+      <Box p={4}>
+        <Alert status="error">
+          <AlertIcon />
+          We could not load your bookings: {error.message}
+        </Alert>
+      </Box>
+    );
+  }
+
+  return (
+    <Box p={4}>
+      <VStack spacing={4} align="stretch">
+        <Heading as="h1" size="xl">My Bookings</Heading>
+        {bookings?.length ? (
+          <TableContainer>
+            <Table variant="simple" size="sm">
+              <Thead>
+                <Tr>
+                  <Th>Pickup date</Th>
+                  <Th>Service</Th>
+                  <Th>From</Th>
+                  <Th>To</Th>
+                  <Th>Status</Th>
+                  <Th>Payment</Th>
+                  <Th isNumeric>Total</Th>
+                  <Th />
+                </Tr>
+              </Thead>
+              <Tbody>
+                {bookings.map((booking) => (
+                  <Tr key={booking.id}>
+                    <Td>{new Date(booking.pickup_datetime).toLocaleString()}</Td>
+                    <Td>{booking.service?.name || '—'}</Td>
+                    <Td whiteSpace="normal">{booking.pickup_location}</Td>
+                    <Td whiteSpace="normal">{booking.dropoff_location}</Td>
+                    <Td><Badge colorScheme={STATUS_COLORS[booking.status] || 'gray'}>{booking.status}</Badge></Td>
+                    <Td><Badge colorScheme={PAYMENT_STATUS_COLORS[booking.payment_status] || 'gray'}>{booking.payment_status}</Badge></Td>
+                    <Td isNumeric>{formatMoney(booking.total_cost, booking.currency)}</Td>
+                    <Td>
+                      <Button as={RouterLink} to={`/bookings/${booking.id}`} size="sm">View</Button>
+                    </Td>
+                  </Tr>
+                ))}
+              </Tbody>
+            </Table>
+          </TableContainer>
+        ) : (
+          <Box>
+            <Text mb={4}>You have not booked a tow yet.</Text>
+            <Button as={RouterLink} to="/booking" colorScheme="blue">Book a tow</Button>
+          </Box>
+        )}
+      </VStack>
+    </Box>
+  );
+};
+
+export default MyBookings;
@@ -4,8 +4,24 @@ const config = {
   supabaseKey: import.meta.env.VITE_SUPABASE_API_KEY,
   stripeSecretKey: import.meta.env.STRIPE_SECRET_KEY,
   tollguruApiKey: import.meta.env.VITE_TOLLGURU_API_KEY,
+  tollProvider: import.meta.env.TOLL_PROVIDER || (import.meta.env.VITE_TOLLGURU_API_KEY ? 'tollguru' : 'none'),
+  googleMapsApiKey: import.meta.env.VITE_GOOGLE_MAPS_API_KEY,
+  routingProvider: import.meta.env.VITE_ROUTING_PROVIDER || 'osrm',
+  outOfCoveragePickups: import.meta.env.VITE_OUT_OF_COVERAGE_PICKUPS || 'manual_quote',
   nodeEnv: import.meta.env.NODE_ENV || 'development',
   jwtSecret: import.meta.env.JWT_SECRET,
+  quoteSecret: import.meta.env.QUOTE_SECRET,
+  quoteTtlMinutes: Number(import.meta.env.QUOTE_TTL_MINUTES) || 15,
+  pacProvider: import.meta.env.PAC_PROVIDER || 'stub',
+  // Shared with the customer's cancel dialog, hence VITE_; see utils/cancellationPolicy.
+  cancellationFeePercent: import.meta.env.VITE_CANCELLATION_FEE_PERCENT,
+  cancellationDispatchLeadMinutes: import.meta.env.VITE_CANCELLATION_DISPATCH_LEAD_MINUTES,
+  cfdiIssuer: {
+    rfc: import.meta.env.CFDI_ISSUER_RFC,
+    name: import.meta.env.CFDI_ISSUER_NAME,
+    fiscalRegime: import.meta.env.CFDI_ISSUER_REGIME || '601',
+    postalCode: import.meta.env.CFDI_ISSUER_POSTAL_CODE,
+  },
 };
 
 export default config;
\ No newline at end of file
@@ -1,4 +1,7 @@
 const supabase = require('../config/database');
+const { transitionBooking } = require('../utils/bookingLifecycle');
+const { cancelBooking } = require('../utils/bookingCancellation');
+const { eventForStatus } = require('../../utils/bookingStatus');
 
 exports.createAdmin = async (req, res, next) => {
   try {
@@ -14,13 +17,15 @@ exports.createAdmin = async (req, res, next) => {
   }
 };
 
+// Paid bookings waiting to be performed.
 exports.getPaidServices = async (req, res, next) => {
   try {
     const { data, error } = await supabase
-      .from('services_logs')
-      .select('*')
-      .eq('status', 'paid')
-      .order('created_at', { ascending: false });
+      .from('bookings')
+      .select('*, user:users(id, email), service:services(id, name)')
+      .eq('status', 'confirmed')
+      .eq('payment_status', 'paid')
+      .order('pickup_datetime', { ascending: true });
 
     if (error) throw error;
 
@@ -30,19 +35,37 @@ exports.getPaidServices = async (req, res, next) => {
   }
 };
 
+// Kept for clients that send the target status; it goes through the same
+// transitions as POST /api/bookings/:id/transitions.
 exports.updateService = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
-    const { data, error } = await supabase
-      .from('services_logs')
-      .update({ status })
-      .eq('id', id);
+    const { status, reason } = req.body;
+    const { data: booking, error } = await supabase
+      .from('bookings')
+      .select('status')
+      .eq('id', id)
+      .maybeSingle();
 
     if (error) throw error;
+    if (!booking) {
+      return res.status(404).json({ success: false, error: 'Booking not found' });
+    }
+
+    const event = eventForStatus(booking.status, status);
+    if (!event) {
+      return res.status(409).json({ success: false, error: `Cannot change a booking from ${booking.status} to ${status}` });
+    }
+
+    const data = event === 'cancel'
+      ? (await cancelBooking(id, { actor: req.actor, reason })).booking
+      : await transitionBooking(id, event, { actor: req.actor, reason });
 
-    res.status(200).json({ success: true, data: data[0] });
+    res.status(200).json({ success: true, data });
   } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
     next(error);
   }
-};
\ No newline at end of file
+};
@@ -1,5 +1,14 @@
 const supabase = require('../config/database');
+const config = require('../config/config');
+const stripe = require('stripe')(config.stripeSecretKey);
 const { sendAdminNotification } = require('../../utils/adminNotification');
+const { validateFiscalData, normalizeFiscalData } = require('../../utils/cfdi');
+const { issueInvoice } = require('../utils/invoicing');
+const { transitionBooking, recordStatusChange } = require('../utils/bookingLifecycle');
+const { cancelBooking } = require('../utils/bookingCancellation');
+const { ADMIN_ROLES } = require('../../utils/bookingStatus');
+const { validatePromotion, loadPromotion } = require('../../utils/promotions');
+const { quotePayment } = require('../../utils/bookingPayment');
 const { logger } = require('../middleware/errorHandler');
 const { body, validationResult } = require('express-validator');
 
@@ -8,6 +17,44 @@ const addressValidation = (fieldName) =>
     .notEmpty().withMessage(`${fieldName} is required`)
     .isLength({ min: 5 }).withMessage(`${fieldName} must be at least 5 characters`);
 
+// Columns the booking lists and details return, with the customer and service.
+const BOOKING_SELECT = '*, user:users(id, email), service:services(id, name), depot:depots(id, name)';
+
+// Vehicle fields of the booking form as bookings.vehicle_details stores them.
+const toVehicleDetails = (body) => ({
+  brand: body.vehicleBrand,
+  model: body.vehicleModel,
+  color: body.vehicleColor,
+  license_plate: body.licensePlate,
+});
+
+// The booking if `actor` owns it or is an admin, like the RLS policies of bookings
+// and the tables that hang off them; null otherwise.
+const findReadableBooking = async (bookingId, actor) => {
+  const { data: booking, error } = await supabase
+    .from('bookings')
+    .select('id, user_id')
+    .eq('id', bookingId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!booking || (booking.user_id !== actor.id && !ADMIN_ROLES.includes(actor.role))) return null;
+  return booking;
+};
+
+// Undoes a booking that could not be completed: deletes it and refunds its payment.
+const discardBooking = async (booking) => {
+  const { error } = await supabase.from('bookings').delete().eq('id', booking.id);
+  if (error) throw error;
+  if (booking.payment_intent_id) {
+    try {
+      await stripe.refunds.create({ payment_intent: booking.payment_intent_id }, { idempotencyKey: `discard-${booking.id}` });
+    } catch (refundError) {
+      logger.error(`Failed to refund ${booking.payment_intent_id} of discarded booking ${booking.id}: ${refundError.message}`);
+    }
+  }
+};
+
 exports.validateBookingInput = [
   body('userName').notEmpty().withMessage('User name is required').isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('phoneNumber').matches(/^\d{10}$/).withMessage('Phone number must be 10 digits'),
@@ -30,25 +77,82 @@ exports.validateBookingInput = [
 
 exports.createBooking = async (req, res, next) => {
   try {
+    let fiscalData = null;
+    if (req.body.requiresInvoice) {
+      const { isValid, errors } = validateFiscalData(req.body.fiscalData);
+      if (!isValid) {
+        return res.status(400).json({ success: false, error: 'Invalid fiscal data', errors });
+      }
+      fiscalData = normalizeFiscalData(req.body.fiscalData);
+    }
+
+    // Quotes are priced for the customer who asked for them (corporate rates,
+    // per-customer promo codes) and can only be booked by them.
+    const userId = req.actor.id;
+    if (req.quote.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'This quote was issued for a different customer' });
+    }
+
+    // Usage limits may have been reached since the quote was issued. This fails early;
+    // redeem_promotion checks them again when the booking records its use of the code.
+    const promotionDiscount = req.quote.breakdown.discounts.find((discount) => discount.promotionId);
+    if (promotionDiscount) {
+      const { promotion, usage } = await loadPromotion(supabase, promotionDiscount.code, userId);
+      const { isValid, reason } = validatePromotion(promotion, { userId, usage });
+      if (!isValid) {
+        return res.status(409).json({ success: false, error: reason, field: 'promoCode' });
+      }
+    }
+
+    // A quote, and so the payment made against it, backs a single booking.
+    const { data: existingBooking, error: existingError } = await supabase
+      .from('bookings')
+      .select('id')
+      .eq('quote_id', req.quote.id)
+      .maybeSingle();
+    if (existingError) throw existingError;
+    if (existingBooking) {
+      return res.status(409).json({ success: false, error: 'This quote has already been booked' });
+    }
+
+    const paymentIntent = req.body.paymentIntentId ? await stripe.paymentIntents.retrieve(req.body.paymentIntentId) : null;
+    const payment = quotePayment(req.quote, paymentIntent);
+
     const bookingData = {
-      user_id: req.body.userId,
-      service_id: req.body.serviceId,
+      user_id: userId,
+      service_id: req.quote.serviceId,
       status: 'pending',
-      total_cost: req.body.totalCost,
-      payment_status: 'pending',
+      total_cost: req.quote.totalCost,
+      currency: req.quote.breakdown.currency,
+      price_breakdown: req.quote.breakdown,
+      ...payment,
+      fiscal_data: fiscalData,
       pickup_location: req.body.pickupAddress,
       dropoff_location: req.body.dropOffAddress,
-      vehicle_brand: req.body.vehicleBrand,
-      vehicle_model: req.body.vehicleModel,
-      vehicle_color: req.body.vehicleColor,
-      license_plate: req.body.licensePlate,
-      vehicle_size: req.body.vehicleSize,
-      in_neutral: req.body.inNeutral,
-      engine_starts: req.body.engineStarts,
-      wheels_turn: req.body.wheelsTurn,
-      vehicle_position: req.body.vehiclePosition,
-      requires_maneuver: req.body.requiresManeuver,
-      distance: req.body.distance,
+      vehicle_details: {
+        ...toVehicleDetails(req.body),
+        size: req.quote.vehicleSize,
+        in_neutral: req.body.inNeutral,
+        engine_starts: req.body.engineStarts,
+        wheels_turn: req.body.wheelsTurn,
+        position: req.body.vehiclePosition,
+        requires_maneuver: req.quote.requiresManeuver,
+      },
+      vehicle_catalog_id: req.quote.vehicle?.catalogId || null,
+      towing_requirements: req.quote.eligibility || null,
+      depot_id: req.quote.depot?.id || null,
+      requires_manual_quote: Boolean(req.quote.requiresManualQuote),
+      // Stops were priced in this order; the customer only adds their addresses and notes.
+      stops: (req.quote.stops || []).map((stop, index) => ({
+        ...stop,
+        address: req.body.stops?.[index]?.address || null,
+        notes: req.body.stops?.[index]?.notes || null,
+      })),
+      distance: req.quote.distance,
+      deadhead_distance: req.quote.deadheadDistance || 0,
+      return_distance: req.quote.returnDistance || 0,
+      route: req.quote.route || null,
+      quote_id: req.quote.id,
       pickup_datetime: req.body.pickupDateTime,
       additional_details: req.body.additionalDetails
     };
@@ -58,9 +162,36 @@ exports.createBooking = async (req, res, next) => {
       .insert(bookingData)
       .select();
     
+    // Unique quote_id and payment_intent_id catch a concurrent booking of the same quote.
+    if (bookingError?.code === '23505') {
+      return res.status(409).json({ success: false, error: 'This quote has already been booked' });
+    }
     if (bookingError) throw bookingError;
 
+    // The limits are checked and the redemption recorded in one call, so concurrent
+    // bookings cannot both take the last use of a code.
+    if (promotionDiscount) {
+      const { data: redeemed, error: redemptionError } = await supabase.rpc('redeem_promotion', {
+        promotion_id: promotionDiscount.promotionId,
+        booking_id: createdBooking[0].id,
+        user_id: userId,
+      });
+      if (redemptionError || !redeemed) {
+        await discardBooking(createdBooking[0]);
+        if (redemptionError) throw redemptionError;
+        const { promotion, usage } = await loadPromotion(supabase, promotionDiscount.code, userId);
+        const { reason } = validatePromotion(promotion, { userId, usage });
+        return res.status(409).json({ success: false, error: reason || 'El código promocional ya se agotó', field: 'promoCode' });
+      }
+    }
+
     logger.info(`New booking created: ${JSON.stringify(createdBooking)}`);
+
+    try {
+      await recordStatusChange({ bookingId: createdBooking[0].id, from: null, to: 'pending', event: 'create', actor: req.actor });
+    } catch (historyError) {
+      logger.error(`Failed to record status history for booking ${createdBooking[0].id}: ${historyError.message}`);
+    }
     
     try {
       await sendAdminNotification(createdBooking[0], createdBooking[0].total_cost);
@@ -69,12 +200,23 @@ exports.createBooking = async (req, res, next) => {
       // Continue execution even if notification fails
     }
 
+    if (payment.payment_status === 'paid' && fiscalData) {
+      try {
+        await issueInvoice(createdBooking[0]);
+      } catch (invoiceError) {
+        logger.error(`Failed to issue invoice for booking ${createdBooking[0].id}: ${invoiceError.message}`);
+      }
+    }
+
     res.status(201).json({
       success: true,
       message: 'Booking created successfully',
       booking: createdBooking[0]
     });
   } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
     logger.error(`Error creating booking: ${error.message}`);
     next(error);
   }
@@ -87,8 +229,9 @@ exports.getAllBookings = async (req, res, next) => {
     const startIndex = (page - 1) * limit;
 
     const { data, error, count } = await supabase
-      .from('services_logs')
-      .select('*, profiles(full_name), services(service_name)', { count: 'exact' })
+      .from('bookings')
+      .select(BOOKING_SELECT, { count: 'exact' })
+      .order('created_at', { ascending: false })
       .range(startIndex, startIndex + limit - 1);
     
     if (error) throw error;
@@ -109,10 +252,10 @@ exports.getAllBookings = async (req, res, next) => {
 exports.getBookingById = async (req, res, next) => {
   try {
     const { data, error } = await supabase
-      .from('services_logs')
-      .select('*, profiles(full_name), services(service_name)')
+      .from('bookings')
+      .select(BOOKING_SELECT)
       .eq('id', req.params.id)
-      .single();
+      .maybeSingle();
     
     if (error) throw error;
     if (!data) {
@@ -129,12 +272,66 @@ exports.getBookingById = async (req, res, next) => {
   }
 };
 
+exports.getBookingInvoice = async (req, res, next) => {
+  try {
+    // Invoices carry the customer's RFC and fiscal address.
+    if (!await findReadableBooking(req.params.id, req.actor)) {
+      return res.status(404).json({ success: false, message: 'Invoice not found' });
+    }
+
+    const { data, error } = await supabase
+      .from('invoices')
+      .select('*')
+      .eq('booking_id', req.params.id)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({ success: false, message: 'Invoice not found' });
+    }
+
+    if (req.query.format === 'xml') {
+      res.set('Content-Disposition', `attachment; filename="cfdi-${data.folio}.xml"`);
+      return res.type('application/xml').send(data.stamped_xml || data.xml);
+    }
+
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    logger.error(`Error fetching invoice: ${error.message}`);
+    next(error);
+  }
+};
+
 exports.updateBooking = async (req, res, next) => {
   try {
+    if ('status' in req.body) {
+      return res.status(400).json({ success: false, error: 'Use POST /api/bookings/:id/transitions to change the status' });
+    }
+
+    const { data: booking, error: bookingError } = await supabase
+      .from('bookings')
+      .select('vehicle_details')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (bookingError) throw bookingError;
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
     const { data, error } = await supabase
-      .from('services_logs')
-      .update(req.body)
-      .eq('id', req.params.id);
+      .from('bookings')
+      .update({
+        pickup_location: req.body.pickupAddress,
+        dropoff_location: req.body.dropOffAddress,
+        pickup_datetime: req.body.pickupDateTime,
+        additional_details: req.body.additionalDetails,
+        vehicle_details: { ...booking.vehicle_details, ...toVehicleDetails(req.body) },
+      })
+      .eq('id', req.params.id)
+      .select();
     
     if (error) throw error;
 
@@ -152,7 +349,7 @@ exports.updateBooking = async (req, res, next) => {
 exports.deleteBooking = async (req, res, next) => {
   try {
     const { error } = await supabase
-      .from('services_logs')
+      .from('bookings')
       .delete()
       .eq('id', req.params.id);
     
@@ -166,4 +363,61 @@ exports.deleteBooking = async (req, res, next) => {
     logger.error(`Error deleting booking: ${error.message}`);
     next(error);
   }
-};
\ No newline at end of file
+};
+
+exports.transitionBooking = async (req, res, next) => {
+  try {
+    // Cancelling goes through the cancellation policy so paid bookings are refunded.
+    const booking = req.body.event === 'cancel'
+      ? (await cancelBooking(req.params.id, { actor: req.actor, reason: req.body.reason })).booking
+      : await transitionBooking(req.params.id, req.body.event, { actor: req.actor, reason: req.body.reason });
+
+    res.status(200).json({ success: true, data: booking });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error(`Error changing booking status: ${error.message}`);
+    next(error);
+  }
+};
+
+exports.cancelBooking = async (req, res, next) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ success: false, error: 'A reason is required to cancel a booking' });
+    }
+
+    const { booking, terms } = await cancelBooking(req.params.id, { actor: req.actor, reason });
+
+    res.status(200).json({ success: true, data: booking, cancellation: terms });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error(`Error cancelling booking: ${error.message}`);
+    next(error);
+  }
+};
+
+exports.getBookingStatusHistory = async (req, res, next) => {
+  try {
+    if (!await findReadableBooking(req.params.id, req.actor)) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    const { data, error } = await supabase
+      .from('booking_status_history')
+      .select('*')
+      .eq('booking_id', req.params.id)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    logger.error(`Error fetching booking status history: ${error.message}`);
+    next(error);
+  }
+};
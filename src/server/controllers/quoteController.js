@@ -0,0 +1,158 @@
+const supabase = require('../config/database');
+const config = require('../config/config');
+const { logger } = require('../middleware/errorHandler');
+const { createQuoteToken } = require('../utils/quoteToken');
+const { loadTariff, calculateQuoteBreakdown } = require('../../utils/pricingEngine');
+const { loadSurchargeRules } = require('../../utils/surcharges');
+const { DEFAULT_CURRENCY, loadExchangeRates } = require('../../utils/currency');
+const { validatePromotion, promotionToDiscount, applyCorporateAgreements, loadPromotion, loadCorporateAgreements } = require('../../utils/promotions');
+const { quoteTaxes } = require('../../utils/taxes');
+const { getVehicleSize, getTowTruckType } = require('../../utils/towTruckSelection');
+const { loadCatalogVehicle, customerVehicle, isVehicleSized } = require('../../utils/vehicleCatalog');
+const { loadDepots, selectDepot, depotLocation, OUT_OF_COVERAGE_REASONS } = require('../../utils/depots');
+const { loadServiceAreas, checkCoverage } = require('../../utils/serviceAreas');
+const { routeTripLegs, tripWaypoints, legDistances } = require('../../utils/routeLegs');
+const { serializeRoute } = require('../../utils/routeGeometry');
+const { createRoutingProvider } = require('../../utils/routing');
+const { createTollProvider, estimateTripTolls } = require('../../utils/tolls');
+const { loadEligibilityRules, buildEligibilityFacts, evaluateEligibility } = require('../../utils/eligibilityRules');
+
+// Same provider as the map preview (VITE_ROUTING_PROVIDER), so both price the same route.
+const routingProvider = createRoutingProvider(config.routingProvider, { apiKey: config.googleMapsApiKey });
+const tollProvider = createTollProvider(config.tollProvider, { apiKey: config.tollguruApiKey, routingProvider: config.routingProvider });
+
+exports.createQuote = async (req, res, next) => {
+  try {
+    const { pickup, dropoff, vehicleBrand, vehicleModel, vehicleYear, vehicleSize: customerVehicleSize, curbWeightKg, vehiclePosition, pickupDateTime, currency = DEFAULT_CURRENCY, promoCode } = req.body;
+    const userId = req.actor.id;
+    const pickupPoint = [Number(pickup.lat), Number(pickup.lng)];
+    const dropoffPoint = [Number(dropoff.lat), Number(dropoff.lng)];
+    const stops = (req.body.stops || []).map((stop) => ({ lat: Number(stop.lat), lng: Number(stop.lng), waitMinutes: Number(stop.waitMinutes) || 0 }));
+    const requiresManeuver = Boolean(req.body.requiresManeuver) || vehiclePosition === 'obstructed';
+
+    // Vehicles the catalog does not list, such as models older than the catalog, are
+    // sized from what the customer says; unsized ones are priced by our team.
+    const vehicle = await loadCatalogVehicle(supabase, { brand: vehicleBrand, model: vehicleModel, year: vehicleYear })
+      || customerVehicle({ brand: vehicleBrand, model: vehicleModel, sizeClass: customerVehicleSize, curbWeightKg });
+
+    const [tariff, { rules: surchargeRules, holidays }, eligibilityRules, exchangeRates, agreements, promotionResult, depots, serviceAreas] = await Promise.all([
+      loadTariff(supabase),
+      loadSurchargeRules(supabase),
+      loadEligibilityRules(supabase),
+      loadExchangeRates(supabase),
+      loadCorporateAgreements(supabase, userId),
+      promoCode ? loadPromotion(supabase, promoCode, userId) : null,
+      loadDepots(supabase),
+      loadServiceAreas(supabase),
+    ]);
+
+    const coverage = checkCoverage(serviceAreas, { pickup: pickupPoint, destination: dropoffPoint, policy: config.outOfCoveragePickups });
+    if (coverage.isRejected) {
+      return res.status(422).json({ success: false, error: 'Pickup is outside our service area', field: 'pickup' });
+    }
+
+    const discounts = [];
+    if (promotionResult) {
+      const { isValid, reason } = validatePromotion(promotionResult.promotion, { userId, usage: promotionResult.usage });
+      if (!isValid) {
+        return res.status(400).json({ success: false, error: reason, field: 'promoCode' });
+      }
+      discounts.push(promotionToDiscount(promotionResult.promotion));
+    }
+
+    const vehicleSize = getVehicleSize(vehicle);
+    const eligibility = evaluateEligibility(eligibilityRules, buildEligibilityFacts(vehicle, req.body));
+    const towTruckType = getTowTruckType(vehicleSize, eligibility.allowedTruckTypes);
+    if (!towTruckType) {
+      return res.status(422).json({
+        success: false,
+        error: 'No tow truck can carry this vehicle',
+        explanations: eligibility.explanations.map((explanation) => explanation.message),
+      });
+    }
+
+    // A manual quote is still estimated, from the nearest depot that could send the truck.
+    const depot = selectDepot(depots, {
+      pickup: pickupPoint,
+      towTruckType,
+      serviceAreas,
+      ignoreReasons: coverage.requiresManualQuote ? OUT_OF_COVERAGE_REASONS : [],
+      at: pickupDateTime ? new Date(pickupDateTime) : new Date(),
+    });
+    if (!depot) {
+      return res.status(422).json({ success: false, error: 'No depot can serve this pickup with the required truck at that time' });
+    }
+
+    const stopPoints = stops.map(({ lat, lng }) => [lat, lng]);
+    const routeLegs = await routeTripLegs(routingProvider, depotLocation(depot), pickupPoint, dropoffPoint, stopPoints);
+    const { distance, deadheadDistance, returnDistance } = legDistances(routeLegs);
+    const tolls = tollProvider ? await estimateTripTolls(tollProvider, routeLegs, towTruckType) : null;
+    if (tolls && !tolls.isEstimated) {
+      logger.warn(`Quoting without tolls, ${tolls.provider} failed: ${tolls.error}`);
+    }
+
+    const breakdown = calculateQuoteBreakdown(applyCorporateAgreements(tariff, agreements), {
+      distance,
+      deadheadDistance,
+      returnDistance,
+      towTruckType,
+      requiresManeuver,
+      stops,
+      handlingCharges: eligibility.charges,
+      tolls,
+      pickupDateTime,
+      surchargeRules,
+      holidays,
+      destinationOutOfCoverage: !coverage.destinationInCoverage,
+      discounts,
+      taxes: quoteTaxes,
+      currency,
+      exchangeRates,
+    });
+
+    const quote = createQuoteToken({
+      userId,
+      pickup: pickupPoint,
+      dropoff: dropoffPoint,
+      stops,
+      vehicleModel,
+      vehicle: {
+        catalogId: vehicle.id,
+        brand: vehicle.brand,
+        model: vehicle.model,
+        year: vehicleYear ? Number(vehicleYear) : null,
+        curbWeightKg: vehicle.curb_weight_kg,
+        drivetrain: vehicle.drivetrain,
+        isElectric: vehicle.is_electric,
+      },
+      vehicleSize,
+      towTruckType,
+      eligibility,
+      depot: { id: depot.id, name: depot.name },
+      coverage,
+      requiresManualQuote: coverage.requiresManualQuote || !isVehicleSized(vehicle),
+      serviceId: breakdown.serviceId,
+      requiresManeuver,
+      pickupDateTime,
+      distance,
+      deadheadDistance,
+      returnDistance,
+      // The geometry the distances were measured on; the booking keeps it for disputes.
+      route: serializeRoute({
+        provider: routingProvider.name,
+        waypoints: tripWaypoints(depotLocation(depot), pickupPoint, dropoffPoint, stopPoints),
+        legs: routeLegs,
+      }),
+      breakdown,
+      totalCost: breakdown.total,
+    });
+
+    res.status(201).json({ success: true, quote });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error(`Error creating quote: ${error.message}`);
+    next(error);
+  }
+};
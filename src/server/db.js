@@ -24,9 +24,11 @@ export const getBookings = (page = 1, limit = 50) => executeQuery(async () => {
   const { data, count } = await supabase
     .from('bookings')
     .select(`
-      id, created_at, status, total_cost, payment_status,
+      id, created_at, status, total_cost, currency, price_breakdown, payment_status,
+      pickup_location, dropoff_location, pickup_datetime, requires_manual_quote, stops, driver,
       user:users(id, email),
-      service:services(id, name)
+      service:services(id, name),
+      depot:depots(id, name)
     `, { count: 'exact' })
     .order('created_at', { ascending: false })
     .range(startIndex, startIndex + limit - 1);
@@ -0,0 +1,34 @@
+const supabase = require('../config/database');
+
+// Resolves the Supabase access token in the Authorization header to req.actor
+// ({ id, role }). With `roles`, only users with one of those roles get through.
+const authenticate = ({ roles } = {}) => async (req, res, next) => {
+  const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!token) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+
+  try {
+    const { data: { user } = {}, error } = await supabase.auth.getUser(token);
+    if (error || !user) {
+      return res.status(401).json({ success: false, error: 'Invalid or expired session' });
+    }
+
+    const { data: profile, error: profileError } = await supabase
+      .from('users')
+      .select('role')
+      .eq('id', user.id)
+      .maybeSingle();
+    if (profileError) throw profileError;
+
+    req.actor = { id: user.id, role: profile?.role || 'user' };
+    if (roles && !roles.includes(req.actor.role)) {
+      return res.status(403).json({ success: false, error: 'Not allowed' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { authenticate };
@@ -1,23 +1,53 @@
 const { body, validationResult } = require('express-validator');
+const { SUPPORTED_CURRENCIES } = require('../../utils/currency');
+const { MAX_STOPS } = require('../../utils/routeLegs');
 
 const addressValidation = (fieldName) => 
   body(fieldName)
     .notEmpty().withMessage(`${fieldName} is required`)
     .isLength({ min: 5 }).withMessage(`${fieldName} must be at least 5 characters`);
 
+const coordinateValidation = (fieldName) => [
+  body(`${fieldName}.lat`).isFloat({ min: -90, max: 90 }).withMessage(`${fieldName} latitude is invalid`),
+  body(`${fieldName}.lng`).isFloat({ min: -180, max: 180 }).withMessage(`${fieldName} longitude is invalid`),
+];
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
 const validateBookingInput = [
   body('userName').notEmpty().withMessage('User name is required').isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('phoneNumber').matches(/^\d{10}$/).withMessage('Phone number must be 10 digits'),
   body('serviceType').notEmpty().withMessage('Service type is required'),
   addressValidation('pickupAddress'),
   addressValidation('dropOffAddress'),
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-    next();
-  },
+  handleValidationErrors,
+];
+
+const validateQuoteInput = [
+  ...coordinateValidation('pickup'),
+  ...coordinateValidation('dropoff'),
+  body('stops').optional().isArray({ max: MAX_STOPS }).withMessage(`A booking can have up to ${MAX_STOPS} stops`),
+  ...coordinateValidation('stops.*'),
+  body('stops.*.waitMinutes').optional().isInt({ min: 0, max: 480 }).withMessage('Stop wait time must be between 0 and 480 minutes'),
+  body('vehicleBrand').notEmpty().withMessage('Vehicle brand is required'),
+  body('vehicleModel').notEmpty().withMessage('Vehicle model is required'),
+  body('vehicleYear').optional({ values: 'falsy' }).isInt({ min: 1950, max: 2100 }).withMessage('Invalid vehicle year'),
+  // Only used when the catalog does not list the vehicle.
+  body('vehicleSize').optional({ values: 'falsy' }).isIn(['small', 'medium', 'large']).withMessage('Invalid vehicle size'),
+  body('curbWeightKg').optional({ values: 'falsy' }).isInt({ min: 300, max: 40000 }).withMessage('Invalid curb weight'),
+  body('requiresManeuver').optional().isBoolean().withMessage('requiresManeuver must be a boolean'),
+  ...['inNeutral', 'engineStarts', 'wheelsSteer', 'isLowered'].map((field) => body(field).optional().isBoolean().withMessage(`${field} must be a boolean`)),
+  body('vehiclePosition').optional({ values: 'falsy' }).isIn(['roadside', 'obstructed']).withMessage('Invalid vehicle position'),
+  body('pickupDateTime').optional().isISO8601().withMessage('Invalid pickup date and time'),
+  body('promoCode').optional({ values: 'falsy' }).isString().isLength({ max: 40 }).withMessage('Invalid promo code'),
+  body('currency').optional().isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`),
+  handleValidationErrors,
 ];
 
-module.exports = { validateBookingInput };
\ No newline at end of file
+module.exports = { validateBookingInput, validateQuoteInput };
\ No newline at end of file
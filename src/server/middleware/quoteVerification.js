@@ -0,0 +1,26 @@
+const { verifyQuoteToken } = require('../utils/quoteToken');
+const { toMinorUnits } = require('../../utils/currency');
+
+// Rejects requests without a valid, unexpired quote and exposes the signed quote as
+// req.quote. A client-supplied amount must match the quote exactly.
+const requireValidQuote = ({ amountField, inMinorUnits = false } = {}) => (req, res, next) => {
+  let quote;
+  try {
+    quote = verifyQuoteToken(req.body.quoteId);
+  } catch (error) {
+    return res.status(error.status || 400).json({ success: false, error: error.message });
+  }
+
+  const submittedAmount = amountField ? req.body[amountField] : undefined;
+  if (submittedAmount !== undefined && submittedAmount !== null) {
+    const quotedAmount = inMinorUnits ? toMinorUnits(quote.totalCost, quote.breakdown.currency) : quote.totalCost;
+    if (Number(submittedAmount) !== quotedAmount) {
+      return res.status(400).json({ success: false, error: 'Submitted amount does not match the quote' });
+    }
+  }
+
+  req.quote = quote;
+  next();
+};
+
+module.exports = { requireValidQuote };
@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
+const { authenticate } = require('../middleware/authentication');
+const { ADMIN_ROLES } = require('../../utils/bookingStatus');
 
 router.post('/create', adminController.createAdmin);
 router.get('/services', adminController.getPaidServices);
-router.put('/services/:id', adminController.updateService);
+router.put('/services/:id', authenticate({ roles: ADMIN_ROLES }), adminController.updateService);
 
 module.exports = router;
\ No newline at end of file
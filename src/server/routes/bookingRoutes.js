@@ -2,10 +2,16 @@ const express = require('express');
 const router = express.Router();
 const bookingController = require('../controllers/bookingController');
 const { validateBookingInput } = require('../middleware/inputValidation');
+const { requireValidQuote } = require('../middleware/quoteVerification');
+const { authenticate } = require('../middleware/authentication');
 
-router.post('/', validateBookingInput, bookingController.createBooking);
+router.post('/', authenticate(), validateBookingInput, requireValidQuote({ amountField: 'totalCost' }), bookingController.createBooking);
 router.get('/', bookingController.getAllBookings);
 router.get('/:id', bookingController.getBookingById);
+router.get('/:id/invoice', authenticate(), bookingController.getBookingInvoice);
+router.get('/:id/status-history', authenticate(), bookingController.getBookingStatusHistory);
+router.post('/:id/transitions', authenticate(), bookingController.transitionBooking);
+router.post('/:id/cancel', authenticate(), bookingController.cancelBooking);
 router.put('/:id', validateBookingInput, bookingController.updateBooking);
 router.delete('/:id', bookingController.deleteBooking);
 
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const quoteController = require('../controllers/quoteController');
+const { validateQuoteInput } = require('../middleware/inputValidation');
+const { authenticate } = require('../middleware/authentication');
+
+// Quotes carry the customer's corporate rates and promotions, so the customer is the
+// signed-in user, never a field of the request.
+router.post('/', authenticate(), validateQuoteInput, quoteController.createQuote);
+
+module.exports = router;
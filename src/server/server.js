@@ -5,7 +5,11 @@ const config = require('./config/config');
 const stripe = require('stripe')(config.stripeSecretKey);
 const bookingRoutes = require('./routes/bookingRoutes');
 const adminRoutes = require('./routes/adminRoutes');
+const quoteRoutes = require('./routes/quoteRoutes');
 const { errorHandler } = require('./middleware/errorHandler');
+const { requireValidQuote } = require('./middleware/quoteVerification');
+const { authenticate } = require('./middleware/authentication');
+const { toMinorUnits } = require('../utils/currency');
 const { login, createAccount, getCurrentUser } = require('./db');
 
 const app = express();
@@ -22,20 +26,38 @@ const authLimiter = rateLimit({
 
 app.use('/api/bookings', bookingRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/quotes', quoteRoutes);
 
-app.post('/api/process-payment', async (req, res) => {
-  const { paymentMethodId, amount } = req.body;
+app.post('/api/process-payment', authenticate(), requireValidQuote({ amountField: 'amount', inMinorUnits: true }), async (req, res) => {
+  const { paymentMethodId } = req.body;
+  const { currency } = req.quote.breakdown;
+
+  // Like booking it, only the customer the quote was priced for can pay for it.
+  if (req.quote.userId !== req.actor.id) {
+    return res.status(403).json({ success: false, error: 'This quote was issued for a different customer' });
+  }
+
+  // Pickups outside coverage are booked unpaid and charged once an admin confirms the price.
+  if (req.quote.requiresManualQuote) {
+    return res.status(409).json({ success: false, error: 'This quote needs to be confirmed by our team before payment' });
+  }
 
   try {
     const paymentIntent = await stripe.paymentIntents.create({
-      amount,
-      currency: 'usd',
+      amount: toMinorUnits(req.quote.totalCost, currency),
+      currency: currency.toLowerCase(),
       payment_method: paymentMethodId,
       confirm: true,
-    });
+      metadata: { quote_id: req.quote.id },
+    }, { idempotencyKey: `quote-${req.quote.id}` });
 
     res.json({ success: true, paymentIntentId: paymentIntent.id });
   } catch (error) {
+    // A quote is charged at most once: a repeated request returns the first
+    // PaymentIntent, and paying again with another card needs a new quote.
+    if (error.type === 'StripeIdempotencyError') {
+      return res.status(409).json({ success: false, error: 'This quote has already been paid or its payment was declined. Please get a new quote to try another card.' });
+    }
     res.status(400).json({ success: false, error: error.message });
   }
 });
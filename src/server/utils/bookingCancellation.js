@@ -0,0 +1,70 @@
+const supabase = require('../config/database');
+const config = require('../config/config');
+const stripe = require('stripe')(config.stripeSecretKey);
+const { logger } = require('../middleware/errorHandler');
+const { transitionBooking } = require('./bookingLifecycle');
+const { planTransition, actorKind } = require('../../utils/bookingStatus');
+const { cancellationTerms, paidCancellationTerms, cancellationPolicyFromEnv } = require('../../utils/cancellationPolicy');
+const { toMinorUnits } = require('../../utils/currency');
+const { findBookingPayment } = require('../../utils/bookingPayment');
+
+const policy = cancellationPolicyFromEnv({
+  feePercent: config.cancellationFeePercent,
+  dispatchLeadMinutes: config.cancellationDispatchLeadMinutes,
+});
+
+// Cancels a booking under the cancellation policy: refunds what the policy allows of
+// what the booking's payment captured, then moves it to 'cancelled' with the fee and
+// refund, linking the payment if it was found by the booking's quote. The refund uses
+// an idempotency key, so retrying after a failed status change does not refund twice.
+const cancelBooking = async (bookingId, { actor, reason, now = new Date() } = {}) => {
+  const { data: booking, error } = await supabase
+    .from('bookings')
+    .select('*')
+    .eq('id', bookingId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!booking) {
+    throw Object.assign(new Error('Booking not found'), { status: 404 });
+  }
+
+  planTransition(booking, 'cancel', actor, { reason });
+  const options = { policy, now, waiveFee: actorKind(booking, actor) === 'admin' };
+  const payment = await findBookingPayment(stripe, booking);
+  const terms = payment ? paidCancellationTerms(booking, { ...payment, ...options }) : cancellationTerms(booking, options);
+
+  let refund = null;
+  if (terms.refund > 0) {
+    if (!payment) {
+      throw Object.assign(new Error('This booking was not paid online; contact us to cancel it'), { status: 409 });
+    }
+    refund = await stripe.refunds.create({
+      payment_intent: payment.paymentIntentId,
+      amount: toMinorUnits(terms.refund, terms.currency),
+      reason: 'requested_by_customer',
+      metadata: { booking_id: booking.id },
+    }, { idempotencyKey: `booking-${booking.id}-cancel` });
+  }
+
+  try {
+    const cancelled = await transitionBooking(bookingId, 'cancel', {
+      actor,
+      reason,
+      changes: {
+        cancellation_fee: terms.fee,
+        refunded_amount: terms.refund,
+        refund_id: refund?.id || null,
+        ...(payment && !booking.payment_intent_id && { payment_intent_id: payment.paymentIntentId }),
+        ...(refund && { payment_status: 'refunded' }),
+      },
+    });
+    return { booking: cancelled, terms };
+  } catch (transitionError) {
+    if (refund) {
+      logger.error(`Booking ${bookingId} was refunded (${refund.id}) but not cancelled: ${transitionError.message}`);
+    }
+    throw transitionError;
+  }
+};
+
+module.exports = { cancelBooking };
@@ -0,0 +1,85 @@
+const supabase = require('../config/database');
+const { logger } = require('../middleware/errorHandler');
+const { planTransition } = require('../../utils/bookingStatus');
+const { issueInvoice } = require('./invoicing');
+
+// Side effects keyed by the status a booking enters. Hooks run after the transition
+// is saved; a failing hook is logged and does not undo the transition.
+const hooks = {};
+
+const onBookingStatus = (status, hook) => {
+  hooks[status] = [...(hooks[status] || []), hook];
+};
+
+const recordStatusChange = async ({ bookingId, from, to, event, actor, reason }) => {
+  const { error } = await supabase
+    .from('booking_status_history')
+    .insert({
+      booking_id: bookingId,
+      from_status: from,
+      to_status: to,
+      event,
+      actor_id: actor?.id || null,
+      actor_role: actor?.role || null,
+      reason: reason || null,
+    });
+  if (error) throw error;
+};
+
+// Applies a lifecycle event (utils/bookingStatus) to a booking on behalf of `actor`.
+// `changes` are other columns saved together with the new status. Errors carry the
+// HTTP status to answer with.
+const transitionBooking = async (bookingId, event, { actor, reason, changes = {} } = {}) => {
+  const { data: booking, error } = await supabase
+    .from('bookings')
+    .select('*')
+    .eq('id', bookingId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!booking) {
+    throw Object.assign(new Error('Booking not found'), { status: 404 });
+  }
+
+  const { from, to } = planTransition(booking, event, actor, { reason });
+
+  // Only update the booking if nobody moved it since it was read.
+  const { data: updated, error: updateError } = await supabase
+    .from('bookings')
+    .update({ ...changes, status: to })
+    .eq('id', bookingId)
+    .eq('status', from)
+    .select()
+    .maybeSingle();
+  if (updateError) throw updateError;
+  if (!updated) {
+    throw Object.assign(new Error('The booking status changed, reload and try again'), { status: 409 });
+  }
+
+  await recordStatusChange({ bookingId, from, to, event, actor, reason });
+
+  for (const hook of hooks[to] || []) {
+    try {
+      await hook(updated, { from, event, actor, reason });
+    } catch (hookError) {
+      logger.error(`Booking ${bookingId} ${event} hook failed: ${hookError.message}`);
+    }
+  }
+
+  return updated;
+};
+
+// Bookings paid with fiscal data get their invoice at checkout; this covers the ones
+// whose invoice failed to be created then.
+onBookingStatus('completed', async (booking) => {
+  if (booking.payment_status !== 'paid' || !booking.fiscal_data) return;
+  const { data: invoice, error } = await supabase
+    .from('invoices')
+    .select('id')
+    .eq('booking_id', booking.id)
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  if (!invoice) await issueInvoice(booking);
+});
+
+module.exports = { transitionBooking, recordStatusChange, onBookingStatus };
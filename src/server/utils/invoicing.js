@@ -0,0 +1,70 @@
+const supabase = require('../config/database');
+const config = require('../config/config');
+const { logger } = require('../middleware/errorHandler');
+const { buildCfdiXml } = require('../../utils/cfdi');
+const { createPac } = require('../../utils/pac');
+const { getExchangeRate, loadExchangeRates } = require('../../utils/currency');
+
+// Creates the CFDI payload for a paid booking and tries to stamp it right away.
+// If the PAC is unavailable the invoice stays 'pending' and can be stamped later.
+const issueInvoice = async (booking) => {
+  if (!booking.fiscal_data) return null;
+  if (booking.payment_status !== 'paid') {
+    throw Object.assign(new Error('Only paid bookings can be invoiced'), { status: 400 });
+  }
+
+  const breakdown = booking.price_breakdown;
+  const exchangeRate = breakdown.currency === 'MXN'
+    ? undefined
+    : getExchangeRate(await loadExchangeRates(supabase), breakdown.currency, 'MXN');
+  const { data: invoice, error } = await supabase
+    .from('invoices')
+    .insert({
+      booking_id: booking.id,
+      status: 'pending',
+      receptor_rfc: booking.fiscal_data.rfc,
+      currency: breakdown.currency,
+      subtotal: breakdown.subtotal,
+      tax_total: breakdown.taxTotal,
+      total: breakdown.total,
+    })
+    .select()
+    .single();
+  if (error) throw error;
+
+  const xml = buildCfdiXml({
+    booking,
+    fiscalData: booking.fiscal_data,
+    issuer: config.cfdiIssuer,
+    folio: String(invoice.folio),
+    exchangeRate,
+  });
+
+  let update = { xml };
+  try {
+    const pac = createPac(config.pacProvider);
+    const stamped = await pac.stamp(xml);
+    update = {
+      ...update,
+      status: 'stamped',
+      pac_provider: pac.name,
+      cfdi_uuid: stamped.uuid,
+      stamped_xml: stamped.xml,
+      stamped_at: stamped.stampedAt,
+    };
+  } catch (stampError) {
+    logger.error(`Failed to stamp invoice ${invoice.id}: ${stampError.message}`);
+  }
+
+  const { data: updatedInvoice, error: updateError } = await supabase
+    .from('invoices')
+    .update(update)
+    .eq('id', invoice.id)
+    .select()
+    .single();
+  if (updateError) throw updateError;
+
+  return updatedInvoice;
+};
+
+module.exports = { issueInvoice };
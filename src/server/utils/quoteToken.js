@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+
+// Quote IDs are self-contained: a base64url payload followed by an HMAC of it, so
+// any change to the amount or expiry invalidates the signature.
+const sign = (encodedPayload) => {
+  if (!config.quoteSecret) {
+    throw new Error('QUOTE_SECRET is not configured');
+  }
+  return crypto.createHmac('sha256', config.quoteSecret).update(encodedPayload).digest('base64url');
+};
+
+const createQuoteToken = (quote) => {
+  const expiresAt = new Date(Date.now() + config.quoteTtlMinutes * 60 * 1000).toISOString();
+  const payload = { ...quote, id: uuidv4(), expiresAt };
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return { quoteId: `${encodedPayload}.${sign(encodedPayload)}`, ...payload };
+};
+
+const verifyQuoteToken = (quoteId) => {
+  const [encodedPayload, signature] = String(quoteId || '').split('.');
+  if (!encodedPayload || !signature) {
+    throw Object.assign(new Error('Invalid quote ID'), { status: 400 });
+  }
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw Object.assign(new Error('Invalid quote ID'), { status: 400 });
+  }
+
+  const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  if (new Date(payload.expiresAt) <= new Date()) {
+    throw Object.assign(new Error('Quote has expired, please request a new one'), { status: 410 });
+  }
+  return payload;
+};
+
+module.exports = { createQuoteToken, verifyQuoteToken };
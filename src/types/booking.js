@@ -2,8 +2,8 @@ export interface Booking {
   id: string;
   user_id: string;
   service_id: string;
-  status: 'pending' | 'confirmed' | 'completed' | 'cancelled';
-  payment_status: 'pending' | 'paid' | 'failed';
+  status: 'pending' | 'confirmed' | 'in_progress' | 'completed' | 'cancelled';
+  payment_status: 'pending' | 'paid' | 'failed' | 'refunded';
   pickup_location: string;
   dropoff_location: string;
   vehicle_details: {
@@ -12,9 +12,22 @@ export interface Booking {
     color: string;
     license_plate: string;
     size: 'small' | 'medium' | 'large';
+    in_neutral?: boolean;
+    engine_starts?: boolean;
+    wheels_turn?: boolean;
+    position?: string;
+    requires_maneuver?: boolean;
+  };
+  driver?: {
+    name: string;
+    phone?: string;
+    truck_plate?: string;
   };
   distance: number;
   total_cost: number;
+  cancellation_fee?: number;
+  refunded_amount?: number;
+  refund_id?: string;
   pickup_datetime: string;
   additional_details?: string;
   created_at: string;
@@ -0,0 +1,24 @@
+// The `services` rows of database/seeds/01_reference_data.sql as Supabase returns
+// them, and the tariff the pricing engine builds from them, so that tests price
+// against the tariff a new database starts with. Keep both in step with the seed.
+import { tariffFromServices } from '../pricingEngine';
+
+export const seedServices = [
+  {
+    id: 's1', name: 'Standard Towing', tow_truck_type: 'wheel_lift', base_price: '528.69', price_per_km: '18.82',
+    deadhead_price_per_km: '12.50', return_price_per_km: '9.41', maneuver_charge: '1219.55', stop_charge: '150.00',
+    wait_price_per_hour: '240.00', currency: 'MXN', is_active: true, updated_at: '2024-01-01T00:00:00Z',
+  },
+  {
+    id: 's2', name: 'Flatbed Towing', tow_truck_type: 'flatbed', base_price: '721.79', price_per_km: '23.47',
+    deadhead_price_per_km: '15.60', return_price_per_km: '11.74', maneuver_charge: '1524.21', stop_charge: '200.00',
+    wait_price_per_hour: '300.00', currency: 'MXN', is_active: true, updated_at: '2024-01-01T00:00:00Z',
+  },
+  {
+    id: 's3', name: 'Heavy Duty Towing', tow_truck_type: 'heavy_duty', base_price: '885.84', price_per_km: '32.35',
+    deadhead_price_per_km: '21.50', return_price_per_km: '16.18', maneuver_charge: '2101.65', stop_charge: '300.00',
+    wait_price_per_hour: '420.00', currency: 'MXN', is_active: true, updated_at: '2024-01-01T00:00:00Z',
+  },
+];
+
+export const seedTariff = tariffFromServices(seedServices);
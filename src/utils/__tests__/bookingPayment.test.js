@@ -0,0 +1,83 @@
+import { jest } from '@jest/globals';
+import { findBookingPayment } from '../bookingPayment';
+import { paidCancellationTerms } from '../cancellationPolicy';
+
+const booking = (changes = {}) => ({
+  id: 'b1',
+  status: 'confirmed',
+  payment_status: 'pending',
+  payment_intent_id: null,
+  quote_id: 'q1',
+  total_cost: 1000,
+  currency: 'MXN',
+  pickup_datetime: '2026-10-20T15:00:00.000Z',
+  ...changes,
+});
+
+const paymentIntent = (changes = {}) => ({
+  id: 'pi_1',
+  status: 'succeeded',
+  amount_received: 100000,
+  currency: 'mxn',
+  metadata: { quote_id: 'q1' },
+  latest_charge: { amount_refunded: 0 },
+  ...changes,
+});
+
+const stripeWith = ({ retrieve, search } = {}) => ({
+  paymentIntents: {
+    retrieve: jest.fn(async () => retrieve),
+    search: jest.fn(async () => {
+      if (search instanceof Error) throw search;
+      return { data: search || [] };
+    }),
+  },
+});
+
+describe('findBookingPayment', () => {
+  it('should read the payment the booking points at', async () => {
+    const stripe = stripeWith({ retrieve: paymentIntent({ latest_charge: { amount_refunded: 25000 } }) });
+    await expect(findBookingPayment(stripe, booking({ payment_intent_id: 'pi_1', payment_status: 'paid' })))
+      .resolves.toEqual({ paymentIntentId: 'pi_1', captured: 1000, refunded: 250 });
+    expect(stripe.paymentIntents.search).not.toHaveBeenCalled();
+  });
+
+  it('should reject a linked payment made for another quote', async () => {
+    const stripe = stripeWith({ retrieve: paymentIntent({ metadata: { quote_id: 'q2' } }) });
+    await expect(findBookingPayment(stripe, booking({ payment_intent_id: 'pi_1' }))).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('should find the charge of an unlinked booking by its quote', async () => {
+    const stripe = stripeWith({ search: [paymentIntent()] });
+    const payment = await findBookingPayment(stripe, booking());
+    expect(stripe.paymentIntents.search).toHaveBeenCalledWith(expect.objectContaining({ query: "metadata['quote_id']:'q1'" }));
+    expect(payment).toEqual({ paymentIntentId: 'pi_1', captured: 1000, refunded: 0 });
+    // The booking still says pending, but it is refunded from the charge.
+    expect(paidCancellationTerms(booking(), { ...payment, now: new Date('2026-10-20T10:00:00Z') }).refund).toBe(1000);
+  });
+
+  it('should ignore payments of the quote that captured nothing', async () => {
+    const stripe = stripeWith({ search: [paymentIntent({ status: 'requires_payment_method', amount_received: 0 })] });
+    await expect(findBookingPayment(stripe, booking())).resolves.toBeNull();
+  });
+
+  it('should refuse to guess between several charges of one quote', async () => {
+    const stripe = stripeWith({ search: [paymentIntent(), paymentIntent({ id: 'pi_2' })] });
+    await expect(findBookingPayment(stripe, booking())).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('should refuse to cancel when the payments cannot be searched', async () => {
+    const stripe = stripeWith({ search: new Error('Search is unavailable') });
+    await expect(findBookingPayment(stripe, booking())).rejects.toMatchObject({ status: 409, message: expect.stringContaining('Search is unavailable') });
+  });
+
+  it('should refuse to cancel a paid booking whose payment cannot be found', async () => {
+    await expect(findBookingPayment(stripeWith(), booking({ payment_status: 'paid' }))).rejects.toMatchObject({ status: 409 });
+    await expect(findBookingPayment(stripeWith(), booking({ payment_status: 'paid', quote_id: null }))).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('should treat a booking with no charge as unpaid', async () => {
+    await expect(findBookingPayment(stripeWith(), booking())).resolves.toBeNull();
+    await expect(findBookingPayment(stripeWith(), booking({ quote_id: null }))).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,83 @@
+import { planTransition, availableEvents, eventForStatus } from '../bookingStatus';
+import { quotePayment } from '../bookingPayment';
+
+const admin = { id: 'admin-1', role: 'admin' };
+const customer = { id: 'user-1', role: 'user' };
+const booking = (changes = {}) => ({ id: 'booking-1', user_id: 'user-1', status: 'pending', payment_status: 'paid', ...changes });
+
+const statusOf = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return { status: error.status, message: error.message };
+  }
+  return null;
+};
+
+describe('bookingStatus', () => {
+  it('should move a booking through its lifecycle', () => {
+    expect(planTransition(booking(), 'confirm', admin)).toEqual({ event: 'confirm', from: 'pending', to: 'confirmed' });
+    expect(planTransition(booking({ status: 'confirmed' }), 'start', admin).to).toBe('in_progress');
+    expect(planTransition(booking({ status: 'in_progress' }), 'complete', admin).to).toBe('completed');
+  });
+
+  it('should reject transitions from the wrong status', () => {
+    expect(statusOf(() => planTransition(booking(), 'complete', admin))).toEqual({ status: 409, message: 'Cannot complete a booking that is pending' });
+    expect(statusOf(() => planTransition(booking({ status: 'completed' }), 'cancel', admin, { reason: 'Duplicate' })).status).toBe(409);
+    expect(statusOf(() => planTransition(booking(), 'reopen', admin)).status).toBe(400);
+  });
+
+  it('should not start a service before it is paid', () => {
+    expect(statusOf(() => planTransition(booking({ status: 'confirmed', payment_status: 'pending' }), 'start', admin)))
+      .toEqual({ status: 409, message: 'The booking has not been paid' });
+  });
+
+  it('should let customers cancel only their own bookings, and staff only with a reason', () => {
+    expect(planTransition(booking(), 'cancel', customer).to).toBe('cancelled');
+    expect(statusOf(() => planTransition(booking(), 'cancel', { id: 'user-2', role: 'user' })).status).toBe(403);
+    expect(statusOf(() => planTransition(booking(), 'confirm', customer)).status).toBe(403);
+    expect(statusOf(() => planTransition(booking(), 'cancel', admin)).status).toBe(409);
+    expect(planTransition(booking(), 'cancel', admin, { reason: 'Customer called to cancel' }).to).toBe('cancelled');
+  });
+
+  it('should list the events available to each actor', () => {
+    expect(availableEvents(booking(), admin)).toEqual(['confirm', 'cancel']);
+    expect(availableEvents(booking(), customer)).toEqual(['cancel']);
+    expect(availableEvents(booking({ status: 'in_progress' }), customer)).toEqual(['cancel']);
+    expect(availableEvents(booking({ status: 'completed' }), admin)).toEqual([]);
+  });
+
+  it('should find the event for a target status', () => {
+    expect(eventForStatus('confirmed', 'in_progress')).toBe('start');
+    expect(eventForStatus('pending', 'completed')).toBeNull();
+  });
+});
+
+// From the quote to the truck leaving: the booking createBooking saves from a quote and
+// its payment, then the transitions the admin applies to it.
+describe('booking from quote to service', () => {
+  const quote = (changes = {}) => ({ id: 'quote-1', requiresManualQuote: false, breakdown: { currency: 'MXN' }, ...changes });
+  const paymentIntent = (changes = {}) => ({ id: 'pi_1', status: 'succeeded', currency: 'mxn', metadata: { quote_id: 'quote-1' }, ...changes });
+  const book = (bookedQuote, intent) => ({ id: 'booking-1', user_id: 'user-1', status: 'pending', quote_id: bookedQuote.id, ...quotePayment(bookedQuote, intent) });
+  const apply = (current, event) => ({ ...current, status: planTransition(current, event, admin).to });
+
+  it('should start a booking made with the payment of its quote', () => {
+    const created = book(quote(), paymentIntent());
+    expect(created).toMatchObject({ payment_status: 'paid', payment_intent_id: 'pi_1' });
+    expect(apply(apply(created, 'confirm'), 'start').status).toBe('in_progress');
+  });
+
+  it('should not book a quote that must be paid without its payment', () => {
+    expect(statusOf(() => book(quote()))).toEqual({ status: 402, message: 'This quote must be paid before it is booked' });
+    expect(statusOf(() => book(quote(), paymentIntent({ status: 'requires_payment_method' }))).status).toBe(400);
+    expect(statusOf(() => book(quote(), paymentIntent({ metadata: { quote_id: 'quote-2' } }))).status).toBe(400);
+    expect(statusOf(() => book(quote(), paymentIntent({ currency: 'usd' }))).status).toBe(400);
+  });
+
+  it('should book a manual quote unpaid and start it only once it is paid', () => {
+    const confirmed = apply(book(quote({ requiresManualQuote: true })), 'confirm');
+    expect(confirmed).toMatchObject({ status: 'confirmed', payment_status: 'pending', payment_intent_id: null });
+    expect(statusOf(() => planTransition(confirmed, 'start', admin))).toEqual({ status: 409, message: 'The booking has not been paid' });
+    expect(apply({ ...confirmed, payment_status: 'paid' }, 'start').status).toBe('in_progress');
+  });
+});
@@ -0,0 +1,62 @@
+import { cancellationTerms, paidCancellationTerms, cancellationPolicyFromEnv, DEFAULT_CANCELLATION_POLICY } from '../cancellationPolicy';
+
+const booking = (changes = {}) => ({
+  status: 'confirmed',
+  payment_status: 'paid',
+  total_cost: 1234.5,
+  currency: 'MXN',
+  pickup_datetime: '2026-10-20T15:00:00.000Z',
+  ...changes,
+});
+
+describe('cancellationPolicy', () => {
+  it('should refund everything before the truck is dispatched', () => {
+    expect(cancellationTerms(booking(), { now: new Date('2026-10-20T13:59:00Z') })).toEqual({
+      isDispatched: false,
+      freeUntil: '2026-10-20T14:00:00.000Z',
+      fee: 0,
+      refund: 1234.5,
+      currency: 'MXN',
+    });
+  });
+
+  it('should charge the fee once the truck is dispatched', () => {
+    const terms = cancellationTerms(booking(), { now: new Date('2026-10-20T14:00:00Z') });
+    expect(terms).toMatchObject({ isDispatched: true, fee: 308.63, refund: 925.87 });
+    expect(terms.fee + terms.refund).toBe(1234.5);
+  });
+
+  it('should count a started service as dispatched, whatever the time', () => {
+    expect(cancellationTerms(booking({ status: 'in_progress' }), { now: new Date('2026-10-19T00:00:00Z') }).isDispatched).toBe(true);
+  });
+
+  it('should waive the fee when the company cancels', () => {
+    expect(cancellationTerms(booking({ status: 'in_progress' }), { waiveFee: true })).toMatchObject({ fee: 0, refund: 1234.5 });
+  });
+
+  it('should not refund unpaid bookings', () => {
+    expect(cancellationTerms(booking({ payment_status: 'pending' }), { now: new Date('2026-10-20T14:30:00Z') })).toMatchObject({ fee: 308.63, refund: 0 });
+  });
+
+  it('should use the configured fee and dispatch lead time', () => {
+    const policy = cancellationPolicyFromEnv({ feePercent: '0', dispatchLeadMinutes: '120' });
+    expect(policy).toEqual({ feePercent: 0, dispatchLeadMinutes: 120 });
+    expect(cancellationTerms(booking(), { policy, now: new Date('2026-10-20T13:30:00Z') })).toMatchObject({ isDispatched: true, fee: 0, refund: 1234.5 });
+    expect(cancellationPolicyFromEnv({ feePercent: '', dispatchLeadMinutes: 'soon' })).toEqual(DEFAULT_CANCELLATION_POLICY);
+  });
+
+  describe('paidCancellationTerms', () => {
+    const afterDispatch = new Date('2026-10-20T14:30:00Z');
+
+    it('should take the fee and refund from what the payment captured, not the booking total', () => {
+      const tampered = booking({ total_cost: 1, payment_status: 'pending' });
+      expect(paidCancellationTerms(tampered, { captured: 1234.5, now: afterDispatch })).toMatchObject({ fee: 308.63, refund: 925.87 });
+    });
+
+    it('should not refund more than earlier refunds left of the payment', () => {
+      expect(paidCancellationTerms(booking(), { captured: 1234.5, refunded: 1000 }).refund).toBe(234.5);
+      expect(paidCancellationTerms(booking(), { captured: 1234.5, refunded: 1234.5 }).refund).toBe(0);
+      expect(paidCancellationTerms(booking(), { captured: 0 }).refund).toBe(0);
+    });
+  });
+});
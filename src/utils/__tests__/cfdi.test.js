@@ -0,0 +1,92 @@
+import { validateFiscalData, normalizeFiscalData, buildCfdiXml } from '../cfdi';
+import { createStubPac } from '../pac';
+import { calculateQuoteBreakdown } from '../pricingEngine';
+import { quoteTaxes } from '../taxes';
+import { seedTariff as tariff } from '../__fixtures__/seedTariff';
+
+const fiscalData = { rfc: 'xaxx010101000', name: 'Transportes del Norte', fiscalRegime: '601', cfdiUse: 'G03', postalCode: '64000' };
+const issuer = { rfc: 'EKU9003173C9', name: 'GRUAS DEMO', fiscalRegime: '601', postalCode: '64000' };
+
+const booking = {
+  id: 'booking-1',
+  pickup_location: 'Monterrey',
+  dropoff_location: 'San Pedro',
+  price_breakdown: calculateQuoteBreakdown(tariff, {
+    distance: 10,
+    towTruckType: 'A',
+    discounts: [{ code: 'PROMO10', label: 'PROMO10', kind: 'percentage', amount: 10 }],
+    taxes: quoteTaxes,
+  }),
+};
+
+describe('cfdi', () => {
+  describe('validateFiscalData', () => {
+    it('should accept complete fiscal data', () => {
+      expect(validateFiscalData(fiscalData)).toEqual({ isValid: true, errors: {} });
+    });
+
+    it('should report every invalid field', () => {
+      const { isValid, errors } = validateFiscalData({ rfc: '123', name: ' ', fiscalRegime: '999', cfdiUse: 'X', postalCode: '640' });
+      expect(isValid).toBe(false);
+      expect(Object.keys(errors).sort()).toEqual(['cfdiUse', 'fiscalRegime', 'name', 'postalCode', 'rfc']);
+    });
+  });
+
+  describe('normalizeFiscalData', () => {
+    const nameOf = (name, rfc = 'TNO900101AB1') => normalizeFiscalData({ ...fiscalData, rfc, name }).name;
+
+    it('should strip the régimen societario from company names', () => {
+      expect(nameOf('Transportes del Norte, S.A. de C.V.')).toBe('TRANSPORTES DEL NORTE');
+      expect(nameOf('Grúas  Regias SAPI de CV')).toBe('GRÚAS REGIAS');
+      expect(nameOf('Logística Sur S. de R.L. de C.V.')).toBe('LOGÍSTICA SUR');
+      expect(nameOf('Despacho Fiscal, S.C.')).toBe('DESPACHO FISCAL');
+      expect(nameOf('Fundación Vial A.C.')).toBe('FUNDACIÓN VIAL');
+    });
+
+    it('should leave the names of individuals and companies without a suffix alone', () => {
+      expect(nameOf('Transportes del Norte')).toBe('TRANSPORTES DEL NORTE');
+      expect(nameOf('Rosa Sac', 'ROSA800101AB1')).toBe('ROSA SAC');
+      expect(nameOf('Juan Pérez SA', 'PEJU800101AB1')).toBe('JUAN PÉREZ SA');
+    });
+  });
+
+  describe('buildCfdiXml', () => {
+    it('should build a CFDI 4.0 with IVA that the stub PAC stamps', async () => {
+      // subtotal 716.89, discount 71.69, IVA 16% of 645.20 = 103.23
+      expect(booking.price_breakdown).toMatchObject({ subtotal: 716.89, discountTotal: 71.69, taxTotal: 103.23, total: 748.43 });
+
+      const xml = buildCfdiXml({ booking, fiscalData, issuer, folio: 42, issuedAt: new Date('2026-03-10T18:00:00Z') });
+      expect(xml).toContain('Version="4.0"');
+      expect(xml).toContain('Folio="42"');
+      expect(xml).toContain('Fecha="2026-03-10T12:00:00"');
+      expect(xml).toContain('SubTotal="716.89" Descuento="71.69" Moneda="MXN" Total="748.43"');
+      expect(xml).toContain('Rfc="XAXX010101000" Nombre="TRANSPORTES DEL NORTE"');
+      expect(xml).toContain('Base="645.20" Impuesto="002" TipoFactor="Tasa" TasaOCuota="0.160000" Importe="103.23"');
+      expect(xml).toContain('TotalImpuestosTrasladados="103.23"');
+
+      const stamped = await createStubPac().stamp(xml);
+      expect(stamped.uuid).toMatch(/^[0-9A-F]{8}-[0-9A-F]{4}-4[0-9A-F]{3}-[89AB][0-9A-F]{3}-[0-9A-F]{12}$/);
+      expect(stamped.xml).toContain(`<tfd:TimbreFiscalDigital xmlns:tfd="http://www.sat.gob.mx/TimbreFiscalDigital" Version="1.1" UUID="${stamped.uuid}"`);
+      expect(stamped.xml.trim().endsWith('</cfdi:Comprobante>')).toBe(true);
+    });
+
+    it('should invoice tolls at cost in a concept without IVA', () => {
+      const withTolls = {
+        ...booking,
+        price_breakdown: calculateQuoteBreakdown(tariff, {
+          distance: 10,
+          towTruckType: 'A',
+          tolls: { provider: 'fixture', currency: 'MXN', amount: 356, legs: [] },
+          discounts: [{ code: 'PROMO10', label: 'PROMO10', kind: 'percentage', amount: 10 }],
+          taxes: quoteTaxes,
+        }),
+      };
+
+      const xml = buildCfdiXml({ booking: withTolls, fiscalData, issuer, folio: 43, issuedAt: new Date('2026-03-10T18:00:00Z') });
+      expect(xml).toContain('SubTotal="1072.89" Descuento="71.69" Moneda="MXN" Total="1104.43"');
+      expect(xml).toContain('ValorUnitario="716.89" Importe="716.89" Descuento="71.69" ObjetoImp="02"');
+      expect(xml).toContain('ClaveProdServ="78111807" Cantidad="1" ClaveUnidad="E48" Unidad="Servicio" Descripcion="Casetas de peaje (reembolso al costo)" ValorUnitario="356.00" Importe="356.00" ObjetoImp="01"/>');
+      expect(xml).toContain('Base="645.20" Impuesto="002" TipoFactor="Tasa" TasaOCuota="0.160000" Importe="103.23"');
+    });
+  });
+});
@@ -0,0 +1,47 @@
+import { getExchangeRate, toMinorUnits, fromMinorUnits } from '../currency';
+
+const rates = [
+  { base_currency: 'USD', quote_currency: 'MXN', rate: '17.50', effective_at: '2026-01-01T00:00:00Z' },
+  { base_currency: 'USD', quote_currency: 'MXN', rate: '18.00', effective_at: '2026-03-01T00:00:00Z' },
+  { base_currency: 'USD', quote_currency: 'MXN', rate: '99.00', effective_at: '2099-01-01T00:00:00Z' },
+];
+
+describe('currency', () => {
+  describe('getExchangeRate', () => {
+    it('should use the latest rate already in effect', () => {
+      expect(getExchangeRate(rates, 'USD', 'MXN', new Date('2026-02-01T00:00:00Z'))).toBe(17.5);
+      expect(getExchangeRate(rates, 'USD', 'MXN', new Date('2026-06-01T00:00:00Z'))).toBe(18);
+    });
+
+    it('should invert a rate stored for the opposite direction', () => {
+      expect(getExchangeRate(rates, 'MXN', 'USD', new Date('2026-06-01T00:00:00Z'))).toBeCloseTo(1 / 18, 10);
+    });
+
+    it('should not need a rate for the same currency', () => {
+      expect(getExchangeRate([], 'MXN', 'MXN')).toBe(1);
+    });
+
+    it('should throw when no rate is available', () => {
+      expect(() => getExchangeRate([], 'MXN', 'USD')).toThrow('No exchange rate found from MXN to USD');
+    });
+
+    it('should reject a missing rate as a client error the quote can show', () => {
+      expect(() => getExchangeRate([], 'MXN', 'USD')).toThrow(expect.objectContaining({
+        status: 422,
+        message: 'No exchange rate found from MXN to USD, please choose another currency',
+      }));
+    });
+  });
+
+  describe('toMinorUnits', () => {
+    it('should convert amounts to integer cents', () => {
+      expect(toMinorUnits(749.48, 'MXN')).toBe(74948);
+      expect(toMinorUnits(0.29, 'USD')).toBe(29);
+    });
+
+    it('should convert Stripe amounts back', () => {
+      expect(fromMinorUnits(74948, 'MXN')).toBe(749.48);
+      expect(fromMinorUnits(29, 'USD')).toBe(0.29);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+import { isDepotOpen, OUT_OF_COVERAGE_REASONS, rankDepots, selectDepot } from '../depots';
+import { greatCircleDistanceKm } from '../geo';
+
+const monterrey = [25.6866, -100.3161];
+const depots = [
+  { id: 'norte', name: 'Patio Norte', latitude: 26.509672, longitude: -100.0095504, service_radius_km: 200, truck_types: ['A', 'C', 'D'], open_hour: null, close_hour: null, weekdays: null },
+  { id: 'centro', name: 'Patio Monterrey', latitude: 25.6866, longitude: -100.3161, service_radius_km: 80, truck_types: ['A', 'C'], open_hour: 7, close_hour: 22, weekdays: [1, 2, 3, 4, 5, 6] },
+  { id: 'saltillo', name: 'Patio Saltillo', latitude: 25.4232, longitude: -101.0053, service_radius_km: 30, truck_types: ['A', 'C', 'D'], open_hour: null, close_hour: null, weekdays: null },
+];
+
+// 12:00 and 23:00 local time (UTC-6) on Tuesday 2026-03-10, and noon on Sunday 2026-03-15.
+const tuesdayNoon = '2026-03-10T18:00:00Z';
+const tuesdayNight = '2026-03-11T05:00:00Z';
+const sundayNoon = '2026-03-15T18:00:00Z';
+
+describe('depots', () => {
+  it('should measure great-circle distances in kilometers', () => {
+    expect(greatCircleDistanceKm(monterrey, monterrey)).toBe(0);
+    expect(Math.round(greatCircleDistanceKm([26.509672, -100.0095504], monterrey))).toBe(97);
+  });
+
+  describe('isDepotOpen', () => {
+    it('should check opening hours and weekdays in the company timezone', () => {
+      expect(isDepotOpen(depots[1], tuesdayNoon)).toBe(true);
+      expect(isDepotOpen(depots[1], tuesdayNight)).toBe(false);
+      expect(isDepotOpen(depots[1], sundayNoon)).toBe(false);
+      expect(isDepotOpen(depots[0], tuesdayNight)).toBe(true);
+    });
+  });
+
+  describe('selectDepot', () => {
+    it('should pick the nearest open depot with the needed truck type', () => {
+      expect(selectDepot(depots, { pickup: monterrey, towTruckType: 'A', at: tuesdayNoon }).id).toBe('centro');
+      expect(selectDepot(depots, { pickup: monterrey, towTruckType: 'D', at: tuesdayNoon }).id).toBe('norte');
+      expect(selectDepot(depots, { pickup: monterrey, towTruckType: 'A', at: tuesdayNight }).id).toBe('norte');
+    });
+
+    it('should explain why closer depots were skipped', () => {
+      const ranked = rankDepots(depots, { pickup: monterrey, towTruckType: 'D', at: sundayNoon });
+      expect(ranked.map(({ depot, reasons }) => [depot.id, reasons])).toEqual([
+        ['centro', ['no_truck_type', 'closed']],
+        ['saltillo', ['out_of_radius']],
+        ['norte', []],
+      ]);
+    });
+
+    it('should return null when no depot can serve the pickup', () => {
+      expect(selectDepot(depots, { pickup: [19.4326, -99.1332], towTruckType: 'A', at: tuesdayNoon })).toBeNull();
+    });
+
+    it('should require the pickup inside the service areas drawn for a depot', () => {
+      const serviceAreas = [{ id: 'zona-sur', depot_id: 'centro', polygon: [[25.60, -100.40], [25.60, -100.20], [25.66, -100.20], [25.66, -100.40]] }];
+      const options = { pickup: monterrey, towTruckType: 'A', at: tuesdayNoon, serviceAreas };
+      expect(rankDepots(depots, options)[0].reasons).toEqual(['outside_service_area']);
+      expect(selectDepot(depots, options).id).toBe('norte');
+      expect(selectDepot(depots, { ...options, pickup: [19.4326, -99.1332], ignoreReasons: OUT_OF_COVERAGE_REASONS }).id).toBe('saltillo');
+    });
+  });
+});
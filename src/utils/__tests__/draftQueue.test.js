@@ -0,0 +1,74 @@
+import { createDraftQueue, MAX_DRAFT_ATTEMPTS } from '../draftQueue';
+
+// In-memory stand-in for localStorage.
+const memoryStorage = () => {
+  const items = {};
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = value; },
+  };
+};
+
+const draft = (userName) => ({ quoteRequest: { pickup: [25.67, -100.31], dropoff: [25.75, -100.3] }, booking: { userName }, userId: 'user-1' });
+
+describe('draftQueue', () => {
+  it('should keep the drafts in storage in the order they were queued', () => {
+    const storage = memoryStorage();
+    createDraftQueue(storage).enqueue(draft('Ana'));
+    createDraftQueue(storage).enqueue(draft('Luis'));
+
+    const drafts = createDraftQueue(storage).list();
+    expect(drafts.map((item) => item.booking.userName)).toEqual(['Ana', 'Luis']);
+    expect(drafts[0].attempts).toBe(0);
+  });
+
+  it('should remove submitted drafts and keep the failed ones for the next flush', async () => {
+    const queue = createDraftQueue(memoryStorage());
+    queue.enqueue(draft('Ana'));
+    queue.enqueue(draft('Luis'));
+
+    const outcome = await queue.flush(async (item) => {
+      if (item.booking.userName === 'Luis') throw new Error('Network Error');
+      return { id: 'booking-1' };
+    });
+
+    expect(outcome.submitted.map(({ result }) => result.id)).toEqual(['booking-1']);
+    expect(outcome.failed).toHaveLength(1);
+    expect(queue.list()).toEqual([expect.objectContaining({ booking: { userName: 'Luis' }, attempts: 1, lastError: 'Network Error' })]);
+  });
+
+  it('should keep submitted drafts when asked to, with their attempts reset', async () => {
+    const queue = createDraftQueue(memoryStorage());
+    queue.enqueue(draft('Ana'));
+    await queue.flush(async () => { throw new Error('Network Error'); });
+
+    const outcome = await queue.flush(async () => ({ quoteId: 'quote-1' }), { keep: true });
+
+    expect(outcome.submitted.map(({ result }) => result.quoteId)).toEqual(['quote-1']);
+    expect(queue.list()).toEqual([expect.objectContaining({ booking: { userName: 'Ana' }, attempts: 0 })]);
+  });
+
+  it('should drop a draft after the last attempt', async () => {
+    const queue = createDraftQueue(memoryStorage());
+    queue.enqueue(draft('Ana'));
+    const reject = async () => { throw new Error('Invalid pickup date and time'); };
+
+    for (let attempt = 1; attempt < MAX_DRAFT_ATTEMPTS; attempt += 1) {
+      await queue.flush(reject);
+    }
+    const outcome = await queue.flush(reject);
+
+    expect(outcome.dropped).toHaveLength(1);
+    expect(queue.list()).toEqual([]);
+  });
+
+  it('should not submit a draft twice when flushed concurrently', async () => {
+    const queue = createDraftQueue(memoryStorage());
+    queue.enqueue(draft('Ana'));
+    let submissions = 0;
+    const submit = async () => { submissions += 1; };
+
+    await Promise.all([queue.flush(submit), queue.flush(submit)]);
+    expect(submissions).toBe(1);
+  });
+});
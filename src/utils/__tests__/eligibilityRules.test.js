@@ -0,0 +1,74 @@
+import { buildEligibilityFacts, evaluateEligibility, explainExclusion, matchesEligibilityRule } from '../eligibilityRules';
+
+const rules = [
+  { id: 'awd', name: 'Tracción integral', message: 'Tracción integral: solo plataforma', conditions: { drivetrain: ['awd', '4wd'] }, allowed_truck_types: ['C', 'D'], required_equipment: [], charge_amount: 0, priority: 10 },
+  { id: 'ev', name: 'Vehículo eléctrico', message: 'Eléctrico: solo plataforma', conditions: { is_electric: true }, allowed_truck_types: ['C', 'D'], required_equipment: [], charge_amount: 0, priority: 10 },
+  { id: 'no-neutral', name: 'Patines para vehículo sin neutral', message: 'Sin neutral: se usan patines', conditions: { in_neutral: false }, allowed_truck_types: null, required_equipment: ['dollies'], charge_amount: 350, priority: 20 },
+  { id: 'no-start', name: 'Malacate', message: 'No enciende: se usa malacate', conditions: { engine_starts: false }, allowed_truck_types: null, required_equipment: ['winch'], charge_amount: 250, priority: 20 },
+  { id: 'obstructed', name: 'Vehículo obstruido', message: 'Obstruido: se usa malacate', conditions: { vehicle_position: 'obstructed' }, allowed_truck_types: null, required_equipment: ['winch'], charge_amount: 0, priority: 30 },
+  { id: 'heavy-ev', name: 'Eléctrico pesado', conditions: { is_electric: true, curb_weight_kg: { min: 2500 } }, allowed_truck_types: ['D'], required_equipment: [], charge_amount: 0, priority: 40 },
+  { id: 'inactive', name: 'Regla inactiva', conditions: {}, allowed_truck_types: ['D'], is_active: false },
+];
+
+const corolla = { curb_weight_kg: 1300, drivetrain: 'fwd', is_electric: false, size_class: 'small' };
+const outback = { curb_weight_kg: 1650, drivetrain: 'awd', is_electric: false, size_class: 'small' };
+const modelX = { curb_weight_kg: 2450, drivetrain: 'awd', is_electric: true, size_class: 'medium' };
+const hummerEv = { curb_weight_kg: 4100, drivetrain: '4wd', is_electric: true, size_class: 'large' };
+const healthy = { inNeutral: true, engineStarts: true, wheelsSteer: true, vehiclePosition: 'roadside' };
+
+describe('eligibilityRules', () => {
+  describe('matchesEligibilityRule', () => {
+    it('should match lists, exact values and numeric ranges', () => {
+      const facts = buildEligibilityFacts(hummerEv, healthy);
+      expect(matchesEligibilityRule(rules[0], facts)).toBe(true);
+      expect(matchesEligibilityRule(rules[2], facts)).toBe(false);
+      expect(matchesEligibilityRule(rules[5], facts)).toBe(true);
+      expect(matchesEligibilityRule(rules[5], buildEligibilityFacts(modelX, healthy))).toBe(false);
+    });
+
+    it('should not match unanswered condition questions or inactive rules', () => {
+      expect(matchesEligibilityRule(rules[2], buildEligibilityFacts(corolla, {}))).toBe(false);
+      expect(matchesEligibilityRule(rules[6], buildEligibilityFacts(corolla, healthy))).toBe(false);
+    });
+  });
+
+  describe('evaluateEligibility', () => {
+    it('should allow every truck for a light two-wheel-drive car in good condition', () => {
+      expect(evaluateEligibility(rules, buildEligibilityFacts(corolla, healthy))).toEqual({
+        allowedTruckTypes: ['A', 'C', 'D'],
+        equipment: [],
+        charges: [],
+        explanations: [],
+      });
+    });
+
+    it('should put AWD and electric vehicles on a flatbed and say why', () => {
+      const eligibility = evaluateEligibility(rules, buildEligibilityFacts(outback, healthy));
+      expect(eligibility.allowedTruckTypes).toEqual(['C', 'D']);
+      expect(explainExclusion(eligibility, 'A')).toEqual(['Tracción integral: solo plataforma']);
+      expect(explainExclusion(eligibility, 'C')).toEqual([]);
+    });
+
+    it('should exclude trucks that cannot lift the vehicle', () => {
+      const eligibility = evaluateEligibility(rules, buildEligibilityFacts(hummerEv, healthy));
+      expect(eligibility.allowedTruckTypes).toEqual(['D']);
+      expect(explainExclusion(eligibility, 'A')[0]).toBe('Por su peso (4100 kg) el vehículo requiere grúa tipo D');
+    });
+
+    it('should collect equipment once and every extra charge', () => {
+      const eligibility = evaluateEligibility(rules, buildEligibilityFacts(corolla, {
+        ...healthy,
+        inNeutral: false,
+        engineStarts: false,
+        vehiclePosition: 'obstructed',
+      }));
+      expect(eligibility.allowedTruckTypes).toEqual(['A', 'C', 'D']);
+      expect(eligibility.equipment).toEqual(['dollies', 'winch']);
+      expect(eligibility.charges).toEqual([
+        { id: 'no-neutral', label: 'Patines para vehículo sin neutral', amount: 350 },
+        { id: 'no-start', label: 'Malacate', amount: 250 },
+      ]);
+      expect(eligibility.explanations.map((explanation) => explanation.ruleId)).toEqual(['no-neutral', 'no-start', 'obstructed']);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+import {
+  addressFromGoogle,
+  addressFromNominatim,
+  createFixtureGeocoder,
+  createGeocoder,
+  createNominatimGeocoder,
+  createThrottle,
+  normalizePostalCode,
+  reverseCacheKey,
+  withCacheAndThrottle,
+} from '../geocoding';
+
+const nominatimResult = {
+  lat: '25.6695',
+  lon: '-100.3099',
+  display_name: '400, Avenida Constitución, Centro, Monterrey, Nuevo León, 64000, México',
+  address: {
+    house_number: '400',
+    road: 'Avenida Constitución',
+    suburb: 'Colonia Centro',
+    city: 'Monterrey',
+    state: 'Nuevo León',
+    postcode: '64000',
+  },
+};
+
+// Stand-in for fetch that records the requests it receives.
+const jsonResponse = (body) => {
+  const fetch = async (url, options) => {
+    fetch.requests.push({ url, options });
+    return { ok: true, json: async () => body };
+  };
+  fetch.requests = [];
+  return fetch;
+};
+
+// Counts the lookups that reach the provider.
+const countingGeocoder = () => {
+  const geocoder = createFixtureGeocoder();
+  const calls = { reverse: 0, search: 0 };
+  return {
+    calls,
+    name: 'counting',
+    reverse: (...args) => { calls.reverse += 1; return geocoder.reverse(...args); },
+    search: (...args) => { calls.search += 1; return geocoder.search(...args); },
+  };
+};
+
+describe('geocoding', () => {
+  it('should reject unknown providers', () => {
+    expect(createGeocoder('fixture').name).toBe('fixture');
+    expect(() => createGeocoder('mapbox')).toThrow('Unknown geocoding provider: mapbox');
+  });
+
+  describe('address normalization', () => {
+    it('should split a Nominatim result into Mexican address fields', () => {
+      expect(addressFromNominatim(nominatimResult)).toEqual({
+        calle: 'Avenida Constitución',
+        numero: '400',
+        colonia: 'Centro',
+        municipio: 'Monterrey',
+        estado: 'Nuevo León',
+        cp: '64000',
+        label: 'Avenida Constitución 400, Col. Centro, C.P. 64000, Monterrey, Nuevo León',
+        lat: 25.6695,
+        lng: -100.3099,
+      });
+    });
+
+    it('should read Google address components', () => {
+      const component = (long_name, ...types) => ({ long_name, types });
+      const address = addressFromGoogle({
+        formatted_address: 'Av. Vasconcelos 150, Del Valle, 66220 San Pedro Garza García, N.L., México',
+        geometry: { location: { lat: 25.6571, lng: -100.3641 } },
+        address_components: [
+          component('150', 'street_number'),
+          component('Avenida Vasconcelos', 'route'),
+          component('Del Valle', 'sublocality_level_1', 'sublocality', 'political'),
+          component('San Pedro Garza García', 'locality', 'political'),
+          component('Nuevo León', 'administrative_area_level_1', 'political'),
+          component('66220', 'postal_code'),
+        ],
+      });
+      expect(address.label).toBe('Avenida Vasconcelos 150, Col. Del Valle, C.P. 66220, San Pedro Garza García, Nuevo León');
+      expect(address.lat).toBe(25.6571);
+    });
+
+    it('should pad postal codes and fall back to the provider label', () => {
+      expect(normalizePostalCode('6400')).toBe('06400');
+      expect(normalizePostalCode('CP 64000')).toBe('64000');
+      expect(normalizePostalCode('123')).toBeNull();
+      expect(addressFromNominatim({ lat: '25', lon: '-100', display_name: 'Carretera 85', address: {} }).label).toBe('Carretera 85');
+    });
+  });
+
+  describe('nominatim', () => {
+    it('should identify the app and ask for Spanish address details', async () => {
+      const fetch = jsonResponse(nominatimResult);
+      const address = await createNominatimGeocoder({ fetch, email: 'ops@example.com' }).reverse(25.6695, -100.3099);
+
+      const [{ url, options }] = fetch.requests;
+      const query = new URL(url).searchParams;
+      expect(url.startsWith('https://nominatim.openstreetmap.org/reverse?')).toBe(true);
+      expect(query.get('addressdetails')).toBe('1');
+      expect(query.get('accept-language')).toBe('es');
+      expect(query.get('email')).toBe('ops@example.com');
+      expect(options.headers['User-Agent']).toBe('grua-booking-system');
+      expect(address.colonia).toBe('Centro');
+    });
+  });
+
+  describe('fixture', () => {
+    it('should reverse to the nearest place and search ignoring accents', async () => {
+      const geocoder = createFixtureGeocoder();
+      expect((await geocoder.reverse(25.67, -100.31)).municipio).toBe('Monterrey');
+      expect(await geocoder.reverse(19.43, -99.13)).toBeNull();
+      expect((await geocoder.search('constitucion monterrey')).map((address) => address.cp)).toEqual(['64000']);
+    });
+  });
+
+  describe('cache', () => {
+    it('should key reverse lookups by rounded coordinates', async () => {
+      expect(reverseCacheKey(25.669512, -100.309949)).toBe('25.6695,-100.3099');
+
+      const provider = countingGeocoder();
+      const geocoder = withCacheAndThrottle(provider);
+      const [first, second] = await Promise.all([geocoder.reverse(25.669512, -100.309949), geocoder.reverse(25.66953, -100.30991)]);
+      await geocoder.search('Monterrey');
+      await geocoder.search('  monterrey ');
+
+      expect(first).toBe(second);
+      expect(provider.calls).toEqual({ reverse: 1, search: 1 });
+    });
+
+    it('should not cache failed lookups', async () => {
+      let attempts = 0;
+      const geocoder = withCacheAndThrottle({
+        name: 'flaky',
+        reverse: async () => {
+          attempts += 1;
+          if (attempts === 1) throw new Error('timeout');
+          return null;
+        },
+      });
+      await expect(geocoder.reverse(25, -100)).rejects.toThrow('timeout');
+      await expect(geocoder.reverse(25, -100)).resolves.toBeNull();
+    });
+
+    it('should drop searches cancelled while they wait for the throttle', async () => {
+      let clock = 0;
+      const provider = countingGeocoder();
+      const geocoder = withCacheAndThrottle(provider, {
+        minIntervalMs: 1000,
+        now: () => clock,
+        sleep: async (ms) => { clock += ms; },
+      });
+      const stale = new AbortController();
+
+      const typed = [geocoder.search('Monterrey'), geocoder.search('Monte', { signal: stale.signal })];
+      stale.abort();
+      const [search, staleSearch] = await Promise.allSettled(typed);
+
+      expect(staleSearch.status).toBe('rejected');
+      expect(search.status).toBe('fulfilled');
+      expect(provider.calls.search).toBe(1);
+      await geocoder.search('Monte');
+      expect(provider.calls.search).toBe(2);
+    });
+  });
+
+  describe('throttle', () => {
+    it('should space out the requests that reach the provider', async () => {
+      let clock = 0;
+      const waits = [];
+      const throttle = createThrottle({
+        minIntervalMs: 1000,
+        now: () => clock,
+        sleep: async (ms) => { waits.push(ms); clock += ms; },
+      });
+
+      const startedAt = await Promise.all([1, 2, 3].map(() => throttle(async () => clock)));
+      expect(startedAt).toEqual([0, 1000, 2000]);
+      expect(waits).toEqual([1000, 1000]);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+import { tariffFromServices, calculateQuoteBreakdown, breakdownLineItems } from '../pricingEngine';
+import { quoteTaxes } from '../taxes';
+import { seedServices, seedTariff as tariff } from '../__fixtures__/seedTariff';
+
+const services = [
+  ...seedServices,
+  { id: 's9', name: 'Old Flatbed', tow_truck_type: 'C', base_price: '1.00', price_per_km: '1.00', maneuver_charge: '1.00', is_active: false, updated_at: '2024-06-01T00:00:00Z' },
+];
+
+const total = (towTruckType, requiresManeuver) => calculateQuoteBreakdown(tariff, { distance: 10, towTruckType, requiresManeuver }).total;
+
+describe('pricingEngine', () => {
+  describe('tariffFromServices', () => {
+    it('should key active services by truck class', () => {
+      const tariffFromRows = tariffFromServices(services);
+      expect(Object.keys(tariffFromRows).sort()).toEqual(['A', 'C', 'D']);
+      expect(tariffFromRows.A).toEqual({
+        serviceId: 's1',
+        name: 'Standard Towing',
+        perKm: 18.82,
+        deadheadPerKm: 12.5,
+        returnPerKm: 9.41,
+        basePrice: 528.69,
+        maneuverCharge: 1219.55,
+        stopCharge: 150,
+        waitPerHour: 240,
+        currency: 'MXN',
+      });
+      expect(tariffFromRows.C.serviceId).toBe('s2');
+    });
+
+    it('should prefer the most recently updated service for a truck class', () => {
+      const tariffFromRows = tariffFromServices([
+        ...services,
+        { ...services[0], id: 's4', base_price: '600.00', updated_at: '2024-02-01T00:00:00Z' },
+      ]);
+      expect(tariffFromRows.A.serviceId).toBe('s4');
+      expect(calculateQuoteBreakdown(tariffFromRows, { distance: 10, towTruckType: 'A' }).total).toBe(788.2);
+    });
+  });
+
+  describe('calculateQuoteBreakdown', () => {
+    it('should calculate correct cost without maneuver', () => {
+      expect(total('A', false)).toBe(716.89);
+      expect(total('C', false)).toBe(956.49);
+      expect(total('D', false)).toBe(1209.34);
+    });
+
+    it('should calculate correct cost with maneuver', () => {
+      expect(total('A', true)).toBe(1936.44);
+      expect(total('C', true)).toBe(2480.70);
+      expect(total('D', true)).toBe(3310.99);
+    });
+
+    it('should refuse a tow truck type without a tariff instead of pricing it as another', () => {
+      expect(() => total('B', false)).toThrow('No active tariff found for tow truck type B');
+    });
+
+    it('should itemize every charge so that the line items add up to the total', () => {
+      const breakdown = calculateQuoteBreakdown(tariff, {
+        distance: 12.345,
+        deadheadDistance: 4.2,
+        towTruckType: 'C',
+        requiresManeuver: true,
+        pickupDateTime: '2026-03-11T08:00:00Z',
+        surchargeRules: [{ id: 'night', name: 'Recargo nocturno', kind: 'percentage', amount: 25, start_hour: 22, end_hour: 6 }],
+        discounts: [{ code: 'PROMO10', label: 'PROMO10', kind: 'percentage', amount: 10 }],
+        taxes: [{ code: 'IVA', label: 'IVA 16%', rate: 0.16 }],
+      });
+
+      expect(breakdown).toMatchObject({
+        currency: 'MXN',
+        base: 721.79,
+        distanceCharge: 289.74,
+        deadheadCharge: 65.52,
+        maneuverCharge: 1524.21,
+        subtotal: 3251.58,
+        discountTotal: 325.16,
+        taxTotal: 468.23,
+        total: 3394.65,
+      });
+      expect(breakdown.surcharges[0].amount).toBe(650.32);
+
+      const itemsTotal = breakdownLineItems(breakdown).reduce((sum, item) => sum + item.amount, 0);
+      expect(Number(itemsTotal.toFixed(2))).toBe(breakdown.total);
+    });
+
+    it('should price a peso tariff in dollars with the stored exchange rate', () => {
+      const breakdown = calculateQuoteBreakdown(tariff, {
+        distance: 10,
+        towTruckType: 'A',
+        pickupDateTime: '2026-09-19T18:00:00Z',
+        surchargeRules: [{ id: 'weekend', name: 'Recargo de fin de semana', kind: 'flat', amount: 150, weekdays: [0, 6] }],
+        currency: 'USD',
+        exchangeRates: [{ base_currency: 'USD', quote_currency: 'MXN', rate: 20, effective_at: '2026-01-01T00:00:00Z' }],
+      });
+
+      expect(breakdown).toMatchObject({
+        currency: 'USD',
+        tariffCurrency: 'MXN',
+        exchangeRate: 0.05,
+        rates: { basePrice: 26.43, perKm: 0.94, deadheadPerKm: 0.63, returnPerKm: 0.47 },
+        base: 26.43,
+        distanceCharge: 9.4,
+        total: 43.33,
+      });
+      expect(breakdown.surcharges[0].amount).toBe(7.5);
+    });
+
+    it('should price the deadhead and return legs at their own rates', () => {
+      const legTariff = { A: { ...tariff.A, deadheadPerKm: 10, returnPerKm: 8 } };
+      const breakdown = calculateQuoteBreakdown(legTariff, { distance: 20, deadheadDistance: 5, returnDistance: 25, towTruckType: 'A' });
+
+      expect(breakdown).toMatchObject({ distanceCharge: 376.4, deadheadCharge: 50, returnCharge: 200, total: 1155.09 });
+      expect(breakdownLineItems(breakdown).map((item) => [item.code, item.quantity, item.unitPrice])).toEqual([
+        ['base', undefined, undefined],
+        ['distance', 20, 18.82],
+        ['deadhead', 5, 10],
+        ['return', 25, 8],
+      ]);
+    });
+
+    it('should add handling charges to the service subtotal before surcharges', () => {
+      const breakdown = calculateQuoteBreakdown(tariff, {
+        distance: 10,
+        towTruckType: 'A',
+        handlingCharges: [{ id: 'no-neutral', label: 'Patines para vehículo sin neutral', amount: 350 }],
+        pickupDateTime: '2026-03-11T08:00:00Z',
+        surchargeRules: [{ id: 'night', name: 'Recargo nocturno', kind: 'percentage', amount: 25, start_hour: 22, end_hour: 6 }],
+      });
+
+      expect(breakdown.handlingCharges).toEqual([{ id: 'no-neutral', label: 'Patines para vehículo sin neutral', amount: 350 }]);
+      expect(breakdown.surcharges[0].amount).toBe(266.72);
+      expect(breakdownLineItems(breakdown).find((item) => item.code === 'handling')).toEqual({ code: 'handling', label: 'Patines para vehículo sin neutral', amount: 350 });
+    });
+
+    it('should pass tolls through at cost after percentage surcharges', () => {
+      const breakdown = calculateQuoteBreakdown(tariff, {
+        distance: 10,
+        towTruckType: 'A',
+        tolls: { provider: 'fixture', currency: 'MXN', amount: 356, legs: [] },
+        pickupDateTime: '2026-03-11T08:00:00Z',
+        surchargeRules: [{ id: 'night', name: 'Recargo nocturno', kind: 'percentage', amount: 25, start_hour: 22, end_hour: 6 }],
+      });
+
+      // 716.89 service + 179.22 night surcharge + 356.00 tolls
+      expect(breakdown).toMatchObject({ tollCharge: 356, subtotal: 1252.11, total: 1252.11 });
+      expect(breakdownLineItems(breakdown).find((item) => item.code === 'tolls')).toEqual({ code: 'tolls', amount: 356 });
+    });
+
+    it('should flag tolls the provider could not estimate and charge none', () => {
+      const breakdown = calculateQuoteBreakdown(tariff, {
+        distance: 10,
+        towTruckType: 'A',
+        tolls: { provider: 'tollguru', currency: 'MXN', amount: 0, legs: [], isEstimated: false, error: 'Unable to estimate tolls' },
+      });
+
+      expect(breakdown.tolls).toEqual({ provider: 'tollguru', currency: 'MXN', amount: 0, legs: [], isEstimated: false });
+      expect(breakdown.total).toBe(calculateQuoteBreakdown(tariff, { distance: 10, towTruckType: 'A' }).total);
+      expect(breakdownLineItems(breakdown).some((item) => item.code === 'tolls')).toBe(false);
+    });
+
+    it('should keep tolls out of discounts and the IVA base', () => {
+      const breakdown = calculateQuoteBreakdown(tariff, {
+        distance: 10,
+        towTruckType: 'A',
+        tolls: { provider: 'fixture', currency: 'MXN', amount: 356, legs: [] },
+        discounts: [{ code: 'PROMO10', label: 'PROMO10', kind: 'percentage', amount: 10 }],
+        taxes: quoteTaxes,
+      });
+
+      // 10% off and 16% IVA on the 716.89 service only; the 356.00 tolls are added at cost.
+      expect(breakdown).toMatchObject({ subtotal: 1072.89, discountTotal: 71.69, taxTotal: 103.23, total: 1104.43 });
+      expect(breakdown.taxes[0].base).toBe(645.2);
+    });
+
+    it('should charge each intermediate stop and the time the truck waits there', () => {
+      const breakdown = calculateQuoteBreakdown(tariff, {
+        distance: 10,
+        towTruckType: 'A',
+        stops: [{ waitMinutes: 30 }, { waitMinutes: 0 }],
+      });
+
+      // 716.89 service + (150 + 120) first stop + 150 second stop
+      expect(breakdown).toMatchObject({ stopsCharge: 420, subtotal: 1136.89 });
+      expect(breakdownLineItems(breakdown).filter((item) => item.code === 'stop')).toEqual([
+        { code: 'stop', index: 1, waitMinutes: 30, amount: 270 },
+        { code: 'stop', index: 2, waitMinutes: 0, amount: 150 },
+      ]);
+    });
+
+    it('should throw when there is no exchange rate for the requested currency', () => {
+      expect(() => calculateQuoteBreakdown(tariff, { distance: 10, towTruckType: 'A', currency: 'USD' })).toThrow(expect.objectContaining({ status: 422, message: expect.stringContaining('No exchange rate') }));
+    });
+
+    it('should throw when no tariff has been loaded', () => {
+      expect(() => calculateQuoteBreakdown({}, { distance: 10, towTruckType: 'A' })).toThrow('No active tariff');
+    });
+  });
+});
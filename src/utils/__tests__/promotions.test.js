@@ -0,0 +1,65 @@
+import { validatePromotion, promotionToDiscount, applyCorporateAgreements } from '../promotions';
+import { calculateQuoteBreakdown } from '../pricingEngine';
+import { seedTariff as tariff } from '../__fixtures__/seedTariff';
+
+const now = new Date('2026-03-10T18:00:00Z');
+const promotion = {
+  id: 'p1',
+  code: 'FLOTA50',
+  kind: 'fixed',
+  amount: '50.00',
+  currency: 'MXN',
+  max_uses: 10,
+  max_uses_per_customer: 1,
+  allowed_user_ids: null,
+  valid_from: '2026-01-01T00:00:00Z',
+  expires_at: '2026-12-31T00:00:00Z',
+  is_active: true,
+};
+
+describe('promotions', () => {
+  describe('validatePromotion', () => {
+    it('should accept a promotion within its limits', () => {
+      expect(validatePromotion(promotion, { userId: 'u1', usage: { total: 3, customer: 0 }, now })).toEqual({ isValid: true });
+    });
+
+    it('should reject expired, exhausted and restricted promotions', () => {
+      const reasonFor = (overrides, options = {}) => validatePromotion({ ...promotion, ...overrides }, { userId: 'u1', usage: { total: 0, customer: 0 }, now, ...options });
+
+      expect(reasonFor({ expires_at: '2026-03-01T00:00:00Z' }).isValid).toBe(false);
+      expect(reasonFor({ valid_from: '2026-04-01T00:00:00Z' }).isValid).toBe(false);
+      expect(reasonFor({}, { usage: { total: 10, customer: 0 } }).isValid).toBe(false);
+      expect(reasonFor({}, { usage: { total: 1, customer: 1 } }).isValid).toBe(false);
+      expect(reasonFor({ allowed_user_ids: ['u2'] }).isValid).toBe(false);
+      expect(reasonFor({}, { userId: undefined }).isValid).toBe(false);
+      expect(validatePromotion(null).isValid).toBe(false);
+    });
+  });
+
+  describe('applyCorporateAgreements', () => {
+    it('should override only the rates set on active agreements', () => {
+      const corporateTariff = applyCorporateAgreements(tariff, [
+        { id: 'a1', tow_truck_type: 'wheel_lift', base_price: '450.00', price_per_km: null, is_active: true, corporate_accounts: { name: 'Aseguradora del Norte' } },
+        { id: 'a2', tow_truck_type: 'flatbed', base_price: '1.00', price_per_km: '1.00', is_active: true, expires_at: '2026-01-01T00:00:00Z' },
+      ], now);
+
+      expect(corporateTariff.A).toMatchObject({ basePrice: 450, perKm: 18.82, corporateAgreement: { id: 'a1', name: 'Aseguradora del Norte' } });
+      expect(corporateTariff.C).toBe(tariff.C);
+    });
+  });
+
+  it('should price a quote with a corporate rate and a fixed promo code', () => {
+    const breakdown = calculateQuoteBreakdown(applyCorporateAgreements(tariff, [
+      { id: 'a1', tow_truck_type: 'wheel_lift', base_price: '450.00', is_active: true, corporate_accounts: { name: 'Aseguradora del Norte' } },
+    ], now), {
+      distance: 10,
+      towTruckType: 'A',
+      discounts: [promotionToDiscount(promotion)],
+    });
+
+    expect(breakdown.corporateAgreement.name).toBe('Aseguradora del Norte');
+    expect(breakdown.subtotal).toBe(638.2);
+    expect(breakdown.discounts).toEqual([expect.objectContaining({ promotionId: 'p1', code: 'FLOTA50', amount: 50 })]);
+    expect(breakdown.total).toBe(588.2);
+  });
+});
@@ -0,0 +1,52 @@
+import { bookingReceiptHtml, receiptFileName } from '../receipt';
+import { calculateQuoteBreakdown } from '../pricingEngine';
+import { formatMoney } from '../currency';
+import { seedTariff } from '../__fixtures__/seedTariff';
+
+const breakdown = calculateQuoteBreakdown(seedTariff, {
+  distance: 10,
+  towTruckType: 'A',
+  requiresManeuver: true,
+});
+
+const booking = (changes = {}) => ({
+  id: 'b-1',
+  status: 'completed',
+  payment_status: 'paid',
+  currency: 'MXN',
+  total_cost: breakdown.total,
+  price_breakdown: breakdown,
+  pickup_datetime: '2026-10-20T15:00:00.000Z',
+  pickup_location: 'Av. Constitución 100, Monterrey',
+  dropoff_location: 'Taller <El Güero>, San Pedro',
+  stops: [],
+  vehicle_details: { brand: 'Nissan', model: 'Versa', license_plate: 'ABC-123' },
+  ...changes,
+});
+
+describe('receipt', () => {
+  it('should list the tow, its line items and the total paid', () => {
+    const html = bookingReceiptHtml(booking(), { issuedAt: new Date('2026-10-21T00:00:00Z') });
+
+    expect(html).toContain('<td>Booking</td><td class="amount">b-1</td>');
+    expect(html).toContain('Nissan Versa ABC-123');
+    expect(html).toContain(`<td>Maneuver</td><td class="amount">${formatMoney(1219.55)}</td>`);
+    expect(html).toContain(`${formatMoney(breakdown.total)} MXN`);
+    expect(html).not.toContain('Refunded');
+  });
+
+  it('should escape what the customer typed', () => {
+    expect(bookingReceiptHtml(booking())).toContain('Taller &lt;El Güero&gt;, San Pedro');
+  });
+
+  it('should show the fee kept and the amount refunded for a cancelled booking', () => {
+    const html = bookingReceiptHtml(booking({ status: 'cancelled', payment_status: 'refunded', cancellation_fee: 50, refunded_amount: 150 }));
+
+    expect(html).toContain(`<td>Cancellation fee</td><td class="amount">${formatMoney(50)}</td>`);
+    expect(html).toContain(`<td>Refunded</td><td class="amount">${formatMoney(150)}</td>`);
+  });
+
+  it('should name the file after the booking', () => {
+    expect(receiptFileName(booking())).toBe('receipt-b-1.html');
+  });
+});
@@ -0,0 +1,39 @@
+import { serializeRoute, replayRoute } from '../routeGeometry';
+import { routeTripLegs, tripWaypoints } from '../routeLegs';
+import { createLocalRouting } from '../routing';
+
+const depot = [25.6866, -100.3161];
+const pickup = [25.6695, -100.3099];
+const stop = [25.7, -100.25];
+const destination = [25.7509, -100.2985];
+
+describe('routeGeometry', () => {
+  it('should store the legs as polylines and replay the same route', async () => {
+    const legs = await routeTripLegs(createLocalRouting(), depot, pickup, destination, [stop]);
+    const route = serializeRoute({ provider: 'local', waypoints: tripWaypoints(depot, pickup, destination, [stop]), legs }, new Date('2026-03-02T10:00:00Z'));
+
+    expect(route.computedAt).toBe('2026-03-02T10:00:00.000Z');
+    expect(route.legs.map((leg) => leg.key)).toEqual(['deadhead', 'loaded', 'loaded', 'return']);
+    expect(typeof route.legs[0].polyline).toBe('string');
+    expect(route.legs[0]).not.toHaveProperty('coordinates');
+
+    const replayed = replayRoute(JSON.parse(JSON.stringify(route)));
+    expect(replayed.provider).toBe('local');
+    expect(replayed.waypoints).toEqual([depot, pickup, stop, destination, depot]);
+    expect(replayed.legs.map((leg) => leg.distance)).toEqual(legs.map((leg) => leg.distance));
+    expect(replayed.legs[1]).toEqual({ key: 'loaded', segment: 0, distance: legs[1].distance, coordinates: [pickup, stop] });
+  });
+
+  it('should drop repeated points and keep the estimated flag', () => {
+    const route = serializeRoute({
+      provider: 'osrm',
+      waypoints: [depot, pickup],
+      legs: [{ key: 'deadhead', distance: 2, estimated: true, coordinates: [depot, depot, pickup] }],
+    });
+    expect(replayRoute(route).legs[0]).toEqual({ key: 'deadhead', distance: 2, estimated: true, coordinates: [depot, pickup] });
+  });
+
+  it('should replay nothing for bookings without a stored route', () => {
+    expect(replayRoute(null)).toBeNull();
+  });
+});
@@ -0,0 +1,47 @@
+import { legDistances, routeTripLegs, tripWaypoints, tripFromWaypoints } from '../routeLegs';
+import { createLocalRouting } from '../routing';
+
+const depot = [26.5, -100.0];
+const pickup = [26.6, -100.1];
+const destination = [26.8, -100.3];
+
+describe('routeLegs', () => {
+  it('should route from the depot through pickup and destination back to the depot', () => {
+    expect(tripWaypoints([1, 1], [2, 2], [3, 3])).toEqual([[1, 1], [2, 2], [3, 3], [1, 1]]);
+  });
+
+  it('should read the trip back from its waypoints', () => {
+    expect(tripFromWaypoints(tripWaypoints(depot, pickup, destination, [[26.7, -100.2]]))).toEqual({
+      depot,
+      pickup,
+      stops: [[26.7, -100.2]],
+      destination,
+    });
+    expect(tripFromWaypoints([])).toEqual({ depot: null, pickup: null, stops: [], destination: null });
+  });
+
+  describe('routeTripLegs', () => {
+    it('should label the provider legs as deadhead, loaded and return', async () => {
+      const legs = await routeTripLegs(createLocalRouting(), depot, pickup, destination);
+      expect(legs.map((leg) => leg.key)).toEqual(['deadhead', 'loaded', 'return']);
+      expect(legs[0].coordinates).toEqual([depot, pickup]);
+      expect(legs[2].coordinates).toEqual([destination, depot]);
+    });
+
+    it('should split the loaded tow at every intermediate stop', async () => {
+      const bodyShop = [26.7, -100.2];
+      const legs = await routeTripLegs(createLocalRouting(), depot, pickup, destination, [bodyShop]);
+      expect(legs.map((leg) => [leg.key, leg.segment])).toEqual([['deadhead', undefined], ['loaded', 0], ['loaded', 1], ['return', undefined]]);
+      expect(legs[2].coordinates).toEqual([bodyShop, destination]);
+      expect(legDistances(legs).distance).toBe(Number((legs[1].distance + legs[2].distance).toFixed(2)));
+    });
+  });
+
+  describe('legDistances', () => {
+    it('should map legs to the distances the quote is priced on', () => {
+      const legs = [{ key: 'deadhead', distance: 12.35 }, { key: 'loaded', distance: 30.5 }, { key: 'return', distance: 18.39 }];
+      expect(legDistances(legs)).toEqual({ deadheadDistance: 12.35, distance: 30.5, returnDistance: 18.39 });
+      expect(legDistances()).toEqual({ deadheadDistance: 0, distance: 0, returnDistance: 0 });
+    });
+  });
+});
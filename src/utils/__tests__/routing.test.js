@@ -0,0 +1,108 @@
+import { createRoutingProvider, createOsrmRouting, createGoogleRouting, createLocalRouting, legsFromGoogleRoute, withStraightLineFallback } from '../routing';
+
+const points = [[26.5, -100.0], [26.7, -100.2], [26.5, -100.0]];
+
+const step = (coordinates) => ({ geometry: { coordinates } });
+
+const osrmRoute = {
+  legs: [
+    { distance: 12345, steps: [step([[-100.0, 26.5], [-100.1, 26.6]]), step([[-100.1, 26.6], [-100.2, 26.7]])] },
+    { distance: 18389, steps: [step([[-100.2, 26.7], [-100.0, 26.5]])] },
+  ],
+};
+
+// Stand-in for fetch that records the requested URLs.
+const jsonResponse = (body) => {
+  const fetch = async (url) => {
+    fetch.urls.push(url);
+    return { ok: true, json: async () => body };
+  };
+  fetch.urls = [];
+  return fetch;
+};
+
+const latLng = (lat, lng) => ({ lat: () => lat, lng: () => lng });
+
+describe('routing', () => {
+  it('should reject unknown providers', () => {
+    expect(createRoutingProvider('osrm').name).toBe('osrm');
+    expect(() => createRoutingProvider('here')).toThrow('Unknown routing provider: here');
+  });
+
+  describe('local', () => {
+    it('should estimate each leg from the great-circle distance and the road factor', async () => {
+      const legs = await createLocalRouting().route(points);
+      // 29.83 km great-circle between the points, times the default road factor of 1.3
+      expect(legs.map((leg) => leg.distance)).toEqual([38.78, 38.78]);
+      expect(legs[0].coordinates).toEqual([points[0], points[1]]);
+
+      const straight = await createLocalRouting({ roadFactor: 1 }).route(points);
+      expect(straight[0].distance).toBe(29.83);
+    });
+  });
+
+  describe('osrm', () => {
+    it('should request the waypoints as lng,lat and read the legs of the first route', async () => {
+      const fetch = jsonResponse({ routes: [osrmRoute] });
+      const legs = await createOsrmRouting({ fetch }).route(points);
+
+      expect(fetch.urls[0]).toBe('https://router.project-osrm.org/route/v1/driving/-100,26.5;-100.2,26.7;-100,26.5?overview=false&steps=true&geometries=geojson');
+      expect(legs.map((leg) => leg.distance)).toEqual([12.35, 18.39]);
+      expect(legs[0].coordinates).toEqual([[26.5, -100.0], [26.6, -100.1], [26.6, -100.1], [26.7, -100.2]]);
+    });
+
+    it('should fail when no route is found', async () => {
+      await expect(createOsrmRouting({ fetch: jsonResponse({ routes: [] }) }).route(points)).rejects.toThrow('No route found');
+    });
+  });
+
+  describe('google', () => {
+    it('should call the Directions web service and decode the step polylines', async () => {
+      const fetch = jsonResponse({
+        status: 'OK',
+        routes: [{
+          legs: [
+            { distance: { value: 12345 }, steps: [{ polyline: { points: '_p~iF~ps|U_ulLnnqC' } }] },
+            { distance: { value: 18389 }, steps: [{ polyline: { points: '_p~iF~ps|U' } }] },
+          ],
+        }],
+      });
+      const legs = await createGoogleRouting({ apiKey: 'key', fetch }).route(points);
+
+      const url = new URL(fetch.urls[0]);
+      expect(url.searchParams.get('origin')).toBe('26.5,-100');
+      expect(url.searchParams.get('waypoints')).toBe('26.7,-100.2');
+      expect(legs[0]).toEqual({ distance: 12.35, coordinates: [[38.5, -120.2], [40.7, -120.95]] });
+    });
+
+    it('should require an API key outside the browser', async () => {
+      await expect(createGoogleRouting().route(points)).rejects.toThrow('Google routing requires an API key');
+    });
+
+    it('should read step paths of the Maps JavaScript API', () => {
+      const route = { legs: [{ distance: { value: 30500 }, steps: [{ path: [latLng(26.5, -100), latLng(26.6, -100.1)] }] }] };
+      expect(legsFromGoogleRoute(route)).toEqual([{ distance: 30.5, coordinates: [[26.5, -100], [26.6, -100.1]] }]);
+    });
+  });
+
+  describe('straight-line fallback', () => {
+    it('should keep the provider legs while it is reachable', async () => {
+      const fetch = jsonResponse({ routes: [osrmRoute] });
+      const legs = await withStraightLineFallback(createOsrmRouting({ fetch })).route(points);
+      expect(legs.map((leg) => leg.distance)).toEqual([12.35, 18.39]);
+      expect(legs.some((leg) => leg.estimated)).toBe(false);
+    });
+
+    it('should estimate every leg when the provider cannot be reached', async () => {
+      const errors = [];
+      const offline = { name: 'osrm', route: async () => { throw new TypeError('Failed to fetch'); } };
+      const provider = withStraightLineFallback(offline, { onFallback: (error) => errors.push(error.message) });
+
+      const legs = await provider.route(points);
+      expect(provider.name).toBe('osrm');
+      expect(legs.map((leg) => leg.distance)).toEqual([38.78, 38.78]);
+      expect(legs.every((leg) => leg.estimated)).toBe(true);
+      expect(errors).toEqual(['Failed to fetch']);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+import { checkCoverage, findServiceArea, isPointInPolygon, isValidPolygon } from '../serviceAreas';
+import { calculateSurcharges } from '../surcharges';
+
+// A rough box around the Monterrey metropolitan area.
+const monterreyArea = {
+  id: 'mty',
+  depot_id: 'centro',
+  name: 'Zona Metropolitana',
+  is_active: true,
+  polygon: [[25.55, -100.55], [25.55, -100.10], [25.85, -100.10], [25.85, -100.55]],
+};
+const centro = [25.6695, -100.3099];
+const saltillo = [25.4232, -101.0053];
+
+describe('serviceAreas', () => {
+  it('should test points against a polygon', () => {
+    expect(isPointInPolygon(centro, monterreyArea.polygon)).toBe(true);
+    expect(isPointInPolygon(saltillo, monterreyArea.polygon)).toBe(false);
+    expect(isValidPolygon([[25, -100], [26, -100]])).toBe(false);
+  });
+
+  it('should ignore inactive areas', () => {
+    expect(findServiceArea([monterreyArea], centro).id).toBe('mty');
+    expect(findServiceArea([{ ...monterreyArea, is_active: false }], centro)).toBeNull();
+  });
+
+  it('should flag pickups outside coverage for a manual quote or reject them', () => {
+    expect(checkCoverage([monterreyArea], { pickup: centro, destination: saltillo })).toEqual({
+      pickupInCoverage: true,
+      destinationInCoverage: false,
+      serviceArea: { id: 'mty', name: 'Zona Metropolitana', depotId: 'centro' },
+      isRejected: false,
+      requiresManualQuote: false,
+    });
+    expect(checkCoverage([monterreyArea], { pickup: saltillo }).requiresManualQuote).toBe(true);
+    expect(checkCoverage([monterreyArea], { pickup: saltillo, policy: 'reject' }).isRejected).toBe(true);
+  });
+
+  it('should cover everything until an area is drawn', () => {
+    expect(checkCoverage([], { pickup: saltillo, destination: saltillo })).toMatchObject({ pickupInCoverage: true, destinationInCoverage: true });
+  });
+
+  it('should apply the long-distance surcharge to destinations outside coverage', () => {
+    const rules = [{ id: 'foraneo', name: 'Recargo foráneo', kind: 'percentage', amount: 15, out_of_coverage_only: true }];
+    expect(calculateSurcharges(rules, { subtotal: 1000, pickupDateTime: '2026-03-10T18:00:00Z' })).toEqual([]);
+    expect(calculateSurcharges(rules, { subtotal: 1000, destinationOutOfCoverage: true })).toEqual([
+      { id: 'foraneo', label: 'Recargo foráneo', kind: 'percentage', rate: 15, amount: 150 },
+    ]);
+  });
+});
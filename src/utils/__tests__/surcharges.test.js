@@ -0,0 +1,41 @@
+import { calculateSurcharges, getLocalDateParts } from '../surcharges';
+
+const rules = [
+  { id: 'night', name: 'Recargo nocturno', kind: 'percentage', amount: 25, start_hour: 22, end_hour: 6, weekdays: null, holidays_only: false },
+  { id: 'weekend', name: 'Recargo de fin de semana', kind: 'flat', amount: 150, start_hour: null, end_hour: null, weekdays: [0, 6], holidays_only: false },
+  { id: 'holiday', name: 'Recargo por día festivo', kind: 'percentage', amount: 30, start_hour: null, end_hour: null, weekdays: null, holidays_only: true },
+];
+const holidays = [{ date: '2026-09-16', name: 'Día de la Independencia' }];
+
+describe('surcharges', () => {
+  describe('getLocalDateParts', () => {
+    it('should evaluate dates in the company timezone', () => {
+      // 03:30 UTC on Wednesday is still 21:30 on Tuesday in Monterrey (UTC-6).
+      expect(getLocalDateParts(new Date('2026-03-11T03:30:00Z'))).toEqual({ date: '2026-03-10', hour: 21, weekday: 2 });
+    });
+  });
+
+  describe('calculateSurcharges', () => {
+    it('should apply no surcharge on a weekday afternoon', () => {
+      expect(calculateSurcharges(rules, { subtotal: 1000, pickupDateTime: '2026-03-10T20:00:00Z', holidays })).toEqual([]);
+    });
+
+    it('should apply the night surcharge across midnight', () => {
+      const surcharges = calculateSurcharges(rules, { subtotal: 1000, pickupDateTime: '2026-03-11T08:00:00Z', holidays });
+      expect(surcharges.map((surcharge) => [surcharge.id, surcharge.amount])).toEqual([['night', 250]]);
+    });
+
+    it('should combine weekend, night and holiday surcharges', () => {
+      // Saturday 2026-09-19 is not a holiday; Wednesday 2026-09-16 at 23:00 local is.
+      const weekend = calculateSurcharges(rules, { subtotal: 1000, pickupDateTime: '2026-09-19T18:00:00Z', holidays });
+      expect(weekend.map((surcharge) => [surcharge.id, surcharge.amount])).toEqual([['weekend', 150]]);
+
+      const holidayNight = calculateSurcharges(rules, { subtotal: 1000, pickupDateTime: '2026-09-17T05:00:00Z', holidays });
+      expect(holidayNight.map((surcharge) => [surcharge.id, surcharge.amount])).toEqual([['night', 250], ['holiday', 300]]);
+    });
+
+    it('should return no surcharges without a pickup time', () => {
+      expect(calculateSurcharges(rules, { subtotal: 1000, holidays })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,38 @@
+import { tileForPoint, tilesForBounds, tileUrl, boundsOfPoints, serviceRegionTileUrls, DEFAULT_TILE_URL } from '../tiles';
+
+const monterreyArea = {
+  id: 'mty',
+  is_active: true,
+  polygon: [[25.55, -100.55], [25.55, -100.10], [25.85, -100.10], [25.85, -100.55]],
+};
+
+describe('tiles', () => {
+  it('should number the tile containing a point', () => {
+    expect(tileForPoint([25.6695, -100.3099], 10)).toEqual({ x: 226, y: 436, z: 10 });
+    expect(tileForPoint([0, 0], 0)).toEqual({ x: 0, y: 0, z: 0 });
+  });
+
+  it('should cover the bounds at every zoom level until the tile limit', () => {
+    const bounds = boundsOfPoints(monterreyArea.polygon);
+    expect(bounds).toEqual([[25.55, -100.55], [25.85, -100.10]]);
+
+    const tiles = tilesForBounds(bounds, { minZoom: 8, maxZoom: 10 });
+    // The area straddles two rows of tiles at zoom 8.
+    expect(tiles.filter((tile) => tile.z === 8)).toEqual([{ x: 56, y: 108, z: 8 }, { x: 56, y: 109, z: 8 }]);
+    expect(tiles[tiles.length - 1].z).toBe(10);
+
+    const limited = tilesForBounds(bounds, { minZoom: 8, maxZoom: 14, maxTiles: 20 });
+    expect(limited.length).toBeLessThanOrEqual(20);
+    expect(Math.max(...limited.map((tile) => tile.z))).toBeLessThan(14);
+  });
+
+  it('should fill the URL template', () => {
+    expect(tileUrl(DEFAULT_TILE_URL, { x: 226, y: 436, z: 10 })).toBe('https://c.tile.openstreetmap.org/10/226/436.png');
+  });
+
+  it('should list the tiles around the active service areas only', () => {
+    const urls = serviceRegionTileUrls([monterreyArea], DEFAULT_TILE_URL, { minZoom: 8, maxZoom: 8 });
+    expect(urls).toEqual(['https://c.tile.openstreetmap.org/8/56/108.png', 'https://a.tile.openstreetmap.org/8/56/109.png']);
+    expect(serviceRegionTileUrls([{ ...monterreyArea, is_active: false }], DEFAULT_TILE_URL)).toEqual([]);
+  });
+});
@@ -0,0 +1,81 @@
+import { axlesForLeg, createFixtureTollProvider, createTollGuruProvider, createTollProvider, estimateTripTolls } from '../tolls';
+import { encodePolyline, decodePolyline } from '../geo';
+
+// A trip from Monterrey north on the 85D through the Sabinas Hidalgo caseta.
+const legs = [
+  { key: 'deadhead', distance: 10, coordinates: [[25.70, -100.30], [25.75, -100.28]] },
+  { key: 'loaded', distance: 90, coordinates: [[25.75, -100.28], [26.30, -100.20], [26.50, -100.14]] },
+  { key: 'return', distance: 100, coordinates: [[26.50, -100.14], [26.30, -100.20], [25.70, -100.30]] },
+];
+
+describe('tolls', () => {
+  it('should encode polylines the way Google decodes them', () => {
+    const points = [[38.5, -120.2], [40.7, -120.95], [43.252, -126.453]];
+    expect(encodePolyline(points)).toBe('_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+    expect(decodePolyline(encodePolyline(points))).toEqual(points);
+  });
+
+  it('should count the towed axle on the loaded leg of a wheel-lift tow', () => {
+    expect(axlesForLeg('A', 'deadhead')).toBe(2);
+    expect(axlesForLeg('A', 'loaded')).toBe(3);
+    expect(axlesForLeg('C', 'loaded')).toBe(2);
+    expect(axlesForLeg('D', 'return')).toBe(3);
+  });
+
+  it('should disable estimation when no provider is configured', () => {
+    expect(createTollProvider('none')).toBeNull();
+    expect(createTollProvider(undefined)).toBeNull();
+    expect(() => createTollProvider('tollguru')).toThrow('TollGuru requires an API key');
+    expect(() => createTollProvider('iave')).toThrow('Unknown toll provider: iave');
+  });
+
+  describe('estimateTripTolls', () => {
+    it('should charge each caseta the legs cross at the axle class of that leg', async () => {
+      const tolls = await estimateTripTolls(createFixtureTollProvider(), legs, 'A');
+
+      expect(tolls.legs.map((leg) => [leg.key, leg.axles, leg.amount])).toEqual([
+        ['deadhead', 2, 0],
+        ['loaded', 3, 512],
+        ['return', 2, 356],
+      ]);
+      expect(tolls).toMatchObject({ provider: 'fixture', currency: 'MXN', amount: 868 });
+      expect(tolls.legs[1].plazas).toEqual([{ name: 'Caseta Sabinas Hidalgo (85D)', amount: 512 }]);
+    });
+
+    it('should quote without tolls when the provider fails', async () => {
+      const provider = { name: 'tollguru', estimate: async () => { throw new Error('Unable to estimate tolls'); } };
+
+      await expect(estimateTripTolls(provider, legs, 'A')).resolves.toEqual({
+        provider: 'tollguru',
+        currency: 'MXN',
+        amount: 0,
+        legs: [],
+        isEstimated: false,
+        error: 'Unable to estimate tolls',
+      });
+    });
+  });
+
+  describe('tollguru', () => {
+    it('should send the encoded leg geometry with the truck type and read the cash cost', async () => {
+      const requests = [];
+      const fetch = async (url, options) => {
+        requests.push({ url, options });
+        return {
+          ok: true,
+          json: async () => ({ route: { costs: { cash: 512, tag: 480 }, tolls: [{ name: 'Sabinas Hidalgo', cashCost: 512 }] } }),
+        };
+      };
+      const provider = createTollGuruProvider({ apiKey: 'key', routingProvider: 'google', fetch });
+      const estimate = await provider.estimate(legs[1].coordinates, { axles: 3 });
+
+      const [{ url, options }] = requests;
+      const body = JSON.parse(options.body);
+      expect(url).toBe('https://apis.tollguru.com/toll/v2/complete-polyline-from-mapping-service');
+      expect(options.headers['x-api-key']).toBe('key');
+      expect(body).toMatchObject({ mapProvider: 'gmaps', vehicle: { type: '3AxlesTruck' }, units: { currency: 'MXN' } });
+      expect(decodePolyline(body.polyline)).toEqual(legs[1].coordinates);
+      expect(estimate).toEqual({ amount: 512, currency: 'MXN', plazas: [{ name: 'Sabinas Hidalgo', amount: 512 }] });
+    });
+  });
+});
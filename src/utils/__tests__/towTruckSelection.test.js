@@ -1,4 +1,9 @@
-import { getTowTruckType, calculateTotalCost, getVehicleSize } from '../towTruckSelection';
+import { getTowTruckType, getVehicleSize, isTruckAvailable, sizeClassForWeight, truckTypesForWeight } from '../towTruckSelection';
+
+const corolla = { brand: 'Toyota', model: 'Corolla', curb_weight_kg: 1300, drivetrain: 'fwd', is_electric: false, size_class: 'small' };
+const f150 = { brand: 'Ford', model: 'F-150', curb_weight_kg: 2100, drivetrain: '4wd', is_electric: false, size_class: 'medium' };
+const ram2500 = { brand: 'RAM', model: '2500', curb_weight_kg: 3100, drivetrain: '4wd', is_electric: false, size_class: 'large' };
+const model3 = { brand: 'Tesla', model: 'Model 3', curb_weight_kg: 1750, drivetrain: 'rwd', is_electric: true, size_class: null };
 
 describe('towTruckSelection', () => {
   describe('getTowTruckType', () => {
@@ -8,31 +13,52 @@ describe('towTruckSelection', () => {
       expect(getTowTruckType('large')).toBe('D');
       expect(getTowTruckType('unknown')).toBe('A');
     });
-  });
 
-  describe('calculateTotalCost', () => {
-    it('should calculate correct cost without maneuver', () => {
-      expect(calculateTotalCost(10, 'A', false)).toBe(717.89);
-      expect(calculateTotalCost(10, 'C', false)).toBe(956.49);
-      expect(calculateTotalCost(10, 'D', false)).toBe(1209.34);
+    it('should move up to the lightest allowed truck', () => {
+      expect(getTowTruckType('small', ['A', 'C', 'D'])).toBe('A');
+      expect(getTowTruckType('small', ['C', 'D'])).toBe('C');
+      expect(getTowTruckType('medium', ['D'])).toBe('D');
     });
 
-    it('should calculate correct cost with maneuver', () => {
-      expect(calculateTotalCost(10, 'A', true)).toBe(1937.44);
-      expect(calculateTotalCost(10, 'C', true)).toBe(2480.70);
-      expect(calculateTotalCost(10, 'D', true)).toBe(3310.99);
+    it('should return null when no allowed truck is large enough', () => {
+      expect(getTowTruckType('large', ['A', 'C'])).toBeNull();
+      expect(getTowTruckType('small', [])).toBeNull();
     });
   });
 
   describe('getVehicleSize', () => {
-    it('should return correct size for known models', () => {
-      expect(getVehicleSize('Ford F-150')).toBe('medium');
-      expect(getVehicleSize('Ford F-250')).toBe('large');
-      expect(getVehicleSize('Toyota Corolla')).toBe('small');
+    it('should use the size class of the catalog entry', () => {
+      expect(getVehicleSize(corolla)).toBe('small');
+      expect(getVehicleSize(f150)).toBe('medium');
+      expect(getVehicleSize(ram2500)).toBe('large');
+    });
+
+    it('should derive the size class from curb weight when it is not set', () => {
+      expect(getVehicleSize(model3)).toBe('medium');
+      expect(sizeClassForWeight(1700)).toBe('small');
+      expect(sizeClassForWeight(4000)).toBe('large');
+    });
+
+    it('should not guess a size for vehicles missing from the catalog', () => {
+      expect(getVehicleSize(null)).toBeNull();
     });
+  });
+
+  describe('truckTypesForWeight', () => {
+    it('should respect curb weight limits', () => {
+      expect(truckTypesForWeight(1300)).toEqual(['A', 'C', 'D']);
+      expect(truckTypesForWeight(2100)).toEqual(['C', 'D']);
+      expect(truckTypesForWeight(3100)).toEqual(['D']);
+      expect(truckTypesForWeight(null)).toEqual(['A', 'C', 'D']);
+    });
+  });
 
-    it('should return "small" for unknown models', () => {
-      expect(getVehicleSize('Unknown Model')).toBe('small');
+  describe('isTruckAvailable', () => {
+    it('should offer only the truck types the eligibility rules allow', () => {
+      expect(isTruckAvailable('A')).toBe(true);
+      expect(isTruckAvailable('B')).toBe(false);
+      expect(isTruckAvailable('A', { allowedTruckTypes: ['C', 'D'] })).toBe(false);
+      expect(isTruckAvailable('D', { allowedTruckTypes: ['C', 'D'] })).toBe(true);
     });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,57 @@
+import {
+  findCatalogVehicle, catalogBrands, catalogModelsByBrand, catalogYears, vehicleYearOptions, customerVehicle, isVehicleSized, MIN_VEHICLE_YEAR,
+} from '../vehicleCatalog';
+import { getVehicleSize } from '../towTruckSelection';
+
+const catalog = [
+  { id: 'v1', brand: 'Ford', model: 'F-150', year_from: 2000, year_to: 2014, curb_weight_kg: 2200 },
+  { id: 'v2', brand: 'Ford', model: 'F-150', year_from: 2015, year_to: null, curb_weight_kg: 2000 },
+  { id: 'v3', brand: 'Ford', model: 'Mustang', year_from: 2020, year_to: 2021, curb_weight_kg: 1700 },
+  { id: 'v4', brand: 'Chevrolet', model: 'Silverado', year_from: 2000, year_to: null, curb_weight_kg: 2250 },
+];
+
+describe('vehicleCatalog', () => {
+  describe('findCatalogVehicle', () => {
+    it('should match brand and model separately, ignoring case', () => {
+      expect(findCatalogVehicle(catalog, { brand: 'ford', model: 'f-150', year: 2010 }).id).toBe('v1');
+      expect(findCatalogVehicle(catalog, { brand: 'Ford', model: 'F-150', year: '2022' }).id).toBe('v2');
+    });
+
+    it('should use the latest generation when no year is given', () => {
+      expect(findCatalogVehicle(catalog, { brand: 'Ford', model: 'F-150' }).id).toBe('v2');
+    });
+
+    it('should return null for unknown vehicles or years outside the range', () => {
+      expect(findCatalogVehicle(catalog, { brand: 'Ford', model: 'Ford F-150' })).toBeNull();
+      expect(findCatalogVehicle(catalog, { brand: 'Ford', model: 'Mustang', year: 2023 })).toBeNull();
+    });
+  });
+
+  it('should build the brand, model and year dropdowns', () => {
+    expect(catalogBrands(catalog)).toEqual(['Chevrolet', 'Ford']);
+    expect(catalogModelsByBrand(catalog)).toEqual({ Ford: ['F-150', 'Mustang'], Chevrolet: ['Silverado'] });
+    expect(catalogYears(catalog, { brand: 'Ford', model: 'Mustang' })).toEqual([2021, 2020]);
+    expect(catalogYears(catalog, { brand: 'Ford', model: 'F-150' }, 2026)[0]).toBe(2027);
+  });
+
+  it('should offer years older than the catalog down to the oldest vehicle we tow', () => {
+    const years = vehicleYearOptions(catalog, { brand: 'Ford', model: 'Mustang' });
+
+    expect(years.slice(0, 3)).toEqual([2021, 2020, 2019]);
+    expect(years[years.length - 1]).toBe(MIN_VEHICLE_YEAR);
+    expect(vehicleYearOptions(catalog, { brand: 'Ford', model: 'Unknown' })).toEqual([]);
+  });
+
+  describe('customerVehicle', () => {
+    it('should size an uncatalogued vehicle from the size class or curb weight the customer gives', () => {
+      expect(getVehicleSize(customerVehicle({ brand: 'Ford', model: 'Mustang', sizeClass: 'medium' }))).toBe('medium');
+      expect(getVehicleSize(customerVehicle({ brand: 'Ford', model: 'Mustang', curbWeightKg: '2500' }))).toBe('medium');
+      expect(isVehicleSized(customerVehicle({ brand: 'Ford', model: 'Mustang', sizeClass: 'small' }))).toBe(true);
+    });
+
+    it('should leave a vehicle the customer could not size for manual review', () => {
+      expect(isVehicleSized(customerVehicle({ brand: 'Ford', model: 'Mustang' }))).toBe(false);
+      expect(isVehicleSized(catalog[2])).toBe(true);
+    });
+  });
+});
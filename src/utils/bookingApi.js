@@ -0,0 +1,72 @@
+import axios from 'axios';
+import { supabase } from '../integrations/supabase/supabase';
+
+// Endpoints that act on behalf of the signed-in user need their Supabase access token.
+export const authHeaders = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  return session ? { Authorization: `Bearer ${session.access_token}` } : {};
+};
+
+export const requestQuote = async ({ pickup, dropoff, stops = [], vehicleBrand, vehicleModel, vehicleYear, vehiclePosition, inNeutral, engineStarts, wheelsSteer, isLowered, requiresManeuver, pickupDateTime, currency, promoCode }) => {
+  let response;
+  try {
+    response = await axios.post('/api/quotes', {
+      pickup: { lat: pickup[0], lng: pickup[1] },
+      dropoff: { lat: dropoff[0], lng: dropoff[1] },
+      stops: stops.map(({ lat, lng, waitMinutes }) => ({ lat, lng, waitMinutes })),
+      vehicleBrand,
+      vehicleModel,
+      vehicleYear,
+      vehiclePosition,
+      inNeutral,
+      engineStarts,
+      wheelsSteer,
+      isLowered,
+      requiresManeuver,
+      pickupDateTime,
+      currency,
+      promoCode,
+    }, { headers: await authHeaders() });
+  } catch (error) {
+    // Keep the field the server rejected (e.g. promoCode) and its reasons so the form can point at them.
+    throw Object.assign(new Error(error.response?.data?.error || error.message), {
+      field: error.response?.data?.field,
+      explanations: error.response?.data?.explanations,
+    });
+  }
+
+  if (!response.data.success) {
+    throw new Error(response.data.error || 'Unable to get a quote');
+  }
+  return response.data.quote;
+};
+
+export const submitBooking = async (bookingData) => {
+  try {
+    const response = await axios.post('/api/bookings', bookingData, { headers: await authHeaders() });
+    return response.data.booking;
+  } catch (error) {
+    throw new Error(error.response?.data?.error || error.response?.data?.error?.message || error.message);
+  }
+};
+
+// Applies a lifecycle event (see utils/bookingStatus) and returns the updated booking.
+export const transitionBooking = async (bookingId, event, reason) => {
+  try {
+    const response = await axios.post(`/api/bookings/${bookingId}/transitions`, { event, reason }, { headers: await authHeaders() });
+    return response.data.data;
+  } catch (error) {
+    throw new Error(error.response?.data?.error || error.response?.data?.error?.message || error.message);
+  }
+};
+
+// Cancels a booking under the cancellation policy; returns the cancelled booking and
+// the fee and refund that were applied.
+export const cancelBooking = async (bookingId, reason) => {
+  try {
+    const response = await axios.post(`/api/bookings/${bookingId}/cancel`, { reason }, { headers: await authHeaders() });
+    return { booking: response.data.data, cancellation: response.data.cancellation };
+  } catch (error) {
+    throw new Error(error.response?.data?.error || error.response?.data?.error?.message || error.message);
+  }
+};
@@ -0,0 +1,75 @@
+import { fromMinorUnits } from './currency';
+
+const conflict = (message) => Object.assign(new Error(message), { status: 409 });
+
+const toPayment = (paymentIntent, booking) => ({
+  paymentIntentId: paymentIntent.id,
+  captured: fromMinorUnits(paymentIntent.amount_received || 0, booking.currency),
+  refunded: fromMinorUnits(paymentIntent.latest_charge?.amount_refunded || 0, booking.currency),
+});
+
+// The Stripe payment of a booking: what it captured and has refunded so far, or null
+// when the booking was not paid online. Payments are made against the booking's quote
+// (metadata.quote_id), so one the booking does not point at is found by its quote.
+// Throws a 409 whenever a charge may exist but cannot be told apart, so a booking is
+// never cancelled without the refund it is owed.
+export const findBookingPayment = async (stripe, booking) => {
+  const currency = booking.currency.toLowerCase();
+
+  if (booking.payment_intent_id) {
+    const paymentIntent = await stripe.paymentIntents.retrieve(booking.payment_intent_id, { expand: ['latest_charge'] });
+    if (paymentIntent.metadata?.quote_id !== booking.quote_id || paymentIntent.currency !== currency) {
+      throw conflict('The payment of this booking does not match its quote; contact us to cancel it');
+    }
+    return toPayment(paymentIntent, booking);
+  }
+
+  if (!booking.quote_id) {
+    if (booking.payment_status === 'paid') {
+      throw conflict('The payment of this booking cannot be found; contact us to cancel it');
+    }
+    return null;
+  }
+
+  let paymentIntents;
+  try {
+    ({ data: paymentIntents } = await stripe.paymentIntents.search({
+      query: `metadata['quote_id']:'${booking.quote_id}'`,
+      expand: ['data.latest_charge'],
+    }));
+  } catch (error) {
+    throw conflict(`The payment of this booking cannot be looked up (${error.message}); try again or contact us to cancel it`);
+  }
+
+  const charged = paymentIntents.filter((paymentIntent) => paymentIntent.amount_received > 0);
+  if (charged.length > 1 || charged.some((paymentIntent) => paymentIntent.currency !== currency)) {
+    throw conflict('The payment of this booking does not match its quote; contact us to cancel it');
+  }
+  if (charged.length === 1) return toPayment(charged[0], booking);
+  // Search results lag behind Stripe by up to a minute, so a booking marked as paid
+  // with no payment found yet is not assumed unpaid.
+  if (booking.payment_status === 'paid') {
+    throw conflict('The payment of this booking cannot be found yet; try again in a minute or contact us to cancel it');
+  }
+  return null;
+};
+
+// What a booking made from `quote` records about its payment. Quotes are paid before
+// they are booked (POST /api/process-payment), with a PaymentIntent made against the
+// quote; only manual quotes are booked unpaid and charged once their price is confirmed.
+export const quotePayment = (quote, paymentIntent) => {
+  if (!paymentIntent) {
+    if (!quote.requiresManualQuote) {
+      throw Object.assign(new Error('This quote must be paid before it is booked'), { status: 402 });
+    }
+    return { payment_status: 'pending', payment_intent_id: null };
+  }
+  if (
+    paymentIntent.status !== 'succeeded'
+    || paymentIntent.metadata?.quote_id !== quote.id
+    || paymentIntent.currency !== quote.breakdown.currency.toLowerCase()
+  ) {
+    throw Object.assign(new Error('Payment does not match the quote'), { status: 400 });
+  }
+  return { payment_status: 'paid', payment_intent_id: paymentIntent.id };
+};
@@ -0,0 +1,66 @@
+// Booking lifecycle. A booking only changes status through one of these events, from
+// one of its `from` statuses, by one of its `actors`, and when none of its guards
+// object. The API server applies them (server/utils/bookingLifecycle); the
+// enforce_booking_status_transition trigger (database/migrations) allows the same pairs.
+export const BOOKING_STATUSES = ['pending', 'confirmed', 'in_progress', 'completed', 'cancelled'];
+
+export const ADMIN_ROLES = ['admin', 'super_admin'];
+
+// A guard returns why the transition is not allowed, or null.
+const requirePayment = (booking) => (booking.payment_status === 'paid' ? null : 'The booking has not been paid');
+const requireStaffReason = (booking, { actorKind, reason }) => (
+  actorKind === 'admin' && !reason?.trim() ? 'A reason is required to cancel a customer\'s booking' : null
+);
+
+export const BOOKING_TRANSITIONS = {
+  confirm: { from: ['pending'], to: 'confirmed', actors: ['admin'], label: 'Confirm' },
+  start: { from: ['confirmed'], to: 'in_progress', actors: ['admin'], guards: [requirePayment], label: 'Start service' },
+  complete: { from: ['in_progress'], to: 'completed', actors: ['admin'], label: 'Complete' },
+  // Cancelling after the truck left carries a fee (utils/cancellationPolicy).
+  cancel: { from: ['pending', 'confirmed', 'in_progress'], to: 'cancelled', actors: ['admin', 'owner'], guards: [requireStaffReason], label: 'Cancel' },
+};
+
+const transitionError = (message, status) => Object.assign(new Error(message), { status });
+
+// 'admin' for staff, 'owner' for the customer who booked, otherwise null.
+export const actorKind = (booking, actor) => {
+  if (!actor) return null;
+  if (ADMIN_ROLES.includes(actor.role)) return 'admin';
+  if (actor.id && actor.id === booking.user_id) return 'owner';
+  return null;
+};
+
+// Checks `event` against the booking and returns { event, from, to }; otherwise throws
+// an error whose `status` is the HTTP status to answer with.
+export const planTransition = (booking, event, actor, { reason } = {}) => {
+  const transition = BOOKING_TRANSITIONS[event];
+  if (!transition) {
+    throw transitionError(`Unknown booking event: ${event}`, 400);
+  }
+  const kind = actorKind(booking, actor);
+  if (!transition.actors.includes(kind)) {
+    throw transitionError(`Not allowed to ${event} this booking`, 403);
+  }
+  if (!transition.from.includes(booking.status)) {
+    throw transitionError(`Cannot ${event} a booking that is ${booking.status}`, 409);
+  }
+  const objection = (transition.guards || []).map((guard) => guard(booking, { actorKind: kind, reason })).find(Boolean);
+  if (objection) {
+    throw transitionError(objection, 409);
+  }
+  return { event, from: booking.status, to: transition.to };
+};
+
+// Events the actor could apply now, for the actions offered in the UI. Guards are
+// left to the server so the UI can explain why an action failed.
+export const availableEvents = (booking, actor) => {
+  const kind = actorKind(booking, actor);
+  return Object.entries(BOOKING_TRANSITIONS)
+    .filter(([, transition]) => transition.from.includes(booking.status) && transition.actors.includes(kind))
+    .map(([event]) => event);
+};
+
+// The event that moves a booking from one status to another, for callers that still
+// send the target status.
+export const eventForStatus = (from, to) => Object.keys(BOOKING_TRANSITIONS)
+  .find((event) => BOOKING_TRANSITIONS[event].to === to && BOOKING_TRANSITIONS[event].from.includes(from)) || null;
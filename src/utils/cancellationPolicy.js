@@ -0,0 +1,46 @@
+import { roundMoney } from './currency';
+
+// Cancelling is free until the truck is dispatched, which happens
+// `dispatchLeadMinutes` before pickup (or earlier, if the service already started).
+// After that the customer pays `feePercent` of the total and is refunded the rest.
+export const DEFAULT_CANCELLATION_POLICY = { feePercent: 25, dispatchLeadMinutes: 60 };
+
+const numberOr = (value, fallback) => (
+  value === undefined || value === null || value === '' || Number.isNaN(Number(value)) ? fallback : Number(value)
+);
+
+// Reads the policy from environment values, keeping the defaults for missing ones.
+export const cancellationPolicyFromEnv = ({ feePercent, dispatchLeadMinutes } = {}) => ({
+  feePercent: numberOr(feePercent, DEFAULT_CANCELLATION_POLICY.feePercent),
+  dispatchLeadMinutes: numberOr(dispatchLeadMinutes, DEFAULT_CANCELLATION_POLICY.dispatchLeadMinutes),
+});
+
+export const dispatchTime = (booking, policy = DEFAULT_CANCELLATION_POLICY) => (
+  new Date(new Date(booking.pickup_datetime).getTime() - policy.dispatchLeadMinutes * 60 * 1000)
+);
+
+// What cancelling `booking` at `now` costs. Only paid bookings get a refund; the fee
+// is waived when the company cancels.
+export const cancellationTerms = (booking, { policy = DEFAULT_CANCELLATION_POLICY, now = new Date(), waiveFee = false } = {}) => {
+  const freeUntil = dispatchTime(booking, policy);
+  const isDispatched = booking.status === 'in_progress' || now >= freeUntil;
+  const total = Number(booking.total_cost);
+  const fee = isDispatched && !waiveFee ? roundMoney((total * policy.feePercent) / 100, booking.currency) : 0;
+
+  return {
+    isDispatched,
+    freeUntil: freeUntil.toISOString(),
+    fee,
+    refund: booking.payment_status === 'paid' ? roundMoney(total - fee, booking.currency) : 0,
+    currency: booking.currency,
+  };
+};
+
+// Terms for a booking paid online, from what its payment captured rather than the
+// booking's total: the fee is a share of the captured amount, and the refund is capped
+// at what earlier refunds left of it.
+export const paidCancellationTerms = (booking, { captured, refunded = 0, ...options }) => {
+  const terms = cancellationTerms({ ...booking, total_cost: captured, payment_status: 'paid' }, options);
+  const refundable = Math.max(0, roundMoney(captured - refunded, booking.currency));
+  return { ...terms, refund: Math.min(terms.refund, refundable) };
+};
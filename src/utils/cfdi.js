@@ -0,0 +1,185 @@
+// Builds CFDI 4.0 invoice documents (Anexo 20) for paid bookings. The XML is left
+// unsigned and unstamped: a PAC (see ./pac.js) adds the Timbre Fiscal Digital.
+import { COMPANY_TIME_ZONE } from './surcharges';
+import { IVA } from './taxes';
+
+export const CFDI_NAMESPACE = 'http://www.sat.gob.mx/cfd/4';
+
+export const fiscalRegimes = {
+  601: 'General de Ley Personas Morales',
+  603: 'Personas Morales con Fines no Lucrativos',
+  605: 'Sueldos y Salarios e Ingresos Asimilados a Salarios',
+  606: 'Arrendamiento',
+  608: 'Demás ingresos',
+  612: 'Personas Físicas con Actividades Empresariales y Profesionales',
+  616: 'Sin obligaciones fiscales',
+  621: 'Incorporación Fiscal',
+  625: 'Régimen de las Actividades Empresariales con ingresos a través de Plataformas Tecnológicas',
+  626: 'Régimen Simplificado de Confianza',
+};
+
+export const cfdiUses = {
+  G01: 'Adquisición de mercancías',
+  G03: 'Gastos en general',
+  I08: 'Otra maquinaria y equipo',
+  S01: 'Sin efectos fiscales',
+  CP01: 'Pagos',
+};
+
+// Generic RFC used when the customer does not need a personal invoice.
+export const GENERIC_RFC = 'XAXX010101000';
+
+// Default SAT product/service key and "unidad de servicio" unit key for the concept;
+// the product key can be overridden per issuer.
+export const TOWING_PRODUCT_CODE = '78181500';
+export const SERVICE_UNIT_CODE = 'E48';
+// SAT key of the tolls (cuotas de peaje) concept; can be overridden per issuer.
+export const TOLL_PRODUCT_CODE = '78111807';
+
+const rfcPattern = /^([A-ZÑ&]{3,4})(\d{6})([A-Z\d]{3})$/;
+
+export const validateFiscalData = (fiscalData = {}) => {
+  const errors = {};
+  const rfc = String(fiscalData.rfc || '').trim().toUpperCase();
+
+  if (!rfcPattern.test(rfc)) errors.rfc = 'RFC inválido';
+  if (!String(fiscalData.name || '').trim()) errors.name = 'La razón social es requerida';
+  if (!fiscalRegimes[fiscalData.fiscalRegime]) errors.fiscalRegime = 'Régimen fiscal inválido';
+  if (!cfdiUses[fiscalData.cfdiUse]) errors.cfdiUse = 'Uso de CFDI inválido';
+  if (!/^\d{5}$/.test(String(fiscalData.postalCode || ''))) errors.postalCode = 'El código postal debe tener 5 dígitos';
+
+  return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+// Régimen societario at the end of a company name: S.A. DE C.V., SAPI DE CV,
+// S. DE R.L. DE C.V., S.A.S., S.C., A.C. and the like, with or without dots.
+const COMPANY_REGIME_SUFFIX = /,?\s+(?:S\.?\s?A\.?(?:\s?(?:P\.?\s?I|B|S)\.?)?|S\.?\s?DE\s+R\.?\s?L\.?|S\.?\s?C|A\.?\s?C)\.?(?:\s+DE\s+C\.?\s?V\.?)?$/;
+
+// Personas morales have a 12-character RFC; only their names carry a régimen societario.
+const isCompanyRfc = (rfc) => rfc.length === 12;
+
+// CFDI 4.0 validates the receptor against the SAT registry: the name must match the
+// Constancia de Situación Fiscal, in upper case and without the régimen societario.
+export const normalizeFiscalData = (fiscalData) => {
+  const rfc = String(fiscalData.rfc).trim().toUpperCase();
+  const name = String(fiscalData.name).trim().toUpperCase().replace(/\s+/g, ' ');
+  return {
+    rfc,
+    name: isCompanyRfc(rfc) ? name.replace(COMPANY_REGIME_SUFFIX, '') : name,
+    fiscalRegime: String(fiscalData.fiscalRegime),
+    cfdiUse: fiscalData.cfdiUse,
+    postalCode: String(fiscalData.postalCode),
+  };
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const attributes = (values) => Object.entries(values)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([key, value]) => `${key}="${escapeXml(value)}"`)
+  .join(' ');
+
+const money = (amount) => Number(amount).toFixed(2);
+
+// Fecha is expressed in the issuer's local time without an offset.
+export const formatCfdiDate = (date, timeZone = COMPANY_TIME_ZONE) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+};
+
+// `exchangeRate` is the TipoCambio (pesos per unit of Moneda), required for non-MXN invoices.
+export const buildCfdiXml = ({ booking, fiscalData, issuer, series = 'GR', folio, issuedAt = new Date(), paymentForm = '04', exchangeRate }) => {
+  const breakdown = booking.price_breakdown;
+  const receptor = normalizeFiscalData(fiscalData);
+  const subtotal = breakdown.subtotal;
+  const discount = breakdown.discountTotal;
+  // Tolls are reimbursed at cost in their own concept, outside the IVA base.
+  const tollCharge = breakdown.tollCharge || 0;
+  const serviceAmount = subtotal - tollCharge;
+  const taxBase = serviceAmount - discount;
+  const ivaAmount = breakdown.taxes.filter((tax) => tax.code === IVA.code).reduce((sum, tax) => sum + tax.amount, 0);
+  const transfer = attributes({
+    Base: money(taxBase),
+    Impuesto: IVA.satCode,
+    TipoFactor: 'Tasa',
+    TasaOCuota: IVA.rate.toFixed(6),
+    Importe: money(ivaAmount),
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<cfdi:Comprobante ${attributes({
+      'xmlns:cfdi': CFDI_NAMESPACE,
+      'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+      'xsi:schemaLocation': `${CFDI_NAMESPACE} http://www.sat.gob.mx/sitio_internet/cfd/4/cfdv40.xsd`,
+      Version: '4.0',
+      Serie: series,
+      Folio: folio,
+      Fecha: formatCfdiDate(issuedAt),
+      FormaPago: paymentForm,
+      SubTotal: money(subtotal),
+      Descuento: discount > 0 ? money(discount) : undefined,
+      Moneda: breakdown.currency,
+      TipoCambio: breakdown.currency === 'MXN' ? undefined : Number(exchangeRate).toFixed(6),
+      Total: money(breakdown.total),
+      TipoDeComprobante: 'I',
+      Exportacion: '01',
+      MetodoPago: 'PUE',
+      LugarExpedicion: issuer.postalCode,
+    })}>`,
+    `  <cfdi:Emisor ${attributes({ Rfc: issuer.rfc, Nombre: issuer.name, RegimenFiscal: issuer.fiscalRegime })}/>`,
+    `  <cfdi:Receptor ${attributes({
+      Rfc: receptor.rfc,
+      Nombre: receptor.name,
+      DomicilioFiscalReceptor: receptor.postalCode,
+      RegimenFiscalReceptor: receptor.fiscalRegime,
+      UsoCFDI: receptor.cfdiUse,
+    })}/>`,
+    '  <cfdi:Conceptos>',
+    `    <cfdi:Concepto ${attributes({
+      ClaveProdServ: issuer.productCode || TOWING_PRODUCT_CODE,
+      NoIdentificacion: booking.id,
+      Cantidad: '1',
+      ClaveUnidad: SERVICE_UNIT_CODE,
+      Unidad: 'Servicio',
+      Descripcion: `Servicio de grúa: ${booking.pickup_location} - ${booking.dropoff_location}`,
+      ValorUnitario: money(serviceAmount),
+      Importe: money(serviceAmount),
+      Descuento: discount > 0 ? money(discount) : undefined,
+      ObjetoImp: '02',
+    })}>`,
+    '      <cfdi:Impuestos>',
+    `        <cfdi:Traslados><cfdi:Traslado ${transfer}/></cfdi:Traslados>`,
+    '      </cfdi:Impuestos>',
+    '    </cfdi:Concepto>',
+    ...(tollCharge > 0 ? [`    <cfdi:Concepto ${attributes({
+      ClaveProdServ: issuer.tollProductCode || TOLL_PRODUCT_CODE,
+      Cantidad: '1',
+      ClaveUnidad: SERVICE_UNIT_CODE,
+      Unidad: 'Servicio',
+      Descripcion: 'Casetas de peaje (reembolso al costo)',
+      ValorUnitario: money(tollCharge),
+      Importe: money(tollCharge),
+      ObjetoImp: '01',
+    })}/>`] : []),
+    '  </cfdi:Conceptos>',
+    `  <cfdi:Impuestos TotalImpuestosTrasladados="${money(ivaAmount)}">`,
+    `    <cfdi:Traslados><cfdi:Traslado ${transfer}/></cfdi:Traslados>`,
+    '  </cfdi:Impuestos>',
+    '</cfdi:Comprobante>',
+  ].join('\n');
+};
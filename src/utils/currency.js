@@ -0,0 +1,60 @@
+// Currencies a quote can be priced in. Tariffs are stored in the currency of their
+// service row and converted with the rates admins maintain in `exchange_rates`.
+export const SUPPORTED_CURRENCIES = ['MXN', 'USD'];
+export const DEFAULT_CURRENCY = 'MXN';
+
+const currencyDecimals = {
+  MXN: 2,
+  USD: 2,
+};
+
+export const isSupportedCurrency = (currency) => SUPPORTED_CURRENCIES.includes(currency);
+
+// Every line item is rounded to the currency's minor unit before it is added up,
+// so the items shown to the customer always sum exactly to the total.
+export const roundMoney = (amount, currency = DEFAULT_CURRENCY) => {
+  const factor = 10 ** (currencyDecimals[currency] ?? 2);
+  return Math.round((amount + Number.EPSILON) * factor) / factor;
+};
+
+// Stripe expects amounts as integers in the currency's smallest unit.
+export const toMinorUnits = (amount, currency = DEFAULT_CURRENCY) => Math.round(amount * 10 ** (currencyDecimals[currency] ?? 2));
+
+export const fromMinorUnits = (amount, currency = DEFAULT_CURRENCY) => roundMoney(amount / 10 ** (currencyDecimals[currency] ?? 2), currency);
+
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY) => new Intl.NumberFormat('es-MX', {
+  style: 'currency',
+  currency,
+  currencyDisplay: 'narrowSymbol',
+}).format(amount);
+
+// A row says 1 `base_currency` = `rate` `quote_currency`. The most recent row that
+// is already in effect wins; a row for the opposite direction is used inverted. A
+// missing rate is the customer's to work around, so it is a 422 rather than a 500.
+export const getExchangeRate = (rates = [], from, to, at = new Date()) => {
+  if (from === to) return 1;
+
+  const latest = (base, quote) => rates
+    .filter((row) => row.base_currency === base && row.quote_currency === quote && new Date(row.effective_at) <= at)
+    .sort((a, b) => new Date(b.effective_at) - new Date(a.effective_at))[0];
+
+  const direct = latest(from, to);
+  if (direct) return Number(direct.rate);
+  const inverse = latest(to, from);
+  if (inverse) return 1 / Number(inverse.rate);
+
+  throw Object.assign(
+    new Error(`No exchange rate found from ${from} to ${to}, please choose another currency`),
+    { status: 422 },
+  );
+};
+
+export const loadExchangeRates = async (client) => {
+  const { data, error } = await client
+    .from('exchange_rates')
+    .select('base_currency, quote_currency, rate, effective_at')
+    .order('effective_at', { ascending: false });
+
+  if (error) throw new Error(error.message);
+  return data;
+};
@@ -0,0 +1,59 @@
+// Depots (yards) the trucks are dispatched from. A quote is routed from the
+// nearest depot that is active, covers the pickup within its service radius (or,
+// once drawn, its service areas), has the needed truck type and is open at the
+// pickup time. Opening hours are evaluated in the company timezone, like surcharges.
+import { greatCircleDistanceKm } from './geo';
+import { COMPANY_TIME_ZONE, getLocalDateParts, isWithinHours } from './surcharges';
+import { findServiceArea } from './serviceAreas';
+
+// Where maps are centered before a depot has been chosen.
+export const DEFAULT_MAP_CENTER = [26.509672, -100.0095504];
+
+export const depotLocation = (depot) => [Number(depot.latitude), Number(depot.longitude)];
+
+export const isDepotOpen = (depot, at = new Date(), timeZone = COMPANY_TIME_ZONE) => {
+  const { hour, weekday } = getLocalDateParts(new Date(at), timeZone);
+  if (Array.isArray(depot.weekdays) && depot.weekdays.length > 0 && !depot.weekdays.includes(weekday)) return false;
+  return isWithinHours(hour, depot.open_hour, depot.close_hour);
+};
+
+// Each depot is annotated with its straight-line distance to the pickup and the
+// reasons it cannot take the job; an eligible depot has none. A depot with service
+// areas must have the pickup inside one of them.
+export const rankDepots = (depots = [], {
+  pickup,
+  towTruckType,
+  serviceAreas = [],
+  at = new Date(),
+  timeZone = COMPANY_TIME_ZONE,
+}) => depots
+  .map((depot) => {
+    const distance = greatCircleDistanceKm(depotLocation(depot), pickup);
+    const depotAreas = serviceAreas.filter((area) => area.depot_id === depot.id);
+    const reasons = [];
+    if (depot.is_active === false) reasons.push('inactive');
+    if (depot.service_radius_km !== null && depot.service_radius_km !== undefined && distance > Number(depot.service_radius_km)) reasons.push('out_of_radius');
+    if (depotAreas.length > 0 && !findServiceArea(depotAreas, pickup)) reasons.push('outside_service_area');
+    if (towTruckType && !(depot.truck_types || []).includes(towTruckType)) reasons.push('no_truck_type');
+    if (!isDepotOpen(depot, at, timeZone)) reasons.push('closed');
+    return { depot, distance: Number(distance.toFixed(2)), reasons };
+  })
+  .sort((a, b) => a.distance - b.distance);
+
+// Why a depot does not cover the pickup, as opposed to being unable to take the job.
+export const OUT_OF_COVERAGE_REASONS = ['out_of_radius', 'outside_service_area'];
+
+// `ignoreReasons` relaxes the checks, e.g. with OUT_OF_COVERAGE_REASONS to estimate a
+// manual quote for a pickup outside coverage from the nearest open depot.
+export const selectDepot = (depots = [], { ignoreReasons = [], ...options }) => rankDepots(depots, options)
+  .find(({ reasons }) => reasons.every((reason) => ignoreReasons.includes(reason)))?.depot || null;
+
+export const loadDepots = async (client) => {
+  const { data, error } = await client
+    .from('depots')
+    .select('*')
+    .eq('is_active', true);
+
+  if (error) throw new Error(error.message);
+  return data;
+};
@@ -0,0 +1,64 @@
+// Bookings the customer finished without signal. Each draft keeps what is needed to
+// request a fresh quote and submit the booking once the connection returns; the
+// price shown offline was only an estimate, so the draft never carries a quote.
+export const DRAFT_QUEUE_KEY = 'bookingDraftQueue';
+// A draft the server keeps rejecting (e.g. the pickup time has passed) is dropped
+// after this many attempts instead of being retried forever.
+export const MAX_DRAFT_ATTEMPTS = 5;
+
+export const createDraftQueue = (storage, key = DRAFT_QUEUE_KEY) => {
+  let isFlushing = false;
+
+  const list = () => {
+    try {
+      return JSON.parse(storage.getItem(key)) || [];
+    } catch (error) {
+      return [];
+    }
+  };
+  const write = (drafts) => storage.setItem(key, JSON.stringify(drafts));
+  const update = (id, changes) => write(list().map((draft) => (draft.id === id ? { ...draft, ...changes } : draft)));
+  const remove = (id) => write(list().filter((draft) => draft.id !== id));
+
+  const enqueue = (draft, now = new Date()) => {
+    const entry = { ...draft, id: `${now.getTime()}-${Math.random().toString(36).slice(2, 8)}`, queuedAt: now.toISOString(), attempts: 0 };
+    write([...list(), entry]);
+    return entry;
+  };
+
+  // Submits the drafts one at a time, oldest first. Submitted drafts leave the queue,
+  // unless `keep` is set (e.g. while they wait for the customer to confirm them);
+  // failed ones stay for the next flush until they run out of attempts.
+  const flush = async (submit, { keep = false } = {}) => {
+    const outcome = { submitted: [], failed: [], dropped: [] };
+    if (isFlushing) return outcome;
+    isFlushing = true;
+    try {
+      for (const draft of list()) {
+        try {
+          const result = await submit(draft);
+          if (keep) {
+            update(draft.id, { attempts: 0, lastError: undefined });
+          } else {
+            remove(draft.id);
+          }
+          outcome.submitted.push({ draft, result });
+        } catch (error) {
+          const attempts = draft.attempts + 1;
+          if (attempts >= MAX_DRAFT_ATTEMPTS) {
+            remove(draft.id);
+            outcome.dropped.push({ draft, error });
+          } else {
+            update(draft.id, { attempts, lastError: error.message });
+            outcome.failed.push({ draft, error });
+          }
+        }
+      }
+    } finally {
+      isFlushing = false;
+    }
+    return outcome;
+  };
+
+  return { list, enqueue, remove, flush };
+};
@@ -0,0 +1,95 @@
+// Declarative rules that turn the vehicle and the condition it is in into the
+// truck types allowed to tow it, the equipment the driver must bring and extra
+// charges. Rules come from the `eligibility_rules` table; `conditions` maps a fact
+// name to the value it must have:
+//
+//   { "drivetrain": ["awd", "4wd"] }      any of the listed values
+//   { "in_neutral": false }               exactly this value
+//   { "curb_weight_kg": { "min": 2000 } } numeric range, bounds inclusive
+//
+// A rule matches when all of its conditions do; a rule without conditions always
+// matches. Every matching rule adds an explanation the customer is shown.
+import { truckClasses, truckTypesForWeight } from './towTruckSelection';
+
+export const EQUIPMENT = ['dollies', 'winch', 'skates'];
+
+// Facts are named after the booking columns so rules read like the data they test.
+export const buildEligibilityFacts = (vehicle, condition = {}) => ({
+  drivetrain: vehicle?.drivetrain ?? null,
+  is_electric: vehicle ? Boolean(vehicle.is_electric) : null,
+  curb_weight_kg: vehicle?.curb_weight_kg ?? null,
+  size_class: vehicle?.size_class ?? null,
+  in_neutral: condition.inNeutral,
+  engine_starts: condition.engineStarts,
+  wheels_steer: condition.wheelsSteer,
+  is_lowered: condition.isLowered,
+  vehicle_position: condition.vehiclePosition,
+});
+
+const matchesCondition = (expected, actual) => {
+  if (Array.isArray(expected)) return expected.includes(actual);
+  if (expected !== null && typeof expected === 'object') {
+    if (actual === null || actual === undefined) return false;
+    return (expected.min === undefined || Number(actual) >= expected.min)
+      && (expected.max === undefined || Number(actual) <= expected.max);
+  }
+  return expected === actual;
+};
+
+export const matchesEligibilityRule = (rule, facts) => {
+  if (rule.is_active === false) return false;
+  return Object.entries(rule.conditions || {}).every(([fact, expected]) => matchesCondition(expected, facts[fact]));
+};
+
+const unique = (values) => [...new Set(values)];
+
+// Each explanation lists the truck types its rule took out of the allowed set.
+// Charges are flat amounts in the company currency; the pricing engine converts them.
+export const evaluateEligibility = (rules = [], facts) => {
+  const capacityTypes = truckTypesForWeight(facts.curb_weight_kg);
+  const explanations = capacityTypes.length < Object.keys(truckClasses).length
+    ? [{
+      ruleId: null,
+      message: `Por su peso (${facts.curb_weight_kg} kg) el vehículo requiere grúa tipo ${capacityTypes.join(' o ')}`,
+      excludes: Object.keys(truckClasses).filter((type) => !capacityTypes.includes(type)),
+    }]
+    : [];
+
+  const matched = rules
+    .filter((rule) => matchesEligibilityRule(rule, facts))
+    .sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0));
+
+  return matched.reduce((acc, rule) => {
+    const allowed = Array.isArray(rule.allowed_truck_types) && rule.allowed_truck_types.length > 0
+      ? acc.allowedTruckTypes.filter((type) => rule.allowed_truck_types.includes(type))
+      : acc.allowedTruckTypes;
+    const charge = Number(rule.charge_amount || 0);
+
+    return {
+      allowedTruckTypes: allowed,
+      equipment: unique([...acc.equipment, ...(rule.required_equipment || [])]),
+      charges: charge > 0 ? [...acc.charges, { id: rule.id, label: rule.name, amount: charge }] : acc.charges,
+      explanations: [...acc.explanations, {
+        ruleId: rule.id,
+        message: rule.message || rule.name,
+        excludes: acc.allowedTruckTypes.filter((type) => !allowed.includes(type)),
+      }],
+    };
+  }, { allowedTruckTypes: capacityTypes, equipment: [], charges: [], explanations });
+};
+
+// Why a truck type is not offered, for the option the customer cannot pick.
+export const explainExclusion = (eligibility, towTruckType) => (eligibility?.explanations || [])
+  .filter((explanation) => explanation.excludes.includes(towTruckType))
+  .map((explanation) => explanation.message);
+
+export const loadEligibilityRules = async (client) => {
+  const { data, error } = await client
+    .from('eligibility_rules')
+    .select('*')
+    .eq('is_active', true)
+    .order('priority');
+
+  if (error) throw new Error(error.message);
+  return data;
+};
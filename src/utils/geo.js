@@ -0,0 +1,78 @@
+// Geometry helpers for points given as [lat, lng] in degrees.
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle (haversine) distance between two points, in kilometers.
+export const greatCircleDistanceKm = ([lat1, lng1], [lat2, lng2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Decodes a polyline in Google's encoded polyline format (precision 5) to [lat, lng] points.
+export const decodePolyline = (encoded) => {
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += nextValue();
+    lng += nextValue();
+    points.push([lat / 1e5, lng / 1e5]);
+  }
+  return points;
+};
+
+// Encodes [lat, lng] points in Google's encoded polyline format (precision 5).
+export const encodePolyline = (points) => {
+  let previousLat = 0;
+  let previousLng = 0;
+
+  const encodeValue = (value) => {
+    let remaining = value < 0 ? ~(value << 1) : value << 1;
+    let encoded = '';
+    while (remaining >= 0x20) {
+      encoded += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+      remaining >>= 5;
+    }
+    return encoded + String.fromCharCode(remaining + 63);
+  };
+
+  return points.map(([lat, lng]) => {
+    const roundedLat = Math.round(lat * 1e5);
+    const roundedLng = Math.round(lng * 1e5);
+    const encoded = encodeValue(roundedLat - previousLat) + encodeValue(roundedLng - previousLng);
+    previousLat = roundedLat;
+    previousLng = roundedLng;
+    return encoded;
+  }).join('');
+};
+
+// Distance from a point to the segment between `start` and `end`, in kilometers.
+// Uses an equirectangular projection, accurate enough for segments of a few km.
+export const distanceToSegmentKm = (point, start, end) => {
+  const scale = Math.cos(toRadians((start[0] + end[0]) / 2));
+  const project = ([lat, lng]) => [lng * scale, lat];
+  const [px, py] = project(point);
+  const [ax, ay] = project(start);
+  const [bx, by] = project(end);
+  const lengthSquared = (bx - ax) ** 2 + (by - ay) ** 2;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * (bx - ax) + (py - ay) * (by - ay)) / lengthSquared));
+  return greatCircleDistanceKm(point, [start[0] + t * (end[0] - start[0]), start[1] + t * (end[1] - start[1])]);
+};
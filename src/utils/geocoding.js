@@ -0,0 +1,263 @@
+// Geocoding providers. Every provider exposes `reverse(lat, lng)`, resolving to an
+// address or null, and `search(query, { limit })`, resolving to a list of addresses.
+// Addresses carry the Mexican fields separately (calle, numero, colonia, municipio,
+// estado, cp) plus `label`, the formatted one-line address, and `lat`/`lng`.
+import { greatCircleDistanceKm } from './geo';
+
+export const DEFAULT_GEOCODING_PROVIDER = 'nominatim';
+
+// Coordinates are rounded to 4 decimals (about 11 m) for the reverse lookup cache,
+// so dragging a marker a few pixels does not trigger a new request.
+export const DEFAULT_CACHE_PRECISION = 4;
+
+// Nominatim's usage policy allows at most one request per second.
+const NOMINATIM_MIN_INTERVAL_MS = 1000;
+
+const clean = (value) => {
+  const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+  return text || null;
+};
+
+// Postal codes are five digits; OSM data often has them without a leading zero.
+export const normalizePostalCode = (value) => {
+  const digits = String(value ?? '').replace(/\D/g, '');
+  return digits.length >= 4 && digits.length <= 5 ? digits.padStart(5, '0') : null;
+};
+
+const stripColoniaPrefix = (value) => clean(value)?.replace(/^(col\.?|colonia)\s+/i, '') || null;
+
+// "Av. Constitución 123, Col. Centro, C.P. 64000, Monterrey, Nuevo León"
+export const formatMexicanAddress = ({ calle, numero, colonia, cp, municipio, estado }) => [
+  [calle, numero].filter(Boolean).join(' '),
+  colonia && `Col. ${colonia}`,
+  cp && `C.P. ${cp}`,
+  municipio,
+  estado,
+].filter(Boolean).join(', ');
+
+export const toAddress = (fields, { lat, lng, label } = {}) => {
+  const address = {
+    calle: clean(fields.calle),
+    numero: clean(fields.numero),
+    colonia: stripColoniaPrefix(fields.colonia),
+    municipio: clean(fields.municipio),
+    estado: clean(fields.estado),
+    cp: normalizePostalCode(fields.cp),
+  };
+  return {
+    ...address,
+    label: formatMexicanAddress(address) || clean(label) || '',
+    lat: Number(lat),
+    lng: Number(lng),
+  };
+};
+
+// `result` is a Nominatim result requested with addressdetails=1.
+export const addressFromNominatim = (result) => {
+  const details = result.address || {};
+  return toAddress({
+    calle: details.road || details.pedestrian,
+    numero: details.house_number,
+    colonia: details.neighbourhood || details.suburb || details.quarter || details.residential,
+    municipio: details.city || details.town || details.village || details.municipality || details.county,
+    estado: details.state,
+    cp: details.postcode,
+  }, { lat: result.lat, lng: result.lon, label: result.display_name });
+};
+
+// `result` is a Geocoding web service result, or a google.maps.GeocoderResult
+// whose location is a LatLng.
+export const addressFromGoogle = (result) => {
+  const component = (...types) => result.address_components
+    .find((item) => types.some((type) => item.types.includes(type)))?.long_name;
+  const { location } = result.geometry;
+  return toAddress({
+    calle: component('route'),
+    numero: component('street_number'),
+    colonia: component('sublocality_level_1', 'sublocality', 'neighborhood'),
+    municipio: component('locality', 'administrative_area_level_2'),
+    estado: component('administrative_area_level_1'),
+    cp: component('postal_code'),
+  }, {
+    lat: typeof location.lat === 'function' ? location.lat() : location.lat,
+    lng: typeof location.lng === 'function' ? location.lng() : location.lng,
+    label: result.formatted_address,
+  });
+};
+
+// Browsers do not let scripts set User-Agent; there the Referer identifies the app.
+export const createNominatimGeocoder = ({
+  baseUrl = 'https://nominatim.openstreetmap.org',
+  userAgent = 'grua-booking-system',
+  email,
+  fetch = globalThis.fetch,
+} = {}) => {
+  const request = async (path, params) => {
+    const query = new URLSearchParams({ format: 'jsonv2', addressdetails: '1', 'accept-language': 'es', ...params });
+    if (email) query.set('email', email);
+    const response = await fetch(`${baseUrl}/${path}?${query}`, { headers: { 'User-Agent': userAgent } });
+    if (!response.ok) throw new Error('Unable to fetch address');
+    return response.json();
+  };
+
+  return {
+    name: 'nominatim',
+    minIntervalMs: NOMINATIM_MIN_INTERVAL_MS,
+    reverse: async (lat, lng) => {
+      const result = await request('reverse', { lat: String(lat), lon: String(lng) });
+      return result && !result.error ? addressFromNominatim(result) : null;
+    },
+    search: async (query, { limit = 5 } = {}) => {
+      const results = await request('search', { q: query, countrycodes: 'mx', limit: String(limit) });
+      return results.map(addressFromNominatim);
+    },
+  };
+};
+
+// In the browser the Maps JavaScript API is used when it is loaded; otherwise the
+// Geocoding web service is called with `apiKey`.
+export const createGoogleGeocoder = ({ apiKey, fetch = globalThis.fetch } = {}) => {
+  const geocode = async (request, params) => {
+    const maps = globalThis.google?.maps;
+    if (maps?.Geocoder) {
+      const { results } = await new maps.Geocoder().geocode({ ...request, region: 'mx', language: 'es' });
+      return results;
+    }
+
+    if (!apiKey) throw new Error('Google geocoding requires an API key');
+    const query = new URLSearchParams({ ...params, region: 'mx', language: 'es', key: apiKey });
+    const response = await fetch(`https://maps.googleapis.com/maps/api/geocode/json?${query}`);
+    if (!response.ok) throw new Error('Unable to fetch address');
+    const data = await response.json();
+    if (data.status === 'ZERO_RESULTS') return [];
+    if (data.status !== 'OK') throw new Error(`Geocoding failed: ${data.status}`);
+    return data.results;
+  };
+
+  return {
+    name: 'google',
+    minIntervalMs: 0,
+    reverse: async (lat, lng) => {
+      const [result] = await geocode({ location: { lat, lng } }, { latlng: `${lat},${lng}` });
+      return result ? addressFromGoogle(result) : null;
+    },
+    search: async (query, { limit = 5 } = {}) => {
+      const results = await geocode({ address: query, componentRestrictions: { country: 'mx' } }, { address: query, components: 'country:MX' });
+      return results.slice(0, limit).map(addressFromGoogle);
+    },
+  };
+};
+
+const foldText = (value) => String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+export const FIXTURE_PLACES = [
+  { calle: 'Calle Zaragoza', numero: '100', colonia: 'Centro', municipio: 'Sabinas Hidalgo', estado: 'Nuevo León', cp: '65200', lat: 26.509672, lng: -100.0095504 },
+  { calle: 'Avenida Constitución', numero: '400', colonia: 'Centro', municipio: 'Monterrey', estado: 'Nuevo León', cp: '64000', lat: 25.6695, lng: -100.3099 },
+  { calle: 'Avenida Vasconcelos', numero: '150', colonia: 'Del Valle', municipio: 'San Pedro Garza García', estado: 'Nuevo León', cp: '66220', lat: 25.6571, lng: -100.3641 },
+  { calle: 'Boulevard Venustiano Carranza', numero: '2500', colonia: 'República', municipio: 'Saltillo', estado: 'Coahuila', cp: '25280', lat: 25.4450, lng: -100.9978 },
+  { calle: 'Avenida Guerrero', numero: '2200', colonia: 'Centro', municipio: 'Nuevo Laredo', estado: 'Tamaulipas', cp: '88000', lat: 27.4861, lng: -99.5069 },
+];
+
+// Local stand-in for development and tests: reverse lookups return the nearest
+// fixture place and searches match the formatted address, ignoring accents.
+export const createFixtureGeocoder = ({ places = FIXTURE_PLACES, maxDistanceKm = 50 } = {}) => {
+  const addresses = places.map((place) => toAddress(place, place));
+
+  return {
+    name: 'fixture',
+    minIntervalMs: 0,
+    reverse: async (lat, lng) => {
+      const nearest = addresses
+        .map((address) => ({ address, distance: greatCircleDistanceKm([lat, lng], [address.lat, address.lng]) }))
+        .sort((a, b) => a.distance - b.distance)[0];
+      return nearest && nearest.distance <= maxDistanceKm ? nearest.address : null;
+    },
+    search: async (query, { limit = 5 } = {}) => {
+      const terms = foldText(query).split(/[\s,]+/).filter(Boolean);
+      return addresses
+        .filter((address) => terms.every((term) => foldText(address.label).includes(term)))
+        .slice(0, limit);
+    },
+  };
+};
+
+export const reverseCacheKey = (lat, lng, precision = DEFAULT_CACHE_PRECISION) => (
+  `${Number(lat).toFixed(precision)},${Number(lng).toFixed(precision)}`
+);
+
+// Runs tasks one at a time, starting each at least `minIntervalMs` after the previous one.
+export const createThrottle = ({
+  minIntervalMs,
+  now = Date.now,
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+}) => {
+  let queue = Promise.resolve();
+  let lastStartedAt = -Infinity;
+
+  return (task) => {
+    const run = queue.then(async () => {
+      const wait = lastStartedAt + minIntervalMs - now();
+      if (wait > 0) await sleep(wait);
+      lastStartedAt = now();
+      return task();
+    });
+    queue = run.catch(() => {});
+    return run;
+  };
+};
+
+// Caches lookups (reverse ones by rounded coordinates, searches by normalized text),
+// shares in-flight requests and throttles the ones that reach the provider.
+export const withCacheAndThrottle = (geocoder, {
+  precision = DEFAULT_CACHE_PRECISION,
+  maxEntries = 500,
+  minIntervalMs = geocoder.minIntervalMs || 0,
+  now,
+  sleep,
+} = {}) => {
+  const cache = new Map();
+  const throttle = createThrottle({ minIntervalMs, now, sleep });
+
+  const cached = (key, lookup) => {
+    if (cache.has(key)) {
+      const entry = cache.get(key);
+      cache.delete(key);
+      cache.set(key, entry);
+      return entry;
+    }
+    const entry = throttle(lookup);
+    cache.set(key, entry);
+    entry.catch(() => cache.delete(key));
+    if (cache.size > maxEntries) cache.delete(cache.keys().next().value);
+    return entry;
+  };
+
+  return {
+    name: geocoder.name,
+    reverse: (lat, lng) => cached(`reverse:${reverseCacheKey(lat, lng, precision)}`, () => geocoder.reverse(lat, lng)),
+    // A search whose `signal` is aborted while it waits for the throttle is dropped
+    // instead of sent, so typing does not queue a request per keystroke.
+    search: (query, { signal, ...options } = {}) => {
+      const text = clean(query);
+      if (!text) return Promise.resolve([]);
+      return cached(`search:${foldText(text)}:${options.limit || ''}`, () => {
+        signal?.throwIfAborted();
+        return geocoder.search(text, options);
+      });
+    },
+  };
+};
+
+const providers = {
+  nominatim: createNominatimGeocoder,
+  google: createGoogleGeocoder,
+  fixture: createFixtureGeocoder,
+};
+
+export const createGeocoder = (provider = DEFAULT_GEOCODING_PROVIDER, options = {}) => {
+  const factory = providers[provider];
+  if (!factory) {
+    throw new Error(`Unknown geocoding provider: ${provider}`);
+  }
+  return withCacheAndThrottle(factory(options), options);
+};
@@ -0,0 +1,37 @@
+// PAC (Proveedor Autorizado de Certificación) clients. Every provider exposes
+// `stamp(xml)` resolving to { uuid, stampedAt, xml } with the stamped document.
+import { v4 as uuidv4 } from 'uuid';
+import { formatCfdiDate } from './cfdi';
+
+// Local stand-in for development and tests: it adds a Timbre Fiscal Digital with a
+// random folio fiscal but no real SAT seal, so its output is not a valid invoice.
+export const createStubPac = ({ rfcProvCertif = 'SPR190613I52' } = {}) => ({
+  name: 'stub',
+  stamp: async (xml) => {
+    const uuid = uuidv4().toUpperCase();
+    const stampedAt = new Date();
+    const timbre = [
+      '  <cfdi:Complemento>',
+      `    <tfd:TimbreFiscalDigital xmlns:tfd="http://www.sat.gob.mx/TimbreFiscalDigital" Version="1.1" UUID="${uuid}" FechaTimbrado="${formatCfdiDate(stampedAt)}" RfcProvCertif="${rfcProvCertif}" SelloCFD="STUB" NoCertificadoSAT="00000000000000000000" SelloSAT="STUB"/>`,
+      '  </cfdi:Complemento>',
+    ].join('\n');
+
+    return {
+      uuid,
+      stampedAt: stampedAt.toISOString(),
+      xml: xml.replace('</cfdi:Comprobante>', `${timbre}\n</cfdi:Comprobante>`),
+    };
+  },
+});
+
+const providers = {
+  stub: createStubPac,
+};
+
+export const createPac = (provider = 'stub', options = {}) => {
+  const factory = providers[provider];
+  if (!factory) {
+    throw new Error(`Unknown PAC provider: ${provider}`);
+  }
+  return factory(options);
+};
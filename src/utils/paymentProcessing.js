@@ -1,14 +1,15 @@
 import axios from 'axios';
+import { authHeaders } from './bookingApi';
 
-export const processPayment = async (amount, paymentMethodId) => {
+export const processPayment = async (quoteId, paymentMethodId) => {
   try {
     const response = await axios.post('/api/process-payment', {
-      amount: Math.round(amount * 100), // Convert to cents
-      payment_method_id: paymentMethodId,
-    });
+      quoteId,
+      paymentMethodId,
+    }, { headers: await authHeaders() });
 
     if (response.data.success) {
-      return { success: true, paymentIntent: response.data.paymentIntent };
+      return { success: true, paymentIntentId: response.data.paymentIntentId };
     } else {
       throw new Error(response.data.error || 'Payment processing failed');
     }
@@ -16,7 +17,7 @@ export const processPayment = async (amount, paymentMethodId) => {
     console.error('Error processing payment:', error);
     return { 
       success: false, 
-      error: `Payment processing error: ${error.message}`,
+      error: `Payment processing error: ${error.response?.data?.error || error.message}`,
       details: error.response?.data || 'No additional details available'
     };
   }
@@ -0,0 +1,225 @@
+// Pricing engine shared by the booking UI and the API server. Tariffs come from
+// the `services` table so that edits made in the admin panel drive every quote.
+
+import { calculateSurcharges } from './surcharges';
+import { DEFAULT_CURRENCY, roundMoney, getExchangeRate, formatMoney } from './currency';
+
+// Legacy enum values of public.tow_truck_type mapped to the truck classes used by
+// getTowTruckType. Rows that already store 'A', 'C' or 'D' are used as-is.
+const truckClassByServiceType = {
+  wheel_lift: 'A',
+  flatbed: 'C',
+  heavy_duty: 'D',
+};
+
+export const toTruckClass = (towTruckType) => truckClassByServiceType[towTruckType] || towTruckType;
+
+const optionalRate = (value) => (value === null || value === undefined ? undefined : Number(value));
+
+export const tariffFromServices = (services = []) => {
+  return services
+    .filter((service) => service.is_active !== false)
+    .sort((a, b) => new Date(a.updated_at || 0) - new Date(b.updated_at || 0))
+    .reduce((tariff, service) => ({
+      ...tariff,
+      [toTruckClass(service.tow_truck_type)]: {
+        serviceId: service.id,
+        name: service.name,
+        perKm: Number(service.price_per_km),
+        // Leg rates fall back to perKm when the service does not set them.
+        deadheadPerKm: optionalRate(service.deadhead_price_per_km),
+        returnPerKm: optionalRate(service.return_price_per_km),
+        basePrice: Number(service.base_price),
+        maneuverCharge: Number(service.maneuver_charge),
+        stopCharge: optionalRate(service.stop_charge),
+        waitPerHour: optionalRate(service.wait_price_per_hour),
+        currency: service.currency || DEFAULT_CURRENCY,
+      },
+    }), {});
+};
+
+export const loadTariff = async (client) => {
+  const { data, error } = await client
+    .from('services')
+    .select('id, name, base_price, price_per_km, deadhead_price_per_km, return_price_per_km, maneuver_charge, stop_charge, wait_price_per_hour, tow_truck_type, currency, is_active, updated_at')
+    .eq('is_active', true);
+
+  if (error) throw new Error(error.message);
+  return tariffFromServices(data);
+};
+
+export const getRate = (tariff, towTruckType) => {
+  const rate = tariff?.[towTruckType];
+  if (!rate) {
+    throw Object.assign(new Error(`No active tariff found for tow truck type ${towTruckType}`), { status: 422 });
+  }
+  return rate;
+};
+
+const sumAmounts = (items, currency) => roundMoney(items.reduce((sum, item) => sum + item.amount, 0), currency);
+
+export const calculateQuoteBreakdown = (tariff, {
+  distance,
+  deadheadDistance = 0,
+  returnDistance = 0,
+  towTruckType,
+  requiresManeuver = false,
+  stops = [],
+  handlingCharges = [],
+  tolls = null,
+  pickupDateTime,
+  surchargeRules = [],
+  holidays = [],
+  destinationOutOfCoverage = false,
+  discounts = [],
+  taxes = [],
+  currency = DEFAULT_CURRENCY,
+  exchangeRates = [],
+}) => {
+  const tariffRate = getRate(tariff, towTruckType);
+  const round = (amount) => roundMoney(amount, currency);
+
+  // Tariffs are converted before anything is rounded so the quote is itemized in
+  // the customer's currency. Flat surcharges and handling charges are stored in the
+  // company currency and fixed discounts in the currency of their promotion.
+  const tariffCurrency = tariffRate.currency || DEFAULT_CURRENCY;
+  const exchangeRate = getExchangeRate(exchangeRates, tariffCurrency, currency);
+  const surchargeExchangeRate = getExchangeRate(exchangeRates, DEFAULT_CURRENCY, currency);
+  const rate = {
+    ...tariffRate,
+    basePrice: round(tariffRate.basePrice * exchangeRate),
+    perKm: round(tariffRate.perKm * exchangeRate),
+    deadheadPerKm: tariffRate.deadheadPerKm === undefined ? undefined : round(tariffRate.deadheadPerKm * exchangeRate),
+    returnPerKm: tariffRate.returnPerKm === undefined ? undefined : round(tariffRate.returnPerKm * exchangeRate),
+    maneuverCharge: round(tariffRate.maneuverCharge * exchangeRate),
+    stopCharge: round((tariffRate.stopCharge || 0) * exchangeRate),
+    waitPerHour: round((tariffRate.waitPerHour || 0) * exchangeRate),
+  };
+  const convertedSurchargeRules = surchargeRules.map((rule) => (
+    rule.kind === 'flat' ? { ...rule, amount: Number(rule.amount) * surchargeExchangeRate } : rule
+  ));
+
+  const base = round(rate.basePrice);
+  const distanceCharge = round(distance * rate.perKm);
+  const deadheadCharge = round(deadheadDistance * (rate.deadheadPerKm ?? rate.perKm));
+  const returnCharge = round(returnDistance * (rate.returnPerKm ?? rate.perKm));
+  const maneuverCharge = requiresManeuver ? round(rate.maneuverCharge) : 0;
+  // Each intermediate stop pays the stop charge plus the time the truck waits there.
+  const appliedStops = stops.map((stop, index) => {
+    const waitMinutes = Number(stop.waitMinutes) || 0;
+    const stopCharge = rate.stopCharge;
+    const waitCharge = round(waitMinutes / 60 * rate.waitPerHour);
+    return { index: index + 1, waitMinutes, stopCharge, waitCharge, amount: round(stopCharge + waitCharge) };
+  });
+  const stopsCharge = sumAmounts(appliedStops, currency);
+  const appliedHandlingCharges = handlingCharges.map((charge) => ({ ...charge, amount: round(Number(charge.amount) * surchargeExchangeRate) }));
+  const serviceSubtotal = round(base + distanceCharge + deadheadCharge + returnCharge + maneuverCharge + stopsCharge + sumAmounts(appliedHandlingCharges, currency));
+
+  const appliedSurcharges = calculateSurcharges(convertedSurchargeRules, {
+    subtotal: serviceSubtotal, pickupDateTime, holidays, destinationOutOfCoverage,
+  })
+    .map((surcharge) => ({ ...surcharge, amount: round(surcharge.amount) }));
+  // Tolls are passed through at cost: percentage surcharges and discounts do not
+  // apply to them, and they stay out of the IVA base because the casetas already
+  // charged their own tax.
+  const tollCharge = tolls ? round(Number(tolls.amount) * getExchangeRate(exchangeRates, tolls.currency, currency)) : 0;
+  const serviceTotal = round(serviceSubtotal + sumAmounts(appliedSurcharges, currency));
+  const subtotal = round(serviceTotal + tollCharge);
+
+  let discountable = serviceTotal;
+  const appliedDiscounts = discounts.map((discount) => {
+    const value = discount.kind === 'percentage'
+      ? serviceTotal * Number(discount.amount) / 100
+      : Number(discount.amount) * getExchangeRate(exchangeRates, discount.currency || currency, currency);
+    const amount = round(Math.min(value, discountable));
+    discountable = round(discountable - amount);
+    return { ...discount, amount };
+  });
+  const discountTotal = sumAmounts(appliedDiscounts, currency);
+  const taxableAmount = round(serviceTotal - discountTotal);
+
+  const appliedTaxes = taxes.map((tax) => ({ ...tax, base: taxableAmount, amount: round(taxableAmount * Number(tax.rate)) }));
+  const taxTotal = sumAmounts(appliedTaxes, currency);
+
+  return {
+    currency,
+    tariffCurrency,
+    exchangeRate,
+    towTruckType,
+    serviceId: rate.serviceId,
+    corporateAgreement: rate.corporateAgreement || null,
+    distance,
+    deadheadDistance,
+    returnDistance,
+    rates: {
+      basePrice: rate.basePrice,
+      perKm: rate.perKm,
+      deadheadPerKm: rate.deadheadPerKm ?? rate.perKm,
+      returnPerKm: rate.returnPerKm ?? rate.perKm,
+      maneuverCharge: rate.maneuverCharge,
+      stopCharge: rate.stopCharge,
+      waitPerHour: rate.waitPerHour,
+    },
+    base,
+    distanceCharge,
+    deadheadCharge,
+    returnCharge,
+    maneuverCharge,
+    stops: appliedStops,
+    stopsCharge,
+    handlingCharges: appliedHandlingCharges,
+    surcharges: appliedSurcharges,
+    tollCharge,
+    tolls: tolls ? { provider: tolls.provider, currency: tolls.currency, amount: tolls.amount, legs: tolls.legs, isEstimated: tolls.isEstimated !== false } : null,
+    subtotal,
+    discounts: appliedDiscounts,
+    discountTotal,
+    taxes: appliedTaxes,
+    taxTotal,
+    total: round(taxableAmount + taxTotal + tollCharge),
+  };
+};
+
+// Flattens a breakdown into display rows for summaries, admin tables and receipts.
+export const breakdownLineItems = (breakdown) => {
+  if (!breakdown) return [];
+  return [
+    { code: 'base', amount: breakdown.base },
+    { code: 'distance', quantity: breakdown.distance, unitPrice: breakdown.rates?.perKm, amount: breakdown.distanceCharge },
+    ...(breakdown.deadheadCharge > 0
+      ? [{ code: 'deadhead', quantity: breakdown.deadheadDistance, unitPrice: breakdown.rates?.deadheadPerKm, amount: breakdown.deadheadCharge }]
+      : []),
+    ...(breakdown.returnCharge > 0
+      ? [{ code: 'return', quantity: breakdown.returnDistance, unitPrice: breakdown.rates?.returnPerKm, amount: breakdown.returnCharge }]
+      : []),
+    ...(breakdown.maneuverCharge > 0 ? [{ code: 'maneuver', amount: breakdown.maneuverCharge }] : []),
+    ...(breakdown.stops || []).map((stop) => ({ code: 'stop', index: stop.index, waitMinutes: stop.waitMinutes, amount: stop.amount })),
+    ...(breakdown.handlingCharges || []).map((charge) => ({ code: 'handling', label: charge.label, amount: charge.amount })),
+    ...breakdown.surcharges.map((surcharge) => ({ code: 'surcharge', label: surcharge.label, amount: surcharge.amount })),
+    ...(breakdown.tollCharge > 0 ? [{ code: 'tolls', amount: breakdown.tollCharge }] : []),
+    ...breakdown.discounts.map((discount) => ({ code: 'discount', label: discount.label, amount: -discount.amount })),
+    ...breakdown.taxes.map((tax) => ({ code: 'tax', label: tax.label, amount: tax.amount })),
+  ];
+};
+
+const lineItemLabels = {
+  base: 'Base rate',
+  distance: 'Loaded tow',
+  deadhead: 'Depot to pickup',
+  return: 'Return to depot',
+  maneuver: 'Maneuver',
+  handling: 'Handling',
+  tolls: 'Tolls (casetas)',
+};
+
+// Customer-facing description of a breakdownLineItems row.
+export const describeLineItem = (item, currency) => {
+  if (item.code === 'stop') {
+    return `Stop ${item.index}${item.waitMinutes > 0 ? ` (${item.waitMinutes} min wait)` : ''}`;
+  }
+  const label = item.label || lineItemLabels[item.code] || item.code;
+  if (item.quantity !== undefined && item.unitPrice !== undefined) {
+    return `${label} (${Number(item.quantity).toFixed(2)} km × ${formatMoney(item.unitPrice, currency)})`;
+  }
+  return label;
+};
@@ -0,0 +1,102 @@
+// Promo codes and corporate agreements. Promotions become discount lines of the
+// quote; corporate agreements replace the tariff rates of the customer's account.
+import { toTruckClass } from './pricingEngine';
+import { DEFAULT_CURRENCY } from './currency';
+
+export const normalizePromoCode = (code) => String(code || '').trim().toUpperCase();
+
+const isWithinValidity = (row, now) => (
+  (!row.valid_from || new Date(row.valid_from) <= now)
+  && (!row.expires_at || new Date(row.expires_at) > now)
+);
+
+// `usage` counts redemptions of the promotion, overall and by this customer.
+export const validatePromotion = (promotion, { userId, usage = { total: 0, customer: 0 }, now = new Date() } = {}) => {
+  if (!promotion || promotion.is_active === false) return { isValid: false, reason: 'Código promocional inválido' };
+  if (!isWithinValidity(promotion, now)) return { isValid: false, reason: 'El código promocional no está vigente' };
+  if (Array.isArray(promotion.allowed_user_ids) && promotion.allowed_user_ids.length > 0 && !promotion.allowed_user_ids.includes(userId)) {
+    return { isValid: false, reason: 'El código promocional no está disponible para esta cuenta' };
+  }
+  if (promotion.max_uses !== null && promotion.max_uses !== undefined && usage.total >= promotion.max_uses) {
+    return { isValid: false, reason: 'El código promocional ya se agotó' };
+  }
+  if (promotion.max_uses_per_customer !== null && promotion.max_uses_per_customer !== undefined) {
+    if (!userId) return { isValid: false, reason: 'Inicia sesión para usar este código promocional' };
+    if (usage.customer >= promotion.max_uses_per_customer) {
+      return { isValid: false, reason: 'Ya usaste este código promocional' };
+    }
+  }
+  return { isValid: true };
+};
+
+export const promotionToDiscount = (promotion) => ({
+  promotionId: promotion.id,
+  code: promotion.code,
+  label: promotion.description ? `${promotion.code} - ${promotion.description}` : promotion.code,
+  kind: promotion.kind,
+  amount: Number(promotion.amount),
+  currency: promotion.currency || DEFAULT_CURRENCY,
+});
+
+// Agreement rates override the tariff of the truck class they are set for; a null
+// rate keeps the published one. Agreements are priced in the tariff's currency.
+export const applyCorporateAgreements = (tariff, agreements = [], now = new Date()) => agreements
+  .filter((agreement) => agreement.is_active !== false && isWithinValidity(agreement, now))
+  .reduce((result, agreement) => {
+    const truckClass = toTruckClass(agreement.tow_truck_type);
+    const rate = result[truckClass];
+    if (!rate) return result;
+    return {
+      ...result,
+      [truckClass]: {
+        ...rate,
+        basePrice: agreement.base_price === null || agreement.base_price === undefined ? rate.basePrice : Number(agreement.base_price),
+        perKm: agreement.price_per_km === null || agreement.price_per_km === undefined ? rate.perKm : Number(agreement.price_per_km),
+        corporateAgreement: { id: agreement.id, name: agreement.corporate_accounts?.name || agreement.name },
+      },
+    };
+  }, tariff);
+
+export const loadPromotion = async (client, code, userId) => {
+  const { data: promotion, error } = await client
+    .from('promotions')
+    .select('*')
+    .eq('code', normalizePromoCode(code))
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  if (!promotion) return { promotion: null, usage: { total: 0, customer: 0 } };
+
+  const { data: redemptions, error: redemptionsError } = await client
+    .from('promotion_redemptions')
+    .select('user_id')
+    .eq('promotion_id', promotion.id);
+  if (redemptionsError) throw new Error(redemptionsError.message);
+
+  return {
+    promotion,
+    usage: {
+      total: redemptions.length,
+      customer: userId ? redemptions.filter((redemption) => redemption.user_id === userId).length : 0,
+    },
+  };
+};
+
+export const loadCorporateAgreements = async (client, userId) => {
+  if (!userId) return [];
+
+  const { data: user, error } = await client
+    .from('users')
+    .select('corporate_account_id')
+    .eq('id', userId)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  if (!user?.corporate_account_id) return [];
+
+  const { data, error: agreementsError } = await client
+    .from('corporate_agreements')
+    .select('*, corporate_accounts(name, is_active)')
+    .eq('corporate_account_id', user.corporate_account_id)
+    .eq('is_active', true);
+  if (agreementsError) throw new Error(agreementsError.message);
+  return data.filter((agreement) => agreement.corporate_accounts?.is_active !== false);
+};
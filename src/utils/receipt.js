@@ -0,0 +1,69 @@
+import { breakdownLineItems, describeLineItem } from './pricingEngine';
+import { formatMoney } from './currency';
+import { COMPANY_TIME_ZONE } from './surcharges';
+
+const COMPANY_NAME = 'M.R. Gruas';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (date, timeZone) => new Intl.DateTimeFormat('es-MX', {
+  timeZone,
+  dateStyle: 'medium',
+  timeStyle: 'short',
+}).format(new Date(date));
+
+const tableRows = (rows) => rows
+  .map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td class="amount">${escapeHtml(value)}</td></tr>`)
+  .join('');
+
+// A printable receipt of a booking: the tow, its priced line items and what was paid
+// or refunded. It is not a fiscal document; invoiced bookings also have their CFDI.
+export const bookingReceiptHtml = (booking, { issuedAt = new Date(), timeZone = COMPANY_TIME_ZONE } = {}) => {
+  const { currency } = booking;
+  const vehicle = booking.vehicle_details || {};
+  const details = [
+    ['Booking', booking.id],
+    ['Pickup date', formatDate(booking.pickup_datetime, timeZone)],
+    ['Pickup', booking.pickup_location],
+    ...(booking.stops || []).map((stop, index) => [`Stop ${index + 1}`, stop.address || `${stop.lat}, ${stop.lng}`]),
+    ['Drop-off', booking.dropoff_location],
+    ['Vehicle', [vehicle.brand, vehicle.model, vehicle.license_plate].filter(Boolean).join(' ')],
+  ];
+  const lineItems = breakdownLineItems(booking.price_breakdown)
+    .map((item) => [describeLineItem(item, currency), formatMoney(item.amount, currency)]);
+  const payment = [
+    ['Total', `${formatMoney(booking.total_cost, currency)} ${currency}`],
+    ['Payment status', booking.payment_status],
+    ...(booking.cancellation_fee > 0 ? [['Cancellation fee', formatMoney(booking.cancellation_fee, currency)]] : []),
+    ...(booking.refunded_amount > 0 ? [['Refunded', formatMoney(booking.refunded_amount, currency)]] : []),
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(`${COMPANY_NAME} receipt ${booking.id}`)}</title>
+<style>
+body { font-family: sans-serif; max-width: 40em; margin: 2em auto; }
+table { width: 100%; border-collapse: collapse; margin-bottom: 1.5em; }
+td { padding: 0.25em 0; border-bottom: 1px solid #ddd; }
+.amount { text-align: right; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(COMPANY_NAME)}</h1>
+<p>Receipt issued ${escapeHtml(formatDate(issuedAt, timeZone))}</p>
+<table>${tableRows(details)}</table>
+${lineItems.length > 0 ? `<table>${tableRows(lineItems)}</table>` : ''}
+<table>${tableRows(payment)}</table>
+</body>
+</html>
+`;
+};
+
+export const receiptFileName = (booking) => `receipt-${booking.id}.html`;
@@ -0,0 +1,37 @@
+// The route a booking was priced on, stored with it so a dispute about the distance
+// charged can be settled against the exact geometry the quote used. Leg geometries
+// are kept as encoded polylines (precision 5, about 1 m) to keep the row small.
+import { encodePolyline, decodePolyline } from './geo';
+
+const ROUTE_VERSION = 1;
+
+// Consecutive duplicate points (where one routing step ends and the next starts)
+// add nothing to the drawing.
+const withoutRepeats = (coordinates = []) => coordinates.filter((point, index) => (
+  index === 0 || point[0] !== coordinates[index - 1][0] || point[1] !== coordinates[index - 1][1]
+));
+
+// `legs` are labelled trip legs from routeTripLegs (./routeLegs) and `waypoints` the
+// points they were routed through, depot first.
+export const serializeRoute = ({ provider, waypoints, legs }, now = new Date()) => ({
+  version: ROUTE_VERSION,
+  provider,
+  computedAt: now.toISOString(),
+  waypoints,
+  legs: legs.map(({ key, segment, distance, estimated, coordinates }) => ({
+    key,
+    ...(segment !== undefined ? { segment } : {}),
+    distance,
+    ...(estimated ? { estimated: true } : {}),
+    polyline: encodePolyline(withoutRepeats(coordinates)),
+  })),
+});
+
+// The stored route with its legs decoded back to [lat, lng] coordinates, ready to draw.
+export const replayRoute = (route) => {
+  if (!route || !Array.isArray(route.legs)) return null;
+  return {
+    ...route,
+    legs: route.legs.map(({ polyline, ...leg }) => ({ ...leg, coordinates: decodePolyline(polyline || '') })),
+  };
+};
@@ -0,0 +1,52 @@
+// A tow is priced per leg of the truck's trip: from the depot to the pickup
+// (deadhead), the loaded tow to the destination, and the return to the depot.
+// Routing services return one leg per pair of consecutive waypoints, so the trip
+// is always requested as depot -> pickup -> stops... -> destination -> depot. With
+// intermediate stops (multi-stop and relocation bookings) the loaded tow is split
+// into one 'loaded' leg per stop, numbered by `segment`.
+export const ROUTE_LEGS = [
+  { key: 'deadhead', label: 'Base a recogida', color: '#718096' },
+  { key: 'loaded', label: 'Traslado con vehículo', color: '#3182CE' },
+  { key: 'return', label: 'Regreso a base', color: '#DD6B20' },
+];
+
+// Stops between the pickup and the final destination a single booking may have.
+export const MAX_STOPS = 5;
+
+// `stops` are the [lat, lng] points of the intermediate stops, in order.
+export const tripWaypoints = (depot, pickup, destination, stops = []) => [depot, pickup, ...stops, destination, depot];
+
+// The points of a trip back from its waypoints, to draw a stored route.
+export const tripFromWaypoints = (waypoints = []) => {
+  const [depot = null, pickup = null, ...rest] = waypoints;
+  return {
+    depot,
+    pickup,
+    stops: rest.slice(0, -2),
+    destination: rest.length >= 2 ? rest[rest.length - 2] : null,
+  };
+};
+
+// Routes the whole trip with a routing provider (see ./routing) and labels its legs.
+export const routeTripLegs = async (routingProvider, depot, pickup, destination, stops = []) => {
+  const legs = await routingProvider.route(tripWaypoints(depot, pickup, destination, stops));
+  const last = legs.length - 1;
+  return legs.map((leg, index) => {
+    if (index === 0) return { key: 'deadhead', ...leg };
+    if (index === last) return { key: 'return', ...leg };
+    return { key: 'loaded', segment: index - 1, ...leg };
+  });
+};
+
+// Distances in the shape calculateQuoteBreakdown and the bookings table use.
+export const legDistances = (legs = []) => {
+  const distanceOf = (key) => Number(legs
+    .filter((leg) => leg.key === key)
+    .reduce((sum, leg) => sum + (leg.distance || 0), 0)
+    .toFixed(2));
+  return {
+    deadheadDistance: distanceOf('deadhead'),
+    distance: distanceOf('loaded'),
+    returnDistance: distanceOf('return'),
+  };
+};
@@ -0,0 +1,116 @@
+// Routing providers. Every provider exposes `route(points)`, where points are
+// [lat, lng] waypoints, resolving to one leg per pair of consecutive points:
+// { distance, coordinates } with the distance in km and the geometry as [lat, lng].
+// The map preview and the server quote must use the same provider, or the customer
+// sees one price and is charged another.
+import { greatCircleDistanceKm, decodePolyline } from './geo';
+
+export const DEFAULT_ROUTING_PROVIDER = 'osrm';
+
+const toKm = (meters) => Number((meters / 1000).toFixed(2));
+
+// `route` is an OSRM route requested with steps=true&geometries=geojson; the leg
+// geometry is stitched from its steps.
+export const legsFromOsrmRoute = (route) => route.legs.map((leg) => ({
+  distance: toKm(leg.distance),
+  coordinates: (leg.steps || []).flatMap((step) => step.geometry.coordinates.map(([lng, lat]) => [lat, lng])),
+}));
+
+// `route` is a google.maps.DirectionsRoute from the Maps JavaScript API.
+export const legsFromGoogleRoute = (route) => route.legs.map((leg) => ({
+  distance: toKm(leg.distance.value),
+  coordinates: leg.steps.flatMap((step) => step.path.map((point) => [point.lat(), point.lng()])),
+}));
+
+// `route` is a route of the Directions web service, with encoded step polylines.
+export const legsFromGoogleDirectionsResponse = (route) => route.legs.map((leg) => ({
+  distance: toKm(leg.distance.value),
+  coordinates: leg.steps.flatMap((step) => decodePolyline(step.polyline.points)),
+}));
+
+export const createOsrmRouting = ({ baseUrl = 'https://router.project-osrm.org', fetch = globalThis.fetch } = {}) => ({
+  name: 'osrm',
+  route: async (points) => {
+    const coordinates = points.map(([lat, lng]) => `${lng},${lat}`).join(';');
+    const response = await fetch(`${baseUrl}/route/v1/driving/${coordinates}?overview=false&steps=true&geometries=geojson`);
+    if (!response.ok) throw new Error('Unable to calculate route');
+    const data = await response.json();
+    if (!data.routes || data.routes.length === 0) throw new Error('No route found');
+    return legsFromOsrmRoute(data.routes[0]);
+  },
+});
+
+// In the browser the Maps JavaScript API must be loaded (the web service does not
+// allow cross-origin requests); on the server the web service is called with `apiKey`.
+export const createGoogleRouting = ({ apiKey, fetch = globalThis.fetch } = {}) => ({
+  name: 'google',
+  route: async (points) => {
+    const [origin, ...rest] = points;
+    const destination = rest.pop();
+    const maps = globalThis.google?.maps;
+
+    if (maps?.DirectionsService) {
+      const result = await new maps.DirectionsService().route({
+        origin: { lat: origin[0], lng: origin[1] },
+        destination: { lat: destination[0], lng: destination[1] },
+        waypoints: rest.map(([lat, lng]) => ({ location: { lat, lng }, stopover: true })),
+        travelMode: maps.TravelMode.DRIVING,
+      });
+      if (!result.routes || result.routes.length === 0) throw new Error('No route found');
+      return legsFromGoogleRoute(result.routes[0]);
+    }
+
+    if (!apiKey) throw new Error('Google routing requires an API key');
+    const params = new URLSearchParams({
+      origin: origin.join(','),
+      destination: destination.join(','),
+      key: apiKey,
+    });
+    if (rest.length > 0) params.set('waypoints', rest.map((point) => point.join(',')).join('|'));
+    const response = await fetch(`https://maps.googleapis.com/maps/api/directions/json?${params}`);
+    if (!response.ok) throw new Error('Unable to calculate route');
+    const data = await response.json();
+    if (data.status !== 'OK' || !data.routes?.length) throw new Error('No route found');
+    return legsFromGoogleDirectionsResponse(data.routes[0]);
+  },
+});
+
+// Deterministic stand-in for development and tests: the great-circle distance times
+// a road factor, drawn as straight lines. It needs no network access.
+export const createLocalRouting = ({ roadFactor = 1.3 } = {}) => ({
+  name: 'local',
+  route: async (points) => points.slice(1).map((point, index) => ({
+    distance: Number((greatCircleDistanceKm(points[index], point) * roadFactor).toFixed(2)),
+    coordinates: [points[index], point],
+  })),
+});
+
+// For customers on the roadside with poor signal: when `provider` cannot be reached,
+// the trip is estimated with the local provider and every leg is marked `estimated`
+// so the map can say so. The server quote never uses it; it must route for real.
+export const withStraightLineFallback = (provider, { fallback = createLocalRouting(), onFallback } = {}) => ({
+  name: provider.name,
+  route: async (points) => {
+    try {
+      return await provider.route(points);
+    } catch (error) {
+      if (onFallback) onFallback(error);
+      const legs = await fallback.route(points);
+      return legs.map((leg) => ({ ...leg, estimated: true }));
+    }
+  },
+});
+
+const providers = {
+  osrm: createOsrmRouting,
+  google: createGoogleRouting,
+  local: createLocalRouting,
+};
+
+export const createRoutingProvider = (provider = DEFAULT_ROUTING_PROVIDER, options = {}) => {
+  const factory = providers[provider];
+  if (!factory) {
+    throw new Error(`Unknown routing provider: ${provider}`);
+  }
+  return factory(options);
+};
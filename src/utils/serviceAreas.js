@@ -0,0 +1,57 @@
+// Service areas are polygons drawn per depot in the admin panel. A pickup inside
+// none of them is out of coverage and, depending on the configured policy, is
+// rejected or booked for a manual quote. A destination outside them is a
+// long-distance trip and carries the out-of-coverage surcharges. Until an area is
+// drawn every point is covered.
+
+// What happens to pickups outside every service area.
+export const OUT_OF_COVERAGE_PICKUP_POLICIES = ['manual_quote', 'reject'];
+export const DEFAULT_OUT_OF_COVERAGE_PICKUP_POLICY = 'manual_quote';
+
+// `polygon` is a ring of [lat, lng] vertices, closed or not (ray casting).
+export const isPointInPolygon = ([lat, lng], polygon = []) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    const crosses = (latI > lat) !== (latJ > lat)
+      && lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+export const isValidPolygon = (polygon) => Array.isArray(polygon)
+  && polygon.length >= 3
+  && polygon.every((point) => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite));
+
+const activeAreas = (serviceAreas = []) => serviceAreas.filter((area) => area.is_active !== false && isValidPolygon(area.polygon));
+
+// The first active area containing the point, or null.
+export const findServiceArea = (serviceAreas, point) => activeAreas(serviceAreas)
+  .find((area) => isPointInPolygon(point, area.polygon)) || null;
+
+export const isCovered = (serviceAreas, point) => activeAreas(serviceAreas).length === 0 || Boolean(findServiceArea(serviceAreas, point));
+
+export const checkCoverage = (serviceAreas, { pickup, destination, policy = DEFAULT_OUT_OF_COVERAGE_PICKUP_POLICY }) => {
+  const pickupInCoverage = pickup ? isCovered(serviceAreas, pickup) : true;
+  const destinationInCoverage = destination ? isCovered(serviceAreas, destination) : true;
+  const area = pickup ? findServiceArea(serviceAreas, pickup) : null;
+  return {
+    pickupInCoverage,
+    destinationInCoverage,
+    serviceArea: area ? { id: area.id, name: area.name, depotId: area.depot_id } : null,
+    isRejected: !pickupInCoverage && policy === 'reject',
+    requiresManualQuote: !pickupInCoverage && policy !== 'reject',
+  };
+};
+
+export const loadServiceAreas = async (client) => {
+  const { data, error } = await client
+    .from('service_areas')
+    .select('*')
+    .eq('is_active', true);
+
+  if (error) throw new Error(error.message);
+  return data;
+};
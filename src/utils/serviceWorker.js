@@ -0,0 +1,18 @@
+// Registers public/service-worker.js, which keeps the app shell and the map tiles
+// available offline. Only production builds register it; in development it would
+// serve stale modules.
+export const registerServiceWorker = () => {
+  if (!('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/service-worker.js').catch((error) => {
+      console.error('Service worker registration failed:', error);
+    });
+  });
+};
+
+// Asks the service worker to download and cache the given tile URLs.
+export const precacheTiles = async (urls) => {
+  if (!('serviceWorker' in navigator) || urls.length === 0) return;
+  const registration = await navigator.serviceWorker.ready;
+  registration.active?.postMessage({ type: 'precache-tiles', urls });
+};
@@ -0,0 +1,81 @@
+// Time-based surcharges (night, weekend, holiday...). Rules come from the
+// `surcharge_rules` table and are always evaluated in the company's timezone,
+// whatever timezone the customer's browser or the server runs in. Rules flagged
+// `out_of_coverage_only` apply to trips whose destination is outside every
+// service area (see serviceAreas).
+export const COMPANY_TIME_ZONE = 'America/Monterrey';
+
+const weekdayIndex = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+export const getLocalDateParts = (date, timeZone = COMPANY_TIME_ZONE) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23',
+    weekday: 'short',
+  }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour),
+    weekday: weekdayIndex[parts.weekday],
+  };
+};
+
+// Hour ranges are [start_hour, end_hour) and may wrap past midnight (22 -> 6).
+export const isWithinHours = (hour, startHour, endHour) => {
+  if (startHour === null || startHour === undefined || endHour === null || endHour === undefined) return true;
+  if (startHour <= endHour) return hour >= startHour && hour < endHour;
+  return hour >= startHour || hour < endHour;
+};
+
+export const matchesRule = (rule, { hour, weekday, isHoliday, destinationOutOfCoverage = false }) => {
+  if (rule.is_active === false) return false;
+  if (rule.out_of_coverage_only && !destinationOutOfCoverage) return false;
+  if (rule.holidays_only && !isHoliday) return false;
+  if (Array.isArray(rule.weekdays) && rule.weekdays.length > 0 && !rule.weekdays.includes(weekday)) return false;
+  return isWithinHours(hour, rule.start_hour, rule.end_hour);
+};
+
+export const calculateSurcharges = (rules = [], {
+  subtotal,
+  pickupDateTime,
+  holidays = [],
+  destinationOutOfCoverage = false,
+  timeZone = COMPANY_TIME_ZONE,
+}) => {
+  // Without a pickup time only the coverage rules apply, evaluated as of now like
+  // depot opening hours.
+  if (!pickupDateTime) {
+    if (!destinationOutOfCoverage) return [];
+    return calculateSurcharges(rules.filter((rule) => rule.out_of_coverage_only), {
+      subtotal, pickupDateTime: new Date(), holidays, destinationOutOfCoverage, timeZone,
+    });
+  }
+
+  const local = getLocalDateParts(new Date(pickupDateTime), timeZone);
+  const isHoliday = holidays.some((holiday) => (holiday.date || holiday) === local.date);
+
+  return rules
+    .filter((rule) => matchesRule(rule, { ...local, isHoliday, destinationOutOfCoverage }))
+    .map((rule) => {
+      const amount = rule.kind === 'percentage'
+        ? subtotal * Number(rule.amount) / 100
+        : Number(rule.amount);
+      return { id: rule.id, label: rule.name, kind: rule.kind, rate: Number(rule.amount), amount: Number(amount.toFixed(2)) };
+    });
+};
+
+export const loadSurchargeRules = async (client) => {
+  const [rulesResult, holidaysResult] = await Promise.all([
+    client.from('surcharge_rules').select('*').eq('is_active', true),
+    client.from('holidays').select('date, name'),
+  ]);
+
+  if (rulesResult.error) throw new Error(rulesResult.error.message);
+  if (holidaysResult.error) throw new Error(holidaysResult.error.message);
+  return { rules: rulesResult.data, holidays: holidaysResult.data };
+};
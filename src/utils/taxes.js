@@ -0,0 +1,6 @@
+// Taxes added on top of every quote. Tariffs in `services` are net of IVA.
+export const IVA_RATE = 0.16;
+
+export const IVA = { code: 'IVA', satCode: '002', label: 'IVA 16%', rate: IVA_RATE };
+
+export const quoteTaxes = [IVA];
@@ -0,0 +1,64 @@
+// Map tiles for the service worker (public/service-worker.js). Tiles the customer
+// views are always cached; the whole service region is only prefetched from a tile
+// server whose usage policy allows it, which the public OpenStreetMap servers do not.
+export const DEFAULT_TILE_URL = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+export const DEFAULT_TILE_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+export const DEFAULT_TILE_SUBDOMAINS = 'abc';
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Slippy-map tile numbers (Web Mercator) of a point at a zoom level.
+export const tileForPoint = ([lat, lng], zoom) => {
+  const scale = 2 ** zoom;
+  const clampedLat = Math.max(Math.min(lat, 85.0511), -85.0511);
+  const x = Math.floor((lng + 180) / 360 * scale);
+  const y = Math.floor((1 - Math.log(Math.tan(toRadians(clampedLat)) + 1 / Math.cos(toRadians(clampedLat))) / Math.PI) / 2 * scale);
+  return { x: Math.min(Math.max(x, 0), scale - 1), y: Math.min(Math.max(y, 0), scale - 1), z: zoom };
+};
+
+// [[south, west], [north, east]] around every point, padded by `paddingDegrees`.
+export const boundsOfPoints = (points, paddingDegrees = 0) => {
+  if (points.length === 0) return null;
+  const lats = points.map(([lat]) => lat);
+  const lngs = points.map(([, lng]) => lng);
+  return [
+    [Math.min(...lats) - paddingDegrees, Math.min(...lngs) - paddingDegrees],
+    [Math.max(...lats) + paddingDegrees, Math.max(...lngs) + paddingDegrees],
+  ];
+};
+
+// Tiles covering the bounds from `minZoom` to `maxZoom`, lowest zoom first. Stops at
+// the zoom level that would exceed `maxTiles` so a large region cannot flood the cache.
+export const tilesForBounds = ([[south, west], [north, east]], { minZoom = 8, maxZoom = 13, maxTiles = 2500 } = {}) => {
+  const tiles = [];
+  for (let zoom = minZoom; zoom <= maxZoom; zoom += 1) {
+    const topLeft = tileForPoint([north, west], zoom);
+    const bottomRight = tileForPoint([south, east], zoom);
+    const count = (bottomRight.x - topLeft.x + 1) * (bottomRight.y - topLeft.y + 1);
+    if (tiles.length + count > maxTiles) break;
+    for (let x = topLeft.x; x <= bottomRight.x; x += 1) {
+      for (let y = topLeft.y; y <= bottomRight.y; y += 1) {
+        tiles.push({ x, y, z: zoom });
+      }
+    }
+  }
+  return tiles;
+};
+
+// Fills a Leaflet URL template; `{s}` rotates through the subdomains.
+export const tileUrl = (template, { x, y, z }, subdomains = DEFAULT_TILE_SUBDOMAINS) => template
+  .replace('{s}', subdomains[(x + y) % subdomains.length])
+  .replace('{z}', z)
+  .replace('{x}', x)
+  .replace('{y}', y);
+
+// Tile URLs of the region around the active service areas, padded so the roads just
+// outside them are there too.
+export const serviceRegionTileUrls = (serviceAreas, template, { paddingDegrees = 0.1, subdomains, ...zoomOptions } = {}) => {
+  const points = serviceAreas
+    .filter((area) => area.is_active !== false && Array.isArray(area.polygon))
+    .flatMap((area) => area.polygon);
+  const bounds = boundsOfPoints(points, paddingDegrees);
+  if (!bounds) return [];
+  return tilesForBounds(bounds, zoomOptions).map((tile) => tileUrl(template, tile, subdomains));
+};
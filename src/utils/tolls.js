@@ -0,0 +1,121 @@
+// Toll (caseta) estimation along the routed trip. Every provider exposes
+// `estimate(coordinates, { axles })`, where coordinates are the [lat, lng] geometry
+// of one leg, resolving to { amount, currency, plazas: [{ name, amount }] }.
+import { encodePolyline, distanceToSegmentKm } from './geo';
+import { roundMoney } from './currency';
+import { truckClasses } from './towTruckSelection';
+
+export const TOLL_CURRENCY = 'MXN';
+
+// A wheel-lift truck rolls on the towed vehicle's rear axle, so casetas charge its
+// loaded leg as one more axle. Flatbeds carry the vehicle and keep their own axles.
+export const axlesForLeg = (towTruckType, legKey) => {
+  const truckClass = truckClasses[towTruckType] || truckClasses.A;
+  return truckClass.axles + (legKey === 'loaded' && !truckClass.isFlatbed ? 1 : 0);
+};
+
+export const tollGuruVehicleType = (axles) => `${axles}AxlesTruck`;
+
+// TollGuru snaps the polyline to the road network of the service that drew it.
+const tollGuruMapProviders = { osrm: 'osrm', google: 'gmaps' };
+
+// `routingProvider` is the name of the routing provider the legs come from.
+export const createTollGuruProvider = ({
+  apiKey,
+  baseUrl = 'https://apis.tollguru.com/toll/v2',
+  routingProvider = 'osrm',
+  fetch = globalThis.fetch,
+} = {}) => {
+  if (!apiKey) throw new Error('TollGuru requires an API key');
+
+  return {
+    name: 'tollguru',
+    estimate: async (coordinates, { axles }) => {
+      const response = await fetch(`${baseUrl}/complete-polyline-from-mapping-service`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-api-key': apiKey },
+        body: JSON.stringify({
+          mapProvider: tollGuruMapProviders[routingProvider] || 'osrm',
+          polyline: encodePolyline(coordinates),
+          vehicle: { type: tollGuruVehicleType(axles) },
+          units: { currency: TOLL_CURRENCY },
+        }),
+      });
+      if (!response.ok) throw new Error('Unable to estimate tolls');
+      const { route } = await response.json();
+      const costOf = (item) => Number(item?.cash ?? item?.cashCost ?? item?.tag ?? item?.tagCost ?? 0);
+      return {
+        amount: costOf(route?.costs),
+        currency: TOLL_CURRENCY,
+        plazas: (route?.tolls || []).map((toll) => ({ name: toll.name, amount: costOf(toll) })),
+      };
+    },
+  };
+};
+
+// Sample casetas on the federal highways around our depots, with truck rates by axle
+// count. Figures are illustrative; they are not the published CAPUFE tariffs.
+export const FIXTURE_TOLL_PLAZAS = [
+  { name: 'Caseta Sabinas Hidalgo (85D)', lat: 26.4153, lng: -100.1683, rates: { 2: 356, 3: 512, 4: 689, 5: 845 } },
+  { name: 'Caseta Santa Catarina (40D)', lat: 25.6851, lng: -100.5120, rates: { 2: 214, 3: 307, 4: 401, 5: 498 } },
+  { name: 'Caseta Cadereyta (40D)', lat: 25.6169, lng: -99.9823, rates: { 2: 187, 3: 268, 4: 352, 5: 437 } },
+];
+
+// Local stand-in for development and tests: charges every fixture plaza the leg
+// passes within `radiusKm` of.
+export const createFixtureTollProvider = ({ plazas = FIXTURE_TOLL_PLAZAS, radiusKm = 1 } = {}) => ({
+  name: 'fixture',
+  estimate: async (coordinates, { axles }) => {
+    const segments = coordinates.slice(1).map((point, index) => [coordinates[index], point]);
+    const crossed = plazas
+      .filter((plaza) => segments.some(([start, end]) => distanceToSegmentKm([plaza.lat, plaza.lng], start, end) <= radiusKm))
+      .map((plaza) => ({ name: plaza.name, amount: Number(plaza.rates[axles] ?? plaza.rates[Math.max(...Object.keys(plaza.rates).map(Number))]) }));
+    return {
+      amount: roundMoney(crossed.reduce((sum, plaza) => sum + plaza.amount, 0), TOLL_CURRENCY),
+      currency: TOLL_CURRENCY,
+      plazas: crossed,
+    };
+  },
+});
+
+const providers = {
+  tollguru: createTollGuruProvider,
+  fixture: createFixtureTollProvider,
+};
+
+// 'none' disables toll estimation.
+export const createTollProvider = (provider, options = {}) => {
+  if (!provider || provider === 'none') return null;
+  const factory = providers[provider];
+  if (!factory) {
+    throw new Error(`Unknown toll provider: ${provider}`);
+  }
+  return factory(options);
+};
+
+// Estimates each leg of the trip (see routeLegs) with the axles the truck runs it on.
+// The result is what calculateQuoteBreakdown takes as `tolls`. A provider failure
+// (quota, timeout, bad key) must not block the quote: it is priced without tolls and
+// marked `isEstimated: false`, with the failure in `error` for the caller to log.
+export const estimateTripTolls = async (tollProvider, legs, towTruckType) => {
+  let estimates;
+  try {
+    estimates = await Promise.all(legs
+      .filter((leg) => leg.coordinates?.length > 1)
+      .map(async (leg) => {
+        const axles = axlesForLeg(towTruckType, leg.key);
+        const estimate = await tollProvider.estimate(leg.coordinates, { axles });
+        return { key: leg.key, axles, amount: estimate.amount, plazas: estimate.plazas };
+      }));
+  } catch (error) {
+    return { provider: tollProvider.name, currency: TOLL_CURRENCY, amount: 0, legs: [], isEstimated: false, error: error.message };
+  }
+
+  return {
+    provider: tollProvider.name,
+    currency: TOLL_CURRENCY,
+    amount: roundMoney(estimates.reduce((sum, leg) => sum + leg.amount, 0), TOLL_CURRENCY),
+    legs: estimates,
+    isEstimated: true,
+  };
+};
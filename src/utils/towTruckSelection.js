@@ -1,32 +1,44 @@
-export const towTruckTypes = {
-  A: { perKm: 18.82, basePrice: 528.69, maneuverCharge: 1219.55 },
-  C: { perKm: 23.47, basePrice: 721.79, maneuverCharge: 1524.21 },
-  D: { perKm: 32.35, basePrice: 885.84, maneuverCharge: 2101.65 },
+// Truck classes from lightest to heaviest. A is a wheel-lift truck, C and D carry
+// the vehicle on a flatbed. Curb weight limits match the catalog size classes;
+// axles are the truck's own, which casetas charge by.
+export const truckClasses = {
+  A: { sizeClass: 'small', isFlatbed: false, maxCurbWeightKg: 1700, axles: 2 },
+  C: { sizeClass: 'medium', isFlatbed: true, maxCurbWeightKg: 2700, axles: 2 },
+  D: { sizeClass: 'large', isFlatbed: true, maxCurbWeightKg: null, axles: 3 },
 };
 
-export const getTowTruckType = (vehicleSize) => {
-  switch (vehicleSize) {
-    case 'small': return 'A';
-    case 'medium': return 'C';
-    case 'large': return 'D';
-    default: return 'A';
-  }
+const truckTypes = Object.keys(truckClasses);
+
+export const sizeClassForWeight = (curbWeightKg) => {
+  const truckClass = Object.values(truckClasses).find(({ maxCurbWeightKg }) => maxCurbWeightKg === null || curbWeightKg <= maxCurbWeightKg);
+  return truckClass.sizeClass;
 };
 
-export const calculateTotalCost = (distance, towTruckType, requiresManeuver) => {
-  const { perKm, basePrice, maneuverCharge } = towTruckTypes[towTruckType] || towTruckTypes.A;
-  let totalCost = basePrice + (distance * perKm);
-  if (requiresManeuver) {
-    totalCost += maneuverCharge;
-  }
-  return Number(totalCost.toFixed(2));
+// Truck types able to lift a vehicle of this weight; unknown weights fit any truck.
+export const truckTypesForWeight = (curbWeightKg) => truckTypes.filter((type) => {
+  const { maxCurbWeightKg } = truckClasses[type];
+  return !curbWeightKg || maxCurbWeightKg === null || curbWeightKg <= maxCurbWeightKg;
+});
+
+// `vehicle` is a vehicle_catalog row; unknown vehicles have no size.
+export const getVehicleSize = (vehicle) => {
+  if (!vehicle) return null;
+  return vehicle.size_class || sizeClassForWeight(vehicle.curb_weight_kg);
 };
 
-export const getVehicleSize = (vehicleModel) => {
-  const largeCars = ['Dodge Challenger', 'Dodge Charger', 'Ford F-150', 'Chevrolet Silverado', 'RAM 1500'];
-  const trucks = ['Ford F-250', 'Ford F-350', 'Chevrolet Silverado 2500HD', 'RAM 2500', 'RAM 3500'];
+// `eligibility` is the result of evaluateEligibility; without it every truck is offered.
+export const isTruckAvailable = (towTruckType, eligibility) => {
+  if (!truckClasses[towTruckType]) return false;
+  if (!eligibility) return true;
+  return eligibility.allowedTruckTypes.includes(towTruckType);
+};
 
-  if (trucks.includes(vehicleModel)) return 'large';
-  if (largeCars.includes(vehicleModel)) return 'medium';
-  return 'small';
-};
\ No newline at end of file
+// The truck of the vehicle's size class, or the next heavier one the eligibility
+// rules allow. Returns null when no allowed truck is at least that size.
+export const getTowTruckType = (vehicleSize, allowedTruckTypes) => {
+  const sizeType = truckTypes.find((type) => truckClasses[type].sizeClass === vehicleSize) || 'A';
+  if (!allowedTruckTypes) return sizeType;
+  return truckTypes
+    .slice(truckTypes.indexOf(sizeType))
+    .find((type) => allowedTruckTypes.includes(type)) || null;
+};
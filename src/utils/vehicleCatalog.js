@@ -0,0 +1,90 @@
+// Vehicle catalog lookups. Rows of `vehicle_catalog` are keyed by brand, model and
+// year range and carry what tow truck selection needs: curb weight, drivetrain,
+// EV flag and size class.
+
+// Oldest model year we tow; the catalog itself starts later.
+export const MIN_VEHICLE_YEAR = 1950;
+
+const sameName = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+const coversYear = (entry, year) => (
+  Number(year) >= entry.year_from && (entry.year_to === null || entry.year_to === undefined || Number(year) <= entry.year_to)
+);
+
+// Without a year the most recent generation of the model is used.
+export const findCatalogVehicle = (catalog = [], { brand, model, year }) => {
+  const generations = catalog
+    .filter((entry) => sameName(entry.brand, brand) && sameName(entry.model, model))
+    .sort((a, b) => b.year_from - a.year_from);
+
+  if (!year) return generations[0] || null;
+  return generations.find((entry) => coversYear(entry, year)) || null;
+};
+
+export const catalogBrands = (catalog = []) => [...new Set(catalog.map((entry) => entry.brand))].sort((a, b) => a.localeCompare(b));
+
+export const catalogModelsByBrand = (catalog = []) => catalog.reduce((models, entry) => {
+  const brandModels = models[entry.brand] || [];
+  return {
+    ...models,
+    [entry.brand]: brandModels.includes(entry.model) ? brandModels : [...brandModels, entry.model].sort((a, b) => a.localeCompare(b)),
+  };
+}, {});
+
+export const catalogYears = (catalog = [], { brand, model }, currentYear = new Date().getFullYear()) => {
+  const years = new Set();
+  catalog
+    .filter((entry) => sameName(entry.brand, brand) && sameName(entry.model, model))
+    .forEach((entry) => {
+      for (let year = entry.year_to ?? currentYear + 1; year >= entry.year_from; year -= 1) years.add(year);
+    });
+  return [...years].sort((a, b) => b - a);
+};
+
+// The catalog's years for the model, followed by every older year. Vehicles older than
+// the catalog are sized by the customer instead (see customerVehicle).
+export const vehicleYearOptions = (catalog = [], { brand, model }, currentYear = new Date().getFullYear()) => {
+  const years = catalogYears(catalog, { brand, model }, currentYear);
+  if (years.length === 0) return years;
+  const olderYears = [];
+  for (let year = years[years.length - 1] - 1; year >= MIN_VEHICLE_YEAR; year -= 1) olderYears.push(year);
+  return [...years, ...olderYears];
+};
+
+// Stands in for a catalog row when the catalog does not list the vehicle, built from
+// the size class or curb weight the customer gives. Without either the vehicle is
+// not sized and our team prices the tow by hand.
+export const customerVehicle = ({ brand, model, sizeClass, curbWeightKg }) => ({
+  id: null,
+  brand,
+  model,
+  curb_weight_kg: curbWeightKg ? Number(curbWeightKg) : null,
+  drivetrain: null,
+  is_electric: null,
+  size_class: sizeClass || null,
+});
+
+export const isVehicleSized = (vehicle) => Boolean(vehicle?.size_class || vehicle?.curb_weight_kg);
+
+export const loadVehicleCatalog = async (client) => {
+  const { data, error } = await client
+    .from('vehicle_catalog')
+    .select('*')
+    .order('brand')
+    .order('model')
+    .order('year_from', { ascending: false });
+
+  if (error) throw new Error(error.message);
+  return data;
+};
+
+export const loadCatalogVehicle = async (client, { brand, model, year }) => {
+  const { data, error } = await client
+    .from('vehicle_catalog')
+    .select('*')
+    .ilike('brand', String(brand).trim())
+    .ilike('model', String(model).trim());
+
+  if (error) throw new Error(error.message);
+  return findCatalogVehicle(data, { brand, model, year });
+};